@@ -9,6 +9,7 @@ const socketHandler = require('./src/socket/socketHandler');
 const errorMiddleware = require('./src/middleware/errorMiddleware');
 const rateLimitMiddleware = require('./src/middleware/rateLimitMiddleware');
 const logger = require('./src/utils/logger');
+const { jobScheduler, startJobs, stopJobs } = require('./src/jobs');
 require('dotenv').config();
 
 // Import emailService and initialize it before starting the server
@@ -21,6 +22,7 @@ const groupRoutes = require('./src/routes/groupRoutes');
 const matchingRoutes = require('./src/routes/matchingRoutes');
 const messageRoutes = require('./src/routes/messageRoutes');
 const uploadRoutes = require('./src/routes/uploadRoutes');
+const calendarRoutes = require('./src/routes/calendarRoutes');
 
 // Initialize Express app
 const app = express();
@@ -133,6 +135,7 @@ app.use('/api/groups', groupRoutes);
 app.use('/api/matching', matchingRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/uploads', uploadRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // Health check endpoints
 app.get('/api/health', (req, res) => {
@@ -166,7 +169,8 @@ app.get('/api/health/detailed', async (req, res) => {
           used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + ' MB',
           total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + ' MB'
         },
-        socketConnections: io.engine.clientsCount || 0
+        socketConnections: io.engine.clientsCount || 0,
+        jobs: jobScheduler.getStatus()
       }
     };
 
@@ -213,6 +217,9 @@ io.on('connection', (socket) => {
 // Initialize Socket.io handlers
 socketHandler(io);
 
+// Make io accessible to routes
+app.set('io', io);
+
 // Error handling middleware (must be after all routes)
 app.use(errorMiddleware.globalErrorHandler);
 
@@ -254,6 +261,9 @@ const startServer = async () => {
   try {
     // Initialize database connection
     await initializeDatabase();
+
+    // Start background jobs once the database is available
+    startJobs({ io });
     
     // Start server
     server.listen(PORT, HOST, () => {
@@ -288,6 +298,9 @@ const startServer = async () => {
 // Graceful shutdown handling
 const gracefulShutdown = (signal) => {
   logger.info(`${signal} received, starting graceful shutdown...`);
+
+  // Stop scheduling background jobs
+  stopJobs();
   
   // Close server
   server.close(() => {
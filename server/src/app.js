@@ -19,6 +19,7 @@ const matchingRoutes = require('./routes/matchingRoutes');
 const groupRoutes = require('./routes/groupRoutes');
 const messageRoutes = require('./routes/messageRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
 
 // Import socket handlers
 const socketHandler = require('./socket/socketHandler');
@@ -164,6 +165,7 @@ app.use('/api/matching', matchingRoutes);
 app.use('/api/groups', groupRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/uploads', uploadRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -0,0 +1,142 @@
+const calendarService = require('../services/calendarService');
+const logger = require('../utils/logger');
+
+/**
+ * Calendar Controller for AcademicAlly
+ * iCalendar export and subscription feed endpoints
+ */
+
+class CalendarController {
+  /**
+   * Download the current user's calendar as an .ics file
+   * GET /api/calendar/export.ics
+   */
+  async exportCalendar(req, res) {
+    try {
+      const calendar = await calendarService.buildUserCalendar(req.user.id);
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'attachment; filename="academically.ics"'
+      });
+      res.send(calendar);
+    } catch (error) {
+      logger.error('Error in exportCalendar controller', error, { userId: req.user?.id });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export calendar',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get the current user's calendar feed URL (created on first request)
+   * GET /api/calendar/feed
+   */
+  async getFeed(req, res) {
+    try {
+      const result = await calendarService.getFeed(req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Calendar feed retrieved successfully',
+        data: result.data
+      });
+    } catch (error) {
+      logger.error('Error in getFeed controller', error, { userId: req.user?.id });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get calendar feed',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Replace the current user's feed URL
+   * POST /api/calendar/feed/reset
+   */
+  async resetFeed(req, res) {
+    try {
+      const result = await calendarService.resetFeed(req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Calendar feed reset successfully. The previous URL no longer works.',
+        data: result.data
+      });
+    } catch (error) {
+      logger.error('Error in resetFeed controller', error, { userId: req.user?.id });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reset calendar feed',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Turn off the current user's calendar feed
+   * DELETE /api/calendar/feed
+   */
+  async disableFeed(req, res) {
+    try {
+      const result = await calendarService.disableFeed(req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Calendar feed disabled successfully'
+      });
+    } catch (error) {
+      logger.error('Error in disableFeed controller', error, { userId: req.user?.id });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to disable calendar feed',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Serve a calendar feed to a calendar app (authenticated by the token in the URL)
+   * GET /api/calendar/feed/:token.ics
+   */
+  async getFeedCalendar(req, res) {
+    try {
+      const result = await calendarService.getFeedCalendar(req.params.token);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="academically.ics"',
+        'Cache-Control': 'private, max-age=300'
+      });
+      res.send(result.calendar);
+    } catch (error) {
+      logger.error('Error in getFeedCalendar controller', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load calendar feed',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new CalendarController();
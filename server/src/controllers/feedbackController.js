@@ -0,0 +1,213 @@
+const feedbackService = require('../services/feedbackService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+/**
+ * Feedback Controller for AcademicAlly
+ * Handles matching feedback submission and admin triage
+ */
+
+class FeedbackController {
+  /**
+   * Submit feedback about the matching system
+   * POST /api/matching/feedback
+   */
+  async submitFeedback(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { type, subject, message, rating } = req.body;
+
+      const feedback = await feedbackService.submitFeedback(userId, {
+        type,
+        subject,
+        message,
+        rating
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Feedback submitted successfully. Thank you for helping us improve!',
+        data: {
+          feedbackId: feedback._id,
+          status: feedback.status
+        }
+      });
+
+    } catch (error) {
+      logger.error('Submit feedback failed', error, { userId: req.user?.id });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit feedback'
+      });
+    }
+  }
+
+  /**
+   * List feedback for triage (admin)
+   * GET /api/matching/feedback
+   */
+  async listFeedback(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { type, status, priority, userId, page = 1, limit = 20 } = req.query;
+
+      const result = await feedbackService.listFeedback(
+        { type, status, priority, userId },
+        { page: parseInt(page), limit: parseInt(limit) }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Feedback retrieved successfully',
+        data: result
+      });
+
+    } catch (error) {
+      logger.error('List feedback failed', error, { userId: req.user?.id });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve feedback'
+      });
+    }
+  }
+
+  /**
+   * Get aggregate feedback stats per type (admin)
+   * GET /api/matching/feedback/stats
+   */
+  async getFeedbackStats(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { days } = req.query;
+
+      const stats = await feedbackService.getFeedbackStats(days ? parseInt(days) : null);
+
+      res.status(200).json({
+        success: true,
+        message: 'Feedback statistics retrieved successfully',
+        data: stats
+      });
+
+    } catch (error) {
+      logger.error('Get feedback stats failed', error, { userId: req.user?.id });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve feedback statistics'
+      });
+    }
+  }
+
+  /**
+   * Get a single feedback entry (admin)
+   * GET /api/matching/feedback/:feedbackId
+   */
+  async getFeedback(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const feedback = await feedbackService.getFeedback(req.params.feedbackId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Feedback retrieved successfully',
+        data: feedback
+      });
+
+    } catch (error) {
+      if (error.message === 'Feedback not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Get feedback failed', error, { feedbackId: req.params?.feedbackId });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve feedback'
+      });
+    }
+  }
+
+  /**
+   * Change feedback triage status (admin)
+   * PATCH /api/matching/feedback/:feedbackId/status
+   */
+  async updateFeedbackStatus(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { status, note, priority } = req.body;
+
+      const feedback = await feedbackService.updateFeedbackStatus(
+        req.params.feedbackId,
+        req.user.id,
+        { status, note, priority }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: `Feedback marked as ${status}`,
+        data: feedback
+      });
+
+    } catch (error) {
+      if (error.message === 'Feedback not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Update feedback status failed', error, {
+        userId: req.user?.id,
+        feedbackId: req.params?.feedbackId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update feedback status'
+      });
+    }
+  }
+}
+
+module.exports = new FeedbackController();
@@ -1,5 +1,14 @@
 const groupService = require('../services/groupService');
+const studySessionService = require('../services/studySessionService');
+const groupScheduleService = require('../services/groupScheduleService');
+const joinRequestService = require('../services/joinRequestService');
+const groupRoleService = require('../services/groupRoleService');
+const groupInviteService = require('../services/groupInviteService');
+const groupActivityService = require('../services/groupActivityService');
+const waitlistService = require('../services/waitlistService');
+const groupLifecycleService = require('../services/groupLifecycleService');
 const logger = require('../utils/logger');
+const { SOCKET_CONSTANTS } = require('../utils/constants');
 const { validationResult } = require('express-validator');
 
 /**
@@ -138,6 +147,67 @@ class GroupController {
     }
   }
 
+  /**
+   * Get recommended groups for current user
+   * GET /api/groups/recommended
+   */
+  async getRecommendedGroups(req, res) {
+    try {
+      const userId = req.user.id;
+      const limit = parseInt(req.query.limit) || undefined;
+
+      const result = await groupService.getRecommendedGroups(userId, { limit });
+
+      res.json({
+        success: true,
+        message: 'Recommended groups retrieved successfully',
+        data: result.data
+      });
+    } catch (error) {
+      logger.error('Error in getRecommendedGroups controller', error, { userId: req.user?.id });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch recommended groups',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get open groups similar to a group
+   * GET /api/groups/:groupId/similar
+   */
+  async getSimilarGroups(req, res) {
+    try {
+      const result = await groupService.getSimilarGroups(req.params.groupId, req.user.id, {
+        limit: parseInt(req.query.limit) || undefined
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Similar groups retrieved successfully',
+        data: {
+          similarGroups: result.similarGroups,
+          total: result.similarGroups.length
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getSimilarGroups controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch similar groups',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
   /**
    * Get group details
    * GET /api/groups/:id
@@ -175,36 +245,28 @@ class GroupController {
   }
 
   /**
-   * Join a group
-   * POST /api/groups/:id/join
+   * Join a group (or request to join one that requires approval)
+   * POST /api/groups/:groupId/join
    */
   async joinGroup(req, res) {
     try {
-      const userId = req.user.id;
-      const groupId = req.params.groupId;
-
-      logger.logGroup('Group join attempt', {
-        userId,
-        groupId
-      });
-
-      const result = await groupService.joinGroup(groupId, userId);
+      const result = await groupService.joinGroup(req.params.groupId, req.user.id, {
+        message: req.body.message
+      }, { io: req.app.get('io') });
 
       if (!result.success) {
-        return res.status(400).json(result);
+        return res.status(result.statusCode).json({ success: false, message: result.message });
       }
 
-      logger.logGroup('User joined group successfully', {
-        userId,
-        groupId,
-        groupName: result.group?.name
+      res.status(result.status === 'pending' ? 202 : 200).json({
+        success: true,
+        message: result.message,
+        data: result.status === 'pending'
+          ? { status: result.status, joinRequest: result.joinRequest }
+          : { status: result.status, group: result.group }
       });
-
-      res.json(result);
     } catch (error) {
-      logger.error('Error in joinGroup controller', {
-        error: error.message,
-        stack: error.stack,
+      logger.error('Error in joinGroup controller', error, {
         userId: req.user?.id,
         groupId: req.params.groupId
       });
@@ -218,34 +280,28 @@ class GroupController {
 
   /**
    * Leave a group
-   * POST /api/groups/:id/leave
+   * POST /api/groups/:groupId/leave
    */
   async leaveGroup(req, res) {
     try {
-      const userId = req.user.id;
-      const groupId = req.params.groupId;
-
-      logger.logGroup('Group leave attempt', {
-        userId,
-        groupId
-      });
-
-      const result = await groupService.leaveGroup(groupId, userId);
+      const result = await groupService.leaveGroup(req.params.groupId, req.user.id, {
+        newOwnerId: req.body.newOwnerId
+      }, { io: req.app.get('io') });
 
       if (!result.success) {
-        return res.status(400).json(result);
+        return res.status(result.statusCode).json({ success: false, message: result.message });
       }
 
-      logger.logGroup('User left group successfully', {
-        userId,
-        groupId
+      res.json({
+        success: true,
+        message: result.message,
+        data: {
+          groupDeleted: result.groupDeleted,
+          newOwnerId: result.newOwnerId
+        }
       });
-
-      res.json(result);
     } catch (error) {
-      logger.error('Error in leaveGroup controller', {
-        error: error.message,
-        stack: error.stack,
+      logger.error('Error in leaveGroup controller', error, {
         userId: req.user?.id,
         groupId: req.params.groupId
       });
@@ -263,42 +319,31 @@ class GroupController {
    */
   async updateGroup(req, res) {
     try {
-      // Check for validation errors
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: 'Validation failed',
-          errors: errors.array()
-        });
-      }
-
-      const userId = req.user.id;
-      const groupId = req.params.groupId;
-      const updates = req.body;
-
-      logger.logGroup('Group update attempt', {
-        userId,
-        groupId,
-        updates: Object.keys(updates)
+      const result = await groupService.updateGroup(req.params.groupId, req.user.id, req.body, {
+        io: req.app.get('io')
       });
 
-      const result = await groupService.updateGroup(groupId, userId, updates);
-
       if (!result.success) {
-        return res.status(result.message.includes('not found') ? 404 : 403).json(result);
+        return res.status(result.statusCode).json({ success: false, message: result.message });
       }
 
-      logger.logGroup('Group updated successfully', {
-        userId,
-        groupId
-      });
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`${SOCKET_CONSTANTS.ROOMS.GROUP}${req.params.groupId}`).emit(SOCKET_CONSTANTS.EVENTS.GROUP_UPDATED, {
+          group: result.group,
+          updatedBy: req.user.id,
+          changes: result.changes,
+          timestamp: new Date()
+        });
+      }
 
-      res.json(result);
+      res.json({
+        success: true,
+        message: result.message,
+        data: { group: result.group }
+      });
     } catch (error) {
-      logger.error('Error in updateGroup controller', {
-        error: error.message,
-        stack: error.stack,
+      logger.error('Error in updateGroup controller', error, {
         userId: req.user?.id,
         groupId: req.params.groupId
       });
@@ -357,33 +402,37 @@ class GroupController {
    */
   async removeMember(req, res) {
     try {
-      const userId = req.user.id;
-      const groupId = req.params.groupId;
-      const memberId = req.params.memberId;
-
-      logger.logGroup('Member removal attempt', {
-        userId,
-        groupId,
-        memberId
+      const { groupId, memberId } = req.params;
+      const result = await groupService.removeMember(groupId, req.user.id, memberId, req.body.reason, {
+        io: req.app.get('io')
       });
 
-      const result = await groupService.removeMember(groupId, userId, memberId);
-
       if (!result.success) {
-        return res.status(result.message.includes('not found') ? 404 : 403).json(result);
+        return res.status(result.statusCode).json({ success: false, message: result.message });
       }
 
-      logger.logGroup('Member removed successfully', {
-        userId,
-        groupId,
-        memberId
-      });
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`${SOCKET_CONSTANTS.ROOMS.USER}${memberId}`).emit(SOCKET_CONSTANTS.EVENTS.REMOVED_FROM_GROUP, {
+          groupId,
+          reason: req.body.reason,
+          removedBy: req.user.id
+        });
+        io.to(`${SOCKET_CONSTANTS.ROOMS.GROUP}${groupId}`).emit(SOCKET_CONSTANTS.EVENTS.MEMBER_REMOVED, {
+          groupId,
+          memberId,
+          removedBy: req.user.id,
+          timestamp: new Date()
+        });
+      }
 
-      res.json(result);
+      res.json({
+        success: true,
+        message: result.message,
+        data: { memberCount: result.group.currentMemberCount }
+      });
     } catch (error) {
-      logger.error('Error in removeMember controller', {
-        error: error.message,
-        stack: error.stack,
+      logger.error('Error in removeMember controller', error, {
         userId: req.user?.id,
         groupId: req.params.groupId,
         memberId: req.params.memberId
@@ -431,6 +480,1276 @@ class GroupController {
       });
     }
   }
+
+  /**
+   * Schedule a study session for a group
+   * POST /api/groups/:groupId/sessions
+   */
+  async createStudySession(req, res) {
+    try {
+      const userId = req.user.id;
+      const { groupId } = req.params;
+
+      const result = await studySessionService.createSession(groupId, userId, req.body, { io: req.app.get('io') });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      this.emitSessionEvent(req, groupId, SOCKET_CONSTANTS.EVENTS.STUDY_SESSION_CREATED, result.session);
+
+      res.status(201).json({
+        success: true,
+        message: 'Study session scheduled successfully',
+        data: { session: result.session }
+      });
+    } catch (error) {
+      logger.error('Error in createStudySession controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to schedule study session',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get group study sessions
+   * GET /api/groups/:groupId/sessions
+   */
+  async getStudySessions(req, res) {
+    try {
+      const userId = req.user.id;
+      const { groupId } = req.params;
+
+      const result = await studySessionService.getGroupSessions(groupId, userId, {
+        status: req.query.status,
+        limit: parseInt(req.query.limit) || undefined
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Study sessions retrieved successfully',
+        data: { sessions: result.sessions }
+      });
+    } catch (error) {
+      logger.error('Error in getStudySessions controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch study sessions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get a study session with RSVPs and attendance
+   * GET /api/groups/:groupId/sessions/:sessionId
+   */
+  async getStudySession(req, res) {
+    try {
+      const { groupId, sessionId } = req.params;
+
+      const result = await studySessionService.getSession(groupId, sessionId, req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Study session retrieved successfully',
+        data: { session: result.session }
+      });
+    } catch (error) {
+      logger.error('Error in getStudySession controller', error, {
+        userId: req.user?.id,
+        sessionId: req.params.sessionId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch study session',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * RSVP to a study session
+   * PUT /api/groups/:groupId/sessions/:sessionId/rsvp
+   */
+  async rsvpStudySession(req, res) {
+    try {
+      const { groupId, sessionId } = req.params;
+
+      const result = await studySessionService.rsvp(groupId, sessionId, req.user.id, req.body.status);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      this.emitSessionEvent(req, groupId, SOCKET_CONSTANTS.EVENTS.STUDY_SESSION_UPDATED, result.session);
+
+      res.json({
+        success: true,
+        message: 'RSVP saved',
+        data: {
+          sessionId: result.session._id,
+          status: req.body.status,
+          rsvpCounts: result.session.rsvpCounts
+        }
+      });
+    } catch (error) {
+      logger.error('Error in rsvpStudySession controller', error, {
+        userId: req.user?.id,
+        sessionId: req.params.sessionId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save RSVP',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Check in to a study session
+   * POST /api/groups/:groupId/sessions/:sessionId/check-in
+   */
+  async checkInStudySession(req, res) {
+    try {
+      const { groupId, sessionId } = req.params;
+
+      const result = await studySessionService.checkIn(groupId, sessionId, req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      this.emitSessionEvent(
+        req,
+        groupId,
+        result.started ? SOCKET_CONSTANTS.EVENTS.STUDY_SESSION_STARTED : SOCKET_CONSTANTS.EVENTS.STUDY_SESSION_UPDATED,
+        result.session
+      );
+
+      res.json({
+        success: true,
+        message: 'Checked in successfully',
+        data: {
+          sessionId: result.session._id,
+          status: result.session.status,
+          attendeeCount: result.session.attendeeCount
+        }
+      });
+    } catch (error) {
+      logger.error('Error in checkInStudySession controller', error, {
+        userId: req.user?.id,
+        sessionId: req.params.sessionId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check in',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Check out of a study session
+   * POST /api/groups/:groupId/sessions/:sessionId/check-out
+   */
+  async checkOutStudySession(req, res) {
+    try {
+      const { groupId, sessionId } = req.params;
+
+      const result = await studySessionService.checkOut(groupId, sessionId, req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      this.emitSessionEvent(req, groupId, SOCKET_CONSTANTS.EVENTS.STUDY_SESSION_UPDATED, result.session);
+
+      res.json({
+        success: true,
+        message: 'Checked out successfully',
+        data: { sessionId: result.session._id }
+      });
+    } catch (error) {
+      logger.error('Error in checkOutStudySession controller', error, {
+        userId: req.user?.id,
+        sessionId: req.params.sessionId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check out',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Start a study session
+   * POST /api/groups/:groupId/sessions/:sessionId/start
+   */
+  async startStudySession(req, res) {
+    try {
+      const { groupId, sessionId } = req.params;
+
+      const result = await studySessionService.startSession(groupId, sessionId, req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      this.emitSessionEvent(req, groupId, SOCKET_CONSTANTS.EVENTS.STUDY_SESSION_STARTED, result.session);
+
+      res.json({
+        success: true,
+        message: 'Study session started',
+        data: { session: result.session }
+      });
+    } catch (error) {
+      logger.error('Error in startStudySession controller', error, {
+        userId: req.user?.id,
+        sessionId: req.params.sessionId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start study session',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Complete a study session
+   * POST /api/groups/:groupId/sessions/:sessionId/complete
+   */
+  async completeStudySession(req, res) {
+    try {
+      const { groupId, sessionId } = req.params;
+
+      const result = await studySessionService.completeSession(groupId, sessionId, req.user.id, { io: req.app.get('io') });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      this.emitSessionEvent(req, groupId, SOCKET_CONSTANTS.EVENTS.STUDY_SESSION_ENDED, result.session);
+
+      res.json({
+        success: true,
+        message: 'Study session completed',
+        data: {
+          session: result.session,
+          summary: result.session.summary
+        }
+      });
+    } catch (error) {
+      logger.error('Error in completeStudySession controller', error, {
+        userId: req.user?.id,
+        sessionId: req.params.sessionId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to complete study session',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Cancel a scheduled study session
+   * POST /api/groups/:groupId/sessions/:sessionId/cancel
+   */
+  async cancelStudySession(req, res) {
+    try {
+      const { groupId, sessionId } = req.params;
+
+      const result = await studySessionService.cancelSession(groupId, sessionId, req.user.id, req.body.reason);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      this.emitSessionEvent(req, groupId, SOCKET_CONSTANTS.EVENTS.STUDY_SESSION_CANCELLED, result.session);
+
+      res.json({
+        success: true,
+        message: 'Study session cancelled',
+        data: { session: result.session }
+      });
+    } catch (error) {
+      logger.error('Error in cancelStudySession controller', error, {
+        userId: req.user?.id,
+        sessionId: req.params.sessionId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel study session',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Promote a member to admin
+   * POST /api/groups/:groupId/members/:memberId/promote
+   */
+  async promoteMember(req, res) {
+    try {
+      const result = await groupRoleService.promoteMember(req.params.groupId, req.user.id, req.params.memberId, {
+        io: req.app.get('io')
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Member promoted to admin successfully',
+        data: { member: result.member }
+      });
+    } catch (error) {
+      logger.error('Error in promoteMember controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId,
+        memberId: req.params.memberId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to promote member',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Demote an admin to regular member
+   * POST /api/groups/:groupId/members/:memberId/demote
+   */
+  async demoteMember(req, res) {
+    try {
+      const result = await groupRoleService.demoteMember(req.params.groupId, req.user.id, req.params.memberId, {
+        io: req.app.get('io')
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Admin demoted to member successfully',
+        data: { member: result.member }
+      });
+    } catch (error) {
+      logger.error('Error in demoteMember controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId,
+        memberId: req.params.memberId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to demote member',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Transfer group ownership to another member
+   * POST /api/groups/:groupId/transfer-ownership
+   */
+  async transferOwnership(req, res) {
+    try {
+      const result = await groupRoleService.transferOwnership(req.params.groupId, req.user.id, req.body.newOwnerId, {
+        io: req.app.get('io')
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Group ownership transferred successfully',
+        data: { group: result.group }
+      });
+    } catch (error) {
+      logger.error('Error in transferOwnership controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to transfer ownership',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get a group's role change history
+   * GET /api/groups/:groupId/role-history
+   */
+  async getRoleHistory(req, res) {
+    try {
+      const result = await groupRoleService.getRoleHistory(req.params.groupId, req.user.id, {
+        limit: parseInt(req.query.limit) || undefined
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Role history retrieved successfully',
+        data: { history: result.history }
+      });
+    } catch (error) {
+      logger.error('Error in getRoleHistory controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch role history',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * List a group's join requests
+   * GET /api/groups/:groupId/join-requests
+   */
+  async getJoinRequests(req, res) {
+    try {
+      const result = await joinRequestService.getJoinRequests(req.params.groupId, req.user.id, {
+        status: req.query.status
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Join requests retrieved successfully',
+        data: { joinRequests: result.joinRequests }
+      });
+    } catch (error) {
+      logger.error('Error in getJoinRequests controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch join requests',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Approve a join request
+   * POST /api/groups/:groupId/join-requests/:requestId/approve
+   */
+  async approveJoinRequest(req, res) {
+    try {
+      const result = await joinRequestService.approveRequest(req.params.groupId, req.params.requestId, req.user.id, {
+        welcomeMessage: req.body.welcomeMessage,
+        io: req.app.get('io')
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Join request approved successfully',
+        data: { joinRequest: result.joinRequest }
+      });
+    } catch (error) {
+      logger.error('Error in approveJoinRequest controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId,
+        requestId: req.params.requestId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to approve join request',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Reject a join request
+   * POST /api/groups/:groupId/join-requests/:requestId/reject
+   */
+  async rejectJoinRequest(req, res) {
+    try {
+      const result = await joinRequestService.rejectRequest(req.params.groupId, req.params.requestId, req.user.id, {
+        reason: req.body.reason,
+        io: req.app.get('io')
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Join request rejected successfully',
+        data: { joinRequest: result.joinRequest }
+      });
+    } catch (error) {
+      logger.error('Error in rejectJoinRequest controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId,
+        requestId: req.params.requestId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reject join request',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Invite a user to a group by user ID or email
+   * POST /api/groups/:groupId/invite
+   */
+  async inviteUser(req, res) {
+    try {
+      const result = await groupInviteService.inviteUser(req.params.groupId, req.user.id, {
+        userId: req.body.userId,
+        email: req.body.email,
+        message: req.body.message
+      }, { io: req.app.get('io') });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitation sent successfully',
+        data: { invite: result.invite }
+      });
+    } catch (error) {
+      logger.error('Error in inviteUser controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send invitation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Create a shareable invite link
+   * POST /api/groups/:groupId/invite-links
+   */
+  async createInviteLink(req, res) {
+    try {
+      const result = await groupInviteService.createInviteLink(req.params.groupId, req.user.id, {
+        maxUses: req.body.maxUses,
+        expiresInHours: req.body.expiresInHours
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Invite link created successfully',
+        data: { invite: result.invite }
+      });
+    } catch (error) {
+      logger.error('Error in createInviteLink controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create invite link',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * List a group's invites and invite links
+   * GET /api/groups/:groupId/invites
+   */
+  async getGroupInvites(req, res) {
+    try {
+      const result = await groupInviteService.getGroupInvites(req.params.groupId, req.user.id, {
+        status: req.query.status,
+        type: req.query.type
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Invites retrieved successfully',
+        data: { invites: result.invites }
+      });
+    } catch (error) {
+      logger.error('Error in getGroupInvites controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch invites',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Revoke an invite or invite link
+   * DELETE /api/groups/:groupId/invites/:inviteId
+   */
+  async revokeInvite(req, res) {
+    try {
+      const result = await groupInviteService.revokeInvite(req.params.groupId, req.params.inviteId, req.user.id, {
+        io: req.app.get('io')
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Invite revoked successfully',
+        data: { invite: result.invite }
+      });
+    } catch (error) {
+      logger.error('Error in revokeInvite controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId,
+        inviteId: req.params.inviteId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke invite',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * List the current user's open group invites
+   * GET /api/groups/invites
+   */
+  async getMyInvites(req, res) {
+    try {
+      const result = await groupInviteService.getMyInvites(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Invites retrieved successfully',
+        data: { invites: result.invites }
+      });
+    } catch (error) {
+      logger.error('Error in getMyInvites controller', error, { userId: req.user?.id });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch invites',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Accept a group invite
+   * POST /api/groups/invites/:inviteId/accept
+   */
+  async acceptInvite(req, res) {
+    try {
+      const result = await groupInviteService.acceptInvite(req.params.inviteId, req.user.id, {
+        io: req.app.get('io')
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Invitation accepted. Welcome to the group!',
+        data: { invite: result.invite, group: result.group }
+      });
+    } catch (error) {
+      logger.error('Error in acceptInvite controller', error, {
+        userId: req.user?.id,
+        inviteId: req.params.inviteId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to accept invitation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Decline a group invite
+   * POST /api/groups/invites/:inviteId/decline
+   */
+  async declineInvite(req, res) {
+    try {
+      const result = await groupInviteService.declineInvite(req.params.inviteId, req.user.id, {
+        io: req.app.get('io')
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Invitation declined',
+        data: { invite: result.invite }
+      });
+    } catch (error) {
+      logger.error('Error in declineInvite controller', error, {
+        userId: req.user?.id,
+        inviteId: req.params.inviteId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to decline invitation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Preview the group behind an invite link
+   * GET /api/groups/invite-links/:token
+   */
+  async getInviteLink(req, res) {
+    try {
+      const result = await groupInviteService.getInviteByToken(req.params.token);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Invite link retrieved successfully',
+        data: result.preview
+      });
+    } catch (error) {
+      logger.error('Error in getInviteLink controller', error, { userId: req.user?.id });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch invite link',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Join a group through an invite link
+   * POST /api/groups/invite-links/:token/join
+   */
+  async joinWithInviteLink(req, res) {
+    try {
+      const result = await groupInviteService.joinWithLink(req.params.token, req.user.id, {
+        io: req.app.get('io')
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Joined group successfully',
+        data: { group: result.group }
+      });
+    } catch (error) {
+      logger.error('Error in joinWithInviteLink controller', error, { userId: req.user?.id });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to join group',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get a group's activity feed
+   * GET /api/groups/:groupId/activity
+   */
+  async getGroupActivity(req, res) {
+    try {
+      const result = await groupActivityService.getActivity(req.params.groupId, req.user.id, {
+        page: req.query.page ? parseInt(req.query.page, 10) : undefined,
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+        types: req.query.types ? req.query.types.split(',') : undefined,
+        since: req.query.since,
+        before: req.query.before
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Group activity retrieved successfully',
+        data: {
+          activities: result.activities,
+          pagination: result.pagination
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getGroupActivity controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch group activity',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Join a full group's waitlist
+   * POST /api/groups/:groupId/waitlist
+   */
+  async joinWaitlist(req, res) {
+    try {
+      const result = await groupService.joinWaitlist(req.params.groupId, req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: { position: result.position, total: result.total }
+      });
+    } catch (error) {
+      logger.error('Error in joinWaitlist controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to join waitlist',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Leave a group's waitlist
+   * DELETE /api/groups/:groupId/waitlist
+   */
+  async leaveWaitlist(req, res) {
+    try {
+      const result = await waitlistService.leaveWaitlist(req.params.groupId, req.user.id, {
+        io: req.app.get('io')
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      logger.error('Error in leaveWaitlist controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to leave waitlist',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get the current user's waitlist position
+   * GET /api/groups/:groupId/waitlist/position
+   */
+  async getWaitlistPosition(req, res) {
+    try {
+      const result = await waitlistService.getWaitlistPosition(req.params.groupId, req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Waitlist position retrieved successfully',
+        data: { waitlist: result.waitlist }
+      });
+    } catch (error) {
+      logger.error('Error in getWaitlistPosition controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch waitlist position',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get a group's waitlist (admins)
+   * GET /api/groups/:groupId/waitlist
+   */
+  async getWaitlist(req, res) {
+    try {
+      const result = await waitlistService.getWaitlist(req.params.groupId, req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Waitlist retrieved successfully',
+        data: {
+          waitlist: result.waitlist,
+          waitlistMode: result.waitlistMode
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getWaitlist controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch waitlist',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Accept a spot offered from the waitlist
+   * POST /api/groups/:groupId/waitlist/accept
+   */
+  async acceptWaitlistOffer(req, res) {
+    try {
+      const result = await waitlistService.acceptOffer(req.params.groupId, req.user.id, {
+        io: req.app.get('io')
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: { group: result.group }
+      });
+    } catch (error) {
+      logger.error('Error in acceptWaitlistOffer controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to accept spot',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Decline a spot offered from the waitlist
+   * POST /api/groups/:groupId/waitlist/decline
+   */
+  async declineWaitlistOffer(req, res) {
+    try {
+      const result = await waitlistService.declineOffer(req.params.groupId, req.user.id, {
+        io: req.app.get('io')
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      logger.error('Error in declineWaitlistOffer controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to decline spot',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Pause a group (hidden from search, no new members)
+   * POST /api/groups/:groupId/pause
+   */
+  async pauseGroup(req, res) {
+    return this.changeGroupStatus(req, res, 'paused');
+  }
+
+  /**
+   * Mark a group completed (chat becomes read-only)
+   * POST /api/groups/:groupId/complete
+   */
+  async completeGroup(req, res) {
+    return this.changeGroupStatus(req, res, 'completed');
+  }
+
+  /**
+   * Archive a group (read-only; former members keep access)
+   * POST /api/groups/:groupId/archive
+   */
+  async archiveGroup(req, res) {
+    return this.changeGroupStatus(req, res, 'archived');
+  }
+
+  /**
+   * Reactivate a paused, completed or archived group
+   * POST /api/groups/:groupId/reactivate
+   */
+  async reactivateGroup(req, res) {
+    return this.changeGroupStatus(req, res, 'active');
+  }
+
+  /**
+   * Get upcoming occurrences across the current user's groups
+   * GET /api/groups/my-occurrences
+   */
+  async getMyOccurrences(req, res) {
+    try {
+      const result = await groupScheduleService.getUserOccurrences(req.user.id, {
+        from: req.query.from,
+        to: req.query.to,
+        limit: parseInt(req.query.limit) || undefined
+      });
+
+      res.json({
+        success: true,
+        message: 'Upcoming occurrences retrieved successfully',
+        data: result.data
+      });
+    } catch (error) {
+      logger.error('Error in getMyOccurrences controller', error, { userId: req.user?.id });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch upcoming occurrences',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get upcoming occurrences of a group's recurring schedule
+   * GET /api/groups/:groupId/occurrences
+   */
+  async getGroupOccurrences(req, res) {
+    try {
+      const result = await groupScheduleService.getGroupOccurrences(req.params.groupId, req.user.id, {
+        from: req.query.from,
+        to: req.query.to,
+        limit: parseInt(req.query.limit) || undefined,
+        includeSkipped: req.query.includeSkipped === 'true'
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Group occurrences retrieved successfully',
+        data: result.data
+      });
+    } catch (error) {
+      logger.error('Error in getGroupOccurrences controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch group occurrences',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Skip or reschedule one occurrence of a group's recurring schedule
+   * PUT /api/groups/:groupId/occurrences/:date
+   */
+  async setOccurrenceException(req, res) {
+    try {
+      const { groupId, date } = req.params;
+      const { type, startsAt, endsAt, reason } = req.body;
+
+      const result = await groupScheduleService.setOccurrenceException(groupId, req.user.id, date, {
+        type,
+        startsAt,
+        endsAt,
+        reason
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: type === 'skip' ? 'Occurrence skipped' : 'Occurrence rescheduled',
+        data: result.data
+      });
+    } catch (error) {
+      logger.error('Error in setOccurrenceException controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update occurrence',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Restore an occurrence to the regular schedule
+   * DELETE /api/groups/:groupId/occurrences/:date
+   */
+  async clearOccurrenceException(req, res) {
+    try {
+      const { groupId, date } = req.params;
+
+      const result = await groupScheduleService.clearOccurrenceException(groupId, req.user.id, date);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Occurrence restored to the regular schedule',
+        data: result.data
+      });
+    } catch (error) {
+      logger.error('Error in clearOccurrenceException controller', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore occurrence',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Move a group to a new lifecycle status and respond
+   */
+  async changeGroupStatus(req, res, status) {
+    try {
+      const result = await groupLifecycleService.changeStatus(req.params.groupId, req.user.id, status, {
+        reason: req.body.reason,
+        endDate: req.body.endDate
+      }, {
+        io: req.app.get('io')
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: {
+          group: result.group,
+          previousStatus: result.previousStatus
+        }
+      });
+    } catch (error) {
+      logger.error('Error changing group status', error, {
+        userId: req.user?.id,
+        groupId: req.params.groupId,
+        status
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to change group status',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Broadcast a study session change to the group room
+   */
+  emitSessionEvent(req, groupId, event, session) {
+    const io = req.app.get('io');
+    if (!io) return;
+
+    io.to(`${SOCKET_CONSTANTS.ROOMS.GROUP}${groupId}`).emit(event, {
+      groupId,
+      session
+    });
+  }
 }
 
 module.exports = new GroupController();
\ No newline at end of file
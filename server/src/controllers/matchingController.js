@@ -1,4 +1,6 @@
 const matchingService = require('../services/matchingService');
+const scoringStrategies = require('../services/scoringStrategies');
+const matchExpiryService = require('../services/matchExpiryService');
 const emailService = require('../services/emailService');
 const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
@@ -15,6 +17,15 @@ class MatchingController {
    */
   async findPartners(req, res) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
       const userId = req.user.id;
       const {
         courses,
@@ -24,7 +35,8 @@ class MatchingController {
         timePreference,
         limit = 10,
         minReputation,
-        excludeMatched = false
+        excludeMatched = false,
+        algorithm
       } = req.query;
 
       // Build filter options
@@ -37,14 +49,15 @@ class MatchingController {
       if (minReputation) filters.minReputation = parseFloat(minReputation);
       if (excludeMatched === 'true') filters.excludeMatched = true;
 
-      const matches = await matchingService.findCompatiblePartners(
+      if (algorithm) filters.algorithm = algorithm;
+
+      const matches = await matchingService.findMatches(
         userId,
         filters,
         parseInt(limit)
       );
 
-      logger.logMatching('Partners found', {
-        userId,
+      logger.matching('partners_found', userId, null, {
         matchCount: matches.length,
         filters
       });
@@ -60,7 +73,7 @@ class MatchingController {
       });
 
     } catch (error) {
-      logger.logError('Find partners failed', error, { userId: req.user?.id });
+      logger.error('Find partners failed', error, { userId: req.user?.id });
       res.status(500).json({
         success: false,
         message: 'Failed to find study partners'
@@ -68,45 +81,68 @@ class MatchingController {
     }
   }
 
+  /**
+   * List available compatibility scoring algorithms
+   * GET /api/matching/algorithms
+   */
+  async getAlgorithms(req, res) {
+    try {
+      const algorithms = scoringStrategies.list();
+
+      res.status(200).json({
+        success: true,
+        message: 'Scoring algorithms retrieved successfully',
+        data: {
+          algorithms,
+          total: algorithms.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get scoring algorithms failed', error, { userId: req.user?.id });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve scoring algorithms'
+      });
+    }
+  }
+
   /**
    * Get detailed compatibility analysis
    * GET /api/matching/compatibility/:partnerId
    */
   async getCompatibilityAnalysis(req, res) {
     try {
-      const userId = req.user.id;
-      const { partnerId } = req.params;
-
-      if (!partnerId) {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'Partner ID is required'
+          message: 'Validation failed',
+          errors: errors.array()
         });
       }
 
-      const analysis = await matchingService.calculateCompatibility(userId, partnerId);
+      const userId = req.user.id;
+      const { partnerId } = req.params;
+      const { algorithm } = req.query;
 
-      if (!analysis) {
-        return res.status(404).json({
+      const result = await matchingService.getCompatibilityExplanation(userId, partnerId, algorithm);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
           success: false,
-          message: 'Partner not found or compatibility cannot be calculated'
+          message: result.message
         });
       }
 
-      logger.logMatching('Compatibility analysis generated', {
-        userId,
-        partnerId,
-        score: analysis.overallScore
-      });
-
       res.status(200).json({
         success: true,
         message: 'Compatibility analysis generated successfully',
-        data: analysis
+        data: result.data
       });
 
     } catch (error) {
-      logger.logError('Compatibility analysis failed', error, {
+      logger.error('Compatibility analysis failed', error, {
         userId: req.user?.id,
         partnerId: req.params?.partnerId
       });
@@ -133,12 +169,13 @@ class MatchingController {
       }
 
       const userId = req.user.id;
-      const { partnerId, message, courses } = req.body;
+      const { partnerId, message, courses, algorithm } = req.body;
 
       const result = await matchingService.createMatch(userId, partnerId, {
         message,
         courses: courses || [],
-        status: 'pending'
+        status: 'pending',
+        algorithm
       });
 
       if (!result.success) {
@@ -217,55 +254,97 @@ class MatchingController {
         });
       }
 
-      const result = await matchingService.updateMatchStatus(matchId, userId, action, message);
+      // The requester is notified (socket and email) with the responder's message
+      const match = await matchingService.updateMatchStatus(matchId, userId, action, {
+        message,
+        io: req.app.get('io')
+      });
 
-      if (!result.success) {
-        return res.status(400).json({
+      logger.matching(`match_request_${action}ed`, userId, match.getOtherUserId(userId), {
+        matchId,
+        action,
+        hasMessage: Boolean(message)
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `Match request ${action}ed successfully`,
+        data: {
+          match,
+          action
+        }
+      });
+
+    } catch (error) {
+      const clientErrors = {
+        'Match not found': 404,
+        'Unauthorized to update this match': 403,
+        'Only the invited user can respond to this match': 403
+      };
+      const statusCode = clientErrors[error.message] ||
+        (error.message.startsWith('Match is already') ? 400 : null);
+
+      if (statusCode) {
+        return res.status(statusCode).json({
           success: false,
-          message: result.message
+          message: error.message
         });
       }
 
-      // Send response notification email
-      try {
-        const emailMethod = action === 'accept' 
-          ? emailService.sendMatchAcceptedNotification 
-          : emailService.sendMatchDeclinedNotification;
-        
-        await emailMethod(
-          result.requester.email,
-          result.requester.name,
-          req.user.name,
-          message
-        );
-      } catch (emailError) {
-        logger.logError('Match response notification email failed', emailError);
+      logger.error('Respond to match request failed', error, {
+        userId: req.user?.id,
+        matchId: req.params?.matchId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to respond to match request'
+      });
+    }
+  }
+
+  /**
+   * Extend a pending match request (initiator only, once)
+   * POST /api/matching/request/:matchId/extend
+   */
+  async extendMatchRequest(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
       }
 
-      logger.logMatching(`Match request ${action}ed`, {
-        matchId,
-        responderId: userId,
-        requesterId: result.requester._id,
-        action
+      const result = await matchExpiryService.extendMatchRequest(req.params.matchId, req.user.id, {
+        io: req.app.get('io')
       });
 
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
       res.status(200).json({
         success: true,
-        message: `Match request ${action}ed successfully`,
+        message: 'Match request extended successfully',
         data: {
           match: result.match,
-          action
+          expiresAt: result.match.expiresAt
         }
       });
 
     } catch (error) {
-      logger.logError('Respond to match request failed', error, {
+      logger.error('Extend match request failed', error, {
         userId: req.user?.id,
         matchId: req.params?.matchId
       });
       res.status(500).json({
         success: false,
-        message: 'Failed to respond to match request'
+        message: 'Failed to extend match request'
       });
     }
   }
@@ -381,7 +460,7 @@ class MatchingController {
         });
       }
 
-      logger.logMatching('Matching preferences updated', { userId });
+      logger.matching('preferences_updated', userId);
 
       res.status(200).json({
         success: true,
@@ -392,7 +471,7 @@ class MatchingController {
       });
 
     } catch (error) {
-      logger.logError('Update matching preferences failed', error, { userId: req.user?.id });
+      logger.error('Update matching preferences failed', error, { userId: req.user?.id });
       res.status(500).json({
         success: false,
         message: 'Failed to update matching preferences'
@@ -542,13 +621,6 @@ class MatchingController {
         });
       }
 
-      logger.logMatching('Partner rated', {
-        raterId: userId,
-        partnerId,
-        matchId,
-        rating
-      });
-
       res.status(200).json({
         success: true,
         message: 'Partner rated successfully',
@@ -559,7 +631,7 @@ class MatchingController {
       });
 
     } catch (error) {
-      logger.logError('Rate partner failed', error, { userId: req.user?.id });
+      logger.error('Rate partner failed', error, { userId: req.user?.id });
       res.status(500).json({
         success: false,
         message: 'Failed to rate partner'
@@ -603,6 +675,51 @@ class MatchingController {
       });
     }
   }
+
+  /**
+   * Get mutual connections with another user
+   * GET /api/matching/mutual/:userId
+   */
+  async getMutualConnections(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { userId: otherUserId } = req.params;
+
+      const result = await matchingService.getMutualConnections(userId, otherUserId);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Mutual connections checked',
+        data: result.data
+      });
+
+    } catch (error) {
+      logger.error('Get mutual connections failed', error, {
+        userId: req.user?.id,
+        otherUserId: req.params?.userId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check mutual connections'
+      });
+    }
+  }
 }
 
 module.exports = new MatchingController();
\ No newline at end of file
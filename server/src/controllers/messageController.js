@@ -1,4 +1,6 @@
 const messageService = require('../services/messageService');
+const threadService = require('../services/threadService');
+const scheduledMessageService = require('../services/scheduledMessageService');
 const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
 
@@ -14,52 +16,29 @@ console.log('DEBUG logger:', logger);
 class MessageController {
   /**
    * Send a direct message between users
-   * POST /api/messages/direct
+   * POST /api/messages/send
    */
   async sendDirectMessage(req, res) {
     try {
-      // Check for validation errors
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        logger.logMessage('Direct message send failed - validation errors', {
-          senderId: req.user.id,
-          errors: errors.array()
-        });
-        return res.status(400).json({
-          success: false,
-          message: 'Validation failed',
-          errors: errors.array()
-        });
-      }
-
-      const senderId = req.user.id;
-      const { recipientId, content, attachments } = req.body;
-
-      logger.logMessage('Direct message send attempt', {
-        senderId,
-        recipientId,
-        hasAttachments: !!attachments?.length
-      });
+      const { recipientId, content, messageType, attachments, replyTo } = req.body;
 
-      const result = await messageService.sendDirectMessage(
-        senderId,
+      const message = await messageService.sendDirectMessage(
+        req.user.id,
         recipientId,
-        content,
-        attachments
+        { content, type: messageType, attachments, replyTo },
+        { io: req.app.get('io') }
       );
 
-      if (!result.success) {
-        return res.status(400).json(result);
-      }
-
-      logger.logMessage('Direct message sent successfully', {
-        senderId,
-        recipientId,
-        messageId: result.message._id
+      res.status(201).json({
+        success: true,
+        message: 'Message sent successfully',
+        data: { message }
       });
-
-      res.status(201).json(result);
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+
       logger.error('Error in sendDirectMessage controller', {
         error: error.message,
         stack: error.stack,
@@ -73,38 +52,31 @@ class MessageController {
     }
   }
 
+  /**
+   * Send a message to a group
+   * POST /api/messages/group/:groupId
+   */
   async sendGroupMessage(req, res) {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: 'Validation failed',
-          errors: errors.array()
-        });
-      }
-      const senderId = req.user.id;
-      const { groupId, content, attachments } = req.body;
-      logger.logMessage('Group message send attempt', {
-        senderId,
-        groupId,
-        hasAttachments: !!attachments?.length
-      });
-      const result = await messageService.sendGroupMessage(
-        senderId,
-        groupId,
-        { content, attachments }
+      const { content, messageType, attachments, replyTo } = req.body;
+
+      const message = await messageService.sendGroupMessage(
+        req.user.id,
+        req.params.groupId,
+        { content, type: messageType, attachments, replyTo },
+        { io: req.app.get('io') }
       );
-      if (!result.success) {
-        return res.status(400).json(result);
-      }
-      logger.logMessage('Group message sent successfully', {
-        senderId,
-        groupId,
-        messageId: result.message._id
+
+      res.status(201).json({
+        success: true,
+        message: 'Message sent successfully',
+        data: { message }
       });
-      res.status(201).json(result);
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+
       logger.error('Error in sendGroupMessage controller', {
         error: error.message,
         stack: error.stack,
@@ -118,6 +90,124 @@ class MessageController {
     }
   }
 
+  /**
+   * Get a thread (root message and replies)
+   * GET /api/messages/:messageId/thread
+   */
+  async getThread(req, res) {
+    try {
+      const result = await threadService.getThread(req.params.messageId, req.user.id, {
+        page: req.query.page ? parseInt(req.query.page, 10) : undefined,
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Thread retrieved successfully',
+        data: {
+          root: result.root,
+          replies: result.replies,
+          thread: result.thread,
+          pagination: result.pagination
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getThread controller', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        messageId: req.params.messageId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch thread',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Mark a thread as read
+   * POST /api/messages/:messageId/thread/read
+   */
+  async markThreadRead(req, res) {
+    try {
+      const result = await threadService.markThreadRead(req.params.messageId, req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Thread marked as read',
+        data: { rootId: result.rootId, lastReadAt: result.lastReadAt }
+      });
+    } catch (error) {
+      logger.error('Error in markThreadRead controller', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        messageId: req.params.messageId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to mark thread as read',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Follow a thread
+   * POST /api/messages/:messageId/thread/follow
+   */
+  async followThread(req, res) {
+    return this.setThreadFollowing(req, res, true);
+  }
+
+  /**
+   * Unfollow a thread
+   * DELETE /api/messages/:messageId/thread/follow
+   */
+  async unfollowThread(req, res) {
+    return this.setThreadFollowing(req, res, false);
+  }
+
+  /**
+   * Follow or unfollow a thread and respond
+   */
+  async setThreadFollowing(req, res, follow) {
+    try {
+      const result = await threadService.setFollowing(req.params.messageId, req.user.id, follow);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: { rootId: result.rootId, isFollowing: result.isFollowing }
+      });
+    } catch (error) {
+      logger.error('Error in setThreadFollowing controller', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        messageId: req.params.messageId
+      });
+      res.status(500).json({
+        success: false,
+        message: follow ? 'Failed to follow thread' : 'Failed to unfollow thread',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
   
   /**
    * Get user's conversations list
@@ -126,18 +216,17 @@ class MessageController {
   async getConversations(req, res) {
     try {
       const userId = req.user.id;
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 20;
+      const limit = parseInt(req.query.limit, 10) || 20;
 
-      logger.logMessage('Conversations list request', {
-        userId,
-        page,
-        limit
-      });
+      const result = await messageService.getUserConversations(userId, { limit });
 
-      const result = await messageService.getConversations(userId, page, limit);
-
-      res.json(result);
+      res.json({
+        success: true,
+        message: 'Conversations retrieved successfully',
+        data: {
+          conversations: result.conversations
+        }
+      });
     } catch (error) {
       logger.error('Error in getConversations controller', {
         error: error.message,
@@ -153,15 +242,13 @@ class MessageController {
   }
 
   /**
-   * Get messages for a specific conversation
-   * GET /api/messages/conversation/:type/:id
+   * Get messages for a specific conversation (cursor paged)
+   * GET /api/messages/conversation/:userId (type 'direct')
    */
   async getMessages(req, res) {
     try {
       const userId = req.user.id;
       const { type, id } = req.params; // type: 'direct' or 'group', id: userId or groupId
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 50;
 
       if (!['direct', 'group'].includes(type)) {
         return res.status(400).json({
@@ -170,26 +257,25 @@ class MessageController {
         });
       }
 
-      logger.logMessage('Messages fetch request', {
-        userId,
-        conversationType: type,
-        conversationId: id,
-        page,
-        limit
-      });
-
-      let result;
-      if (type === 'direct') {
-        result = await messageService.getDirectMessages(userId, id, page, limit);
-      } else {
-        result = await messageService.getGroupMessages(userId, id, page, limit);
-      }
+      const options = this.getHistoryOptions(req);
+      const result = type === 'direct'
+        ? await messageService.getDirectConversation(userId, id, options)
+        : await messageService.getGroupConversation(id, userId, options, { io: req.app.get('io') });
 
       if (!result.success) {
-        return res.status(403).json(result);
+        return res.status(result.statusCode).json({ success: false, message: result.message });
       }
 
-      res.json(result);
+      res.json({
+        success: true,
+        message: 'Messages retrieved successfully',
+        data: {
+          messages: result.messages,
+          pagination: result.pagination,
+          anchorId: result.anchorId,
+          conversationId: result.conversationId
+        }
+      });
     } catch (error) {
       logger.error('Error in getMessages controller', {
         error: error.message,
@@ -206,6 +292,48 @@ class MessageController {
     }
   }
 
+  /**
+   * Jump to a message: the window of its conversation around it
+   * GET /api/messages/:messageId/context
+   */
+  async getMessageContext(req, res) {
+    try {
+      const result = await messageService.getMessageContext(req.params.messageId, req.user.id, {
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Message context retrieved successfully',
+        data: {
+          conversationType: result.conversationType,
+          groupId: result.groupId,
+          conversationId: result.conversationId,
+          messages: result.messages,
+          pagination: result.pagination,
+          anchorId: result.anchorId,
+          threadMessageId: result.threadMessageId
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getMessageContext controller', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        messageId: req.params.messageId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch message context',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
   /**
    * Mark messages as read
    * PUT /api/messages/mark-read
@@ -286,41 +414,49 @@ class MessageController {
     try {
       const userId = req.user.id;
       const {
-        query,
+        q,
+        sort,
         conversationType,
-        conversationId,
+        groupId,
+        senderId,
         dateFrom,
         dateTo,
-        page = 1,
-        limit = 20
+        hasAttachment,
+        contentType,
+        tags,
+        pinned,
+        page,
+        limit
       } = req.query;
 
-      if (!query || query.trim().length < 2) {
-        return res.status(400).json({
-          success: false,
-          message: 'Search query must be at least 2 characters long'
-        });
-      }
-
-      const searchOptions = {
-        query: query.trim(),
+      const result = await messageService.searchMessages(userId, {
+        query: q,
+        sort,
         conversationType,
-        conversationId,
-        dateFrom: dateFrom ? new Date(dateFrom) : undefined,
-        dateTo: dateTo ? new Date(dateTo) : undefined,
-        page: parseInt(page),
-        limit: parseInt(limit)
-      };
-
-      logger.logMessage('Message search request', {
-        userId,
-        searchQuery: query,
-        options: searchOptions
+        groupId,
+        senderId,
+        dateFrom,
+        dateTo,
+        hasAttachment: hasAttachment !== undefined ? hasAttachment === 'true' : undefined,
+        contentType,
+        tags: tags ? tags.split(',') : undefined,
+        pinned: pinned !== undefined ? pinned === 'true' : undefined,
+        page: page ? parseInt(page, 10) : undefined,
+        limit: limit ? parseInt(limit, 10) : undefined
       });
 
-      const result = await messageService.searchMessages(userId, searchOptions);
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
 
-      res.json(result);
+      res.json({
+        success: true,
+        message: 'Search completed successfully',
+        data: {
+          results: result.results,
+          pagination: result.pagination
+        }
+      });
     } catch (error) {
       logger.error('Error in searchMessages controller', {
         error: error.message,
@@ -384,11 +520,18 @@ class MessageController {
     try {
       const userId = req.user.id;
 
-      logger.logMessage('Unread count request', { userId });
-
       const result = await messageService.getUnreadCount(userId);
 
-      res.json(result);
+      res.json({
+        success: true,
+        message: 'Unread count retrieved successfully',
+        data: {
+          total: result.total,
+          direct: result.direct,
+          group: result.group,
+          groups: result.groups
+        }
+      });
     } catch (error) {
       logger.error('Error in getUnreadCount controller', {
         error: error.message,
@@ -403,6 +546,223 @@ class MessageController {
     }
   }
 
+  /**
+   * Get the group members who have seen a message
+   * GET /api/messages/:messageId/seen-by
+   */
+  async getMessageSeenBy(req, res) {
+    try {
+      const userId = req.user.id;
+      const { messageId } = req.params;
+
+      const result = await messageService.getMessageSeenBy(messageId, userId);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Seen-by list retrieved successfully',
+        data: {
+          seenBy: result.seenBy,
+          seenCount: result.seenCount,
+          recipientCount: result.recipientCount
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getMessageSeenBy controller', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        messageId: req.params.messageId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get seen-by list',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Schedule a message for later (optionally recurring)
+   * POST /api/messages/scheduled
+   */
+  async scheduleMessage(req, res) {
+    try {
+      const { recipientId, groupId, content, messageType, sendAt, recurrence } = req.body;
+
+      const result = await scheduledMessageService.scheduleMessage(req.user.id, {
+        recipientId,
+        groupId,
+        content,
+        type: messageType,
+        sendAt,
+        recurrence
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: { scheduledMessage: result.scheduledMessage }
+      });
+    } catch (error) {
+      logger.error('Error in scheduleMessage controller', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to schedule message',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get the user's scheduled messages
+   * GET /api/messages/scheduled
+   */
+  async getScheduledMessages(req, res) {
+    try {
+      const result = await scheduledMessageService.getScheduledMessages(req.user.id, {
+        status: req.query.status,
+        groupId: req.query.groupId,
+        page: req.query.page ? parseInt(req.query.page, 10) : undefined,
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined
+      });
+
+      res.json({
+        success: true,
+        message: 'Scheduled messages retrieved successfully',
+        data: {
+          scheduledMessages: result.scheduledMessages,
+          pagination: result.pagination
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getScheduledMessages controller', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch scheduled messages',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get a scheduled message
+   * GET /api/messages/scheduled/:scheduledId
+   */
+  async getScheduledMessage(req, res) {
+    try {
+      const result = await scheduledMessageService.getScheduledMessage(req.params.scheduledId, req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: 'Scheduled message retrieved successfully',
+        data: { scheduledMessage: result.scheduledMessage }
+      });
+    } catch (error) {
+      logger.error('Error in getScheduledMessage controller', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        scheduledMessageId: req.params.scheduledId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch scheduled message',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Edit a scheduled message before it sends
+   * PUT /api/messages/scheduled/:scheduledId
+   */
+  async updateScheduledMessage(req, res) {
+    try {
+      const { content, messageType, sendAt, recurrence } = req.body;
+
+      const result = await scheduledMessageService.updateScheduledMessage(req.params.scheduledId, req.user.id, {
+        content,
+        type: messageType,
+        sendAt,
+        recurrence
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: { scheduledMessage: result.scheduledMessage }
+      });
+    } catch (error) {
+      logger.error('Error in updateScheduledMessage controller', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        scheduledMessageId: req.params.scheduledId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update scheduled message',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Cancel a scheduled message
+   * DELETE /api/messages/scheduled/:scheduledId
+   */
+  async cancelScheduledMessage(req, res) {
+    try {
+      const result = await scheduledMessageService.cancelScheduledMessage(req.params.scheduledId, req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+      }
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: { scheduledMessage: result.scheduledMessage }
+      });
+    } catch (error) {
+      logger.error('Error in cancelScheduledMessage controller', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        scheduledMessageId: req.params.scheduledId
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel scheduled message',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
   /**
    * Get message delivery status (for real-time features)
    * GET /api/messages/:messageId/status
@@ -550,40 +910,26 @@ class MessageController {
     }
   }
 // STUBS FOR MISSING METHODS
-   async getGroupMessages(req, res) {
-    try {
-      const userId = req.user.id;
-      const groupId = req.params.groupId;
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 50;
-
-      logger.logMessage('Group messages fetch request', {
-        userId,
-        groupId,
-        page,
-        limit
-      });
-
-      const result = await messageService.getGroupMessages(userId, groupId, page, limit);
-
-      if (!result.success) {
-        return res.status(403).json(result);
-      }
+  /**
+   * Get messages in a group chat (cursor paged)
+   * GET /api/messages/group/:groupId
+   */
+  async getGroupMessages(req, res) {
+    req.params.type = 'group';
+    req.params.id = req.params.groupId;
+    return this.getMessages(req, res);
+  }
 
-      res.json(result);
-    } catch (error) {
-      logger.error('Error in getGroupMessages controller', {
-        error: error.message,
-        stack: error.stack,
-        userId: req.user?.id,
-        groupId: req.params.groupId
-      });
-      res.status(500).json({
-        success: false,
-        message: 'Failed to fetch group messages',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
-    }
+  /**
+   * Cursor options from the query string
+   */
+  getHistoryOptions(req) {
+    return {
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+      before: req.query.before,
+      after: req.query.after,
+      around: req.query.around
+    };
   }
 
   async editMessage(req, res) {
@@ -694,7 +1040,7 @@ class MessageController {
       }
       const userId = req.user.id;
       const messageId = req.params.messageId;
-      const result = await messageService.pinMessage(messageId, userId);
+      const result = await messageService.pinMessage(messageId, userId, { io: req.app.get('io') });
       if (!result.success) {
         return res.status(400).json(result);
       }
@@ -1025,7 +1025,7 @@ class UploadController {
       const Message = require('../models/Message');
       const message = await Message.findOne({
         'attachments.publicId': fileId
-      });
+      }).populate('group', 'members status');
 
       if (!message) {
         return res.status(404).json({
@@ -1037,8 +1037,8 @@ class UploadController {
       // Check if user is authorized (sender, recipient, or group member)
       const isSender = message.sender.toString() === userId;
       const isRecipient = message.recipient && message.recipient.toString() === userId;
-      const isGroupMember = message.group && message.group.members && message.group.members.includes(userId);
-      // If group, you may want to populate group and check membership
+      // Former members keep access to files shared in completed/archived groups
+      const isGroupMember = Boolean(message.group && message.group.canViewHistory(userId));
 
       if (!isSender && !isRecipient && !isGroupMember) {
         return res.status(403).json({
@@ -1079,7 +1079,7 @@ class UploadController {
       const Message = require('../models/Message');
       const message = await Message.findOne({
         'attachments.publicId': fileId
-      });
+      }).populate('group', 'members status');
 
       if (!message) {
         return res.status(404).json({
@@ -1091,7 +1091,7 @@ class UploadController {
       // Check if user is authorized (sender, recipient, or group member)
       const isSender = message.sender.toString() === userId;
       const isRecipient = message.recipient && message.recipient.toString() === userId;
-      const isGroupMember = message.group && message.group.members && message.group.members.includes(userId);
+      const isGroupMember = Boolean(message.group && message.group.canViewHistory(userId));
 
       if (!isSender && !isRecipient && !isGroupMember) {
         return res.status(403).json({
@@ -35,6 +35,7 @@ const updateProfile = asyncHandler(async (req, res) => {
     courses,
     studyPreferences,
     availability,
+    timezone,
     location
   } = req.body;
 
@@ -56,6 +57,7 @@ const updateProfile = asyncHandler(async (req, res) => {
   if (courses) user.courses = courses;
   if (studyPreferences) user.studyPreferences = { ...user.studyPreferences, ...studyPreferences };
   if (availability) user.availability = { ...user.availability, ...availability };
+  if (timezone) user.timezone = timezone;
   if (location) user.location = location;
 
   user.profileCompleted = true;
@@ -76,6 +78,7 @@ const updateProfile = asyncHandler(async (req, res) => {
       courses: updatedUser.courses,
       studyPreferences: updatedUser.studyPreferences,
       availability: updatedUser.availability,
+      timezone: updatedUser.timezone,
       location: updatedUser.location,
       profileCompleted: updatedUser.profileCompleted,
       reputation: updatedUser.reputation
@@ -235,7 +238,7 @@ const getUserStats = asyncHandler(async (req, res) => {
 // @route   PUT /api/users/preferences
 // @access  Private
 const updatePreferences = asyncHandler(async (req, res) => {
-  const { studyPreferences, availability, notifications } = req.body;
+  const { studyPreferences, availability, timezone, notifications } = req.body;
 
   const user = await User.findById(req.user.id);
 
@@ -254,6 +257,10 @@ const updatePreferences = asyncHandler(async (req, res) => {
     user.availability = { ...user.availability, ...availability };
   }
 
+  if (timezone) {
+    user.timezone = timezone;
+  }
+
   if (notifications) {
     user.notifications = { ...user.notifications, ...notifications };
   }
@@ -266,6 +273,7 @@ const updatePreferences = asyncHandler(async (req, res) => {
     data: {
       studyPreferences: user.studyPreferences,
       availability: user.availability,
+      timezone: user.timezone,
       notifications: user.notifications
     }
   });
@@ -0,0 +1,14 @@
+const matchingService = require('../services/matchingService');
+const { MATCHING_CONSTANTS } = require('../utils/constants');
+
+/**
+ * Compatibility Index Job
+ * Precomputes each active user's top-N study partners so GET /api/matching/partners
+ * can rank across the whole eligible population without scoring it per request.
+ */
+module.exports = {
+  name: 'compatibility_index',
+  intervalMs: MATCHING_CONSTANTS.INDEX.REFRESH_INTERVAL_MS,
+  runOnStart: true,
+  run: () => matchingService.refreshCompatibilityIndex()
+};
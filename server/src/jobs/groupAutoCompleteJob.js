@@ -0,0 +1,13 @@
+const groupLifecycleService = require('../services/groupLifecycleService');
+const { GROUP_CONSTANTS } = require('../utils/constants');
+
+/**
+ * Group Auto-Complete Job
+ * Marks running groups as completed once their schedule's end date has passed.
+ */
+module.exports = {
+  name: 'group_auto_complete',
+  intervalMs: GROUP_CONSTANTS.LIFECYCLE.CHECK_INTERVAL_MS,
+  runOnStart: true,
+  run: ({ io } = {}) => groupLifecycleService.processAutoCompletions({ io })
+};
@@ -0,0 +1,45 @@
+const jobScheduler = require('./jobScheduler');
+const compatibilityIndexJob = require('./compatibilityIndexJob');
+const rankingTrainingJob = require('./rankingTrainingJob');
+const matchExpiryJob = require('./matchExpiryJob');
+const joinRequestExpiryJob = require('./joinRequestExpiryJob');
+const waitlistOfferExpiryJob = require('./waitlistOfferExpiryJob');
+const groupAutoCompleteJob = require('./groupAutoCompleteJob');
+const scheduledMessageJob = require('./scheduledMessageJob');
+
+/**
+ * Background jobs for AcademicAlly
+ * Registered here and started once the database connection is up.
+ */
+const jobs = [
+  compatibilityIndexJob,
+  rankingTrainingJob,
+  matchExpiryJob,
+  joinRequestExpiryJob,
+  waitlistOfferExpiryJob,
+  groupAutoCompleteJob,
+  scheduledMessageJob
+];
+
+/**
+ * Register and start all jobs
+ * @param {Object} context - Shared resources for job runs (e.g. { io })
+ * @returns {JobScheduler} Scheduler
+ */
+const startJobs = (context = {}) => {
+  jobs.forEach(job => {
+    if (!jobScheduler.jobs.has(job.name)) {
+      jobScheduler.register(job);
+    }
+  });
+  jobScheduler.start(context);
+  return jobScheduler;
+};
+
+const stopJobs = () => jobScheduler.stop();
+
+module.exports = {
+  jobScheduler,
+  startJobs,
+  stopJobs
+};
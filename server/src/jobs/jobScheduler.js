@@ -0,0 +1,144 @@
+const logger = require('../utils/logger');
+
+/**
+ * Job Scheduler for AcademicAlly
+ * Runs background jobs on fixed intervals inside the API process.
+ * A job never overlaps with itself: if a run is still in progress when the next tick fires, the tick is skipped.
+ */
+
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+    this.context = {};
+  }
+
+  /**
+   * Register a job
+   * @param {Object} job - { name, intervalMs, run(context), runOnStart? }
+   * @returns {JobScheduler} Scheduler for chaining
+   */
+  register(job) {
+    const { name, intervalMs, run } = job;
+    if (!name || !intervalMs || typeof run !== 'function') {
+      throw new Error('Job requires name, intervalMs and run');
+    }
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+
+    this.jobs.set(name, {
+      ...job,
+      timer: null,
+      running: false,
+      lastRunAt: null,
+      lastDurationMs: null,
+      lastError: null,
+      lastResult: null
+    });
+
+    if (this.started) {
+      this.schedule(this.jobs.get(name));
+    }
+
+    return this;
+  }
+
+  /**
+   * Start all registered jobs
+   * @param {Object} context - Shared resources passed to every run (e.g. { io })
+   */
+  start(context = {}) {
+    if (this.started) return;
+    this.started = true;
+    this.context = context;
+
+    for (const job of this.jobs.values()) {
+      this.schedule(job);
+    }
+
+    logger.info(`Job scheduler started with ${this.jobs.size} jobs`);
+  }
+
+  /**
+   * Stop all jobs (in-flight runs are allowed to finish)
+   */
+  stop() {
+    for (const job of this.jobs.values()) {
+      if (job.timer) {
+        clearInterval(job.timer);
+        job.timer = null;
+      }
+    }
+
+    this.started = false;
+    logger.info('Job scheduler stopped');
+  }
+
+  /**
+   * Set up the interval for a job
+   * @param {Object} job - Registered job
+   */
+  schedule(job) {
+    job.timer = setInterval(() => this.runJob(job.name), job.intervalMs);
+    // Don't keep the process alive just for background jobs
+    if (job.timer.unref) job.timer.unref();
+
+    if (job.runOnStart) {
+      setImmediate(() => this.runJob(job.name));
+    }
+  }
+
+  /**
+   * Run a job now
+   * @param {string} name - Job name
+   * @returns {Object|null} Job result, or null if skipped
+   */
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (job.running) {
+      logger.warn(`Job ${name} skipped: previous run still in progress`);
+      return null;
+    }
+
+    job.running = true;
+    const startedAt = Date.now();
+
+    try {
+      const result = await job.run(this.context);
+      job.lastResult = result || null;
+      job.lastError = null;
+      logger.info(`Job ${name} completed`, { durationMs: Date.now() - startedAt, result });
+      return result;
+    } catch (error) {
+      job.lastError = error.message;
+      logger.error(`Job ${name} failed`, error);
+      return null;
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date(startedAt);
+      job.lastDurationMs = Date.now() - startedAt;
+    }
+  }
+
+  /**
+   * Get status of all jobs for health checks
+   * @returns {Array} Job statuses
+   */
+  getStatus() {
+    return Array.from(this.jobs.values()).map(job => ({
+      name: job.name,
+      intervalMs: job.intervalMs,
+      running: job.running,
+      lastRunAt: job.lastRunAt,
+      lastDurationMs: job.lastDurationMs,
+      lastError: job.lastError
+    }));
+  }
+}
+
+module.exports = new JobScheduler();
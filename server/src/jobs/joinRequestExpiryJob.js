@@ -0,0 +1,13 @@
+const joinRequestService = require('../services/joinRequestService');
+const { GROUP_CONSTANTS } = require('../utils/constants');
+
+/**
+ * Join Request Expiry Job
+ * Expires join requests group admins left unanswered and tells the requesters.
+ */
+module.exports = {
+  name: 'join_request_expiry',
+  intervalMs: GROUP_CONSTANTS.JOIN_REQUEST.CHECK_INTERVAL_MS,
+  runOnStart: true,
+  run: ({ io } = {}) => joinRequestService.processExpirations({ io })
+};
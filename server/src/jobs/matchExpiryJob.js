@@ -0,0 +1,13 @@
+const matchExpiryService = require('../services/matchExpiryService');
+const { MATCHING_CONSTANTS } = require('../utils/constants');
+
+/**
+ * Match Expiry Job
+ * Warns both users before a pending match request expires, then expires it and tells them it did.
+ */
+module.exports = {
+  name: 'match_expiry',
+  intervalMs: MATCHING_CONSTANTS.EXPIRY.CHECK_INTERVAL_MS,
+  runOnStart: true,
+  run: ({ io } = {}) => matchExpiryService.processExpirations({ io })
+};
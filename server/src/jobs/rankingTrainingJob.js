@@ -0,0 +1,14 @@
+const matchingService = require('../services/matchingService');
+const { MATCHING_CONSTANTS } = require('../utils/constants');
+
+/**
+ * Ranking Training Job
+ * Retrains per-user factor adjustments from accepted/declined/expired matches and partner
+ * ratings. Runs fully offline against the database; only users with new decisions are retrained.
+ */
+module.exports = {
+  name: 'ranking_training',
+  intervalMs: MATCHING_CONSTANTS.LEARNING.TRAINING_INTERVAL_MS,
+  runOnStart: false,
+  run: () => matchingService.refreshRankingProfiles()
+};
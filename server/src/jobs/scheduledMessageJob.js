@@ -0,0 +1,13 @@
+const scheduledMessageService = require('../services/scheduledMessageService');
+const { MESSAGE_CONSTANTS } = require('../utils/constants');
+
+/**
+ * Scheduled Message Job
+ * Sends scheduled and recurring messages once they are due.
+ */
+module.exports = {
+  name: 'scheduled_messages',
+  intervalMs: MESSAGE_CONSTANTS.SCHEDULED.CHECK_INTERVAL_MS,
+  runOnStart: true,
+  run: ({ io } = {}) => scheduledMessageService.processDueMessages({ io })
+};
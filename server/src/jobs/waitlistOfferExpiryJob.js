@@ -0,0 +1,13 @@
+const waitlistService = require('../services/waitlistService');
+const { GROUP_CONSTANTS } = require('../utils/constants');
+
+/**
+ * Waitlist Offer Expiry Job
+ * Expires waitlist spot offers that weren't accepted in time and offers the spots to the next in line.
+ */
+module.exports = {
+  name: 'waitlist_offer_expiry',
+  intervalMs: GROUP_CONSTANTS.WAITLIST.CHECK_INTERVAL_MS,
+  runOnStart: true,
+  run: ({ io } = {}) => waitlistService.processExpirations({ io })
+};
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const compatibilityIndexSchema = new mongoose.Schema({
+  // Whose ranking this is
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+
+  // Strategy the ranking was computed with
+  algorithm: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: String,
+    required: true
+  },
+  weightsKey: {
+    type: String,
+    required: true
+  },
+
+  // Top-N candidates, best first
+  candidates: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    score: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    breakdown: {
+      courseOverlap: Number,
+      studyStyle: Number,
+      availability: Number,
+      location: Number,
+      academicGoals: Number
+    },
+    commonCourses: [String],
+    reason: String
+  }],
+
+  // How many users the candidate stage considered
+  candidatePoolSize: {
+    type: Number,
+    default: 0
+  },
+
+  computedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Stale rankings are dropped by MongoDB and rebuilt by the job
+compatibilityIndexSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+compatibilityIndexSchema.index({ computedAt: 1 });
+
+// Check whether the ranking can serve a request for the given strategy
+compatibilityIndexSchema.methods.isFreshFor = function(strategyId, weightsKey) {
+  return this.algorithm === strategyId &&
+    this.weightsKey === weightsKey &&
+    this.expiresAt > new Date();
+};
+
+// Find users whose ranking is missing or older than the cutoff
+compatibilityIndexSchema.statics.findStaleUserIds = async function(userIds, cutoff) {
+  const fresh = await this.find({
+    user: { $in: userIds },
+    computedAt: { $gte: cutoff }
+  }).select('user');
+
+  const freshIds = new Set(fresh.map(entry => entry.user.toString()));
+  return userIds.filter(userId => !freshIds.has(userId.toString()));
+};
+
+module.exports = mongoose.model('CompatibilityIndex', compatibilityIndexSchema);
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+const feedbackSchema = new mongoose.Schema({
+  // Who submitted it
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Feedback details
+  type: {
+    type: String,
+    enum: ['bug', 'suggestion', 'complaint', 'compliment'],
+    required: true
+  },
+
+  subject: {
+    type: String,
+    required: true,
+    minlength: 5,
+    maxlength: 100,
+    trim: true
+  },
+
+  message: {
+    type: String,
+    required: true,
+    minlength: 10,
+    maxlength: 1000,
+    trim: true
+  },
+
+  rating: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+
+  // Area of the product the feedback is about
+  source: {
+    type: String,
+    enum: ['matching'],
+    default: 'matching'
+  },
+
+  // Triage
+  status: {
+    type: String,
+    enum: ['new', 'under_review', 'planned', 'resolved', 'dismissed'],
+    default: 'new'
+  },
+
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Admin/moderator user
+  },
+
+  adminNotes: {
+    type: String,
+    maxlength: 1000
+  },
+
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: ['new', 'under_review', 'planned', 'resolved', 'dismissed']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      maxlength: 500
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  resolvedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for efficient queries
+feedbackSchema.index({ status: 1, priority: -1, createdAt: -1 });
+feedbackSchema.index({ type: 1, status: 1 });
+feedbackSchema.index({ user: 1, createdAt: -1 });
+
+// Virtual for whether the feedback still needs attention
+feedbackSchema.virtual('isOpen').get(function() {
+  return ['new', 'under_review', 'planned'].includes(this.status);
+});
+
+// Pre-save middleware for priority and resolution tracking
+feedbackSchema.pre('save', function(next) {
+  if (this.isNew) {
+    // Complaints and low ratings are looked at first
+    if (this.type === 'complaint' || (this.rating && this.rating <= 2)) {
+      this.priority = 'high';
+    } else if (this.type === 'compliment') {
+      this.priority = 'low';
+    }
+
+    this.statusHistory = [{ status: this.status, changedBy: this.user }];
+  }
+
+  if (this.isModified('status')) {
+    this.resolvedAt = ['resolved', 'dismissed'].includes(this.status) ? new Date() : undefined;
+  }
+
+  next();
+});
+
+// Static methods
+feedbackSchema.statics.getStatsByType = function(since = null) {
+  const match = since ? { createdAt: { $gte: since } } : {};
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$type',
+        count: { $sum: 1 },
+        open: {
+          $sum: { $cond: [{ $in: ['$status', ['new', 'under_review', 'planned']] }, 1, 0] }
+        },
+        resolved: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } },
+        dismissed: { $sum: { $cond: [{ $eq: ['$status', 'dismissed'] }, 1, 0] } },
+        averageRating: { $avg: '$rating' },
+        lastSubmittedAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+};
+
+// Instance methods
+feedbackSchema.methods.updateStatus = function(status, adminId, note = '') {
+  this.status = status;
+  this.reviewedBy = adminId;
+  if (note) {
+    this.adminNotes = note;
+  }
+  this.statusHistory.push({ status, changedBy: adminId, note });
+  return this.save();
+};
+
+module.exports = mongoose.model('Feedback', feedbackSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { GROUP_CONSTANTS } = require('../utils/constants');
 
 const groupSchema = new mongoose.Schema({
   // Basic Information
@@ -63,6 +64,45 @@ const groupSchema = new mongoose.Schema({
     isActive: {
       type: Boolean,
       default: true
+    },
+    // Last group message the member has read, ordered like history pages (createdAt, _id)
+    readCursor: {
+      message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+      },
+      createdAt: Date,
+      readAt: Date
+    }
+  }],
+  
+  // Audit trail of member role changes
+  roleHistory: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    action: {
+      type: String,
+      enum: GROUP_CONSTANTS.ROLE_HISTORY.ACTIONS,
+      required: true
+    },
+    fromRole: {
+      type: String,
+      enum: ['member', 'admin', 'creator']
+    },
+    toRole: {
+      type: String,
+      enum: ['member', 'admin', 'creator']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
     }
   }],
   
@@ -81,6 +121,12 @@ const groupSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // What happens to the waitlist when a spot opens
+  waitlistMode: {
+    type: String,
+    enum: GROUP_CONSTANTS.WAITLIST.MODES,
+    default: 'auto'
+  },
   
   // Meeting Information
   meetingType: {
@@ -133,7 +179,34 @@ const groupSchema = new mongoose.Schema({
           default: 'UTC'
         }
       }
-    }
+    },
+    // One-off changes to single occurrences of the recurring pattern
+    exceptions: [{
+      date: {
+        type: String, // Occurrence date "YYYY-MM-DD" in the pattern's timezone
+        required: true,
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Exception date must be YYYY-MM-DD']
+      },
+      type: {
+        type: String,
+        enum: ['skip', 'reschedule'],
+        required: true
+      },
+      startsAt: Date, // New start for rescheduled occurrences
+      endsAt: Date,
+      reason: {
+        type: String,
+        maxlength: [200, 'Exception reason cannot exceed 200 characters']
+      },
+      createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   },
   
   // Requirements & Preferences
@@ -180,9 +253,20 @@ const groupSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'paused', 'completed', 'cancelled'],
+    enum: ['active', 'paused', 'completed', 'archived', 'cancelled'],
     default: 'active'
   },
+  statusChangedAt: Date,
+  statusChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  statusReason: {
+    type: String,
+    maxlength: GROUP_CONSTANTS.LIFECYCLE.REASON_MAX_LENGTH
+  },
+  completedAt: Date,
+  archivedAt: Date,
   
   // Tags for better searchability
   tags: [{
@@ -207,11 +291,47 @@ const groupSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'approved', 'rejected'],
+      enum: GROUP_CONSTANTS.JOIN_REQUEST.STATUSES,
       default: 'pending'
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + GROUP_CONSTANTS.JOIN_REQUEST.EXPIRES_AFTER_MS)
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    rejectionReason: {
+      type: String,
+      maxlength: [500, 'Rejection reason cannot exceed 500 characters']
     }
   }],
   
+  // Waitlist (for full groups)
+  waitlist: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    status: {
+      type: String,
+      enum: GROUP_CONSTANTS.WAITLIST.STATUSES,
+      default: 'waiting'
+    },
+    offeredAt: Date,
+    offerExpiresAt: Date,
+    respondedAt: Date,
+    // Join request holding the spot (status requested)
+    joinRequest: mongoose.Schema.Types.ObjectId
+  }],
+  
   // Group Rules
   rules: [{
     type: String,
@@ -250,20 +370,30 @@ groupSchema.index({ creator: 1 });
 groupSchema.index({ 'members.user': 1 });
 groupSchema.index({ tags: 1 });
 groupSchema.index({ lastActivity: -1 });
+groupSchema.index({ 'joinRequests.status': 1, 'joinRequests.expiresAt': 1 });
+groupSchema.index({ 'waitlist.status': 1, 'waitlist.offerExpiresAt': 1 });
+groupSchema.index({ status: 1, 'schedule.endDate': 1 });
 
 // Virtual for current member count
 groupSchema.virtual('currentMemberCount').get(function() {
   return this.members ? this.members.filter(member => member.isActive).length : 0;
 });
 
-// Virtual for available spots
+// Virtual for spots held for waitlisted users with an open offer or a join request under review
+groupSchema.virtual('heldSpots').get(function() {
+  return this.waitlist
+    ? this.waitlist.filter(entry => GROUP_CONSTANTS.WAITLIST.HOLDING_STATUSES.includes(entry.status)).length
+    : 0;
+});
+
+// Virtual for available spots (held spots aren't available to anyone else)
 groupSchema.virtual('availableSpots').get(function() {
-  return this.maxMembers - this.currentMemberCount;
+  return this.maxMembers - this.currentMemberCount - this.heldSpots;
 });
 
 // Virtual for is full
 groupSchema.virtual('isFull').get(function() {
-  return this.currentMemberCount >= this.maxMembers;
+  return this.availableSpots <= 0;
 });
 
 // Pre-save middleware to ensure creator is in members array and is admin
@@ -304,6 +434,7 @@ groupSchema.methods.addMember = function(userId, role = 'member') {
     if (!existingMember.isActive) {
       existingMember.isActive = true;
       existingMember.joinedAt = new Date();
+      existingMember.readCursor = undefined;
     }
   } else {
     this.members.push({
@@ -350,12 +481,92 @@ groupSchema.methods.promoteToAdmin = function(userId) {
   return this.save();
 };
 
+// Method to demote an admin back to a regular member
+groupSchema.methods.demoteToMember = function(userId) {
+  const member = this.members.find(member => 
+    member.user.toString() === userId.toString() && member.isActive
+  );
+  
+  if (member && member.role === 'admin') {
+    member.role = 'member';
+    this.admins.pull(userId);
+  }
+  
+  return this.save();
+};
+
+// Method to hand the creator role to another active member (the previous creator becomes an admin)
+groupSchema.methods.transferOwnership = function(newOwnerId) {
+  const newOwner = this.members.find(member => 
+    member.user.toString() === newOwnerId.toString() && member.isActive
+  );
+  
+  if (!newOwner) {
+    throw new Error('New owner must be an active member');
+  }
+  
+  const currentOwner = this.members.find(member => member.role === 'creator');
+  if (currentOwner) {
+    currentOwner.role = 'admin';
+  }
+  
+  newOwner.role = 'creator';
+  this.creator = newOwnerId;
+  if (!this.admins.includes(newOwnerId)) {
+    this.admins.push(newOwnerId);
+  }
+  
+  return this.save();
+};
+
 // Method to update last activity
 groupSchema.methods.updateActivity = function() {
   this.lastActivity = new Date();
   return this.save();
 };
 
+// Method to check a user can read the group's messages and shared files
+// Active members always can; former members keep access once the group is completed or archived
+groupSchema.methods.canViewHistory = function(userId) {
+  const membership = this.members.find(member =>
+    member.user.toString() === userId.toString()
+  );
+  if (!membership) return false;
+
+  return membership.isActive || GROUP_CONSTANTS.LIFECYCLE.HISTORY_STATUSES.includes(this.status);
+};
+
+// Static method to find groups with pending join requests past their expiry
+groupSchema.statics.findWithExpiredJoinRequests = function(now = new Date(), limit = 100) {
+  return this.find({
+    joinRequests: {
+      $elemMatch: { status: 'pending', expiresAt: { $lte: now } }
+    }
+  })
+    .select('name creator members joinRequests')
+    .limit(limit);
+};
+
+// Static method to find groups with waitlist offers past their acceptance window
+groupSchema.statics.findWithExpiredWaitlistOffers = function(now = new Date(), limit = 100) {
+  return this.find({
+    waitlist: {
+      $elemMatch: { status: 'offered', offerExpiresAt: { $lte: now } }
+    }
+  })
+    .limit(limit);
+};
+
+// Static method to find running groups whose schedule has ended
+groupSchema.statics.findDueForCompletion = function(now = new Date(), limit = 100) {
+  return this.find({
+    isActive: true,
+    status: { $in: ['active', 'paused'] },
+    'schedule.endDate': { $lte: now }
+  })
+    .limit(limit);
+};
+
 // Static method to find groups by course
 groupSchema.statics.findByCourse = function(courseCode) {
   return this.find({ 
@@ -375,10 +586,12 @@ groupSchema.statics.findPublic = function() {
 };
 
 // Static method to find groups with available spots
-groupSchema.statics.findWithSpots = function() {
+// Optional filter narrows the groups considered (e.g. { isPrivate: false })
+groupSchema.statics.findWithSpots = function(filter = {}) {
   return this.aggregate([
     {
       $match: {
+        ...filter,
         isActive: true,
         status: 'active'
       }
@@ -392,12 +605,20 @@ groupSchema.statics.findWithSpots = function() {
               cond: { $eq: ['$$this.isActive', true] }
             }
           }
+        },
+        heldSpots: {
+          $size: {
+            $filter: {
+              input: { $ifNull: ['$waitlist', []] },
+              cond: { $in: ['$$this.status', GROUP_CONSTANTS.WAITLIST.HOLDING_STATUSES] }
+            }
+          }
         }
       }
     },
     {
       $match: {
-        $expr: { $lt: ['$activeMemberCount', '$maxMembers'] }
+        $expr: { $lt: [{ $add: ['$activeMemberCount', '$heldSpots'] }, '$maxMembers'] }
       }
     }
   ]);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { GROUP_CONSTANTS } = require('../utils/constants');
+
+const { ACTIVITY } = GROUP_CONSTANTS;
+
+const groupActivitySchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ACTIVITY.TYPES,
+    required: true
+  },
+
+  // Who did it (empty for system actions such as automatic ownership hand-off)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Member the activity is about (joined/left/removed/role change)
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Related documents
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudySession'
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+
+  // Type-specific details (e.g. { fromRole, toRole }, { fields }, { fileNames })
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+groupActivitySchema.index({ group: 1, createdAt: -1 });
+groupActivitySchema.index({ group: 1, type: 1, createdAt: -1 });
+// Old entries are dropped after the retention period
+groupActivitySchema.index({ createdAt: 1 }, { expireAfterSeconds: ACTIVITY.RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('GroupActivity', groupActivitySchema);
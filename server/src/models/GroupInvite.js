@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const { GROUP_CONSTANTS } = require('../utils/constants');
+
+const { INVITE } = GROUP_CONSTANTS;
+
+const groupInviteSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // direct: one invited user; link: shareable token anyone with the URL can use
+  type: {
+    type: String,
+    enum: INVITE.TYPES,
+    required: true
+  },
+
+  // Direct invites
+  invitee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Invite message cannot exceed 500 characters']
+  },
+
+  // Invite links
+  token: {
+    type: String,
+    select: false
+  },
+  maxUses: {
+    type: Number,
+    min: [1, 'Invite link must allow at least one use'],
+    max: [INVITE.LINK_MAX_USES, `Invite link cannot allow more than ${INVITE.LINK_MAX_USES} uses`]
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  uses: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Lifecycle
+  // active: a direct invite awaiting a response, or a link that can still be used
+  status: {
+    type: String,
+    enum: INVITE.STATUSES,
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+groupInviteSchema.index({ token: 1 }, { unique: true, sparse: true });
+groupInviteSchema.index({ group: 1, status: 1, createdAt: -1 });
+groupInviteSchema.index({ invitee: 1, status: 1, expiresAt: 1 });
+groupInviteSchema.index({ group: 1, invitee: 1, status: 1 });
+
+// Virtual for whether the invite has passed its expiry (status is updated lazily)
+groupInviteSchema.virtual('isExpired').get(function() {
+  return this.status === 'expired' || (this.expiresAt && this.expiresAt <= new Date());
+});
+
+// Virtual for uses left on an invite link
+groupInviteSchema.virtual('remainingUses').get(function() {
+  if (this.type !== 'link' || !this.maxUses) return null;
+  return Math.max(0, this.maxUses - this.useCount);
+});
+
+// Virtual for whether the invite can still be accepted or used
+groupInviteSchema.virtual('isUsable').get(function() {
+  if (this.status !== 'active' || this.isExpired) return false;
+  return this.type !== 'link' || this.remainingUses > 0;
+});
+
+// Method to mark the invite expired if it has lapsed (returns true when it was changed)
+groupInviteSchema.methods.expireIfLapsed = async function() {
+  if (this.status !== 'active' || this.expiresAt > new Date()) return false;
+
+  this.status = 'expired';
+  await this.save();
+  return true;
+};
+
+// Static method to find a user's open direct invites
+groupInviteSchema.statics.findOpenForUser = function(userId) {
+  return this.find({
+    type: 'direct',
+    invitee: userId,
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('GroupInvite', groupInviteSchema);
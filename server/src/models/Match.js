@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { MATCHING_CONSTANTS } = require('../utils/constants');
 
 const matchSchema = new mongoose.Schema({
   user1: {
@@ -57,12 +58,54 @@ const matchSchema = new mongoose.Schema({
   respondedAt: {
     type: Date
   },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  responseMessage: {
+    type: String,
+    maxlength: [300, 'Response message cannot exceed 300 characters']
+  },
+  ratings: [{
+    rater: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5
+    },
+    feedback: {
+      type: String,
+      maxlength: 500
+    },
+    ratedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   expiresAt: {
     type: Date,
     default: function() {
       return new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days from now
     }
   },
+  expiryWarningSentAt: {
+    type: Date
+  },
+  expiredAt: {
+    type: Date
+  },
+  extensionCount: {
+    type: Number,
+    default: 0
+  },
+  extendedAt: {
+    type: Date
+  },
   conversation: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Conversation'
@@ -85,7 +128,20 @@ const matchSchema = new mongoose.Schema({
       scheduleCompatibility: Number,
       studyPreferences: Number,
       location: Number,
-      reputation: Number
+      reputation: Number,
+      academicGoals: Number
+    },
+    learning: {
+      sampleSize: Number,
+      trainedAt: Date,
+      modelVersion: String
+    },
+    weights: {
+      courseOverlap: Number,
+      studyStyle: Number,
+      availability: Number,
+      location: Number,
+      academicGoals: Number
     },
     version: {
       type: String,
@@ -102,6 +158,7 @@ matchSchema.index({ user1: 1, status: 1 });
 matchSchema.index({ user2: 1, status: 1 });
 matchSchema.index({ compatibilityScore: -1 });
 matchSchema.index({ expiresAt: 1 });
+matchSchema.index({ status: 1, expiresAt: 1 });
 matchSchema.index({ createdAt: -1 });
 
 // Compound index for finding matches by user and status
@@ -120,6 +177,12 @@ matchSchema.virtual('isExpired').get(function() {
   return this.expiresAt < new Date();
 });
 
+// Virtual for whether the initiator can still extend this request
+matchSchema.virtual('canExtend').get(function() {
+  return this.status === 'pending' &&
+    (this.extensionCount || 0) < MATCHING_CONSTANTS.EXPIRY.MAX_EXTENSIONS;
+});
+
 // Virtual for getting match age in days
 matchSchema.virtual('ageInDays').get(function() {
   return Math.floor((new Date() - this.createdAt) / (1000 * 60 * 60 * 24));
@@ -232,17 +295,39 @@ matchSchema.statics.expireOldMatches = function() {
       expiresAt: { $lt: new Date() }
     },
     {
-      $set: { status: 'expired' }
+      $set: { status: 'expired', expiredAt: new Date() }
     }
   );
 };
 
+// Static method to find pending matches past their expiry
+matchSchema.statics.findDueForExpiry = function(now = new Date(), limit = 100) {
+  return this.find({
+    status: 'pending',
+    expiresAt: { $lte: now }
+  })
+    .sort({ expiresAt: 1 })
+    .limit(limit);
+};
+
+// Static method to find pending matches about to expire that haven't been warned yet
+matchSchema.statics.findDueForExpiryWarning = function(now, warnBeforeMs, limit = 100) {
+  return this.find({
+    status: 'pending',
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + warnBeforeMs) },
+    expiryWarningSentAt: null
+  })
+    .sort({ expiresAt: 1 })
+    .limit(limit);
+};
+
 // Transform output to remove sensitive information
 matchSchema.methods.toJSON = function() {
   const match = this.toObject();
   
   // Add virtual fields
   match.isExpired = this.isExpired;
+  match.canExtend = this.canExtend;
   match.ageInDays = this.ageInDays;
   
   return match;
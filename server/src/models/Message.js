@@ -72,10 +72,41 @@ const messageSchema = new mongoose.Schema({
   // Message Features
   contentType: {
     type: String,
-    enum: ['text', 'image', 'file', 'link', 'code', 'math'],
+    enum: ['text', 'image', 'file', 'link', 'code', 'math', 'study_invite', 'study_invite_response'],
     default: 'text'
   },
   
+  // Study session invite details (contentType 'study_invite')
+  sessionDetails: {
+    subject: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Subject cannot exceed 100 characters']
+    },
+    date: Date,
+    duration: {
+      type: Number, // minutes
+      min: [30, 'Duration must be at least 30 minutes'],
+      max: [480, 'Duration cannot exceed 480 minutes']
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Location cannot exceed 200 characters']
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters']
+    }
+  },
+  
+  // Answer carried by a study invite reply (contentType 'study_invite_response')
+  inviteResponse: {
+    type: String,
+    enum: ['accept', 'decline', 'maybe']
+  },
+  
   // File attachments
   attachments: [{
     fileName: String,
@@ -90,6 +121,41 @@ const messageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message'
   },
+  // First message of the thread this reply belongs to (unset on top-level messages)
+  threadRoot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  
+  // Thread metadata (kept on root messages)
+  thread: {
+    replyCount: {
+      type: Number,
+      default: 0
+    },
+    lastReplyAt: Date,
+    lastReplyBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    participants: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // Users notified of new replies (author and repliers follow automatically)
+    followers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // Per-user read position in the thread
+    readBy: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      lastReadAt: Date
+    }]
+  },
   
   // Message reactions
   reactions: [{
@@ -131,6 +197,17 @@ const messageSchema = new mongoose.Schema({
     ref: 'User'
   },
   
+  // Pinned in the group chat (group messages)
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedAt: Date,
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
   // Priority and importance
   priority: {
     type: String,
@@ -157,6 +234,15 @@ messageSchema.index({ group: 1, createdAt: -1 });
 messageSchema.index({ messageType: 1, createdAt: -1 });
 messageSchema.index({ isRead: 1, recipient: 1 });
 messageSchema.index({ isDeleted: 1 });
+messageSchema.index({ replyTo: 1, sender: 1, createdAt: -1 });
+messageSchema.index({ threadRoot: 1, createdAt: 1 });
+messageSchema.index({ group: 1, pinned: 1 });
+
+// Full-text index for message search (tags count for more than body text)
+messageSchema.index(
+  { content: 'text', tags: 'text' },
+  { name: 'message_text_search', weights: { content: 1, tags: 3 }, default_language: 'english' }
+);
 
 // Compound indexes for conversations
 messageSchema.index({ 
@@ -185,15 +271,6 @@ messageSchema.virtual('readCount').get(function() {
   return this.readBy ? this.readBy.length : 0;
 });
 
-// Virtual for unread count in group
-messageSchema.virtual('unreadCount').get(function() {
-  if (this.messageType === 'group' && this.group) {
-    // This would need to be populated with group member count
-    return 0; // Placeholder - would calculate based on group members
-  }
-  return 0;
-});
-
 // Pre-save middleware
 messageSchema.pre('save', function(next) {
   // Update edited timestamp if content is modified
@@ -301,7 +378,8 @@ messageSchema.statics.getUnreadCount = function(userId) {
     messageType: 'direct',
     recipient: userId,
     isRead: false,
-    isDeleted: false
+    isDeleted: false,
+    threadRoot: null // replies are counted by their thread
   });
 };
 
@@ -312,7 +390,8 @@ messageSchema.statics.getRecentConversations = function(userId, limit = 20) {
       $match: {
         messageType: 'direct',
         $or: [{ sender: userId }, { recipient: userId }],
-        isDeleted: false
+        isDeleted: false,
+        threadRoot: null
       }
     },
     {
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const { MESSAGE_CONSTANTS } = require('../utils/constants');
+
+const { SCHEDULED } = MESSAGE_CONSTANTS;
+
+const scheduledMessageSchema = new mongoose.Schema({
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Target: a user (direct) or a group
+  messageType: {
+    type: String,
+    enum: ['direct', 'group'],
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return this.messageType === 'direct';
+    }
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: function() {
+      return this.messageType === 'group';
+    }
+  },
+
+  // Message to send
+  content: {
+    type: String,
+    required: [true, 'Message content is required'],
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  contentType: {
+    type: String,
+    enum: SCHEDULED.CONTENT_TYPES,
+    default: 'text'
+  },
+
+  // Next send, and the first one (recurring series are counted from it)
+  sendAt: {
+    type: Date,
+    required: true
+  },
+  firstSendAt: {
+    type: Date,
+    required: true
+  },
+
+  // Repeat settings (no frequency: sent once)
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: SCHEDULED.FREQUENCIES
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: [1, 'Interval must be at least 1'],
+      max: [SCHEDULED.MAX_INTERVAL, `Interval cannot exceed ${SCHEDULED.MAX_INTERVAL}`]
+    },
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: function(timezone) {
+          try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+          } catch (error) {
+            return false;
+          }
+        },
+        message: 'Please provide a valid IANA timezone'
+      }
+    },
+    until: Date,
+    maxOccurrences: {
+      type: Number,
+      min: [1, 'A series must send at least once'],
+      max: [SCHEDULED.MAX_OCCURRENCES, `A series cannot exceed ${SCHEDULED.MAX_OCCURRENCES} occurrences`]
+    }
+  },
+
+  // Delivery bookkeeping
+  // occurrenceIndex: number of the next send in the series (0 = first send)
+  occurrenceIndex: {
+    type: Number,
+    default: 0
+  },
+  sentCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: Date,
+  lastMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  // Failed attempts at the pending send
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+
+  // scheduled: waiting to send; sending: claimed by a job run; completed: sent (one-off) or series ended
+  status: {
+    type: String,
+    enum: SCHEDULED.STATUSES,
+    default: 'scheduled'
+  },
+  claimedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+scheduledMessageSchema.index({ status: 1, sendAt: 1 });
+scheduledMessageSchema.index({ sender: 1, status: 1, sendAt: 1 });
+scheduledMessageSchema.index({ group: 1, status: 1 });
+
+// Virtual for whether the message repeats
+scheduledMessageSchema.virtual('isRecurring').get(function() {
+  return Boolean(this.recurrence?.frequency);
+});
+
+// Static method to find scheduled messages due to be sent
+scheduledMessageSchema.statics.findDue = function(now = new Date(), limit = 100) {
+  return this.find({
+    status: 'scheduled',
+    sendAt: { $lte: now }
+  })
+    .sort({ sendAt: 1 })
+    .limit(limit);
+};
+
+// Static method to find sends claimed before a cutoff that never finished
+scheduledMessageSchema.statics.findStaleClaims = function(claimedBefore, limit = 100) {
+  return this.find({
+    status: 'sending',
+    claimedAt: { $lte: claimedBefore }
+  })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('ScheduledMessage', scheduledMessageSchema);
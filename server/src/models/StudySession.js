@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const { GROUP_CONSTANTS } = require('../utils/constants');
+
+const { SESSION } = GROUP_CONSTANTS;
+
+const studySessionSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Session Details
+  title: {
+    type: String,
+    required: [true, 'Session title is required'],
+    trim: true,
+    minlength: [3, 'Session title must be at least 3 characters'],
+    maxlength: [100, 'Session title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  topics: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Each topic cannot exceed 100 characters']
+  }],
+
+  // Scheduling
+  scheduledFor: {
+    type: Date,
+    required: [true, 'Session start time is required']
+  },
+  duration: {
+    type: Number, // minutes
+    required: true,
+    min: [SESSION.MIN_DURATION, `Duration must be at least ${SESSION.MIN_DURATION} minutes`],
+    max: [SESSION.MAX_DURATION, `Duration cannot exceed ${SESSION.MAX_DURATION} minutes`]
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Location cannot exceed 200 characters']
+  },
+  meetingLink: {
+    type: String,
+    trim: true
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: SESSION.STATUSES,
+    default: 'scheduled'
+  },
+  startedAt: Date,
+  endedAt: Date,
+  cancelledAt: Date,
+  cancellationReason: {
+    type: String,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  },
+
+  // RSVPs
+  rsvps: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: SESSION.RSVP_STATUSES,
+      required: true
+    },
+    respondedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Attendance
+  attendance: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    checkedInAt: {
+      type: Date,
+      default: Date.now
+    },
+    checkedOutAt: Date,
+    minutes: {
+      type: Number,
+      default: 0
+    }
+  }],
+
+  // Filled in on completion
+  summary: {
+    actualDurationMinutes: Number,
+    attendeeCount: Number,
+    studyHours: Number
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+studySessionSchema.index({ group: 1, scheduledFor: 1 });
+studySessionSchema.index({ group: 1, status: 1, scheduledFor: 1 });
+studySessionSchema.index({ 'rsvps.user': 1 });
+studySessionSchema.index({ 'attendance.user': 1 });
+
+// Virtual for scheduled end time
+studySessionSchema.virtual('endsAt').get(function() {
+  return this.scheduledFor
+    ? new Date(this.scheduledFor.getTime() + this.duration * 60 * 1000)
+    : null;
+});
+
+// Virtual for RSVP counts
+studySessionSchema.virtual('rsvpCounts').get(function() {
+  return SESSION.RSVP_STATUSES.reduce((counts, status) => {
+    counts[status] = (this.rsvps || []).filter(rsvp => rsvp.status === status).length;
+    return counts;
+  }, {});
+});
+
+// Virtual for number of people checked in
+studySessionSchema.virtual('attendeeCount').get(function() {
+  return this.attendance ? this.attendance.length : 0;
+});
+
+// Method to set a user's RSVP
+studySessionSchema.methods.setRsvp = function(userId, status) {
+  const existing = this.rsvps.find(rsvp => rsvp.user.toString() === userId.toString());
+
+  if (existing) {
+    existing.status = status;
+    existing.respondedAt = new Date();
+  } else {
+    this.rsvps.push({ user: userId, status });
+  }
+
+  return this.save();
+};
+
+// Method to check a user in (idempotent)
+studySessionSchema.methods.checkIn = function(userId) {
+  const existing = this.attendance.find(entry => entry.user.toString() === userId.toString());
+
+  if (existing) {
+    // Checking in again after checking out resumes attendance
+    existing.checkedOutAt = undefined;
+  } else {
+    this.attendance.push({ user: userId, checkedInAt: new Date() });
+  }
+
+  if (this.status === 'scheduled') {
+    this.status = 'in_progress';
+    this.startedAt = new Date();
+  }
+
+  return this.save();
+};
+
+// Method to check a user out
+studySessionSchema.methods.checkOut = function(userId) {
+  const entry = this.attendance.find(attendee => attendee.user.toString() === userId.toString());
+  if (!entry) {
+    throw new Error('User is not checked in');
+  }
+
+  entry.checkedOutAt = new Date();
+  return this.save();
+};
+
+// Method to complete the session and compute attendance
+studySessionSchema.methods.complete = function() {
+  const endedAt = new Date();
+  const startedAt = this.startedAt || this.scheduledFor;
+
+  this.attendance.forEach(entry => {
+    const leftAt = entry.checkedOutAt || endedAt;
+    entry.checkedOutAt = leftAt;
+    entry.minutes = Math.max(0, Math.round((leftAt - entry.checkedInAt) / 60000));
+  });
+
+  const actualDurationMinutes = Math.max(0, Math.round((endedAt - startedAt) / 60000));
+
+  this.status = 'completed';
+  this.endedAt = endedAt;
+  this.summary = {
+    actualDurationMinutes,
+    attendeeCount: this.attendance.length,
+    studyHours: Math.round((actualDurationMinutes / 60) * 100) / 100
+  };
+
+  return this.save();
+};
+
+// Static method to find upcoming sessions for a group
+studySessionSchema.statics.findUpcoming = function(groupId, limit = SESSION.DEFAULT_LIMIT) {
+  return this.find({
+    group: groupId,
+    status: 'scheduled',
+    scheduledFor: { $gte: new Date() }
+  })
+    .sort({ scheduledFor: 1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('StudySession', studySessionSchema);
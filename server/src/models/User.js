@@ -96,6 +96,22 @@ const userSchema = new mongoose.Schema({
   },
   
   // Availability
+  timezone: {
+    type: String,
+    default: 'UTC',
+    trim: true,
+    validate: {
+      validator: function(timezone) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Please provide a valid IANA timezone'
+    }
+  },
   availability: {
     monday: {
       available: { type: Boolean, default: false },
@@ -127,6 +143,35 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  // Matching Preferences
+  matchingPreferences: {
+    // Personal factor weights; when unset the default scoring strategy is used
+    weights: {
+      courseOverlap: { type: Number, min: 0, max: 1 },
+      studyStyle: { type: Number, min: 0, max: 1 },
+      availability: { type: Number, min: 0, max: 1 },
+      location: { type: Number, min: 0, max: 1 },
+      academicGoals: { type: Number, min: 0, max: 1 }
+    },
+    weightsUpdatedAt: Date,
+    // Factor adjustments learned from the user's accept/reject decisions and ratings
+    learned: {
+      adjustments: {
+        courseOverlap: Number,
+        studyStyle: Number,
+        availability: Number,
+        location: Number,
+        academicGoals: Number
+      },
+      sampleSize: Number,
+      loss: Number,
+      modelVersion: String,
+      trainedAt: Date,
+      // Last training run, including runs skipped for too little history
+      attemptedAt: Date
+    }
+  },
+  
   // Profile Information
   profilePicture: {
     type: String,
@@ -155,6 +200,11 @@ const userSchema = new mongoose.Schema({
   },
   
   // Account Status
+  role: {
+    type: String,
+    enum: ['student', 'moderator', 'admin', 'super_admin'],
+    default: 'student'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -173,6 +223,10 @@ const userSchema = new mongoose.Schema({
   // Security
   passwordResetToken: String,
   passwordResetExpires: Date,
+  calendarFeedToken: {
+    type: String,
+    select: false // Grants read access to the user's calendar feed
+  },
   loginAttempts: {
     type: Number,
     default: 0
@@ -207,6 +261,7 @@ userSchema.index({ university: 1, year: 1 });
 userSchema.index({ 'courses.code': 1 });
 userSchema.index({ lastActive: -1 });
 userSchema.index({ reputation: -1 });
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
 
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function() {
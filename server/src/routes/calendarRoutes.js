@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const { param } = require('express-validator');
+const { protect } = require('../middleware/authMiddleware');
+const { validationMiddleware } = require('../middleware/validationMiddleware');
+const calendarController = require('../controllers/calendarController');
+const { CALENDAR_CONSTANTS } = require('../utils/constants');
+
+/**
+ * @route   GET /api/calendar/feed/:token.ics
+ * @desc    Subscribed calendar feed (calendar apps can't send auth headers; the token authenticates)
+ * @access  Public (token)
+ */
+router.get('/feed/:token.ics',
+  [
+    param('token')
+      .isHexadecimal()
+      .isLength({ min: CALENDAR_CONSTANTS.FEED_TOKEN_BYTES * 2, max: CALENDAR_CONSTANTS.FEED_TOKEN_BYTES * 2 })
+      .withMessage('Invalid calendar feed')
+  ],
+  validationMiddleware,
+  (req, res) => calendarController.getFeedCalendar(req, res)
+);
+
+// Everything else requires a logged-in user
+router.use(protect);
+
+/**
+ * @route   GET /api/calendar/export.ics
+ * @desc    Download the current user's sessions, accepted study invites and group schedules
+ * @access  Private
+ */
+router.get('/export.ics', (req, res) => calendarController.exportCalendar(req, res));
+
+/**
+ * @route   GET /api/calendar/feed
+ * @desc    Get the current user's calendar feed URL (created on first request)
+ * @access  Private
+ */
+router.get('/feed', (req, res) => calendarController.getFeed(req, res));
+
+/**
+ * @route   POST /api/calendar/feed/reset
+ * @desc    Replace the feed URL, revoking the old one
+ * @access  Private
+ */
+router.post('/feed/reset', (req, res) => calendarController.resetFeed(req, res));
+
+/**
+ * @route   DELETE /api/calendar/feed
+ * @desc    Turn off the calendar feed
+ * @access  Private
+ */
+router.delete('/feed', (req, res) => calendarController.disableFeed(req, res));
+
+module.exports = router;
@@ -5,6 +5,7 @@ const { protect } = require('../middleware/authMiddleware');
 const { validationMiddleware, handleValidationErrors } = require('../middleware/validationMiddleware');
 const rateLimitMiddleware = require('../middleware/rateLimitMiddleware');
 const groupController = require('../controllers/groupController');
+const { GROUP_CONSTANTS } = require('../utils/constants');
 
 // Apply auth middleware to all group routes
 router.use(protect);
@@ -42,21 +43,114 @@ router.get(
   (req, res) => groupController.getMyGroups(req, res)
 );
 
+/**
+ * @route   GET /api/groups/my-occurrences
+ * @desc    Get upcoming recurring-schedule occurrences across the current user's groups
+ * @access  Private
+ */
+router.get('/my-occurrences',
+  [
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be a valid date'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.getMyOccurrences(req, res)
+);
+
 /**
  * @route   GET /api/groups/recommended
  * @desc    Get recommended groups for current user
  * @access  Private
  */
-// router.get('/recommended',
-//   [
-//     query('limit')
-//       .optional()
-//       .isInt({ min: 1, max: 20 })
-//       .withMessage('Limit must be between 1 and 20')
-//   ],
-//   validationMiddleware,
-//   groupController.getRecommendedGroups
-// );
+router.get('/recommended',
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 20 })
+      .withMessage('Limit must be between 1 and 20')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.getRecommendedGroups(req, res)
+);
+
+/**
+ * @route   GET /api/groups/invites
+ * @desc    Get current user's open group invites
+ * @access  Private
+ */
+router.get('/invites', (req, res) => groupController.getMyInvites(req, res));
+
+/**
+ * @route   POST /api/groups/invites/:inviteId/accept
+ * @desc    Accept a group invite and join the group
+ * @access  Private (Invitee only)
+ */
+router.post('/invites/:inviteId/accept',
+  [
+    param('inviteId')
+      .isMongoId()
+      .withMessage('Invalid invite ID')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.acceptInvite(req, res)
+);
+
+/**
+ * @route   POST /api/groups/invites/:inviteId/decline
+ * @desc    Decline a group invite
+ * @access  Private (Invitee only)
+ */
+router.post('/invites/:inviteId/decline',
+  [
+    param('inviteId')
+      .isMongoId()
+      .withMessage('Invalid invite ID')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.declineInvite(req, res)
+);
+
+/**
+ * @route   GET /api/groups/invite-links/:token
+ * @desc    Preview the group behind an invite link
+ * @access  Private
+ */
+router.get('/invite-links/:token',
+  [
+    param('token')
+      .isHexadecimal()
+      .isLength({ min: GROUP_CONSTANTS.INVITE.TOKEN_BYTES * 2, max: GROUP_CONSTANTS.INVITE.TOKEN_BYTES * 2 })
+      .withMessage('Invalid invite link')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.getInviteLink(req, res)
+);
+
+/**
+ * @route   POST /api/groups/invite-links/:token/join
+ * @desc    Join a group through an invite link
+ * @access  Private
+ */
+router.post('/invite-links/:token/join',
+  [
+    param('token')
+      .isHexadecimal()
+      .isLength({ min: GROUP_CONSTANTS.INVITE.TOKEN_BYTES * 2, max: GROUP_CONSTANTS.INVITE.TOKEN_BYTES * 2 })
+      .withMessage('Invalid invite link')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.joinWithInviteLink(req, res)
+);
 
 /**
  * @route   GET /api/groups/:groupId
@@ -206,7 +300,15 @@ router.put('/:groupId',
     body('autoAccept')
       .optional()
       .isBoolean()
-      .withMessage('autoAccept must be a boolean')
+      .withMessage('autoAccept must be a boolean'),
+    body('requiresApproval')
+      .optional()
+      .isBoolean()
+      .withMessage('requiresApproval must be a boolean'),
+    body('waitlistMode')
+      .optional()
+      .isIn(GROUP_CONSTANTS.WAITLIST.MODES)
+      .withMessage(`waitlistMode must be one of: ${GROUP_CONSTANTS.WAITLIST.MODES.join(', ')}`)
   ],
   validationMiddleware,
   (req, res) => groupController.updateGroup(req, res)
@@ -262,7 +364,11 @@ router.post('/:groupId/leave',
       .optional()
       .trim()
       .isLength({ min: 1, max: 500 })
-      .withMessage('Leave reason must be between 1-500 characters')
+      .withMessage('Leave reason must be between 1-500 characters'),
+    body('newOwnerId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid new owner ID')
   ],
   validationMiddleware,
   (req, res) => groupController.leaveGroup(req, res)
@@ -319,157 +425,453 @@ router.post('/:groupId/members/:memberId/remove',
  * @desc    Promote member to admin
  * @access  Private (Group Creator only)
  */
-// router.post('/:groupId/members/:memberId/promote',
-//   [
-//     param('groupId')
-//       .isMongoId()
-//       .withMessage('Invalid group ID'),
-//     param('memberId')
-//       .isMongoId()
-//       .withMessage('Invalid member ID')
-//   ],
-//   validationMiddleware,
-//   groupController.promoteMember
-// );
+router.post('/:groupId/members/:memberId/promote',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    param('memberId')
+      .isMongoId()
+      .withMessage('Invalid member ID')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.promoteMember(req, res)
+);
 
 /**
  * @route   POST /api/groups/:groupId/members/:memberId/demote
  * @desc    Demote admin to regular member
  * @access  Private (Group Creator only)
  */
-// router.post('/:groupId/members/:memberId/demote',
-//   [
-//     param('groupId')
-//       .isMongoId()
-//       .withMessage('Invalid group ID'),
-//     param('memberId')
-//       .isMongoId()
-//       .withMessage('Invalid member ID')
-//   ],
-//   validationMiddleware,
-//   groupController.demoteMember
-// );
+router.post('/:groupId/members/:memberId/demote',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    param('memberId')
+      .isMongoId()
+      .withMessage('Invalid member ID')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.demoteMember(req, res)
+);
+
+/**
+ * @route   POST /api/groups/:groupId/transfer-ownership
+ * @desc    Make another member the group creator (current creator becomes an admin)
+ * @access  Private (Group Creator only)
+ */
+router.post('/:groupId/transfer-ownership',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    body('newOwnerId')
+      .isMongoId()
+      .withMessage('Invalid new owner ID')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.transferOwnership(req, res)
+);
+
+/**
+ * @route   GET /api/groups/:groupId/role-history
+ * @desc    Get the audit trail of member role changes
+ * @access  Private (Group members only)
+ */
+router.get('/:groupId/role-history',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit must be between 1 and 200')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.getRoleHistory(req, res)
+);
 
 /**
  * @route   GET /api/groups/:groupId/join-requests
- * @desc    Get pending join requests for group
+ * @desc    Get join requests for group (pending by default)
  * @access  Private (Group Creator/Admin only)
  */
-// router.get('/:groupId/join-requests',
-//   [
-//     param('groupId')
-//       .isMongoId()
-//       .withMessage('Invalid group ID'),
-//     query('status')
-//       .optional()
-//       .isIn(['pending', 'approved', 'rejected', 'all'])
-//       .withMessage('Status must be pending, approved, rejected, or all')
-//   ],
-//   validationMiddleware,
-//   groupController.getJoinRequests
-// );
+router.get('/:groupId/join-requests',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    query('status')
+      .optional()
+      .isIn(['pending', 'approved', 'rejected', 'expired', 'all'])
+      .withMessage('Status must be pending, approved, rejected, expired, or all')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.getJoinRequests(req, res)
+);
 
 /**
  * @route   POST /api/groups/:groupId/join-requests/:requestId/approve
  * @desc    Approve join request
  * @access  Private (Group Creator/Admin only)
  */
-// router.post('/:groupId/join-requests/:requestId/approve',
-//   [
-//     param('groupId')
-//       .isMongoId()
-//       .withMessage('Invalid group ID'),
-//     param('requestId')
-//       .isMongoId()
-//       .withMessage('Invalid request ID'),
-//     body('welcomeMessage')
-//       .optional()
-//       .trim()
-//       .isLength({ min: 1, max: 500 })
-//       .withMessage('Welcome message must be between 1-500 characters')
-//   ],
-//   validationMiddleware,
-//   groupController.approveJoinRequest
-// );
+router.post('/:groupId/join-requests/:requestId/approve',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    param('requestId')
+      .isMongoId()
+      .withMessage('Invalid request ID'),
+    body('welcomeMessage')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Welcome message must be between 1-500 characters')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.approveJoinRequest(req, res)
+);
 
 /**
  * @route   POST /api/groups/:groupId/join-requests/:requestId/reject
  * @desc    Reject join request
  * @access  Private (Group Creator/Admin only)
  */
-// router.post('/:groupId/join-requests/:requestId/reject',
-//   [
-//     param('groupId')
-//       .isMongoId()
-//       .withMessage('Invalid group ID'),
-//     param('requestId')
-//       .isMongoId()
-//       .withMessage('Invalid request ID'),
-//     body('reason')
-//       .optional()
-//       .trim()
-//       .isLength({ min: 1, max: 500 })
-//       .withMessage('Rejection reason must be between 1-500 characters')
-//   ],
-//   validationMiddleware,
-//   groupController.rejectJoinRequest
-// );
+router.post('/:groupId/join-requests/:requestId/reject',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    param('requestId')
+      .isMongoId()
+      .withMessage('Invalid request ID'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Rejection reason must be between 1-500 characters')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.rejectJoinRequest(req, res)
+);
 
 /**
  * @route   POST /api/groups/:groupId/invite
- * @desc    Invite user to group
+ * @desc    Invite user to group by user ID or email
  * @access  Private (Group Creator/Admin only)
  */
-// router.post('/:groupId/invite',
-//   rateLimitMiddleware.inviteUser, // Rate limit invitations
-//   [
-//     param('groupId')
-//       .isMongoId()
-//       .withMessage('Invalid group ID'),
-//     body('userId')
-//       .optional()
-//       .isMongoId()
-//       .withMessage('Invalid user ID'),
-//     body('email')
-//       .optional()
-//       .isEmail()
-//       .normalizeEmail()
-//       .withMessage('Invalid email address'),
-//     body('message')
-//       .optional()
-//       .trim()
-//       .isLength({ min: 1, max: 500 })
-//       .withMessage('Invitation message must be between 1-500 characters')
-//   ],
-//   validationMiddleware,
-//   groupController.inviteUser
-// );
+router.post('/:groupId/invite',
+  rateLimitMiddleware.inviteLimit, // Rate limit invitations
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    body('userId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid user ID'),
+    body('email')
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Invalid email address'),
+    body()
+      .custom(value => Boolean(value.userId || value.email))
+      .withMessage('Either userId or email is required'),
+    body('message')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Invitation message must be between 1-500 characters')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.inviteUser(req, res)
+);
 
 /**
- * @route   GET /api/groups/:groupId/activity
- * @desc    Get group activity/stats
- * @access  Private (Group members only)
+ * @route   POST /api/groups/:groupId/invite-links
+ * @desc    Create a shareable invite link with an expiry and usage limit
+ * @access  Private (Group Creator/Admin only)
  */
-// router.get('/:groupId/activity',
-//   [
-//     param('groupId')
-//       .isMongoId()
-//       .withMessage('Invalid group ID'),
-//     query('timeframe')
-//       .optional()
-//       .isIn(['week', 'month', 'semester', 'all'])
-//       .withMessage('Timeframe must be week, month, semester, or all')
-//   ],
-//   validationMiddleware,
-//   groupController.getGroupActivity
-// );
+router.post('/:groupId/invite-links',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    body('maxUses')
+      .optional()
+      .isInt({ min: 1, max: GROUP_CONSTANTS.INVITE.LINK_MAX_USES })
+      .toInt()
+      .withMessage(`Max uses must be between 1 and ${GROUP_CONSTANTS.INVITE.LINK_MAX_USES}`),
+    body('expiresInHours')
+      .optional()
+      .isInt({ min: 1, max: GROUP_CONSTANTS.INVITE.LINK_MAX_EXPIRES_HOURS })
+      .toInt()
+      .withMessage(`Expiry must be between 1 and ${GROUP_CONSTANTS.INVITE.LINK_MAX_EXPIRES_HOURS} hours`)
+  ],
+  validationMiddleware,
+  (req, res) => groupController.createInviteLink(req, res)
+);
 
 /**
- * @route   POST /api/groups/:groupId/report
- * @desc    Report group for inappropriate content
+ * @route   GET /api/groups/:groupId/invites
+ * @desc    Get group invites and invite links (active by default)
+ * @access  Private (Group Creator/Admin only)
+ */
+router.get('/:groupId/invites',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    query('status')
+      .optional()
+      .isIn([...GROUP_CONSTANTS.INVITE.STATUSES, 'all'])
+      .withMessage('Status must be active, accepted, declined, revoked, expired, or all'),
+    query('type')
+      .optional()
+      .isIn(GROUP_CONSTANTS.INVITE.TYPES)
+      .withMessage('Type must be direct or link')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.getGroupInvites(req, res)
+);
+
+/**
+ * @route   DELETE /api/groups/:groupId/invites/:inviteId
+ * @desc    Revoke an invite or invite link
+ * @access  Private (Group Creator/Admin only)
+ */
+router.delete('/:groupId/invites/:inviteId',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    param('inviteId')
+      .isMongoId()
+      .withMessage('Invalid invite ID')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.revokeInvite(req, res)
+);
+
+/**
+ * @route   POST /api/groups/:groupId/waitlist
+ * @desc    Join a full group's waitlist
  * @access  Private
  */
-// router.post('/:groupId/report',
+router.post('/:groupId/waitlist',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.joinWaitlist(req, res)
+);
+
+/**
+ * @route   DELETE /api/groups/:groupId/waitlist
+ * @desc    Leave a group's waitlist (gives up a held spot)
+ * @access  Private
+ */
+router.delete('/:groupId/waitlist',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.leaveWaitlist(req, res)
+);
+
+/**
+ * @route   GET /api/groups/:groupId/waitlist/position
+ * @desc    Get current user's waitlist position
+ * @access  Private
+ */
+router.get('/:groupId/waitlist/position',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.getWaitlistPosition(req, res)
+);
+
+/**
+ * @route   GET /api/groups/:groupId/waitlist
+ * @desc    Get group waitlist in queue order
+ * @access  Private (Group Creator/Admin only)
+ */
+router.get('/:groupId/waitlist',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.getWaitlist(req, res)
+);
+
+/**
+ * @route   POST /api/groups/:groupId/waitlist/accept
+ * @desc    Accept a spot offered from the waitlist
+ * @access  Private
+ */
+router.post('/:groupId/waitlist/accept',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.acceptWaitlistOffer(req, res)
+);
+
+/**
+ * @route   POST /api/groups/:groupId/waitlist/decline
+ * @desc    Decline a spot offered from the waitlist
+ * @access  Private
+ */
+router.post('/:groupId/waitlist/decline',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.declineWaitlistOffer(req, res)
+);
+
+/**
+ * @route   POST /api/groups/:groupId/pause
+ * @desc    Pause group (hidden from search, no new members)
+ * @access  Private (Group Creator only)
+ */
+router.post('/:groupId/pause',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: GROUP_CONSTANTS.LIFECYCLE.REASON_MAX_LENGTH })
+      .withMessage(`Reason must be between 1-${GROUP_CONSTANTS.LIFECYCLE.REASON_MAX_LENGTH} characters`)
+  ],
+  validationMiddleware,
+  (req, res) => groupController.pauseGroup(req, res)
+);
+
+/**
+ * @route   POST /api/groups/:groupId/complete
+ * @desc    Mark group completed (chat becomes read-only)
+ * @access  Private (Group Creator only)
+ */
+router.post('/:groupId/complete',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: GROUP_CONSTANTS.LIFECYCLE.REASON_MAX_LENGTH })
+      .withMessage(`Reason must be between 1-${GROUP_CONSTANTS.LIFECYCLE.REASON_MAX_LENGTH} characters`)
+  ],
+  validationMiddleware,
+  (req, res) => groupController.completeGroup(req, res)
+);
+
+/**
+ * @route   POST /api/groups/:groupId/archive
+ * @desc    Archive group (read-only; former members keep access)
+ * @access  Private (Group Creator only)
+ */
+router.post('/:groupId/archive',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: GROUP_CONSTANTS.LIFECYCLE.REASON_MAX_LENGTH })
+      .withMessage(`Reason must be between 1-${GROUP_CONSTANTS.LIFECYCLE.REASON_MAX_LENGTH} characters`)
+  ],
+  validationMiddleware,
+  (req, res) => groupController.archiveGroup(req, res)
+);
+
+/**
+ * @route   POST /api/groups/:groupId/reactivate
+ * @desc    Reactivate paused, completed or archived group
+ * @access  Private (Group Creator only)
+ */
+router.post('/:groupId/reactivate',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: GROUP_CONSTANTS.LIFECYCLE.REASON_MAX_LENGTH })
+      .withMessage(`Reason must be between 1-${GROUP_CONSTANTS.LIFECYCLE.REASON_MAX_LENGTH} characters`),
+    body('endDate')
+      .optional()
+      .isISO8601()
+      .withMessage('End date must be a valid date')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.reactivateGroup(req, res)
+);
+
+/**
+ * @route   GET /api/groups/:groupId/activity
+ * @desc    Get group activity feed (newest first)
+ * @access  Private (Group members only)
+ */
+router.get('/:groupId/activity',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: GROUP_CONSTANTS.ACTIVITY.MAX_LIMIT })
+      .withMessage(`Limit must be between 1 and ${GROUP_CONSTANTS.ACTIVITY.MAX_LIMIT}`),
+    query('types')
+      .optional()
+      .custom(value => value.split(',').every(type => GROUP_CONSTANTS.ACTIVITY.TYPES.includes(type)))
+      .withMessage(`Types must be a comma-separated list of: ${GROUP_CONSTANTS.ACTIVITY.TYPES.join(', ')}`),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since must be a valid date'),
+    query('before')
+      .optional()
+      .isISO8601()
+      .withMessage('Before must be a valid date')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.getGroupActivity(req, res)
+);
+
+/**
+ * @route   POST /api/groups/:groupId/report
+ * @desc    Report group for inappropriate content
+ * @access  Private
+ */
+// router.post('/:groupId/report',
 //   rateLimitMiddleware.reportContent, // Rate limit reports
 //   [
 //     param('groupId')
@@ -493,87 +895,309 @@ router.post('/:groupId/members/:memberId/remove',
 
 /**
  * @route   GET /api/groups/:groupId/similar
- * @desc    Get similar groups based on course/topics
- * @access  Private
+ * @desc    Get open public groups similar to this one (course, subject, tags, meeting type, location, schedule)
+ * @access  Private (Group members only for private groups)
  */
-// router.get('/:groupId/similar',
-//   [
-//     param('groupId')
-//       .isMongoId()
-//       .withMessage('Invalid group ID'),
-//     query('limit')
-//       .optional()
-//       .isInt({ min: 1, max: 10 })
-//       .withMessage('Limit must be between 1 and 10')
-//   ],
-//   validationMiddleware,
-//   groupController.getSimilarGroups
-// );
+router.get('/:groupId/similar',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 10 })
+      .withMessage('Limit must be between 1 and 10')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.getSimilarGroups(req, res)
+);
+
+/**
+ * @route   GET /api/groups/:groupId/occurrences
+ * @desc    Get upcoming occurrences of the group's recurring schedule
+ * @access  Private (Group members only for private groups)
+ */
+router.get('/:groupId/occurrences',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be a valid date'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('includeSkipped')
+      .optional()
+      .isBoolean()
+      .withMessage('includeSkipped must be a boolean')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.getGroupOccurrences(req, res)
+);
+
+/**
+ * @route   PUT /api/groups/:groupId/occurrences/:date
+ * @desc    Skip or reschedule a single occurrence
+ * @access  Private (Group Creator/Admin only)
+ */
+router.put('/:groupId/occurrences/:date',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    param('date')
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Occurrence date must be YYYY-MM-DD'),
+    body('type')
+      .isIn(['skip', 'reschedule'])
+      .withMessage('Type must be skip or reschedule'),
+    body('startsAt')
+      .if(body('type').equals('reschedule'))
+      .isISO8601()
+      .withMessage('New start time must be a valid date'),
+    body('endsAt')
+      .optional()
+      .isISO8601()
+      .withMessage('New end time must be a valid date'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Reason must be between 1-200 characters')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.setOccurrenceException(req, res)
+);
+
+/**
+ * @route   DELETE /api/groups/:groupId/occurrences/:date
+ * @desc    Remove a skip/reschedule so the occurrence follows the regular schedule
+ * @access  Private (Group Creator/Admin only)
+ */
+router.delete('/:groupId/occurrences/:date',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    param('date')
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Occurrence date must be YYYY-MM-DD')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.clearOccurrenceException(req, res)
+);
 
 /**
  * @route   POST /api/groups/:groupId/sessions
  * @desc    Create study session for group
  * @access  Private (Group members only)
  */
-// router.post('/:groupId/sessions',
-//   [
-//     param('groupId')
-//       .isMongoId()
-//       .withMessage('Invalid group ID'),
-//     body('title')
-//       .trim()
-//       .isLength({ min: 3, max: 100 })
-//       .withMessage('Session title must be between 3-100 characters'),
-//     body('description')
-//       .optional()
-//       .trim()
-//       .isLength({ min: 1, max: 500 })
-//       .withMessage('Description must be between 1-500 characters'),
-//     body('scheduledFor')
-//       .isISO8601()
-//       .withMessage('Scheduled time must be a valid date'),
-//     body('duration')
-//       .isInt({ min: 15, max: 480 })
-//       .withMessage('Duration must be between 15-480 minutes'),
-//     body('location')
-//       .optional()
-//       .trim()
-//       .isLength({ min: 2, max: 200 })
-//       .withMessage('Location must be between 2-200 characters'),
-//     body('meetingLink')
-//       .optional()
-//       .isURL()
-//       .withMessage('Meeting link must be a valid URL'),
-//     body('topics')
-//       .optional()
-//       .isArray({ max: 10 })
-//       .withMessage('Topics must be an array with max 10 items')
-//   ],
-//   validationMiddleware,
-//   groupController.createStudySession
-// );
+router.post('/:groupId/sessions',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    body('title')
+      .trim()
+      .isLength({ min: 3, max: 100 })
+      .withMessage('Session title must be between 3-100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Description must be between 1-500 characters'),
+    body('scheduledFor')
+      .isISO8601()
+      .withMessage('Scheduled time must be a valid date'),
+    body('duration')
+      .isInt({ min: 15, max: 480 })
+      .withMessage('Duration must be between 15-480 minutes'),
+    body('location')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage('Location must be between 2-200 characters'),
+    body('meetingLink')
+      .optional()
+      .isURL()
+      .withMessage('Meeting link must be a valid URL'),
+    body('topics')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('Topics must be an array with max 10 items'),
+    body('topics.*')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Each topic must be between 1-100 characters')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.createStudySession(req, res)
+);
 
 /**
  * @route   GET /api/groups/:groupId/sessions
  * @desc    Get group study sessions
  * @access  Private (Group members only)
  */
-// router.get('/:groupId/sessions',
-//   [
-//     param('groupId')
-//       .isMongoId()
-//       .withMessage('Invalid group ID'),
-//     query('status')
-//       .optional()
-//       .isIn(['upcoming', 'ongoing', 'completed', 'cancelled', 'all'])
-//       .withMessage('Invalid session status'),
-//     query('limit')
-//       .optional()
-//       .isInt({ min: 1, max: 50 })
-//       .withMessage('Limit must be between 1 and 50')
-//   ],
-//   validationMiddleware,
-//   groupController.getStudySessions
-// );
+router.get('/:groupId/sessions',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    query('status')
+      .optional()
+      .isIn(['upcoming', 'ongoing', 'completed', 'cancelled', 'all'])
+      .withMessage('Invalid session status'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.getStudySessions(req, res)
+);
+
+/**
+ * @route   GET /api/groups/:groupId/sessions/:sessionId
+ * @desc    Get a study session with RSVPs and attendance
+ * @access  Private (Group members only)
+ */
+router.get('/:groupId/sessions/:sessionId',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    param('sessionId')
+      .isMongoId()
+      .withMessage('Invalid session ID')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.getStudySession(req, res)
+);
+
+/**
+ * @route   PUT /api/groups/:groupId/sessions/:sessionId/rsvp
+ * @desc    RSVP to a study session
+ * @access  Private (Group members only)
+ */
+router.put('/:groupId/sessions/:sessionId/rsvp',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    param('sessionId')
+      .isMongoId()
+      .withMessage('Invalid session ID'),
+    body('status')
+      .isIn(['going', 'maybe', 'not_going'])
+      .withMessage('RSVP status must be going, maybe, or not_going')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.rsvpStudySession(req, res)
+);
+
+/**
+ * @route   POST /api/groups/:groupId/sessions/:sessionId/check-in
+ * @desc    Check in to a study session (starts it on first check-in)
+ * @access  Private (Group members only)
+ */
+router.post('/:groupId/sessions/:sessionId/check-in',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    param('sessionId')
+      .isMongoId()
+      .withMessage('Invalid session ID')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.checkInStudySession(req, res)
+);
+
+/**
+ * @route   POST /api/groups/:groupId/sessions/:sessionId/check-out
+ * @desc    Check out of a study session before it ends
+ * @access  Private (Group members only)
+ */
+router.post('/:groupId/sessions/:sessionId/check-out',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    param('sessionId')
+      .isMongoId()
+      .withMessage('Invalid session ID')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.checkOutStudySession(req, res)
+);
+
+/**
+ * @route   POST /api/groups/:groupId/sessions/:sessionId/start
+ * @desc    Start a study session
+ * @access  Private (Session organiser or Group Creator/Admin only)
+ */
+router.post('/:groupId/sessions/:sessionId/start',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    param('sessionId')
+      .isMongoId()
+      .withMessage('Invalid session ID')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.startStudySession(req, res)
+);
+
+/**
+ * @route   POST /api/groups/:groupId/sessions/:sessionId/complete
+ * @desc    Complete a study session and record attendance
+ * @access  Private (Session organiser or Group Creator/Admin only)
+ */
+router.post('/:groupId/sessions/:sessionId/complete',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    param('sessionId')
+      .isMongoId()
+      .withMessage('Invalid session ID')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.completeStudySession(req, res)
+);
+
+/**
+ * @route   POST /api/groups/:groupId/sessions/:sessionId/cancel
+ * @desc    Cancel a scheduled study session
+ * @access  Private (Session organiser or Group Creator/Admin only)
+ */
+router.post('/:groupId/sessions/:sessionId/cancel',
+  [
+    param('groupId')
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    param('sessionId')
+      .isMongoId()
+      .withMessage('Invalid session ID'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Cancellation reason must be between 1-500 characters')
+  ],
+  validationMiddleware,
+  (req, res) => groupController.cancelStudySession(req, res)
+);
 
 module.exports = router;
\ No newline at end of file
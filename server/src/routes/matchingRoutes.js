@@ -1,8 +1,17 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const matchingController = require('../controllers/matchingController');
+const feedbackController = require('../controllers/feedbackController');
 const authMiddleware = require('../middleware/authMiddleware');
 const rateLimitMiddleware = require('../middleware/rateLimitMiddleware');
+const scoringStrategies = require('../services/scoringStrategies');
+const { USER_CONSTANTS } = require('../utils/constants');
+
+const FEEDBACK_ADMIN_ROLES = [
+  USER_CONSTANTS.ROLES.MODERATOR,
+  USER_CONSTANTS.ROLES.ADMIN,
+  USER_CONSTANTS.ROLES.SUPER_ADMIN
+];
 
 const router = express.Router();
 
@@ -34,19 +43,30 @@ router.get('/partners',
     query('minReputation').optional().isFloat({ min: 0, max: 5 })
       .withMessage('Min reputation must be between 0 and 5'),
     query('excludeMatched').optional().isBoolean()
-      .withMessage('Exclude matched must be a boolean')
+      .withMessage('Exclude matched must be a boolean'),
+    query('algorithm').optional().custom(value => scoringStrategies.has(value))
+      .withMessage('Unknown scoring algorithm')
   ],
   matchingController.findPartners
 );
 
+/**
+ * @route   GET /api/matching/algorithms
+ * @desc    List available compatibility scoring algorithms
+ * @access  Private
+ */
+router.get('/algorithms', matchingController.getAlgorithms);
+
 /**
  * @route   GET /api/matching/compatibility/:partnerId
- * @desc    Get detailed compatibility analysis with a potential partner
+ * @desc    Get a per-factor explanation of compatibility with a potential partner
  * @access  Private
  */
 router.get('/compatibility/:partnerId',
   [
-    param('partnerId').isMongoId().withMessage('Invalid partner ID')
+    param('partnerId').isMongoId().withMessage('Invalid partner ID'),
+    query('algorithm').optional().custom(value => scoringStrategies.has(value))
+      .withMessage('Unknown scoring algorithm')
   ],
   matchingController.getCompatibilityAnalysis
 );
@@ -64,7 +84,9 @@ router.post('/request',
     body('message').optional().isString().isLength({ min: 1, max: 500 })
       .withMessage('Message must be between 1 and 500 characters'),
     body('courses').optional().isArray().withMessage('Courses must be an array'),
-    body('courses.*').optional().isString().withMessage('Each course must be a string')
+    body('courses.*').optional().isString().withMessage('Each course must be a string'),
+    body('algorithm').optional().custom(value => scoringStrategies.has(value))
+      .withMessage('Unknown scoring algorithm')
   ],
   matchingController.sendMatchRequest
 );
@@ -84,6 +106,18 @@ router.put('/request/:matchId',
   matchingController.respondToMatchRequest
 );
 
+/**
+ * @route   POST /api/matching/request/:matchId/extend
+ * @desc    Extend a pending match request before it expires (initiator only, once)
+ * @access  Private
+ */
+router.post('/request/:matchId/extend',
+  [
+    param('matchId').isMongoId().withMessage('Invalid match ID')
+  ],
+  matchingController.extendMatchRequest
+);
+
 /**
  * @route   GET /api/matching/my-matches
  * @desc    Get all matches for current user
@@ -139,7 +173,14 @@ router.put('/preferences',
     body('autoAcceptHighCompatibility').optional().isBoolean()
       .withMessage('Auto accept must be a boolean'),
     body('notificationsEnabled').optional().isBoolean()
-      .withMessage('Notifications enabled must be a boolean')
+      .withMessage('Notifications enabled must be a boolean'),
+    body('weights').optional({ nullable: true }).isObject()
+      .withMessage('Weights must be an object')
+      .custom(weights => {
+        const weightsError = scoringStrategies.validateWeights(weights);
+        if (weightsError) throw new Error(weightsError);
+        return true;
+      })
   ],
   matchingController.updateMatchingPreferences
 );
@@ -247,29 +288,7 @@ router.get('/mutual/:userId',
   [
     param('userId').isMongoId().withMessage('Invalid user ID')
   ],
-  async (req, res) => {
-    try {
-      const currentUserId = req.user.id;
-      const { userId } = req.params;
-
-      // This would be implemented in the matching service
-      // For now, return a placeholder response
-      res.status(200).json({
-        success: true,
-        message: 'Mutual connections checked',
-        data: {
-          mutualConnections: [],
-          count: 0,
-          hasDirectConnection: false
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Failed to check mutual connections'
-      });
-    }
-  }
+  matchingController.getMutualConnections
 );
 
 /**
@@ -290,30 +309,75 @@ router.post('/feedback',
     body('rating').optional().isInt({ min: 1, max: 5 })
       .withMessage('Rating must be between 1 and 5')
   ],
-  async (req, res) => {
-    try {
-      const userId = req.user.id;
-      const { type, subject, message, rating } = req.body;
+  feedbackController.submitFeedback
+);
 
-      // Log feedback for review
-      require('../utils/logger').logMatching('Matching feedback received', {
-        userId,
-        type,
-        subject,
-        rating
-      });
+/**
+ * @route   GET /api/matching/feedback
+ * @desc    List matching feedback for triage
+ * @access  Private (Admin/Moderator)
+ */
+router.get('/feedback',
+  authMiddleware.authorize(...FEEDBACK_ADMIN_ROLES),
+  [
+    query('type').optional().isIn(['bug', 'suggestion', 'complaint', 'compliment'])
+      .withMessage('Invalid feedback type'),
+    query('status').optional().isIn(['new', 'under_review', 'planned', 'resolved', 'dismissed'])
+      .withMessage('Invalid feedback status'),
+    query('priority').optional().isIn(['low', 'medium', 'high'])
+      .withMessage('Invalid priority'),
+    query('userId').optional().isMongoId().withMessage('Invalid user ID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  feedbackController.listFeedback
+);
+
+/**
+ * @route   GET /api/matching/feedback/stats
+ * @desc    Aggregate feedback stats per type
+ * @access  Private (Admin/Moderator)
+ */
+router.get('/feedback/stats',
+  authMiddleware.authorize(...FEEDBACK_ADMIN_ROLES),
+  [
+    query('days').optional().isInt({ min: 1, max: 365 })
+      .withMessage('Days must be between 1 and 365')
+  ],
+  feedbackController.getFeedbackStats
+);
+
+/**
+ * @route   GET /api/matching/feedback/:feedbackId
+ * @desc    Get a single feedback entry with its status history
+ * @access  Private (Admin/Moderator)
+ */
+router.get('/feedback/:feedbackId',
+  authMiddleware.authorize(...FEEDBACK_ADMIN_ROLES),
+  [
+    param('feedbackId').isMongoId().withMessage('Invalid feedback ID')
+  ],
+  feedbackController.getFeedback
+);
 
-      res.status(200).json({
-        success: true,
-        message: 'Feedback submitted successfully. Thank you for helping us improve!'
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Failed to submit feedback'
-      });
-    }
-  }
+/**
+ * @route   PATCH /api/matching/feedback/:feedbackId/status
+ * @desc    Change feedback triage status
+ * @access  Private (Admin/Moderator)
+ */
+router.patch('/feedback/:feedbackId/status',
+  authMiddleware.authorize(...FEEDBACK_ADMIN_ROLES),
+  [
+    param('feedbackId').isMongoId().withMessage('Invalid feedback ID'),
+    body('status').isIn(['new', 'under_review', 'planned', 'resolved', 'dismissed'])
+      .withMessage('Invalid feedback status'),
+    body('priority').optional().isIn(['low', 'medium', 'high'])
+      .withMessage('Invalid priority'),
+    body('note').optional().isString().isLength({ max: 500 })
+      .withMessage('Note cannot exceed 500 characters')
+  ],
+  feedbackController.updateFeedbackStatus
 );
 
 module.exports = router;
\ No newline at end of file
@@ -66,7 +66,7 @@ router.get('/conversations',
 
 /**
  * @route   GET /api/messages/conversation/:userId
- * @desc    Get messages in a direct conversation
+ * @desc    Get messages in a direct conversation (cursor paged: before/after/around a message ID)
  * @access  Private
  */
 router.get('/conversation/:userId',
@@ -78,14 +78,18 @@ router.get('/conversation/:userId',
       .optional()
       .isInt({ min: 1, max: 100 })
       .withMessage('Limit must be between 1 and 100'),
-    query('offset')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Offset must be a non-negative integer'),
     query('before')
       .optional()
-      .isISO8601()
-      .withMessage('Before must be a valid date')
+      .isMongoId()
+      .withMessage('Before must be a message ID'),
+    query('after')
+      .optional()
+      .isMongoId()
+      .withMessage('After must be a message ID'),
+    query('around')
+      .optional()
+      .isMongoId()
+      .withMessage('Around must be a message ID')
   ],
   validationMiddleware,
   (req, res) => {
@@ -147,7 +151,7 @@ router.post('/send',
 
 /**
  * @route   GET /api/messages/group/:groupId
- * @desc    Get messages in a group chat
+ * @desc    Get messages in a group chat (cursor paged: before/after/around a message ID)
  * @access  Private (Group Member)
  */
 router.get('/group/:groupId',
@@ -159,14 +163,18 @@ router.get('/group/:groupId',
       .optional()
       .isInt({ min: 1, max: 100 })
       .withMessage('Limit must be between 1 and 100'),
-    query('offset')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Offset must be a non-negative integer'),
     query('before')
       .optional()
-      .isISO8601()
-      .withMessage('Before must be a valid date')
+      .isMongoId()
+      .withMessage('Before must be a message ID'),
+    query('after')
+      .optional()
+      .isMongoId()
+      .withMessage('After must be a message ID'),
+    query('around')
+      .optional()
+      .isMongoId()
+      .withMessage('Around must be a message ID')
   ],
   validationMiddleware,
   (req, res) => messageController.getGroupMessages(req, res)
@@ -328,6 +336,97 @@ router.delete('/:messageId/pin',
   (req, res) => messageController.unpinMessage(req, res)
 );
 
+/**
+ * @route   GET /api/messages/:messageId/context
+ * @desc    Jump to a message: its conversation window centred on it
+ * @access  Private (Conversation Participants)
+ */
+router.get('/:messageId/context',
+  [
+    param('messageId')
+      .isMongoId()
+      .withMessage('Invalid message ID'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  validationMiddleware,
+  (req, res) => messageController.getMessageContext(req, res)
+);
+
+// =============================================================================
+// THREAD ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/messages/:messageId/thread
+ * @desc    Get a thread (root message and replies, oldest first); marks it read
+ * @access  Private (Conversation Participants)
+ */
+router.get('/:messageId/thread',
+  [
+    param('messageId')
+      .isMongoId()
+      .withMessage('Invalid message ID'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  validationMiddleware,
+  (req, res) => messageController.getThread(req, res)
+);
+
+/**
+ * @route   POST /api/messages/:messageId/thread/read
+ * @desc    Mark a thread as read
+ * @access  Private (Conversation Participants)
+ */
+router.post('/:messageId/thread/read',
+  [
+    param('messageId')
+      .isMongoId()
+      .withMessage('Invalid message ID')
+  ],
+  validationMiddleware,
+  (req, res) => messageController.markThreadRead(req, res)
+);
+
+/**
+ * @route   POST /api/messages/:messageId/thread/follow
+ * @desc    Follow a thread (get notified of new replies)
+ * @access  Private (Conversation Participants)
+ */
+router.post('/:messageId/thread/follow',
+  [
+    param('messageId')
+      .isMongoId()
+      .withMessage('Invalid message ID')
+  ],
+  validationMiddleware,
+  (req, res) => messageController.followThread(req, res)
+);
+
+/**
+ * @route   DELETE /api/messages/:messageId/thread/follow
+ * @desc    Unfollow a thread
+ * @access  Private (Conversation Participants)
+ */
+router.delete('/:messageId/thread/follow',
+  [
+    param('messageId')
+      .isMongoId()
+      .withMessage('Invalid message ID')
+  ],
+  validationMiddleware,
+  (req, res) => messageController.unfollowThread(req, res)
+);
+
 // =============================================================================
 // MESSAGE STATUS & ACTIVITY ROUTES
 // =============================================================================
@@ -360,13 +459,28 @@ router.post('/mark-read',
 
 /**
  * @route   GET /api/messages/unread-count
- * @desc    Get unread message count
+ * @desc    Get unread message counts (direct, per group and total)
  * @access  Private
  */
 router.get('/unread-count',
   (req, res) => messageController.getUnreadCount(req, res)
 );
 
+/**
+ * @route   GET /api/messages/:messageId/seen-by
+ * @desc    Get the group members who have seen a group message
+ * @access  Private
+ */
+router.get('/:messageId/seen-by',
+  [
+    param('messageId')
+      .isMongoId()
+      .withMessage('Invalid message ID')
+  ],
+  validationMiddleware,
+  (req, res) => messageController.getMessageSeenBy(req, res)
+);
+
 /**
  * @route   POST /api/messages/typing
  * @desc    Send typing indicator
@@ -395,7 +509,7 @@ router.post('/typing',
 
 /**
  * @route   GET /api/messages/search
- * @desc    Search messages across conversations
+ * @desc    Full-text search across the user's conversations, ranked by relevance or recency
  * @access  Private
  */
 router.get('/search',
@@ -406,18 +520,22 @@ router.get('/search',
       .withMessage('Search query is required')
       .isLength({ min: 2, max: 100 })
       .withMessage('Search query must be between 2 and 100 characters'),
+    query('sort')
+      .optional()
+      .isIn(['relevance', 'recent'])
+      .withMessage('Sort must be relevance or recent'),
     query('conversationType')
       .optional()
       .isIn(['direct', 'group', 'all'])
       .withMessage('Invalid conversation type'),
-    query('conversationId')
+    query('groupId')
       .optional()
       .isMongoId()
-      .withMessage('Invalid conversation ID'),
-    query('messageType')
+      .withMessage('Invalid group ID'),
+    query('senderId')
       .optional()
-      .isIn(['text', 'image', 'file', 'study_invite', 'announcement'])
-      .withMessage('Invalid message type'),
+      .isMongoId()
+      .withMessage('Invalid sender ID'),
     query('dateFrom')
       .optional()
       .isISO8601()
@@ -426,19 +544,206 @@ router.get('/search',
       .optional()
       .isISO8601()
       .withMessage('Invalid to date'),
+    query('hasAttachment')
+      .optional()
+      .isBoolean()
+      .withMessage('hasAttachment must be true or false'),
+    query('contentType')
+      .optional()
+      .isIn(['text', 'code', 'math', 'link', 'image', 'file'])
+      .withMessage('Invalid content type'),
+    query('tags')
+      .optional()
+      .isString()
+      .withMessage('Tags must be a comma-separated list'),
+    query('pinned')
+      .optional()
+      .isBoolean()
+      .withMessage('Pinned must be true or false'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
     query('limit')
       .optional()
       .isInt({ min: 1, max: 50 })
-      .withMessage('Limit must be between 1 and 50'),
-    query('offset')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Offset must be a non-negative integer')
+      .withMessage('Limit must be between 1 and 50')
   ],
   validationMiddleware,
   (req, res) => messageController.searchMessages(req, res)
 );
 
+// =============================================================================
+// SCHEDULED MESSAGES
+// =============================================================================
+
+/**
+ * @route   POST /api/messages/scheduled
+ * @desc    Schedule a direct or group message for later, once or recurring
+ * @access  Private (group messages: group admins)
+ */
+router.post('/scheduled',
+  [
+    body('recipientId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid recipient ID'),
+    body('groupId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    body('content')
+      .trim()
+      .notEmpty()
+      .withMessage('Message content is required')
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Message must be between 1 and 2000 characters'),
+    body('messageType')
+      .optional()
+      .isIn(['text', 'link', 'code', 'math'])
+      .withMessage('Invalid message type'),
+    body('sendAt')
+      .isISO8601()
+      .withMessage('Send time must be a valid date'),
+    body('recurrence')
+      .optional({ nullable: true })
+      .isObject()
+      .withMessage('Recurrence must be an object'),
+    body('recurrence.frequency')
+      .optional()
+      .isIn(['daily', 'weekly', 'monthly'])
+      .withMessage('Frequency must be daily, weekly or monthly'),
+    body('recurrence.interval')
+      .optional()
+      .isInt({ min: 1, max: 12 })
+      .withMessage('Interval must be between 1 and 12'),
+    body('recurrence.timezone')
+      .optional()
+      .custom(timezone => Boolean(new Intl.DateTimeFormat('en-US', { timeZone: timezone })))
+      .withMessage('Timezone must be a valid IANA timezone'),
+    body('recurrence.until')
+      .optional()
+      .isISO8601()
+      .withMessage('Repeat end date must be a valid date'),
+    body('recurrence.maxOccurrences')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Occurrences must be between 1 and 100')
+  ],
+  validationMiddleware,
+  (req, res) => messageController.scheduleMessage(req, res)
+);
+
+/**
+ * @route   GET /api/messages/scheduled
+ * @desc    Get the user's scheduled messages
+ * @access  Private
+ */
+router.get('/scheduled',
+  [
+    query('status')
+      .optional()
+      .isIn(['scheduled', 'sending', 'completed', 'cancelled', 'failed'])
+      .withMessage('Invalid status'),
+    query('groupId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid group ID'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+  ],
+  validationMiddleware,
+  (req, res) => messageController.getScheduledMessages(req, res)
+);
+
+/**
+ * @route   GET /api/messages/scheduled/:scheduledId
+ * @desc    Get a scheduled message
+ * @access  Private (sender)
+ */
+router.get('/scheduled/:scheduledId',
+  [
+    param('scheduledId')
+      .isMongoId()
+      .withMessage('Invalid scheduled message ID')
+  ],
+  validationMiddleware,
+  (req, res) => messageController.getScheduledMessage(req, res)
+);
+
+/**
+ * @route   PUT /api/messages/scheduled/:scheduledId
+ * @desc    Edit a scheduled message before it sends
+ * @access  Private (sender)
+ */
+router.put('/scheduled/:scheduledId',
+  [
+    param('scheduledId')
+      .isMongoId()
+      .withMessage('Invalid scheduled message ID'),
+    body('content')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Message must be between 1 and 2000 characters'),
+    body('messageType')
+      .optional()
+      .isIn(['text', 'link', 'code', 'math'])
+      .withMessage('Invalid message type'),
+    body('sendAt')
+      .optional()
+      .isISO8601()
+      .withMessage('Send time must be a valid date'),
+    body('recurrence')
+      .optional({ nullable: true })
+      .isObject()
+      .withMessage('Recurrence must be an object'),
+    body('recurrence.frequency')
+      .optional()
+      .isIn(['daily', 'weekly', 'monthly'])
+      .withMessage('Frequency must be daily, weekly or monthly'),
+    body('recurrence.interval')
+      .optional()
+      .isInt({ min: 1, max: 12 })
+      .withMessage('Interval must be between 1 and 12'),
+    body('recurrence.timezone')
+      .optional()
+      .custom(timezone => Boolean(new Intl.DateTimeFormat('en-US', { timeZone: timezone })))
+      .withMessage('Timezone must be a valid IANA timezone'),
+    body('recurrence.until')
+      .optional()
+      .isISO8601()
+      .withMessage('Repeat end date must be a valid date'),
+    body('recurrence.maxOccurrences')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Occurrences must be between 1 and 100')
+  ],
+  validationMiddleware,
+  (req, res) => messageController.updateScheduledMessage(req, res)
+);
+
+/**
+ * @route   DELETE /api/messages/scheduled/:scheduledId
+ * @desc    Cancel a scheduled message
+ * @access  Private (sender or group admin)
+ */
+router.delete('/scheduled/:scheduledId',
+  [
+    param('scheduledId')
+      .isMongoId()
+      .withMessage('Invalid scheduled message ID')
+  ],
+  validationMiddleware,
+  (req, res) => messageController.cancelScheduledMessage(req, res)
+);
+
 // =============================================================================
 // MODERATION & REPORTING ROUTES
 // =============================================================================
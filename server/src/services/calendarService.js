@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const StudySession = require('../models/StudySession');
+const logger = require('../utils/logger');
+const icalendar = require('../utils/icalendar');
+const recurrence = require('../utils/recurrence');
+const { CALENDAR_CONSTANTS } = require('../utils/constants');
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+/**
+ * Calendar Service for AcademicAlly
+ * iCalendar export of a user's study sessions, accepted study invites and recurring group
+ * schedules, and the per-user tokenized feed URL calendar apps subscribe to.
+ */
+
+class CalendarService {
+  /**
+   * Build a user's calendar as iCalendar text
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} VCALENDAR document
+   */
+  async buildUserCalendar(userId) {
+    try {
+      const now = new Date();
+      const since = new Date(now.getTime() - CALENDAR_CONSTANTS.PAST_DAYS * MS_PER_DAY);
+
+      const groups = await Group.find({
+        isActive: true,
+        members: { $elemMatch: { user: userId, isActive: true } }
+      }).select('name course schedule');
+
+      const [sessionEvents, inviteEvents] = await Promise.all([
+        this.getSessionEvents(userId, groups, since),
+        this.getInviteEvents(userId, since)
+      ]);
+      const scheduleEvents = groups.flatMap(group => this.getScheduleEvents(group, now));
+
+      const events = [...sessionEvents, ...inviteEvents, ...scheduleEvents]
+        .slice(0, CALENDAR_CONSTANTS.MAX_EVENTS);
+
+      return icalendar.buildCalendar({
+        name: 'AcademicAlly Study Calendar',
+        description: 'Study sessions, study invites and group meetings',
+        events,
+        now
+      });
+    } catch (error) {
+      logger.error('Error building user calendar', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the user's feed URL, creating a token on first use
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, statusCode?, message?, data? }
+   */
+  async getFeed(userId) {
+    try {
+      const user = await User.findById(userId).select('+calendarFeedToken');
+      if (!user) {
+        return { success: false, statusCode: 404, message: 'User not found' };
+      }
+
+      if (!user.calendarFeedToken) {
+        user.calendarFeedToken = this.generateToken();
+        await user.save();
+        logger.profile('calendar_feed_created', userId);
+      }
+
+      return { success: true, data: this.formatFeed(user.calendarFeedToken) };
+    } catch (error) {
+      logger.error('Error getting calendar feed', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the user's feed token, invalidating the previous URL
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, statusCode?, message?, data? }
+   */
+  async resetFeed(userId) {
+    try {
+      const user = await User.findById(userId).select('+calendarFeedToken');
+      if (!user) {
+        return { success: false, statusCode: 404, message: 'User not found' };
+      }
+
+      user.calendarFeedToken = this.generateToken();
+      await user.save();
+
+      logger.security('calendar_feed_reset', userId);
+
+      return { success: true, data: this.formatFeed(user.calendarFeedToken) };
+    } catch (error) {
+      logger.error('Error resetting calendar feed', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Turn off the user's feed
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, statusCode?, message? }
+   */
+  async disableFeed(userId) {
+    try {
+      const result = await User.updateOne({ _id: userId }, { $unset: { calendarFeedToken: 1 } });
+      if (result.matchedCount === 0) {
+        return { success: false, statusCode: 404, message: 'User not found' };
+      }
+
+      logger.profile('calendar_feed_disabled', userId);
+
+      return { success: true };
+    } catch (error) {
+      logger.error('Error disabling calendar feed', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the calendar for a feed token
+   * @param {string} token - Feed token from the subscription URL
+   * @returns {Promise<Object>} { success, statusCode?, message?, calendar? }
+   */
+  async getFeedCalendar(token) {
+    try {
+      const user = await User.findOne({ calendarFeedToken: token, isActive: true }).select('_id');
+      if (!user) {
+        return { success: false, statusCode: 404, message: 'Calendar feed not found' };
+      }
+
+      const calendar = await this.buildUserCalendar(user._id);
+      return { success: true, calendar };
+    } catch (error) {
+      logger.error('Error serving calendar feed', error);
+      throw error;
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Study sessions of the user's groups, except ones the user declined
+   * Cancelled sessions stay in the feed as cancelled so subscribed calendars drop them.
+   */
+  async getSessionEvents(userId, groups, since) {
+    if (groups.length === 0) return [];
+
+    const groupNames = new Map(groups.map(group => [group._id.toString(), group.name]));
+    const sessions = await StudySession.find({
+      group: { $in: groups.map(group => group._id) },
+      scheduledFor: { $gte: since },
+      rsvps: { $not: { $elemMatch: { user: userId, status: 'not_going' } } }
+    })
+      .sort({ scheduledFor: 1 })
+      .limit(CALENDAR_CONSTANTS.MAX_EVENTS);
+
+    return sessions.map(session => {
+      const groupName = groupNames.get(session.group.toString());
+      const details = [
+        session.description,
+        session.topics.length > 0 ? `Topics: ${session.topics.join(', ')}` : null,
+        session.meetingLink ? `Join: ${session.meetingLink}` : null,
+        session.cancellationReason ? `Cancelled: ${session.cancellationReason}` : null
+      ].filter(Boolean);
+
+      return {
+        uid: this.buildUid('session', session._id),
+        summary: `${session.title} (${groupName})`,
+        description: details.join('\n'),
+        location: session.location || session.meetingLink,
+        url: `${process.env.CLIENT_URL}/groups/${session.group}/sessions/${session._id}`,
+        start: session.scheduledFor,
+        end: session.endsAt,
+        status: session.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+        categories: ['Study Session'],
+        lastModified: session.updatedAt
+      };
+    });
+  }
+
+  /**
+   * Study invites the user sent or whose latest response from the user is an accept
+   */
+  async getInviteEvents(userId, since) {
+    const responses = await Message.find({
+      sender: userId,
+      contentType: 'study_invite_response',
+      isDeleted: false
+    })
+      .select('replyTo inviteResponse createdAt')
+      .sort({ createdAt: -1 });
+
+    // Newest response per invite wins
+    const latest = new Map();
+    responses.forEach(response => {
+      const inviteId = response.replyTo && response.replyTo.toString();
+      if (inviteId && !latest.has(inviteId)) latest.set(inviteId, response.inviteResponse);
+    });
+    const acceptedIds = [...latest.entries()]
+      .filter(([, response]) => response === 'accept')
+      .map(([inviteId]) => inviteId);
+
+    const invites = await Message.find({
+      contentType: 'study_invite',
+      isDeleted: false,
+      'sessionDetails.date': { $gte: since },
+      $or: [{ sender: userId }, { _id: { $in: acceptedIds } }]
+    })
+      .populate('sender', 'name')
+      .populate('group', 'name')
+      .sort({ 'sessionDetails.date': 1 })
+      .limit(CALENDAR_CONSTANTS.MAX_EVENTS);
+
+    return invites.map(invite => {
+      const details = invite.sessionDetails;
+      const duration = details.duration || CALENDAR_CONSTANTS.DEFAULT_INVITE_DURATION;
+      const host = invite.group ? invite.group.name : invite.sender?.name;
+
+      return {
+        uid: this.buildUid('invite', invite._id),
+        summary: host ? `${details.subject} (${host})` : details.subject,
+        description: details.notes,
+        location: details.location,
+        url: invite.group
+          ? `${process.env.CLIENT_URL}/messages/groups/${invite.group._id}`
+          : `${process.env.CLIENT_URL}/messages/${invite.sender?._id}`,
+        start: details.date,
+        end: new Date(details.date.getTime() + duration * MS_PER_MINUTE),
+        status: 'CONFIRMED',
+        categories: ['Study Invite'],
+        lastModified: invite.updatedAt
+      };
+    });
+  }
+
+  /**
+   * A group's recurring schedule as one repeating event
+   * Skipped occurrences become EXDATEs and rescheduled ones become RECURRENCE-ID overrides.
+   */
+  getScheduleEvents(group, now) {
+    const series = recurrence.describeSeries(group.schedule, { now });
+    if (!series) return [];
+
+    const uid = this.buildUid('group-schedule', group._id);
+    const summary = `${group.name} meeting`;
+    const base = {
+      uid,
+      summary,
+      description: group.course ? `Study group for ${group.course}` : undefined,
+      url: `${process.env.CLIENT_URL}/groups/${group._id}`,
+      timezone: series.timezone,
+      categories: ['Study Group']
+    };
+    const firstStart = series.firstOccurrence.startsAt;
+
+    const exdates = [];
+    const overrides = [];
+    (group.schedule.exceptions || []).forEach(exception => {
+      const original = recurrence.getOccurrence(group.schedule, exception.date);
+      if (!original || original.startsAt < firstStart) return;
+
+      if (exception.type === 'skip') {
+        exdates.push(original.startsAt);
+        return;
+      }
+
+      const moved = recurrence.resolveOccurrence(group.schedule, exception.date);
+      overrides.push({
+        ...base,
+        start: moved.startsAt,
+        end: moved.endsAt,
+        recurrenceId: original.startsAt,
+        description: moved.reason ? `Rescheduled: ${moved.reason}` : base.description,
+        status: 'CONFIRMED'
+      });
+    });
+
+    return [
+      {
+        ...base,
+        start: firstStart,
+        end: series.firstOccurrence.endsAt,
+        rrule: icalendar.buildRecurrenceRule(series),
+        exdates,
+        status: 'CONFIRMED'
+      },
+      ...overrides
+    ];
+  }
+
+  /**
+   * Globally unique, stable event UID
+   */
+  buildUid(kind, id) {
+    return `${kind}-${id}@${CALENDAR_CONSTANTS.UID_DOMAIN}`;
+  }
+
+  /**
+   * Generate a random feed token
+   */
+  generateToken() {
+    return crypto.randomBytes(CALENDAR_CONSTANTS.FEED_TOKEN_BYTES).toString('hex');
+  }
+
+  /**
+   * Feed URLs for a token (https for downloads, webcal for one-click subscribe)
+   */
+  formatFeed(token) {
+    const url = `${process.env.BASE_URL || 'https://academically.app'}/api/calendar/feed/${token}.ics`;
+    return {
+      url,
+      webcalUrl: url.replace(/^https?:/, 'webcal:')
+    };
+  }
+}
+
+module.exports = new CalendarService();
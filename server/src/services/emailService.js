@@ -164,12 +164,113 @@ class EmailService {
     }
   }
 
+  /**
+   * Send warning that a pending match request is about to expire
+   */
+  async sendMatchExpiringNotification(user, partner, match) {
+    try {
+      if (user.preferences?.emailNotifications?.matches === false) {
+        return { skipped: true, reason: 'User disabled match notifications' };
+      }
+
+      const mailOptions = {
+        from: `"AcademicAlly" <${process.env.EMAIL_FROM}>`,
+        to: user.email,
+        subject: `Your match request with ${partner.name} expires soon ⏳`,
+        html: this.getEmailTemplate('match-expiring', {
+          name: user.name,
+          partnerName: partner.name,
+          expiresAt: match.expiresAt.toUTCString(),
+          isInitiator: match.initiatedBy.equals(user._id),
+          canExtend: match.canExtend,
+          viewMatchUrl: `${process.env.CLIENT_URL}/matches/${match._id}`
+        })
+      };
+
+      const result = await this.sendEmail(mailOptions);
+      logger.matching('match_expiring_email_sent', user._id, partner._id, { matchId: match._id });
+      return result;
+    } catch (error) {
+      logger.error('Failed to send match expiring notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send notice that a pending match request expired unanswered
+   */
+  async sendMatchExpiredNotification(user, partner, match) {
+    try {
+      if (user.preferences?.emailNotifications?.matches === false) {
+        return { skipped: true, reason: 'User disabled match notifications' };
+      }
+
+      const mailOptions = {
+        from: `"AcademicAlly" <${process.env.EMAIL_FROM}>`,
+        to: user.email,
+        subject: `Your match request with ${partner.name} has expired`,
+        html: this.getEmailTemplate('match-expired', {
+          name: user.name,
+          partnerName: partner.name,
+          findPartnersUrl: `${process.env.CLIENT_URL}/matches`
+        })
+      };
+
+      const result = await this.sendEmail(mailOptions);
+      logger.matching('match_expired_email_sent', user._id, partner._id, { matchId: match._id });
+      return result;
+    } catch (error) {
+      logger.error('Failed to send match expired notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send notice that a match request was accepted or declined
+   */
+  async sendMatchResponseNotification(user, responder, match, responseMessage) {
+    try {
+      if (user.preferences?.emailNotifications?.matches === false) {
+        return { skipped: true, reason: 'User disabled match notifications' };
+      }
+
+      const accepted = match.status === 'accepted';
+      const mailOptions = {
+        from: `"AcademicAlly" <${process.env.EMAIL_FROM}>`,
+        to: user.email,
+        subject: accepted
+          ? `${responder.name} accepted your match request! 🎉`
+          : `${responder.name} declined your match request`,
+        html: this.getEmailTemplate('match-response', {
+          name: user.name,
+          partnerName: responder.name,
+          accepted,
+          responseMessage,
+          url: accepted
+            ? `${process.env.CLIENT_URL}/matches/${match._id}`
+            : `${process.env.CLIENT_URL}/matches`
+        })
+      };
+
+      const result = await this.sendEmail(mailOptions);
+      logger.matching('match_response_email_sent', user._id, responder._id, { matchId: match._id, accepted });
+      return result;
+    } catch (error) {
+      logger.error('Failed to send match response notification:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send group invitation
+   * @param {Object} user - Invited user
+   * @param {Object} group - Group document
+   * @param {Object} inviter - User who sent the invite
+   * @param {Object} invite - GroupInvite document (message, expiresAt)
    */
-  async sendGroupInvitation(user, group, inviter) {
+  async sendGroupInvitation(user, group, inviter, invite = {}) {
     try {
-      if (!user.preferences?.emailNotifications?.groups) {
+      if (user.preferences?.emailNotifications?.groups === false) {
         return { skipped: true, reason: 'User disabled group notifications' };
       }
 
@@ -183,12 +284,16 @@ class EmailService {
           inviterName: inviter.name,
           course: group.course,
           description: group.description,
-          joinUrl: `${process.env.CLIENT_URL}/groups/${group._id}/join`
+          message: invite.message,
+          expiresAt: invite.expiresAt ? new Date(invite.expiresAt).toLocaleDateString() : null,
+          joinUrl: invite._id
+            ? `${process.env.CLIENT_URL}/groups/invites/${invite._id}`
+            : `${process.env.CLIENT_URL}/groups/${group._id}/join`
         })
       };
 
       const result = await this.sendEmail(mailOptions);
-      logger.group(`Group invitation sent to ${user.email}`);
+      logger.group('group_invitation_email_sent', inviter._id, group._id, { inviteeId: user._id });
       return result;
     } catch (error) {
       logger.error('Failed to send group invitation:', error);
@@ -196,6 +301,154 @@ class EmailService {
     }
   }
 
+  /**
+   * Send notice that a request to join a group was approved
+   */
+  async sendJoinRequestApprovedNotification(user, group, welcomeMessage) {
+    try {
+      if (user.preferences?.emailNotifications?.groups === false) {
+        return { skipped: true, reason: 'User disabled group notifications' };
+      }
+
+      const mailOptions = {
+        from: `"AcademicAlly" <${process.env.EMAIL_FROM}>`,
+        to: user.email,
+        subject: `You're in! Welcome to "${group.name}" 🎉`,
+        html: this.getEmailTemplate('join-request-approved', {
+          name: user.name,
+          groupName: group.name,
+          welcomeMessage,
+          groupUrl: `${process.env.CLIENT_URL}/groups/${group._id}`
+        })
+      };
+
+      const result = await this.sendEmail(mailOptions);
+      logger.group('join_request_approved_email_sent', user._id, group._id);
+      return result;
+    } catch (error) {
+      logger.error('Failed to send join request approved notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send notice that a request to join a group was declined
+   */
+  async sendJoinRequestRejectedNotification(user, group, reason) {
+    try {
+      if (user.preferences?.emailNotifications?.groups === false) {
+        return { skipped: true, reason: 'User disabled group notifications' };
+      }
+
+      const mailOptions = {
+        from: `"AcademicAlly" <${process.env.EMAIL_FROM}>`,
+        to: user.email,
+        subject: `Your request to join "${group.name}"`,
+        html: this.getEmailTemplate('join-request-rejected', {
+          name: user.name,
+          groupName: group.name,
+          reason,
+          findGroupsUrl: `${process.env.CLIENT_URL}/groups`
+        })
+      };
+
+      const result = await this.sendEmail(mailOptions);
+      logger.group('join_request_rejected_email_sent', user._id, group._id);
+      return result;
+    } catch (error) {
+      logger.error('Failed to send join request rejected notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send notice that a request to join a group expired unanswered
+   */
+  async sendJoinRequestExpiredNotification(user, group) {
+    try {
+      if (user.preferences?.emailNotifications?.groups === false) {
+        return { skipped: true, reason: 'User disabled group notifications' };
+      }
+
+      const mailOptions = {
+        from: `"AcademicAlly" <${process.env.EMAIL_FROM}>`,
+        to: user.email,
+        subject: `Your request to join "${group.name}" expired`,
+        html: this.getEmailTemplate('join-request-expired', {
+          name: user.name,
+          groupName: group.name,
+          groupUrl: `${process.env.CLIENT_URL}/groups/${group._id}`
+        })
+      };
+
+      const result = await this.sendEmail(mailOptions);
+      logger.group('join_request_expired_email_sent', user._id, group._id);
+      return result;
+    } catch (error) {
+      logger.error('Failed to send join request expired notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send notice that a waitlist spot is being held for the user
+   */
+  async sendWaitlistSpotOffered(user, group, offerExpiresAt) {
+    try {
+      if (user.preferences?.emailNotifications?.groups === false) {
+        return { skipped: true, reason: 'User disabled group notifications' };
+      }
+
+      const mailOptions = {
+        from: `"AcademicAlly" <${process.env.EMAIL_FROM}>`,
+        to: user.email,
+        subject: `A spot opened up in "${group.name}"`,
+        html: this.getEmailTemplate('waitlist-spot-offered', {
+          name: user.name,
+          groupName: group.name,
+          expiresAt: new Date(offerExpiresAt).toLocaleString(),
+          groupUrl: `${process.env.CLIENT_URL}/groups/${group._id}`
+        })
+      };
+
+      const result = await this.sendEmail(mailOptions);
+      logger.group('waitlist_offer_email_sent', user._id, group._id);
+      return result;
+    } catch (error) {
+      logger.error('Failed to send waitlist spot offer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send notice that the user was admitted from a group's waitlist
+   */
+  async sendWaitlistAdmitted(user, group) {
+    try {
+      if (user.preferences?.emailNotifications?.groups === false) {
+        return { skipped: true, reason: 'User disabled group notifications' };
+      }
+
+      const mailOptions = {
+        from: `"AcademicAlly" <${process.env.EMAIL_FROM}>`,
+        to: user.email,
+        subject: `You're in! A spot opened up in "${group.name}" 🎉`,
+        html: this.getEmailTemplate('waitlist-admitted', {
+          name: user.name,
+          groupName: group.name,
+          groupUrl: `${process.env.CLIENT_URL}/groups/${group._id}`
+        })
+      };
+
+      const result = await this.sendEmail(mailOptions);
+      logger.group('waitlist_admitted_email_sent', user._id, group._id);
+      return result;
+    } catch (error) {
+      logger.error('Failed to send waitlist admitted notification:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send new message notification
    */
@@ -398,6 +651,76 @@ class EmailService {
         </div>
       `,
 
+      'match-expiring': `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: #ffc107; padding: 20px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: #333; margin: 0; font-size: 24px;">Match Request Expiring Soon ⏳</h1>
+          </div>
+          <div style="background: white; padding: 30px; border: 1px solid #e5e5e5; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-top: 0;">Hi ${data.name}!</h2>
+            <p style="color: #666; line-height: 1.6;">
+              ${data.isInitiator
+                ? `Your study partner request to ${data.partnerName} hasn't been answered yet.`
+                : `${data.partnerName} is waiting for your answer to their study partner request.`}
+              It expires on <strong>${data.expiresAt}</strong>.
+            </p>
+            ${data.isInitiator && data.canExtend ? `
+            <p style="color: #666; line-height: 1.6;">You can extend the request once if you'd like to give them more time.</p>
+            ` : ''}
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${data.viewMatchUrl}" style="background: #ffc107; color: #333; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+                View Request
+              </a>
+            </div>
+          </div>
+        </div>
+      `,
+
+      'match-expired': `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: #6c757d; padding: 20px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0; font-size: 24px;">Match Request Expired</h1>
+          </div>
+          <div style="background: white; padding: 30px; border: 1px solid #e5e5e5; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-top: 0;">Hi ${data.name}!</h2>
+            <p style="color: #666; line-height: 1.6;">
+              The study partner request between you and ${data.partnerName} expired before it was answered.
+            </p>
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${data.findPartnersUrl}" style="background: #6c757d; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+                Find Study Partners
+              </a>
+            </div>
+          </div>
+        </div>
+      `,
+
+      'match-response': `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: ${data.accepted ? '#28a745' : '#6c757d'}; padding: 20px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0; font-size: 24px;">${data.accepted ? 'Match Request Accepted 🎉' : 'Match Request Declined'}</h1>
+          </div>
+          <div style="background: white; padding: 30px; border: 1px solid #e5e5e5; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-top: 0;">Hi ${data.name}!</h2>
+            <p style="color: #666; line-height: 1.6;">
+              ${data.accepted
+                ? `${data.partnerName} accepted your study partner request. You can now start studying together.`
+                : `${data.partnerName} declined your study partner request.`}
+            </p>
+            ${data.responseMessage ? `
+            <div style="background: #f8f9fa; padding: 15px; border-left: 4px solid ${data.accepted ? '#28a745' : '#6c757d'}; margin: 20px 0;">
+              <p style="color: #666; margin: 0; font-style: italic;">"${data.responseMessage}"</p>
+            </div>
+            ` : ''}
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${data.url}" style="background: ${data.accepted ? '#28a745' : '#6c757d'}; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+                ${data.accepted ? 'View Match' : 'Find Study Partners'}
+              </a>
+            </div>
+          </div>
+        </div>
+      `,
+
       'group-invitation': `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
           <div style="background: #fd7e14; padding: 20px; text-align: center; border-radius: 10px 10px 0 0;">
@@ -413,11 +736,124 @@ class EmailService {
               <p style="color: #666; margin: 5px 0;"><strong>Course:</strong> ${data.course}</p>
               <p style="color: #666; margin: 5px 0;">${data.description}</p>
             </div>
+            ${data.message ? `
+            <div style="background: #f8f9fa; padding: 15px; border-left: 4px solid #fd7e14; margin: 20px 0;">
+              <p style="color: #666; margin: 0; font-style: italic;">"${data.message}"</p>
+            </div>
+            ` : ''}
             <div style="text-align: center; margin: 30px 0;">
               <a href="${data.joinUrl}" style="background: #fd7e14; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
                 Join Group
               </a>
             </div>
+            ${data.expiresAt ? `
+            <p style="color: #999; font-size: 12px; text-align: center;">This invitation expires on ${data.expiresAt}.</p>
+            ` : ''}
+          </div>
+        </div>
+      `,
+
+      'join-request-approved': `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: #28a745; padding: 20px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0; font-size: 24px;">Join Request Approved 🎉</h1>
+          </div>
+          <div style="background: white; padding: 30px; border: 1px solid #e5e5e5; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-top: 0;">Hi ${data.name}!</h2>
+            <p style="color: #666; line-height: 1.6;">
+              Your request to join <strong>${data.groupName}</strong> was approved. You're now a member of the group.
+            </p>
+            ${data.welcomeMessage ? `
+            <div style="background: #f8f9fa; padding: 15px; border-left: 4px solid #28a745; margin: 20px 0;">
+              <p style="color: #666; margin: 0; font-style: italic;">"${data.welcomeMessage}"</p>
+            </div>
+            ` : ''}
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${data.groupUrl}" style="background: #28a745; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+                Go to Group
+              </a>
+            </div>
+          </div>
+        </div>
+      `,
+
+      'join-request-rejected': `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: #6c757d; padding: 20px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0; font-size: 24px;">Join Request Declined</h1>
+          </div>
+          <div style="background: white; padding: 30px; border: 1px solid #e5e5e5; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-top: 0;">Hi ${data.name}!</h2>
+            <p style="color: #666; line-height: 1.6;">
+              Your request to join <strong>${data.groupName}</strong> was not approved.
+            </p>
+            ${data.reason ? `
+            <p style="color: #666; line-height: 1.6;"><strong>Reason:</strong> ${data.reason}</p>
+            ` : ''}
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${data.findGroupsUrl}" style="background: #6c757d; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+                Find Other Groups
+              </a>
+            </div>
+          </div>
+        </div>
+      `,
+
+      'join-request-expired': `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: #6c757d; padding: 20px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0; font-size: 24px;">Join Request Expired</h1>
+          </div>
+          <div style="background: white; padding: 30px; border: 1px solid #e5e5e5; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-top: 0;">Hi ${data.name}!</h2>
+            <p style="color: #666; line-height: 1.6;">
+              Your request to join <strong>${data.groupName}</strong> expired before the group's admins answered it.
+              You're welcome to send a new request.
+            </p>
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${data.groupUrl}" style="background: #6c757d; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+                View Group
+              </a>
+            </div>
+          </div>
+        </div>
+      `,
+
+      'waitlist-spot-offered': `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: #17a2b8; padding: 20px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0; font-size: 24px;">A Spot Opened Up ⏳</h1>
+          </div>
+          <div style="background: white; padding: 30px; border: 1px solid #e5e5e5; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-top: 0;">Hi ${data.name}!</h2>
+            <p style="color: #666; line-height: 1.6;">
+              You're next on the waitlist for <strong>${data.groupName}</strong>, and we're holding a spot for you.
+              Accept it before <strong>${data.expiresAt}</strong> or it goes to the next person in line.
+            </p>
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${data.groupUrl}" style="background: #17a2b8; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+                Claim Your Spot
+              </a>
+            </div>
+          </div>
+        </div>
+      `,
+
+      'waitlist-admitted': `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: #28a745; padding: 20px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0; font-size: 24px;">You're In 🎉</h1>
+          </div>
+          <div style="background: white; padding: 30px; border: 1px solid #e5e5e5; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-top: 0;">Hi ${data.name}!</h2>
+            <p style="color: #666; line-height: 1.6;">
+              A spot opened up in <strong>${data.groupName}</strong> and you were next on the waitlist. You're now a member of the group.
+            </p>
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${data.groupUrl}" style="background: #28a745; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+                Go to Group
+              </a>
+            </div>
           </div>
         </div>
       `,
@@ -0,0 +1,181 @@
+const Feedback = require('../models/Feedback');
+const logger = require('../utils/logger');
+
+/**
+ * Feedback Service for AcademicAlly
+ * Stores user feedback about the matching system and supports admin triage
+ */
+
+class FeedbackService {
+  constructor() {
+    this.statuses = ['new', 'under_review', 'planned', 'resolved', 'dismissed'];
+  }
+
+  /**
+   * Submit feedback
+   * @param {string} userId - Submitting user
+   * @param {Object} feedbackData - { type, subject, message, rating }
+   * @returns {Promise<Object>} Created feedback
+   */
+  async submitFeedback(userId, feedbackData) {
+    try {
+      const { type, subject, message, rating } = feedbackData;
+
+      const feedback = await Feedback.create({
+        user: userId,
+        type,
+        subject,
+        message,
+        rating
+      });
+
+      logger.matching('feedback_submitted', userId, null, {
+        feedbackId: feedback._id,
+        type,
+        rating,
+        priority: feedback.priority
+      });
+
+      return feedback;
+    } catch (error) {
+      logger.error('Error submitting feedback', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * List feedback for triage
+   * @param {Object} filters - { type, status, priority, userId }
+   * @param {Object} pagination - { page, limit }
+   * @returns {Promise<Object>} Feedback and pagination info
+   */
+  async listFeedback(filters = {}, pagination = {}) {
+    try {
+      const { page = 1, limit = 20 } = pagination;
+      const skip = (page - 1) * limit;
+
+      const query = {};
+      if (filters.type) query.type = filters.type;
+      if (filters.status) query.status = filters.status;
+      if (filters.priority) query.priority = filters.priority;
+      if (filters.userId) query.user = filters.userId;
+
+      const [feedback, totalCount] = await Promise.all([
+        Feedback.find(query)
+          .populate('user', 'name email university')
+          .populate('reviewedBy', 'name email')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        Feedback.countDocuments(query)
+      ]);
+
+      return {
+        feedback,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalCount / limit),
+          totalCount,
+          hasNextPage: page < Math.ceil(totalCount / limit),
+          hasPrevPage: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error listing feedback', error, { filters });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single feedback entry
+   * @param {string} feedbackId - Feedback ID
+   * @returns {Promise<Object>} Feedback
+   */
+  async getFeedback(feedbackId) {
+    const feedback = await Feedback.findById(feedbackId)
+      .populate('user', 'name email university')
+      .populate('reviewedBy', 'name email')
+      .populate('statusHistory.changedBy', 'name');
+
+    if (!feedback) {
+      throw new Error('Feedback not found');
+    }
+
+    return feedback;
+  }
+
+  /**
+   * Change the triage status of feedback
+   * @param {string} feedbackId - Feedback ID
+   * @param {string} adminId - Admin making the change
+   * @param {Object} updateData - { status, note, priority }
+   * @returns {Promise<Object>} Updated feedback
+   */
+  async updateFeedbackStatus(feedbackId, adminId, updateData) {
+    try {
+      const { status, note, priority } = updateData;
+
+      if (!this.statuses.includes(status)) {
+        throw new Error('Invalid feedback status');
+      }
+
+      const feedback = await Feedback.findById(feedbackId);
+      if (!feedback) {
+        throw new Error('Feedback not found');
+      }
+
+      const previousStatus = feedback.status;
+      if (priority) {
+        feedback.priority = priority;
+      }
+      await feedback.updateStatus(status, adminId, note);
+
+      logger.matching('feedback_status_updated', adminId, feedback.user, {
+        feedbackId,
+        previousStatus,
+        status
+      });
+
+      return feedback;
+    } catch (error) {
+      logger.error('Error updating feedback status', error, { feedbackId, adminId });
+      throw error;
+    }
+  }
+
+  /**
+   * Aggregate feedback per type
+   * @param {number} days - Optional lookback window in days
+   * @returns {Promise<Object>} Per-type stats and totals
+   */
+  async getFeedbackStats(days = null) {
+    try {
+      const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+      const byType = await Feedback.getStatsByType(since);
+
+      const stats = byType.map(entry => ({
+        type: entry._id,
+        count: entry.count,
+        open: entry.open,
+        resolved: entry.resolved,
+        dismissed: entry.dismissed,
+        averageRating: entry.averageRating !== null ? Math.round(entry.averageRating * 100) / 100 : null,
+        lastSubmittedAt: entry.lastSubmittedAt
+      }));
+
+      return {
+        byType: stats,
+        totals: {
+          count: stats.reduce((sum, entry) => sum + entry.count, 0),
+          open: stats.reduce((sum, entry) => sum + entry.open, 0)
+        },
+        since
+      };
+    } catch (error) {
+      logger.error('Error getting feedback stats', error, { days });
+      throw error;
+    }
+  }
+}
+
+module.exports = new FeedbackService();
@@ -0,0 +1,136 @@
+const Group = require('../models/Group');
+const GroupActivity = require('../models/GroupActivity');
+const logger = require('../utils/logger');
+const { GROUP_CONSTANTS, SOCKET_CONSTANTS, ERROR_MESSAGES } = require('../utils/constants');
+
+const { ACTIVITY } = GROUP_CONSTANTS;
+
+/**
+ * Group Activity Service for AcademicAlly
+ * Persisted per-group activity log (joins, leaves, role changes, settings, files, sessions, pins)
+ * so members can catch up on what happened while they were away. Other services record
+ * entries as things happen; recording never fails the action that triggered it.
+ */
+
+class GroupActivityService {
+  /**
+   * Record an activity entry and push it to the group room
+   * @param {string} groupId - Group ID
+   * @param {string} type - One of GROUP_CONSTANTS.ACTIVITY.TYPES
+   * @param {Object} data - { actor, targetUser, session, message, details }
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object|null>} The activity entry, or null if it couldn't be saved
+   */
+  async record(groupId, type, data = {}, { io } = {}) {
+    try {
+      const { actor, targetUser, session, message, details = {} } = data;
+
+      const activity = await GroupActivity.create({
+        group: groupId,
+        type,
+        actor,
+        targetUser,
+        session,
+        message,
+        details
+      });
+
+      if (io) {
+        await activity.populate([
+          { path: 'actor', select: 'name profilePicture' },
+          { path: 'targetUser', select: 'name profilePicture' }
+        ]);
+        io.to(`${SOCKET_CONSTANTS.ROOMS.GROUP}${groupId}`).emit(SOCKET_CONSTANTS.EVENTS.GROUP_ACTIVITY, {
+          groupId,
+          activity
+        });
+      }
+
+      return activity;
+    } catch (error) {
+      logger.error('Error recording group activity', error, { groupId, type });
+      return null;
+    }
+  }
+
+  /**
+   * Get a group's activity feed, newest first (active members)
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting member
+   * @param {Object} options - { page, limit, types, since, before }
+   * @returns {Promise<Object>} { success, statusCode?, message?, activities?, pagination? }
+   */
+  async getActivity(groupId, userId, options = {}) {
+    try {
+      const group = await Group.findById(groupId).select('members isActive');
+      if (!group || !group.isActive) {
+        return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
+      }
+
+      const isMember = group.members.some(member =>
+        member.user.toString() === userId.toString() && member.isActive
+      );
+      if (!isMember) {
+        return { success: false, statusCode: 403, message: 'Only group members can view group activity' };
+      }
+
+      const page = options.page || 1;
+      const limit = Math.min(options.limit || ACTIVITY.DEFAULT_LIMIT, ACTIVITY.MAX_LIMIT);
+      const query = this.buildQuery(groupId, options);
+
+      const [activities, totalCount] = await Promise.all([
+        GroupActivity.find(query)
+          .populate('actor', 'name profilePicture')
+          .populate('targetUser', 'name profilePicture')
+          .populate('session', 'title scheduledFor status')
+          .populate('message', 'content attachments pinned')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        GroupActivity.countDocuments(query)
+      ]);
+
+      const totalPages = Math.ceil(totalCount / limit);
+
+      return {
+        success: true,
+        activities,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting group activity', error, { groupId, userId });
+      throw error;
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Build the feed query from type and date filters
+   * `since` is exclusive so a client can pass the newest createdAt it has already seen.
+   */
+  buildQuery(groupId, { types, since, before } = {}) {
+    const query = { group: groupId };
+
+    if (types && types.length > 0) {
+      query.type = { $in: types };
+    }
+
+    if (since || before) {
+      query.createdAt = {};
+      if (since) query.createdAt.$gt = new Date(since);
+      if (before) query.createdAt.$lt = new Date(before);
+    }
+
+    return query;
+  }
+}
+
+module.exports = new GroupActivityService();
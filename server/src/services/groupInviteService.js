@@ -0,0 +1,620 @@
+const crypto = require('crypto');
+const Group = require('../models/Group');
+const GroupInvite = require('../models/GroupInvite');
+const User = require('../models/User');
+const groupService = require('./groupService');
+const emailService = require('./emailService');
+const groupActivityService = require('./groupActivityService');
+const waitlistService = require('./waitlistService');
+const logger = require('../utils/logger');
+const { GROUP_CONSTANTS, SOCKET_CONSTANTS, ERROR_MESSAGES } = require('../utils/constants');
+
+const { INVITE } = GROUP_CONSTANTS;
+
+/**
+ * Group Invite Service for AcademicAlly
+ * Direct invites to a user and shareable invite links with an expiry and usage limit.
+ * Group admins create and revoke invites; accepting one joins the group without going
+ * through requiresApproval, since an admin has already vouched for the new member.
+ * Lapsed invites are marked expired when they are next read.
+ */
+
+class GroupInviteService {
+  /**
+   * Invite a user to a group (group creator/admin)
+   * @param {string} groupId - Group ID
+   * @param {string} inviterId - Admin sending the invite
+   * @param {Object} inviteData - { userId | email, message }
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message?, invite? }
+   */
+  async inviteUser(groupId, inviterId, { userId, email, message } = {}, { io } = {}) {
+    try {
+      const access = await this.getAdminAccess(groupId, inviterId);
+      if (!access.success) return access;
+
+      const { group } = access;
+      const invitee = userId
+        ? await User.findById(userId).select('name email preferences profilePicture')
+        : await User.findOne({ email: email.toLowerCase() }).select('name email preferences profilePicture');
+
+      if (!invitee) {
+        return { success: false, statusCode: 404, message: 'User not found' };
+      }
+      if (invitee._id.toString() === inviterId.toString()) {
+        return { success: false, statusCode: 400, message: 'You cannot invite yourself' };
+      }
+
+      const problem = this.checkCanJoin(group, invitee._id);
+      if (problem) {
+        return {
+          success: false,
+          ...problem,
+          message: problem.message === ERROR_MESSAGES.GROUP.ALREADY_MEMBER
+            ? 'User is already a member of this group'
+            : problem.message
+        };
+      }
+
+      // Clear out a lapsed invite so the user can be invited again
+      await GroupInvite.updateMany(
+        { group: groupId, invitee: invitee._id, status: 'active', expiresAt: { $lte: new Date() } },
+        { $set: { status: 'expired' } }
+      );
+
+      const existing = await GroupInvite.findOne({ group: groupId, invitee: invitee._id, status: 'active' });
+      if (existing) {
+        return { success: false, statusCode: 400, message: 'User already has a pending invite to this group' };
+      }
+
+      const invite = await GroupInvite.create({
+        group: groupId,
+        invitedBy: inviterId,
+        type: 'direct',
+        invitee: invitee._id,
+        email: invitee.email,
+        message,
+        expiresAt: new Date(Date.now() + INVITE.DIRECT_EXPIRES_AFTER_MS)
+      });
+
+      const inviter = await User.findById(inviterId).select('name profilePicture');
+
+      this.emitToUser(io, invitee._id, SOCKET_CONSTANTS.EVENTS.INVITATION_RECEIVED, {
+        inviteId: invite._id,
+        groupId: group._id,
+        group: {
+          name: group.name,
+          course: group.course,
+          memberCount: group.currentMemberCount
+        },
+        inviter,
+        message,
+        expiresAt: invite.expiresAt
+      });
+      if (io) {
+        io.to(`${SOCKET_CONSTANTS.ROOMS.GROUP}${group._id}`).emit(SOCKET_CONSTANTS.EVENTS.MEMBER_INVITED, {
+          groupId: group._id,
+          inviteId: invite._id,
+          invitedUser: { _id: invitee._id, name: invitee.name, profilePicture: invitee.profilePicture },
+          inviter,
+          timestamp: new Date()
+        });
+      }
+
+      try {
+        await emailService.sendGroupInvitation(invitee, group, inviter, invite);
+      } catch (error) {
+        logger.error('Group invitation email failed', error, { groupId, inviteId: invite._id });
+      }
+
+      logger.group('member_invited', inviterId, groupId, {
+        inviteId: invite._id,
+        inviteeId: invitee._id
+      });
+
+      return { success: true, invite };
+    } catch (error) {
+      logger.error('Error inviting user to group', error, { groupId, inviterId });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a shareable invite link (group creator/admin)
+   * @param {string} groupId - Group ID
+   * @param {string} adminId - Admin creating the link
+   * @param {Object} options - { maxUses, expiresInHours }
+   * @returns {Promise<Object>} { success, statusCode?, message?, invite? }
+   */
+  async createInviteLink(groupId, adminId, options = {}) {
+    try {
+      const access = await this.getAdminAccess(groupId, adminId);
+      if (!access.success) return access;
+
+      const { group } = access;
+      if (group.status !== 'active') {
+        return { success: false, statusCode: 400, message: 'Group is not accepting new members' };
+      }
+
+      await this.expireLapsedInvites(groupId);
+
+      const activeLinks = await GroupInvite.countDocuments({ group: groupId, type: 'link', status: 'active' });
+      if (activeLinks >= INVITE.MAX_ACTIVE_LINKS) {
+        return {
+          success: false,
+          statusCode: 400,
+          message: `A group can have at most ${INVITE.MAX_ACTIVE_LINKS} active invite links. Revoke one first.`
+        };
+      }
+
+      const {
+        maxUses = INVITE.LINK_MAX_USES,
+        expiresInHours = INVITE.LINK_DEFAULT_EXPIRES_HOURS
+      } = options;
+
+      const invite = await GroupInvite.create({
+        group: groupId,
+        invitedBy: adminId,
+        type: 'link',
+        token: crypto.randomBytes(INVITE.TOKEN_BYTES).toString('hex'),
+        maxUses,
+        expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+      });
+
+      logger.group('invite_link_created', adminId, groupId, {
+        inviteId: invite._id,
+        maxUses,
+        expiresAt: invite.expiresAt
+      });
+
+      return { success: true, invite: this.formatInvite(invite) };
+    } catch (error) {
+      logger.error('Error creating invite link', error, { groupId, adminId });
+      throw error;
+    }
+  }
+
+  /**
+   * List a group's invites and invite links (group creator/admin)
+   * @param {string} groupId - Group ID
+   * @param {string} adminId - Admin requesting the list
+   * @param {Object} options - { status: active|accepted|declined|revoked|expired|all, type }
+   * @returns {Promise<Object>} { success, statusCode?, message?, invites? }
+   */
+  async getGroupInvites(groupId, adminId, options = {}) {
+    try {
+      const access = await this.getAdminAccess(groupId, adminId);
+      if (!access.success) return access;
+
+      await this.expireLapsedInvites(groupId);
+
+      const { status = 'active', type } = options;
+      const query = { group: groupId };
+      if (status !== 'all') query.status = status;
+      if (type) query.type = type;
+
+      const invites = await GroupInvite.find(query)
+        .select('+token')
+        .populate('invitee', 'name profilePicture')
+        .populate('invitedBy', 'name')
+        .populate('uses.user', 'name profilePicture')
+        .sort({ createdAt: -1 });
+
+      return { success: true, invites: invites.map(invite => this.formatInvite(invite)) };
+    } catch (error) {
+      logger.error('Error getting group invites', error, { groupId, adminId });
+      throw error;
+    }
+  }
+
+  /**
+   * List the current user's open direct invites
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, invites }
+   */
+  async getMyInvites(userId) {
+    try {
+      const invites = await GroupInvite.findOpenForUser(userId)
+        .populate('group', 'name description course subject maxMembers members isActive')
+        .populate('invitedBy', 'name profilePicture');
+
+      return {
+        success: true,
+        invites: invites.filter(invite => invite.group && invite.group.isActive)
+      };
+    } catch (error) {
+      logger.error('Error getting user invites', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Preview the group behind an invite link before joining
+   * @param {string} token - Invite link token
+   * @returns {Promise<Object>} { success, statusCode?, message?, preview? }
+   */
+  async getInviteByToken(token) {
+    try {
+      const lookup = await this.findUsableLink(token);
+      if (!lookup.success) return lookup;
+
+      const { invite, group } = lookup;
+      await invite.populate('invitedBy', 'name profilePicture');
+
+      return {
+        success: true,
+        preview: {
+          group: {
+            _id: group._id,
+            name: group.name,
+            description: group.description,
+            course: group.course,
+            subject: group.subject,
+            memberCount: group.currentMemberCount,
+            maxMembers: group.maxMembers
+          },
+          invitedBy: invite.invitedBy,
+          expiresAt: invite.expiresAt,
+          remainingUses: invite.remainingUses
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting invite link', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Accept a direct invite and join the group
+   * @param {string} inviteId - Invite ID
+   * @param {string} userId - Invited user
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message?, invite?, group? }
+   */
+  async acceptInvite(inviteId, userId, { io } = {}) {
+    try {
+      const lookup = await this.getOpenDirectInvite(inviteId, userId);
+      if (!lookup.success) return lookup;
+
+      const { invite } = lookup;
+      const group = await Group.findById(invite.group);
+      if (!group || !group.isActive) {
+        return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
+      }
+
+      const problem = this.checkCanJoin(group, userId);
+      if (problem) {
+        return { success: false, ...problem };
+      }
+
+      await this.addToGroup(group, userId, invite, io);
+
+      invite.status = 'accepted';
+      invite.respondedAt = new Date();
+      await invite.save();
+
+      this.emitToUser(io, invite.invitedBy, SOCKET_CONSTANTS.EVENTS.INVITATION_ACCEPTED, {
+        inviteId: invite._id,
+        groupId: group._id,
+        userId
+      });
+
+      logger.group('group_invite_accepted', userId, group._id, { inviteId });
+
+      return { success: true, invite, group };
+    } catch (error) {
+      logger.error('Error accepting group invite', error, { inviteId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Decline a direct invite
+   * @param {string} inviteId - Invite ID
+   * @param {string} userId - Invited user
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message?, invite? }
+   */
+  async declineInvite(inviteId, userId, { io } = {}) {
+    try {
+      const lookup = await this.getOpenDirectInvite(inviteId, userId);
+      if (!lookup.success) return lookup;
+
+      const { invite } = lookup;
+      invite.status = 'declined';
+      invite.respondedAt = new Date();
+      await invite.save();
+
+      this.emitToUser(io, invite.invitedBy, SOCKET_CONSTANTS.EVENTS.INVITATION_DECLINED, {
+        inviteId: invite._id,
+        groupId: invite.group,
+        userId
+      });
+
+      logger.group('group_invite_declined', userId, invite.group, { inviteId });
+
+      return { success: true, invite };
+    } catch (error) {
+      logger.error('Error declining group invite', error, { inviteId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Join a group through an invite link
+   * The use is claimed atomically so concurrent joins can't go past maxUses.
+   * @param {string} token - Invite link token
+   * @param {string} userId - User joining
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message?, group? }
+   */
+  async joinWithLink(token, userId, { io } = {}) {
+    try {
+      const lookup = await this.findUsableLink(token);
+      if (!lookup.success) return lookup;
+
+      const { invite, group } = lookup;
+      const problem = this.checkCanJoin(group, userId);
+      if (problem) {
+        return { success: false, ...problem };
+      }
+
+      const now = new Date();
+      const claimed = await GroupInvite.findOneAndUpdate(
+        {
+          _id: invite._id,
+          status: 'active',
+          expiresAt: { $gt: now },
+          $expr: { $lt: ['$useCount', '$maxUses'] }
+        },
+        {
+          $inc: { useCount: 1 },
+          $push: { uses: { user: userId, usedAt: now } }
+        },
+        { new: true }
+      );
+      if (!claimed) {
+        return { success: false, statusCode: 410, message: 'This invite link is no longer valid' };
+      }
+
+      try {
+        await this.addToGroup(group, userId, invite, io);
+      } catch (error) {
+        // Give the use back if joining failed after it was claimed
+        await GroupInvite.updateOne(
+          { _id: invite._id },
+          { $inc: { useCount: -1 }, $pull: { uses: { user: userId, usedAt: now } } }
+        );
+        throw error;
+      }
+
+      logger.group('group_joined_with_link', userId, group._id, {
+        inviteId: invite._id,
+        useCount: claimed.useCount
+      });
+
+      return { success: true, group };
+    } catch (error) {
+      logger.error('Error joining group with invite link', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an open invite or invite link (group creator/admin)
+   * @param {string} groupId - Group ID
+   * @param {string} inviteId - Invite ID
+   * @param {string} adminId - Admin revoking
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message?, invite? }
+   */
+  async revokeInvite(groupId, inviteId, adminId, { io } = {}) {
+    try {
+      const access = await this.getAdminAccess(groupId, adminId);
+      if (!access.success) return access;
+
+      const invite = await GroupInvite.findOne({ _id: inviteId, group: groupId });
+      if (!invite) {
+        return { success: false, statusCode: 404, message: 'Invite not found' };
+      }
+      if (invite.status !== 'active') {
+        return { success: false, statusCode: 400, message: `Invite has already been ${invite.status}` };
+      }
+
+      invite.status = 'revoked';
+      invite.revokedAt = new Date();
+      invite.revokedBy = adminId;
+      await invite.save();
+
+      if (invite.type === 'direct') {
+        this.emitToUser(io, invite.invitee, SOCKET_CONSTANTS.EVENTS.INVITATION_REVOKED, {
+          inviteId: invite._id,
+          groupId
+        });
+      }
+
+      logger.group('group_invite_revoked', adminId, groupId, { inviteId, type: invite.type });
+
+      return { success: true, invite };
+    } catch (error) {
+      logger.error('Error revoking group invite', error, { groupId, inviteId, adminId });
+      throw error;
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Add a user through an invite: joins the group, closes any pending join request and
+   * waitlist entry, posts the welcome message and tells the group room
+   */
+  async addToGroup(group, userId, invite, io) {
+    const { invitedBy } = invite;
+    const now = new Date();
+
+    const pendingRequest = group.joinRequests.find(request =>
+      request.user.toString() === userId.toString() && request.status === 'pending'
+    );
+    if (pendingRequest) {
+      pendingRequest.status = 'approved';
+      pendingRequest.reviewedBy = invitedBy;
+      pendingRequest.reviewedAt = now;
+    }
+
+    // A spot held for the user (offered, or requested for review) is the one they take
+    const waitlistEntry = waitlistService.findOpenEntry(group, userId);
+    if (waitlistEntry) {
+      waitlistEntry.status = 'admitted';
+      waitlistEntry.respondedAt = now;
+    }
+
+    // addMember saves the group, including the closed join request and waitlist entry
+    await group.addMember(userId);
+    await User.findByIdAndUpdate(userId, { $addToSet: { groupsJoined: group._id } });
+
+    await groupActivityService.record(group._id, 'member_joined', {
+      actor: userId,
+      targetUser: userId,
+      details: { via: invite.type === 'link' ? 'invite_link' : 'invite', invitedBy }
+    }, { io });
+
+    const user = await User.findById(userId).select('name profilePicture');
+    if (!user) return;
+
+    await groupService.sendWelcomeMessage(group._id, userId, user.name);
+
+    if (io) {
+      io.to(`${SOCKET_CONSTANTS.ROOMS.GROUP}${group._id}`).emit(SOCKET_CONSTANTS.EVENTS.USER_JOINED_GROUP, {
+        groupId: group._id,
+        user: { _id: user._id, name: user.name, profilePicture: user.profilePicture }
+      });
+    }
+  }
+
+  /**
+   * Check a user can be added to a group through an invite
+   * Unlike GroupService.validateJoinRequest, group requirements don't apply.
+   * @returns {Object|null} { statusCode, message } or null when the user can join
+   */
+  checkCanJoin(group, userId) {
+    if (group.status !== 'active') {
+      return { statusCode: 400, message: 'Group is not accepting new members' };
+    }
+
+    const isMember = group.members.some(member =>
+      member.user.toString() === userId.toString() && member.isActive
+    );
+    if (isMember) {
+      return { statusCode: 400, message: ERROR_MESSAGES.GROUP.ALREADY_MEMBER };
+    }
+
+    // A spot held for the user on the waitlist is theirs to take
+    const entry = waitlistService.findOpenEntry(group, userId);
+    const holdsSpot = Boolean(entry) && GROUP_CONSTANTS.WAITLIST.HOLDING_STATUSES.includes(entry.status);
+    if (group.isFull && !holdsSpot) {
+      return { statusCode: 400, message: ERROR_MESSAGES.GROUP.GROUP_FULL };
+    }
+
+    return null;
+  }
+
+  /**
+   * Load an invite link and its group, checking the link can still be used
+   * @returns {Promise<Object>} { success, statusCode?, message?, invite?, group? }
+   */
+  async findUsableLink(token) {
+    const invite = await GroupInvite.findOne({ token, type: 'link' });
+    if (!invite) {
+      return { success: false, statusCode: 404, message: 'Invite link not found' };
+    }
+
+    await invite.expireIfLapsed();
+    if (!invite.isUsable) {
+      return { success: false, statusCode: 410, message: 'This invite link is no longer valid' };
+    }
+
+    const group = await Group.findById(invite.group);
+    if (!group || !group.isActive) {
+      return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
+    }
+
+    return { success: true, invite, group };
+  }
+
+  /**
+   * Load a user's own direct invite, checking it is still open
+   * @returns {Promise<Object>} { success, statusCode?, message?, invite? }
+   */
+  async getOpenDirectInvite(inviteId, userId) {
+    const invite = await GroupInvite.findOne({ _id: inviteId, type: 'direct', invitee: userId });
+    if (!invite) {
+      return { success: false, statusCode: 404, message: 'Invite not found' };
+    }
+
+    if (await invite.expireIfLapsed()) {
+      return { success: false, statusCode: 410, message: 'Invite has expired' };
+    }
+    if (invite.status !== 'active') {
+      return { success: false, statusCode: 400, message: `Invite has already been ${invite.status}` };
+    }
+
+    return { success: true, invite };
+  }
+
+  /**
+   * Mark a group's lapsed invites expired
+   */
+  expireLapsedInvites(groupId) {
+    return GroupInvite.updateMany(
+      { group: groupId, status: 'active', expiresAt: { $lte: new Date() } },
+      { $set: { status: 'expired' } }
+    );
+  }
+
+  /**
+   * Invite as a plain object, with the shareable URL for invite links
+   */
+  formatInvite(invite) {
+    const data = invite.toJSON();
+    if (invite.type === 'link' && invite.token) {
+      data.url = `${process.env.CLIENT_URL}/groups/join/${invite.token}`;
+    }
+    return data;
+  }
+
+  /**
+   * Load a group and check the user can manage its invites (creator/admin)
+   * @returns {Promise<Object>} { success, statusCode?, message?, group? }
+   */
+  async getAdminAccess(groupId, userId) {
+    const group = await Group.findById(groupId);
+    if (!group || !group.isActive) {
+      return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
+    }
+
+    const isAdmin = group.members.some(member =>
+      member.user.toString() === userId.toString() &&
+      member.isActive &&
+      ['admin', 'creator'].includes(member.role)
+    );
+    if (!isAdmin) {
+      return { success: false, statusCode: 403, message: 'Only group admins can manage invites' };
+    }
+
+    return { success: true, group };
+  }
+
+  /**
+   * Emit an event to a user's personal room
+   * @param {Object} io - Socket.IO server (no-op when not available)
+   * @param {string} userId - Recipient user ID
+   * @param {string} event - Event name
+   * @param {Object} data - Payload
+   */
+  emitToUser(io, userId, event, data) {
+    if (!io) return;
+    io.to(`${SOCKET_CONSTANTS.ROOMS.USER}${userId}`).emit(event, data);
+  }
+}
+
+module.exports = new GroupInviteService();
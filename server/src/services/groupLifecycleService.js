@@ -0,0 +1,183 @@
+const Group = require('../models/Group');
+const groupActivityService = require('./groupActivityService');
+const waitlistService = require('./waitlistService');
+const groupLifecycle = require('../utils/groupLifecycle');
+const logger = require('../utils/logger');
+const { GROUP_CONSTANTS, SOCKET_CONSTANTS, ERROR_MESSAGES } = require('../utils/constants');
+
+const { LIFECYCLE } = GROUP_CONSTANTS;
+
+/**
+ * Group Lifecycle Service for AcademicAlly
+ * Moves groups between statuses (active, paused, completed, archived) under the rules in
+ * GROUP_CONSTANTS.LIFECYCLE. Paused groups drop out of search and stop taking members;
+ * completed and archived groups are read-only but former members keep their history.
+ * Groups are completed automatically once their schedule's end date has passed.
+ */
+
+class GroupLifecycleService {
+  /**
+   * Change a group's status (group creator)
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User making the change
+   * @param {string} status - Target status: active, paused, completed or archived
+   * @param {Object} options - { reason, endDate } (endDate: new schedule end when reactivating)
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message, group?, previousStatus? }
+   */
+  async changeStatus(groupId, userId, status, options = {}, { io } = {}) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group || !group.isActive) {
+        return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
+      }
+
+      if (group.creator.toString() !== userId.toString()) {
+        return { success: false, statusCode: 403, message: 'Only the group creator can change the group\'s status' };
+      }
+
+      const previousStatus = group.status;
+      if (previousStatus === status) {
+        return { success: false, statusCode: 400, message: `Group is already ${status}` };
+      }
+
+      const allowed = LIFECYCLE.TRANSITIONS[previousStatus] || [];
+      if (!allowed.includes(status)) {
+        return { success: false, statusCode: 400, message: `A ${previousStatus} group cannot be ${this.describe(status)}` };
+      }
+
+      if (status === 'active') {
+        const problem = this.checkCanReactivate(group, options.endDate);
+        if (problem) return { success: false, ...problem };
+        if (options.endDate) {
+          group.set('schedule.endDate', new Date(options.endDate));
+        }
+      }
+
+      this.applyStatus(group, status, { actor: userId, reason: options.reason });
+      await group.save();
+
+      await this.announce(group, previousStatus, { actor: userId, reason: options.reason }, io);
+
+      // Spots may have opened while the group was closed
+      if (status === 'active') {
+        await waitlistService.processVacancies(group, { io });
+      }
+
+      logger.group('group_status_changed', userId, groupId, { from: previousStatus, to: status });
+
+      return {
+        success: true,
+        message: `Group ${this.describe(status)}`,
+        group,
+        previousStatus
+      };
+    } catch (error) {
+      logger.error('Error changing group status', error, { groupId, userId, status });
+      throw error;
+    }
+  }
+
+  /**
+   * Complete running groups whose schedule has ended
+   * Run periodically by the group auto-complete job.
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { completed, failed }
+   */
+  async processAutoCompletions({ io } = {}) {
+    const now = new Date();
+    let completed = 0;
+    let failed = 0;
+
+    const groups = await Group.findDueForCompletion(now, LIFECYCLE.BATCH_SIZE);
+
+    for (const group of groups) {
+      try {
+        const previousStatus = group.status;
+        const reason = 'The group\'s schedule has ended';
+
+        this.applyStatus(group, 'completed', { reason });
+        await group.save();
+
+        await this.announce(group, previousStatus, { reason, automatic: true }, io);
+
+        logger.group('group_auto_completed', null, group._id, { from: previousStatus });
+        completed++;
+      } catch (error) {
+        failed++;
+        logger.error('Error auto-completing group', error, { groupId: group._id });
+      }
+    }
+
+    return { completed, failed };
+  }
+
+  // Private helper methods
+
+  /**
+   * Set the status and its bookkeeping fields on a group (not saved; see utils/groupLifecycle)
+   * @param {Object} group - Group document
+   * @param {string} status - New status
+   * @param {Object} change - { actor, reason }
+   */
+  applyStatus(group, status, { actor, reason } = {}) {
+    groupLifecycle.applyStatus(group, status, { actor, reason });
+  }
+
+  /**
+   * Record the change in the activity feed and tell the group room
+   * @param {Object} group - Group document (already saved)
+   * @param {string} previousStatus - Status before the change
+   * @param {Object} change - { actor, reason, automatic }
+   * @param {Object} io - Socket.IO server (optional)
+   */
+  async announce(group, previousStatus, { actor, reason, automatic = false } = {}, io) {
+    await groupActivityService.record(group._id, 'status_changed', {
+      actor,
+      details: { from: previousStatus, to: group.status, reason, automatic }
+    }, { io });
+
+    if (io) {
+      io.to(`${SOCKET_CONSTANTS.ROOMS.GROUP}${group._id}`).emit(SOCKET_CONSTANTS.EVENTS.GROUP_STATUS_CHANGED, {
+        groupId: group._id,
+        status: group.status,
+        previousStatus,
+        reason,
+        automatic
+      });
+    }
+  }
+
+  /**
+   * Check a group can go back to active
+   * A schedule that has already ended needs a new end date, or the group would be completed again straight away.
+   * @returns {Object|null} { statusCode, message } or null when it can
+   */
+  checkCanReactivate(group, endDate) {
+    const now = new Date();
+
+    if (endDate && new Date(endDate) <= now) {
+      return { statusCode: 400, message: 'New end date must be in the future' };
+    }
+
+    if (!endDate && group.schedule?.endDate && group.schedule.endDate <= now) {
+      return { statusCode: 400, message: 'The group\'s schedule has ended; provide a new end date to reactivate it' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Past-tense wording for a status change
+   */
+  describe(status) {
+    return {
+      active: 'reactivated',
+      paused: 'paused',
+      completed: 'completed',
+      archived: 'archived'
+    }[status] || status;
+  }
+}
+
+module.exports = new GroupLifecycleService();
@@ -0,0 +1,305 @@
+const Group = require('../models/Group');
+const groupActivityService = require('./groupActivityService');
+const logger = require('../utils/logger');
+const { GROUP_CONSTANTS, SOCKET_CONSTANTS, ERROR_MESSAGES } = require('../utils/constants');
+
+const { ROLE_HISTORY } = GROUP_CONSTANTS;
+
+/**
+ * Group Role Service for AcademicAlly
+ * Promote/demote admins, transfer ownership, and the role change audit trail.
+ * Only the group creator can change roles; every change is recorded in Group.roleHistory.
+ */
+
+class GroupRoleService {
+  /**
+   * Promote a member to admin
+   * @param {string} groupId - Group ID
+   * @param {string} actorId - Group creator making the change
+   * @param {string} memberId - Member to promote
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message?, member? }
+   */
+  async promoteMember(groupId, actorId, memberId, { io } = {}) {
+    try {
+      const access = await this.getCreatorAccess(groupId, actorId);
+      if (!access.success) return access;
+
+      const { group } = access;
+      const member = this.findActiveMember(group, memberId);
+      if (!member) {
+        return { success: false, statusCode: 404, message: 'Member not found in this group' };
+      }
+      if (member.role !== 'member') {
+        return { success: false, statusCode: 400, message: `Member is already ${member.role === 'creator' ? 'the creator' : 'an admin'}` };
+      }
+
+      this.recordRoleChange(group, { user: memberId, action: 'promoted', fromRole: 'member', toRole: 'admin', changedBy: actorId });
+      await group.promoteToAdmin(memberId);
+
+      await this.emitRoleChange(io, group, { userId: memberId, fromRole: 'member', toRole: 'admin', changedBy: actorId });
+      logger.group('member_promoted', actorId, groupId, { memberId });
+
+      return { success: true, member: this.findActiveMember(group, memberId) };
+    } catch (error) {
+      logger.error('Error promoting member', error, { groupId, actorId, memberId });
+      throw error;
+    }
+  }
+
+  /**
+   * Demote an admin to a regular member
+   * @param {string} groupId - Group ID
+   * @param {string} actorId - Group creator making the change
+   * @param {string} memberId - Admin to demote
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message?, member? }
+   */
+  async demoteMember(groupId, actorId, memberId, { io } = {}) {
+    try {
+      const access = await this.getCreatorAccess(groupId, actorId);
+      if (!access.success) return access;
+
+      const { group } = access;
+      const member = this.findActiveMember(group, memberId);
+      if (!member) {
+        return { success: false, statusCode: 404, message: 'Member not found in this group' };
+      }
+      if (member.role === 'creator') {
+        return { success: false, statusCode: 400, message: 'The group creator cannot be demoted. Transfer ownership instead.' };
+      }
+      if (member.role !== 'admin') {
+        return { success: false, statusCode: 400, message: 'Member is not an admin' };
+      }
+
+      this.recordRoleChange(group, { user: memberId, action: 'demoted', fromRole: 'admin', toRole: 'member', changedBy: actorId });
+      await group.demoteToMember(memberId);
+
+      await this.emitRoleChange(io, group, { userId: memberId, fromRole: 'admin', toRole: 'member', changedBy: actorId });
+      logger.group('member_demoted', actorId, groupId, { memberId });
+
+      return { success: true, member: this.findActiveMember(group, memberId) };
+    } catch (error) {
+      logger.error('Error demoting member', error, { groupId, actorId, memberId });
+      throw error;
+    }
+  }
+
+  /**
+   * Make another active member the group creator; the current creator stays on as an admin
+   * @param {string} groupId - Group ID
+   * @param {string} actorId - Current group creator
+   * @param {string} newOwnerId - Member taking over
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message?, group? }
+   */
+  async transferOwnership(groupId, actorId, newOwnerId, { io } = {}) {
+    try {
+      const access = await this.getCreatorAccess(groupId, actorId);
+      if (!access.success) return access;
+
+      const { group } = access;
+      if (actorId.toString() === newOwnerId.toString()) {
+        return { success: false, statusCode: 400, message: 'You already own this group' };
+      }
+
+      const result = this.prepareTransfer(group, actorId, newOwnerId, 'ownership_transferred');
+      if (!result.success) return result;
+
+      await group.transferOwnership(newOwnerId);
+
+      await this.emitOwnershipTransfer(io, group, actorId, newOwnerId, result.previousRole);
+      logger.group('ownership_transferred', actorId, groupId, { newOwnerId });
+
+      return { success: true, group };
+    } catch (error) {
+      logger.error('Error transferring ownership', error, { groupId, actorId, newOwnerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Hand ownership on when the creator leaves
+   * Goes to newOwnerId if given, otherwise to the longest-serving admin. With no other admin and
+   * no explicit new owner the creator can't leave, so the group is never left without an admin.
+   * Saves the group when ownership changes.
+   * @param {Object} group - Group document
+   * @param {string} creatorId - Creator who is leaving
+   * @param {string} newOwnerId - Member to take over (optional)
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message?, newOwnerId? }
+   */
+  async handOffOwnership(group, creatorId, newOwnerId, { io } = {}) {
+    const successorId = newOwnerId || this.findSuccessor(group, creatorId);
+    if (!successorId) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: 'You are the only admin of this group. Promote another member or transfer ownership before leaving.'
+      };
+    }
+
+    if (successorId.toString() === creatorId.toString()) {
+      return { success: false, statusCode: 400, message: 'Choose another member to take over the group' };
+    }
+
+    const result = this.prepareTransfer(group, creatorId, successorId, 'ownership_handed_off');
+    if (!result.success) return result;
+
+    await group.transferOwnership(successorId);
+
+    await this.emitOwnershipTransfer(io, group, creatorId, successorId, result.previousRole);
+    logger.group('ownership_handed_off', creatorId, group._id, { newOwnerId: successorId });
+
+    return { success: true, newOwnerId: successorId };
+  }
+
+  /**
+   * Get a group's role change history (active members)
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting member
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} { success, statusCode?, message?, history? }
+   */
+  async getRoleHistory(groupId, userId, options = {}) {
+    try {
+      const group = await Group.findById(groupId)
+        .select('members roleHistory isActive')
+        .populate('roleHistory.user', 'name profilePicture')
+        .populate('roleHistory.changedBy', 'name');
+
+      if (!group || !group.isActive) {
+        return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
+      }
+      if (!this.findActiveMember(group, userId)) {
+        return { success: false, statusCode: 403, message: 'Only group members can view role history' };
+      }
+
+      const limit = options.limit || ROLE_HISTORY.DEFAULT_LIMIT;
+      const history = [...group.roleHistory]
+        .sort((a, b) => b.changedAt - a.changedAt)
+        .slice(0, limit);
+
+      return { success: true, history };
+    } catch (error) {
+      logger.error('Error getting role history', error, { groupId, userId });
+      throw error;
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Check the new owner and record both sides of an ownership change (not saved)
+   * @returns {Object} { success, statusCode?, message?, previousRole? }
+   */
+  prepareTransfer(group, creatorId, newOwnerId, action) {
+    const newOwner = this.findActiveMember(group, newOwnerId);
+    if (!newOwner) {
+      return { success: false, statusCode: 404, message: 'New owner must be an active member of this group' };
+    }
+
+    const previousRole = newOwner.role;
+    this.recordRoleChange(group, { user: newOwnerId, action, fromRole: previousRole, toRole: 'creator', changedBy: creatorId });
+    this.recordRoleChange(group, { user: creatorId, action, fromRole: 'creator', toRole: 'admin', changedBy: creatorId });
+
+    return { success: true, previousRole };
+  }
+
+  /**
+   * Longest-serving active admin other than the creator
+   */
+  findSuccessor(group, creatorId) {
+    const admins = group.members
+      .filter(member =>
+        member.isActive &&
+        member.role === 'admin' &&
+        member.user.toString() !== creatorId.toString()
+      )
+      .sort((a, b) => a.joinedAt - b.joinedAt);
+
+    return admins.length > 0 ? admins[0].user : null;
+  }
+
+  /**
+   * Append to the role audit trail, dropping the oldest entries past ROLE_HISTORY.MAX_ENTRIES
+   */
+  recordRoleChange(group, entry) {
+    group.roleHistory.push({ ...entry, changedAt: new Date() });
+
+    const overflow = group.roleHistory.length - ROLE_HISTORY.MAX_ENTRIES;
+    if (overflow > 0) {
+      group.roleHistory.splice(0, overflow);
+    }
+  }
+
+  /**
+   * Find a user's active membership
+   */
+  findActiveMember(group, userId) {
+    return group.members.find(member =>
+      member.user.toString() === userId.toString() && member.isActive
+    );
+  }
+
+  /**
+   * Load a group and check the user is its creator
+   * @returns {Promise<Object>} { success, statusCode?, message?, group? }
+   */
+  async getCreatorAccess(groupId, userId) {
+    const group = await Group.findById(groupId);
+    if (!group || !group.isActive) {
+      return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
+    }
+
+    const membership = this.findActiveMember(group, userId);
+    if (!membership || membership.role !== 'creator') {
+      return { success: false, statusCode: 403, message: 'Only the group creator can change member roles' };
+    }
+
+    return { success: true, group };
+  }
+
+  /**
+   * Log a role change to the group activity feed and tell the group room
+   */
+  async emitRoleChange(io, group, { userId, fromRole, toRole, changedBy }) {
+    await groupActivityService.record(group._id, 'role_changed', {
+      actor: changedBy,
+      targetUser: userId,
+      details: { fromRole, toRole }
+    }, { io });
+
+    if (!io) return;
+    io.to(`${SOCKET_CONSTANTS.ROOMS.GROUP}${group._id}`).emit(SOCKET_CONSTANTS.EVENTS.MEMBER_ROLE_CHANGED, {
+      groupId: group._id,
+      userId,
+      fromRole,
+      toRole,
+      changedBy,
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * Log an ownership change to the group activity feed and tell the group room
+   */
+  async emitOwnershipTransfer(io, group, previousOwnerId, newOwnerId, previousRole) {
+    await groupActivityService.record(group._id, 'role_changed', {
+      actor: previousOwnerId,
+      targetUser: newOwnerId,
+      details: { fromRole: previousRole, toRole: 'creator', ownershipTransfer: true }
+    }, { io });
+
+    if (!io) return;
+    io.to(`${SOCKET_CONSTANTS.ROOMS.GROUP}${group._id}`).emit(SOCKET_CONSTANTS.EVENTS.OWNERSHIP_TRANSFERRED, {
+      groupId: group._id,
+      previousOwnerId,
+      newOwnerId,
+      newOwnerPreviousRole: previousRole,
+      timestamp: new Date()
+    });
+  }
+}
+
+module.exports = new GroupRoleService();
@@ -0,0 +1,245 @@
+const Group = require('../models/Group');
+const logger = require('../utils/logger');
+const recurrence = require('../utils/recurrence');
+const { GROUP_CONSTANTS } = require('../utils/constants');
+
+const { SCHEDULE } = GROUP_CONSTANTS;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Group Schedule Service for AcademicAlly
+ * Upcoming occurrences of recurring group schedules and per-occurrence exceptions
+ */
+
+class GroupScheduleService {
+  /**
+   * Get occurrences of a group's recurring schedule
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user
+   * @param {Object} options - { from, to, limit, includeSkipped }
+   * @returns {Promise<Object>} { success, statusCode?, message?, data? }
+   */
+  async getGroupOccurrences(groupId, userId, options = {}) {
+    try {
+      const group = await Group.findById(groupId).select('name course schedule members isPrivate isActive');
+      if (!group || !group.isActive) {
+        return { success: false, statusCode: 404, message: 'Group not found' };
+      }
+
+      const isMember = this.isActiveMember(group, userId);
+      if (group.isPrivate && !isMember) {
+        return { success: false, statusCode: 403, message: 'Only members can view this group\'s schedule' };
+      }
+
+      const window = this.resolveWindow(options);
+      const occurrences = recurrence.expandOccurrences(group.schedule, {
+        ...window,
+        limit: options.limit || SCHEDULE.DEFAULT_LIMIT,
+        // Skipped occurrences are only useful to members (to see what was cancelled)
+        includeSkipped: isMember && options.includeSkipped
+      });
+
+      return {
+        success: true,
+        data: {
+          groupId: group._id,
+          frequency: group.schedule?.recurringPattern?.frequency || null,
+          timezone: group.schedule?.recurringPattern?.timeSlot?.timezone || 'UTC',
+          from: window.from,
+          to: window.to,
+          occurrences
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting group occurrences', error, { groupId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get upcoming occurrences across all groups a user is an active member of
+   * @param {string} userId - User ID
+   * @param {Object} options - { from, to, limit }
+   * @returns {Promise<Object>} { success, data: { occurrences, from, to } }
+   */
+  async getUserOccurrences(userId, options = {}) {
+    try {
+      const groups = await Group.find({
+        isActive: true,
+        status: 'active',
+        'schedule.type': 'recurring',
+        members: { $elemMatch: { user: userId, isActive: true } }
+      }).select('name course schedule');
+
+      const window = this.resolveWindow(options);
+      const limit = options.limit || SCHEDULE.DEFAULT_LIMIT;
+
+      const occurrences = groups
+        .flatMap(group => recurrence.expandOccurrences(group.schedule, { ...window, limit })
+          .map(occurrence => ({
+            ...occurrence,
+            group: { _id: group._id, name: group.name, course: group.course }
+          })))
+        .sort((a, b) => a.startsAt - b.startsAt)
+        .slice(0, limit);
+
+      return {
+        success: true,
+        data: {
+          from: window.from,
+          to: window.to,
+          occurrences
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting user occurrences', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Skip or reschedule a single occurrence (group creator/admin)
+   * Replaces any earlier exception for the same occurrence.
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Admin making the change
+   * @param {string} date - Occurrence date "YYYY-MM-DD"
+   * @param {Object} exceptionData - { type: skip|reschedule, startsAt?, endsAt?, reason? }
+   * @returns {Promise<Object>} { success, statusCode?, message?, data? }
+   */
+  async setOccurrenceException(groupId, userId, date, exceptionData) {
+    try {
+      const access = await this.getAdminAccess(groupId, userId);
+      if (!access.success) return access;
+
+      const { group } = access;
+      const { type, startsAt, endsAt, reason } = exceptionData;
+
+      if (!recurrence.isOccurrenceDate(group.schedule, date)) {
+        return { success: false, statusCode: 404, message: 'No occurrence on that date' };
+      }
+
+      if (type === 'reschedule') {
+        if (!startsAt) {
+          return { success: false, statusCode: 400, message: 'New start time is required to reschedule' };
+        }
+        if (endsAt && new Date(endsAt) <= new Date(startsAt)) {
+          return { success: false, statusCode: 400, message: 'End time must be after start time' };
+        }
+      }
+
+      const exceptions = (group.schedule.exceptions || []).filter(exception => exception.date !== date);
+      if (exceptions.length >= SCHEDULE.MAX_EXCEPTIONS) {
+        return { success: false, statusCode: 400, message: `Cannot have more than ${SCHEDULE.MAX_EXCEPTIONS} schedule exceptions` };
+      }
+
+      exceptions.push({
+        date,
+        type,
+        startsAt: type === 'reschedule' ? startsAt : undefined,
+        endsAt: type === 'reschedule' ? endsAt : undefined,
+        reason,
+        createdBy: userId
+      });
+      group.schedule.exceptions = exceptions;
+      await group.save();
+
+      logger.group(`occurrence_${type}`, userId, groupId, { date, startsAt });
+
+      return {
+        success: true,
+        data: {
+          exception: group.schedule.exceptions.find(exception => exception.date === date),
+          occurrence: recurrence.resolveOccurrence(group.schedule, date)
+        }
+      };
+    } catch (error) {
+      logger.error('Error setting occurrence exception', error, { groupId, userId, date });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an exception so the occurrence follows the regular pattern again
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Admin making the change
+   * @param {string} date - Occurrence date "YYYY-MM-DD"
+   * @returns {Promise<Object>} { success, statusCode?, message?, data? }
+   */
+  async clearOccurrenceException(groupId, userId, date) {
+    try {
+      const access = await this.getAdminAccess(groupId, userId);
+      if (!access.success) return access;
+
+      const { group } = access;
+      const exceptions = group.schedule.exceptions || [];
+      if (!exceptions.some(exception => exception.date === date)) {
+        return { success: false, statusCode: 404, message: 'No exception for that occurrence' };
+      }
+
+      group.schedule.exceptions = exceptions.filter(exception => exception.date !== date);
+      await group.save();
+
+      logger.group('occurrence_restored', userId, groupId, { date });
+
+      return {
+        success: true,
+        data: { occurrence: recurrence.getOccurrence(group.schedule, date) }
+      };
+    } catch (error) {
+      logger.error('Error clearing occurrence exception', error, { groupId, userId, date });
+      throw error;
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Resolve the from/to window for occurrence queries
+   * @param {Object} options - { from, to }
+   * @returns {Object} { from, to } clamped to SCHEDULE.MAX_WINDOW_DAYS
+   */
+  resolveWindow(options = {}) {
+    const from = options.from ? new Date(options.from) : new Date();
+    const maxTo = new Date(from.getTime() + SCHEDULE.MAX_WINDOW_DAYS * MS_PER_DAY);
+    const to = options.to
+      ? new Date(Math.min(new Date(options.to).getTime(), maxTo.getTime()))
+      : new Date(from.getTime() + SCHEDULE.DEFAULT_WINDOW_DAYS * MS_PER_DAY);
+
+    return { from, to };
+  }
+
+  /**
+   * Check if a user is an active member of a group
+   */
+  isActiveMember(group, userId) {
+    return group.members.some(member =>
+      member.user.toString() === userId.toString() && member.isActive
+    );
+  }
+
+  /**
+   * Load a group and check the user can manage its schedule (creator/admin)
+   * @returns {Promise<Object>} { success, statusCode?, message?, group? }
+   */
+  async getAdminAccess(groupId, userId) {
+    const group = await Group.findById(groupId);
+    if (!group || !group.isActive) {
+      return { success: false, statusCode: 404, message: 'Group not found' };
+    }
+
+    const membership = group.members.find(member =>
+      member.user.toString() === userId.toString() && member.isActive
+    );
+    if (!membership || !['admin', 'creator'].includes(membership.role)) {
+      return { success: false, statusCode: 403, message: 'Only group admins can change the schedule' };
+    }
+
+    if (group.schedule?.type !== 'recurring') {
+      return { success: false, statusCode: 400, message: 'Group does not have a recurring schedule' };
+    }
+
+    return { success: true, group };
+  }
+}
+
+module.exports = new GroupScheduleService();
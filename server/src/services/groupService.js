@@ -1,7 +1,19 @@
+const mongoose = require('mongoose');
 const Group = require('../models/Group');
 const User = require('../models/User');
 const Message = require('../models/Message');
+const joinRequestService = require('./joinRequestService');
+const groupRoleService = require('./groupRoleService');
+const groupActivityService = require('./groupActivityService');
+const waitlistService = require('./waitlistService');
+const groupSimilarity = require('../utils/groupSimilarity');
+const recurrence = require('../utils/recurrence');
 const logger = require('../utils/logger');
+const { MATCHING_CONSTANTS, ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../utils/constants');
+
+const YEAR_LEVELS = ['1st Year', '2nd Year', '3rd Year', '4th Year', '5th Year', 'Graduate', 'PhD'];
+const COMMITMENT_LEVELS = { low: 0, medium: 1, high: 2 };
+const INTENSITY_LEVELS = { Casual: 0, Moderate: 1, Intensive: 2, 'Exam Prep': 2 };
 
 /**
  * Group Service for AcademicAlly
@@ -129,116 +141,167 @@ class GroupService {
 
   /**
    * Join a study group
+   * Groups with requiresApproval get a pending join request instead of a new member.
    * @param {string} groupId - Group to join
    * @param {string} userId - User requesting to join
-   * @param {Object} joinData - Optional join message/requirements
-   * @returns {Promise<Object>} Updated group
+   * @param {Object} joinData - { message } optional note to the group's admins
+   * @param {Object} context - { io } Socket.IO server for notifying admins (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message, status?: joined|pending, group?, joinRequest? }
    */
-  async joinGroup(groupId, userId, joinData = {}) {
+  async joinGroup(groupId, userId, joinData = {}, { io } = {}) {
     try {
-      logger.group('User requesting to join group', { groupId, userId });
-
       const [group, user] = await Promise.all([
         Group.findById(groupId),
         User.findById(userId)
       ]);
 
-      if (!group) {
-        throw new Error('Group not found');
+      if (!group || !group.isActive) {
+        return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
       }
       if (!user) {
-        throw new Error('User not found');
+        return { success: false, statusCode: 404, message: 'User not found' };
+      }
+
+      const problem = this.validateJoinRequest(group, user);
+      if (problem) {
+        return { success: false, ...problem };
       }
 
-      // Validation checks
-      this.validateJoinRequest(group, user, joinData);
+      if (group.requiresApproval) {
+        const result = await joinRequestService.createRequest(group, user, joinData.message, { io });
+        return result.success ? { ...result, status: 'pending' } : result;
+      }
 
-      // Add user to group
-      group.members.push(userId);
-      group.updatedAt = new Date();
-      await group.save();
+      await group.addMember(userId);
 
-      // Update user's group list
       await User.findByIdAndUpdate(userId, {
-        $addToSet: { groups: groupId }
+        $addToSet: { groupsJoined: groupId }
       });
 
       // Send welcome message to group
       await this.sendWelcomeMessage(groupId, userId, user.name);
 
-      logger.group('User joined group successfully', { 
-        groupId, 
-        userId,
-        newMemberCount: group.members.length
+      await groupActivityService.record(groupId, 'member_joined', {
+        actor: userId,
+        targetUser: userId,
+        details: { via: 'join' }
+      }, { io });
+
+      logger.group('group_joined', userId, groupId, {
+        memberCount: group.currentMemberCount
       });
 
-      return await this.getGroupDetails(groupId);
+      return { success: true, message: SUCCESS_MESSAGES.GROUP.JOINED, status: 'joined', group };
+    } catch (error) {
+      logger.error('Error joining group', error, { groupId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Join a full group's waitlist
+   * Open spots go to the longest-waiting user (see WaitlistService.processVacancies); in groups
+   * that approve new members the spot is held for a join request the admins review.
+   * @param {string} groupId - Group to queue for
+   * @param {string} userId - User joining the waitlist
+   * @returns {Promise<Object>} { success, statusCode?, message, position?, total? }
+   */
+  async joinWaitlist(groupId, userId) {
+    try {
+      const [group, user] = await Promise.all([
+        Group.findById(groupId),
+        User.findById(userId)
+      ]);
+
+      if (!group || !group.isActive) {
+        return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
+      }
+      if (!user) {
+        return { success: false, statusCode: 404, message: 'User not found' };
+      }
+
+      const problem = this.validateJoinRequest(group, user);
+      if (!problem) {
+        return { success: false, statusCode: 400, message: 'This group has open spots - join it directly' };
+      }
+      if (problem.message !== ERROR_MESSAGES.GROUP.GROUP_FULL) {
+        return { success: false, ...problem };
+      }
+
+      return await waitlistService.addToWaitlist(group, user);
     } catch (error) {
-      logger.error('Error joining group', { groupId, userId, error: error.message });
+      logger.error('Error joining waitlist', error, { groupId, userId });
       throw error;
     }
   }
 
   /**
    * Leave a study group
+   * A leaving creator hands ownership on (see GroupRoleService.handOffOwnership); the last
+   * member leaving deletes the group.
    * @param {string} groupId - Group to leave
    * @param {string} userId - User leaving
-   * @returns {Promise<Object>} Updated group or null if group deleted
+   * @param {Object} options - { newOwnerId } member to take over when the creator leaves
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message, groupDeleted?, newOwnerId? }
    */
-  async leaveGroup(groupId, userId) {
+  async leaveGroup(groupId, userId, options = {}, { io } = {}) {
     try {
-      logger.group('User leaving group', { groupId, userId });
-
       const group = await Group.findById(groupId);
-      if (!group) {
-        throw new Error('Group not found');
+      if (!group || !group.isActive) {
+        return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
       }
 
-      // Check if user is in group
-      if (!group.members.includes(userId)) {
-        throw new Error('User is not a member of this group');
+      const membership = group.members.find(member =>
+        member.user.toString() === userId.toString() && member.isActive
+      );
+      if (!membership) {
+        return { success: false, statusCode: 400, message: 'You are not a member of this group' };
       }
 
-      // Remove user from group
-      group.members = group.members.filter(memberId => 
-        memberId.toString() !== userId.toString()
+      const othersRemain = group.members.some(member =>
+        member.isActive && member.user.toString() !== userId.toString()
       );
 
-      // Update user's group list
-      await User.findByIdAndUpdate(userId, {
-        $pull: { groups: groupId }
-      });
+      if (!othersRemain) {
+        // Delete empty group
+        await Group.findByIdAndDelete(groupId);
+        await User.findByIdAndUpdate(userId, { $pull: { groupsJoined: groupId } });
+        logger.group('group_deleted_empty', userId, groupId);
+        return { success: true, message: SUCCESS_MESSAGES.GROUP.LEFT, groupDeleted: true };
+      }
 
-      // Handle creator leaving
-      if (group.creator.toString() === userId.toString()) {
-        if (group.members.length > 0) {
-          // Transfer ownership to oldest member
-          group.creator = group.members[0];
-          logger.group('Group ownership transferred', { 
-            groupId, 
-            oldCreator: userId, 
-            newCreator: group.members[0] 
-          });
-        } else {
-          // Delete empty group
-          await Group.findByIdAndDelete(groupId);
-          logger.group('Empty group deleted', { groupId });
-          return null;
-        }
+      let newOwnerId;
+      if (membership.role === 'creator') {
+        const handOff = await groupRoleService.handOffOwnership(group, userId, options.newOwnerId, { io });
+        if (!handOff.success) return handOff;
+        newOwnerId = handOff.newOwnerId;
       }
 
-      group.updatedAt = new Date();
+      // Rejoining later starts over as a regular member
+      membership.isActive = false;
+      membership.role = 'member';
+      group.admins.pull(userId);
       await group.save();
 
-      logger.group('User left group successfully', { 
-        groupId, 
-        userId,
-        remainingMembers: group.members.length
+      await User.findByIdAndUpdate(userId, { $pull: { groupsJoined: groupId } });
+
+      await groupActivityService.record(groupId, 'member_left', {
+        actor: userId,
+        targetUser: userId,
+        details: newOwnerId ? { newOwnerId } : {}
+      }, { io });
+
+      logger.group('group_left', userId, groupId, {
+        remainingMembers: group.currentMemberCount,
+        newOwnerId
       });
 
-      return await this.getGroupDetails(groupId);
+      await waitlistService.processVacancies(group, { io });
+
+      return { success: true, message: SUCCESS_MESSAGES.GROUP.LEFT, groupDeleted: false, newOwnerId };
     } catch (error) {
-      logger.error('Error leaving group', { groupId, userId, error: error.message });
+      logger.error('Error leaving group', error, { groupId, userId });
       throw error;
     }
   }
@@ -307,38 +370,48 @@ class GroupService {
    * @param {string} groupId - Group to update
    * @param {string} userId - User making the update
    * @param {Object} updateData - Fields to update
-   * @returns {Promise<Object>} Updated group
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message, group?, changes? }
    */
-  async updateGroup(groupId, userId, updateData) {
+  async updateGroup(groupId, userId, updateData, { io } = {}) {
     try {
-      logger.group('Updating group', { groupId, userId });
-
       const group = await Group.findById(groupId);
-      if (!group) {
-        throw new Error('Group not found');
+      if (!group || !group.isActive) {
+        return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
       }
 
       // Check permissions (only creator can update)
       if (group.creator.toString() !== userId.toString()) {
-        throw new Error('Only group creator can update group details');
+        return { success: false, statusCode: 403, message: 'Only group creator can update group details' };
       }
 
       // Validate update data
-      this.validateUpdateData(updateData);
+      try {
+        this.validateUpdateData(updateData, group);
+      } catch (error) {
+        return { success: false, statusCode: 400, message: error.message };
+      }
 
       // Apply updates
-      Object.assign(group, {
-        ...updateData,
-        updatedAt: new Date()
-      });
-
+      const changes = Object.keys(updateData);
+      group.set(updateData);
       await group.save();
 
-      logger.group('Group updated successfully', { groupId, userId });
+      await groupActivityService.record(groupId, 'settings_updated', {
+        actor: userId,
+        details: { fields: changes }
+      }, { io });
+
+      logger.group('group_updated', userId, groupId, { fields: changes });
+
+      // A raised member limit opens spots for the waitlist
+      if (changes.includes('maxMembers')) {
+        await waitlistService.processVacancies(group, { io });
+      }
 
-      return await this.getGroupDetails(groupId);
+      return { success: true, message: SUCCESS_MESSAGES.GROUP.UPDATED, group, changes };
     } catch (error) {
-      logger.error('Error updating group', { groupId, userId, error: error.message });
+      logger.error('Error updating group', error, { groupId, userId });
       throw error;
     }
   }
@@ -374,68 +447,200 @@ class GroupService {
 
   /**
    * Remove member from group (admin action)
+   * Admins can remove regular members; only the creator can remove another admin.
    * @param {string} groupId - Group ID
    * @param {string} adminId - Admin performing action
    * @param {string} memberId - Member to remove
    * @param {string} reason - Reason for removal
-   * @returns {Promise<Object>} Updated group
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message, group? }
    */
-  async removeMember(groupId, adminId, memberId, reason = '') {
+  async removeMember(groupId, adminId, memberId, reason = '', { io } = {}) {
     try {
-      logger.group('Admin removing member from group', { 
-        groupId, 
-        adminId, 
-        memberId, 
-        reason 
-      });
-
       const group = await Group.findById(groupId);
-      if (!group) {
-        throw new Error('Group not found');
+      if (!group || !group.isActive) {
+        return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
       }
 
+      const findActive = userId => group.members.find(member =>
+        member.user.toString() === userId.toString() && member.isActive
+      );
+
       // Check admin permissions
-      if (group.creator.toString() !== adminId.toString()) {
-        throw new Error('Only group creator can remove members');
+      const adminMembership = findActive(adminId);
+      if (!adminMembership || !['admin', 'creator'].includes(adminMembership.role)) {
+        return { success: false, statusCode: 403, message: 'Only group admins can remove members' };
       }
 
-      // Cannot remove creator
-      if (group.creator.toString() === memberId.toString()) {
-        throw new Error('Cannot remove group creator');
+      // Check if member exists in group
+      const membership = findActive(memberId);
+      if (!membership) {
+        return { success: false, statusCode: 404, message: 'User is not a member of this group' };
       }
 
-      // Check if member exists in group
-      if (!group.members.includes(memberId)) {
-        throw new Error('User is not a member of this group');
+      // Cannot remove creator
+      if (membership.role === 'creator') {
+        return { success: false, statusCode: 400, message: 'Cannot remove group creator' };
+      }
+      if (membership.role === 'admin' && adminMembership.role !== 'creator') {
+        return { success: false, statusCode: 403, message: 'Only the group creator can remove an admin' };
       }
 
-      // Remove member
-      group.members = group.members.filter(id => 
-        id.toString() !== memberId.toString()
-      );
-      group.updatedAt = new Date();
+      // Rejoining later starts over as a regular member
+      membership.isActive = false;
+      membership.role = 'member';
+      group.admins.pull(memberId);
       await group.save();
 
       // Update user's group list
       await User.findByIdAndUpdate(memberId, {
-        $pull: { groups: groupId }
+        $pull: { groupsJoined: groupId }
       });
 
-      logger.group('Member removed successfully', { 
-        groupId, 
-        adminId, 
+      await groupActivityService.record(groupId, 'member_removed', {
+        actor: adminId,
+        targetUser: memberId,
+        details: reason ? { reason } : {}
+      }, { io });
+
+      logger.group('member_removed', adminId, groupId, {
         memberId,
-        remainingMembers: group.members.length
+        reason,
+        remainingMembers: group.currentMemberCount
+      });
+
+      await waitlistService.processVacancies(group, { io });
+
+      return { success: true, message: 'Member removed successfully', group };
+    } catch (error) {
+      logger.error('Error removing member', error, { groupId, adminId, memberId });
+      throw error;
+    }
+  }
+
+  /**
+   * Recommend public groups with open spots for a user
+   * Groups whose year/reputation requirements the user doesn't meet are left out; the rest are
+   * scored on course, study style, meeting type and commitment like the partner matcher.
+   * @param {string} userId - User to recommend groups for
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} { success, data: { recommendations, total } }
+   */
+  async getRecommendedGroups(userId, options = {}) {
+    try {
+      const { DEFAULT_LIMIT } = MATCHING_CONSTANTS.GROUP_RECOMMENDATION;
+      const limit = Math.min(options.limit || DEFAULT_LIMIT, MATCHING_CONSTANTS.MAX_RESULTS.GROUPS);
+
+      const user = await User.findById(userId)
+        .select('courses studyPreferences year reputation');
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+      const groups = await Group.findWithSpots({
+        isPrivate: false,
+        members: { $not: { $elemMatch: { user: userObjectId, isActive: true } } },
+        joinRequests: { $not: { $elemMatch: { user: userObjectId, status: 'pending' } } }
       });
 
-      return await this.getGroupDetails(groupId);
+      const recommendations = groups
+        .filter(group => this.meetsGroupRequirements(group, user))
+        .map(group => this.scoreGroupForUser(group, user))
+        .filter(recommendation => recommendation.score >= MATCHING_CONSTANTS.MIN_COMPATIBILITY.GROUP)
+        .sort((a, b) => b.score - a.score ||
+          new Date(b.group.lastActivity) - new Date(a.group.lastActivity))
+        .slice(0, limit);
+
+      logger.group('groups_recommended', userId, null, {
+        candidates: groups.length,
+        returned: recommendations.length
+      });
+
+      return {
+        success: true,
+        data: {
+          recommendations,
+          total: recommendations.length
+        }
+      };
     } catch (error) {
-      logger.error('Error removing member', { 
-        groupId, 
-        adminId, 
-        memberId, 
-        error: error.message 
+      logger.error('Error getting recommended groups', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find active public groups with open spots that are most like a given group
+   * Used to point users at alternatives, e.g. when the group they found is full. Groups the
+   * user already belongs to or whose requirements they don't meet are left out.
+   * @param {string} groupId - Group to find alternatives for
+   * @param {string} userId - Requesting user
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} { success, statusCode?, message?, similarGroups? }
+   */
+  async getSimilarGroups(groupId, userId, options = {}) {
+    try {
+      const { DEFAULT_LIMIT, MAX_LIMIT, MIN_SCORE } = MATCHING_CONSTANTS.GROUP_SIMILARITY;
+      const limit = Math.min(options.limit || DEFAULT_LIMIT, MAX_LIMIT);
+
+      const [group, user] = await Promise.all([
+        Group.findById(groupId).select('course subject tags meetingType location schedule isPrivate isActive members'),
+        User.findById(userId).select('year reputation')
+      ]);
+
+      if (!group || !group.isActive) {
+        return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
+      }
+      if (!user) {
+        return { success: false, statusCode: 404, message: 'User not found' };
+      }
+
+      const isMember = group.members.some(member =>
+        member.user.toString() === userId.toString() && member.isActive
+      );
+      if (group.isPrivate && !isMember) {
+        return { success: false, statusCode: 403, message: 'Access denied to private group' };
+      }
+
+      // Only groups sharing something substantive with the source are worth scoring
+      const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+      const related = [{ subject: group.subject }];
+      const courseDepartment = groupSimilarity.department(group.course?.code);
+      if (courseDepartment) {
+        related.push({ 'course.code': { $regex: `^${courseDepartment}` } });
+      }
+      if (group.tags?.length > 0) {
+        related.push({ tags: { $in: group.tags } });
+      }
+
+      const candidates = await Group.findWithSpots({
+        _id: { $ne: group._id },
+        isPrivate: false,
+        members: { $not: { $elemMatch: { user: userObjectId, isActive: true } } },
+        $or: related
+      });
+
+      const similarGroups = candidates
+        .filter(candidate => this.meetsGroupRequirements(candidate, user))
+        .map(candidate => ({
+          group: this.formatGroupSummary(candidate),
+          ...groupSimilarity.scoreSimilarity(group, candidate)
+        }))
+        .filter(result => result.score >= MIN_SCORE)
+        .sort((a, b) => b.score - a.score ||
+          b.group.availableSpots - a.group.availableSpots ||
+          new Date(b.group.lastActivity) - new Date(a.group.lastActivity))
+        .slice(0, limit);
+
+      logger.group('similar_groups_found', userId, groupId, {
+        candidates: candidates.length,
+        returned: similarGroups.length
       });
+
+      return { success: true, similarGroups };
+    } catch (error) {
+      logger.error('Error getting similar groups', error, { groupId, userId });
       throw error;
     }
   }
@@ -463,55 +668,61 @@ class GroupService {
     if (groupData.meetingType && !validMeetingTypes.includes(groupData.meetingType)) {
       throw new Error('Invalid meeting type');
     }
+
+    this.validateSchedule(groupData.schedule);
   }
 
   /**
-   * Validate join request
-   * @param {Object} group - Group to join
-   * @param {Object} user - User requesting to join
-   * @param {Object} joinData - Join request data
+   * Validate a group schedule
+   * @param {Object} schedule - Group.schedule as submitted
    */
-  validateJoinRequest(group, user, joinData) {
-    if (!group.isActive) {
-      throw new Error('Group is not active');
-    }
+  validateSchedule(schedule) {
+    if (schedule?.type !== 'recurring' || schedule.startDate) return;
 
-    if (group.expiresAt < new Date()) {
-      throw new Error('Group has expired');
+    if (recurrence.requiresStartDate(schedule.recurringPattern)) {
+      throw new Error('A start date is required for weekly schedules without set days, bi-weekly and monthly schedules');
     }
+  }
 
-    if (group.members.includes(user._id)) {
-      throw new Error('User is already a member of this group');
+  /**
+   * Check whether a user can join (or request to join) a group
+   * @param {Object} group - Group document
+   * @param {Object} user - User requesting to join
+   * @returns {Object|null} { statusCode, message } describing why not, or null if allowed
+   */
+  validateJoinRequest(group, user) {
+    if (group.status !== 'active') {
+      return { statusCode: 400, message: 'Group is not accepting new members' };
     }
 
-    if (group.members.length >= group.maxMembers) {
-      throw new Error('Group is full');
+    const isMember = group.members.some(member =>
+      member.user.toString() === user._id.toString() && member.isActive
+    );
+    if (isMember) {
+      return { statusCode: 400, message: ERROR_MESSAGES.GROUP.ALREADY_MEMBER };
     }
 
-    // Check requirements if any
-    if (group.requirements) {
-      if (group.requirements.minYear && user.year < group.requirements.minYear) {
-        throw new Error(`Minimum year requirement: ${group.requirements.minYear}`);
-      }
-
-      if (group.requirements.university && user.university !== group.requirements.university) {
-        throw new Error('University requirement not met');
-      }
+    if (group.isFull) {
+      return { statusCode: 400, message: ERROR_MESSAGES.GROUP.GROUP_FULL };
+    }
 
-      if (group.requirements.major && !group.requirements.major.includes(user.major)) {
-        throw new Error('Major requirement not met');
-      }
+    if (!this.meetsGroupRequirements(group, user)) {
+      return { statusCode: 403, message: 'You do not meet this group\'s requirements' };
     }
+
+    return null;
   }
 
   /**
    * Validate update data
    * @param {Object} updateData - Data to validate
+   * @param {Object} group - Group being updated
    */
-  validateUpdateData(updateData) {
+  validateUpdateData(updateData, group) {
     const allowedFields = [
-      'name', 'description', 'schedule', 'location', 
-      'requirements', 'tags', 'isPublic'
+      'name', 'description', 'schedule', 'location', 'meetingType',
+      'requirements', 'tags', 'maxMembers', 'isPrivate', 'requiresApproval',
+      'waitlistMode'
     ];
 
     const invalidFields = Object.keys(updateData).filter(
@@ -525,6 +736,14 @@ class GroupService {
     if (updateData.name && updateData.name.trim().length < 3) {
       throw new Error('Group name must be at least 3 characters long');
     }
+
+    if (updateData.maxMembers && updateData.maxMembers < group.currentMemberCount) {
+      throw new Error(`Max members cannot be lower than the current member count (${group.currentMemberCount})`);
+    }
+
+    if (updateData.schedule) {
+      this.validateSchedule(updateData.schedule);
+    }
   }
 
   /**
@@ -533,7 +752,8 @@ class GroupService {
    * @returns {Object} MongoDB query
    */
   buildSearchQuery(criteria) {
-    const query = { isActive: true, isPublic: true };
+    // Paused, completed and archived groups don't show up in search
+    const query = { isActive: true, isPublic: true, status: 'active' };
 
     if (criteria.course) {
       query.course = new RegExp(criteria.course, 'i');
@@ -591,6 +811,171 @@ class GroupService {
       // Don't throw error for welcome message failure
     }
   }
+
+  /**
+   * Check a user against a group's hard requirements (minimum year and reputation)
+   * @param {Object} group - Group (plain object)
+   * @param {Object} user - User
+   * @returns {boolean} True if the user can join
+   */
+  meetsGroupRequirements(group, user) {
+    const { minimumYear, minimumReputation } = group.requirements || {};
+
+    if (minimumYear && YEAR_LEVELS.indexOf(user.year) < YEAR_LEVELS.indexOf(minimumYear)) {
+      return false;
+    }
+
+    if (minimumReputation && (user.reputation ?? 0) < minimumReputation) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Score how well a group suits a user
+   * @param {Object} group - Group from Group.findWithSpots
+   * @param {Object} user - User
+   * @returns {Object} { group, score, percentage, breakdown, reasons }
+   */
+  scoreGroupForUser(group, user) {
+    const { WEIGHTS } = MATCHING_CONSTANTS.GROUP_RECOMMENDATION;
+    const preferences = user.studyPreferences || {};
+
+    const breakdown = {
+      course: this.scoreGroupCourse(group, user),
+      studyStyle: this.scoreGroupStudyStyle(group, preferences),
+      meetingType: this.scoreGroupMeetingType(group, preferences),
+      commitment: this.scoreGroupCommitment(group, preferences)
+    };
+
+    const score = breakdown.course * WEIGHTS.COURSE +
+      breakdown.studyStyle * WEIGHTS.STUDY_STYLE +
+      breakdown.meetingType * WEIGHTS.MEETING_TYPE +
+      breakdown.commitment * WEIGHTS.COMMITMENT;
+
+    return {
+      group: this.formatGroupSummary(group),
+      score: Math.round(score * 100) / 100,
+      percentage: Math.round(score * 100),
+      breakdown,
+      reasons: this.generateGroupReasons(group, user, breakdown)
+    };
+  }
+
+  /**
+   * Public summary of a group from Group.findWithSpots (recommendations and similar groups)
+   */
+  formatGroupSummary(group) {
+    return {
+      _id: group._id,
+      name: group.name,
+      description: group.description,
+      course: group.course,
+      subject: group.subject,
+      meetingType: group.meetingType,
+      location: group.location,
+      schedule: group.schedule,
+      requirements: group.requirements,
+      requiresApproval: group.requiresApproval,
+      tags: group.tags,
+      maxMembers: group.maxMembers,
+      currentMemberCount: group.activeMemberCount,
+      availableSpots: group.maxMembers - group.activeMemberCount - (group.heldSpots || 0),
+      lastActivity: group.lastActivity
+    };
+  }
+
+  /**
+   * Course fit: same course code, or same department prefix (e.g. CS101 vs CS240)
+   */
+  scoreGroupCourse(group, user) {
+    const groupCode = group.course?.code?.toUpperCase();
+    if (!groupCode) return 0;
+
+    const userCodes = (user.courses || []).map(course => course.code?.toUpperCase()).filter(Boolean);
+    if (userCodes.includes(groupCode)) return 1;
+
+    const department = (code) => (code.match(/^[A-Z]+/) || [''])[0];
+    const groupDepartment = department(groupCode);
+    if (groupDepartment && userCodes.some(code => department(code) === groupDepartment)) {
+      return 0.5;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Study style fit: share of the group's preferred styles the user also uses
+   * Neutral when either side has no preference.
+   */
+  scoreGroupStudyStyle(group, preferences) {
+    const groupStyles = group.requirements?.studyStyle || [];
+    const userStyles = preferences.studyStyle || [];
+    if (groupStyles.length === 0 || userStyles.length === 0) return 0.5;
+
+    const shared = groupStyles.filter(style => userStyles.includes(style));
+    return shared.length / groupStyles.length;
+  }
+
+  /**
+   * Meeting type fit: exact preference match, partial credit around hybrid groups
+   */
+  scoreGroupMeetingType(group, preferences) {
+    const userTypes = preferences.meetingType || [];
+    if (userTypes.length === 0) return 0.5;
+
+    if (userTypes.includes(group.meetingType)) return 1;
+    if (group.meetingType === 'Hybrid' || userTypes.includes('Hybrid')) return 0.6;
+    return 0;
+  }
+
+  /**
+   * Commitment fit: group commitment level vs the user's study intensity
+   */
+  scoreGroupCommitment(group, preferences) {
+    const commitment = COMMITMENT_LEVELS[group.requirements?.commitment || 'medium'];
+    const intensity = INTENSITY_LEVELS[preferences.studyIntensity];
+    if (commitment === undefined || intensity === undefined) return 0.5;
+
+    return 1 - Math.abs(commitment - intensity) / 2;
+  }
+
+  /**
+   * Human-readable reasons for a group recommendation
+   */
+  generateGroupReasons(group, user, breakdown) {
+    const reasons = [];
+
+    if (breakdown.course === 1) {
+      reasons.push(`You're taking ${group.course.code}`);
+    } else if (breakdown.course > 0) {
+      reasons.push(`Related to your ${group.course.code.match(/^[A-Z]+/)[0]} courses`);
+    }
+
+    if (breakdown.studyStyle >= 0.5 && (group.requirements?.studyStyle || []).length > 0) {
+      const shared = group.requirements.studyStyle
+        .filter(style => (user.studyPreferences?.studyStyle || []).includes(style));
+      if (shared.length > 0) {
+        reasons.push(`Studies the way you do (${shared.join(', ')})`);
+      }
+    }
+
+    if (breakdown.meetingType === 1) {
+      reasons.push(`Meets ${group.meetingType.toLowerCase()}, as you prefer`);
+    }
+
+    if (breakdown.commitment === 1) {
+      reasons.push('Commitment level matches your study intensity');
+    }
+
+    const spots = group.maxMembers - group.activeMemberCount - (group.heldSpots || 0);
+    if (spots <= 2) {
+      reasons.push(`Only ${spots} ${spots === 1 ? 'spot' : 'spots'} left`);
+    }
+
+    return reasons.length > 0 ? reasons : ['Open group with available spots'];
+  }
 }
 
 module.exports = new GroupService();
\ No newline at end of file
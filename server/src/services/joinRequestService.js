@@ -0,0 +1,367 @@
+const Group = require('../models/Group');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const groupActivityService = require('./groupActivityService');
+const waitlistService = require('./waitlistService');
+const logger = require('../utils/logger');
+const { GROUP_CONSTANTS, SOCKET_CONSTANTS, ERROR_MESSAGES } = require('../utils/constants');
+
+const { JOIN_REQUEST } = GROUP_CONSTANTS;
+
+/**
+ * Join Request Service for AcademicAlly
+ * Approval workflow for groups with requiresApproval: requests are created by
+ * GroupService.joinGroup (or by WaitlistService when a spot opens for a waitlisted user),
+ * reviewed by group admins, and expire if left unanswered.
+ */
+
+class JoinRequestService {
+  /**
+   * Create a pending join request and tell the group's admins
+   * Callers have already checked the user can join (not a member, group not full, requirements met).
+   * @param {Object} group - Group document
+   * @param {Object} user - Requesting user
+   * @param {string} message - Optional note to the admins
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message, joinRequest? }
+   */
+  async createRequest(group, user, message, { io } = {}) {
+    try {
+      if (this.findPendingRequest(group, user._id)) {
+        return { success: false, statusCode: 400, message: 'You already have a pending request to join this group' };
+      }
+
+      group.joinRequests.push({ user: user._id, message });
+      await group.save();
+
+      const joinRequest = group.joinRequests[group.joinRequests.length - 1];
+
+      this.getAdminIds(group).forEach(adminId => {
+        this.emitToUser(io, adminId, SOCKET_CONSTANTS.EVENTS.JOIN_REQUEST_RECEIVED, {
+          groupId: group._id,
+          groupName: group.name,
+          requestId: joinRequest._id,
+          user: { _id: user._id, name: user.name, profilePicture: user.profilePicture },
+          message
+        });
+      });
+
+      logger.group('join_request_created', user._id, group._id, {
+        requestId: joinRequest._id,
+        expiresAt: joinRequest.expiresAt
+      });
+
+      return {
+        success: true,
+        message: 'Join request sent. A group admin will review it.',
+        joinRequest
+      };
+    } catch (error) {
+      logger.error('Error creating join request', error, { groupId: group._id, userId: user._id });
+      throw error;
+    }
+  }
+
+  /**
+   * List a group's join requests (group creator/admin)
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Admin requesting the list
+   * @param {Object} options - { status: pending|approved|rejected|expired|all }
+   * @returns {Promise<Object>} { success, statusCode?, message?, joinRequests? }
+   */
+  async getJoinRequests(groupId, userId, options = {}) {
+    try {
+      const access = await this.getAdminAccess(groupId, userId);
+      if (!access.success) return access;
+
+      const { group } = access;
+      const { status = 'pending' } = options;
+
+      await group.populate([
+        { path: 'joinRequests.user', select: 'name profilePicture university major year reputation' },
+        { path: 'joinRequests.reviewedBy', select: 'name' }
+      ]);
+
+      const joinRequests = group.joinRequests
+        .filter(request => status === 'all' || request.status === status)
+        .sort((a, b) => b.requestedAt - a.requestedAt);
+
+      return { success: true, joinRequests };
+    } catch (error) {
+      logger.error('Error getting join requests', error, { groupId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a pending join request and add the requester as a member
+   * @param {string} groupId - Group ID
+   * @param {string} requestId - Join request ID
+   * @param {string} adminId - Admin approving
+   * @param {Object} options - { welcomeMessage, io }
+   * @returns {Promise<Object>} { success, statusCode?, message?, joinRequest?, group? }
+   */
+  async approveRequest(groupId, requestId, adminId, { welcomeMessage, io } = {}) {
+    try {
+      const access = await this.getPendingRequest(groupId, requestId, adminId);
+      if (!access.success) return access;
+
+      const { group, joinRequest } = access;
+      const isMember = group.members.some(member =>
+        member.user.toString() === joinRequest.user.toString() && member.isActive
+      );
+
+      // A spot held for this request from the waitlist goes to the requester
+      const waitlistEntry = waitlistService.findRequestedEntry(group, joinRequest._id);
+      if (waitlistEntry) {
+        waitlistEntry.status = 'admitted';
+        waitlistEntry.respondedAt = new Date();
+      }
+
+      if (!isMember && group.isFull) {
+        return { success: false, statusCode: 400, message: ERROR_MESSAGES.GROUP.GROUP_FULL };
+      }
+
+      joinRequest.status = 'approved';
+      joinRequest.reviewedBy = adminId;
+      joinRequest.reviewedAt = new Date();
+
+      if (!isMember) {
+        // addMember saves the group, including the request's new status
+        await group.addMember(joinRequest.user);
+      } else {
+        await group.save();
+      }
+
+      await User.findByIdAndUpdate(joinRequest.user, { $addToSet: { groupsJoined: group._id } });
+
+      const requester = await User.findById(joinRequest.user).select('name email preferences profilePicture');
+
+      this.emitToUser(io, joinRequest.user, SOCKET_CONSTANTS.EVENTS.JOIN_REQUEST_APPROVED, {
+        groupId: group._id,
+        groupName: group.name,
+        requestId: joinRequest._id,
+        welcomeMessage
+      });
+      if (io && requester) {
+        io.to(`${SOCKET_CONSTANTS.ROOMS.GROUP}${group._id}`).emit(SOCKET_CONSTANTS.EVENTS.USER_JOINED_GROUP, {
+          groupId: group._id,
+          user: { _id: requester._id, name: requester.name, profilePicture: requester.profilePicture }
+        });
+      }
+
+      if (!isMember) {
+        await groupActivityService.record(group._id, 'member_joined', {
+          actor: adminId,
+          targetUser: joinRequest.user,
+          details: { via: 'join_request' }
+        }, { io });
+      }
+
+      if (requester) {
+        try {
+          await emailService.sendJoinRequestApprovedNotification(requester, group, welcomeMessage);
+        } catch (error) {
+          logger.error('Join request approved email failed', error, { groupId, requestId });
+        }
+      }
+
+      logger.group('join_request_approved', adminId, groupId, {
+        requestId,
+        requesterId: joinRequest.user
+      });
+
+      return { success: true, joinRequest, group };
+    } catch (error) {
+      logger.error('Error approving join request', error, { groupId, requestId, adminId });
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a pending join request
+   * @param {string} groupId - Group ID
+   * @param {string} requestId - Join request ID
+   * @param {string} adminId - Admin rejecting
+   * @param {Object} options - { reason, io }
+   * @returns {Promise<Object>} { success, statusCode?, message?, joinRequest? }
+   */
+  async rejectRequest(groupId, requestId, adminId, { reason, io } = {}) {
+    try {
+      const access = await this.getPendingRequest(groupId, requestId, adminId);
+      if (!access.success) return access;
+
+      const { group, joinRequest } = access;
+
+      joinRequest.status = 'rejected';
+      joinRequest.reviewedBy = adminId;
+      joinRequest.reviewedAt = new Date();
+      joinRequest.rejectionReason = reason;
+      await group.save();
+
+      await this.notifyRequester(group, joinRequest, 'rejected', io);
+      await waitlistService.releaseRequestedSpot(group._id, joinRequest._id, 'declined', { io });
+
+      logger.group('join_request_rejected', adminId, groupId, {
+        requestId,
+        requesterId: joinRequest.user
+      });
+
+      return { success: true, joinRequest };
+    } catch (error) {
+      logger.error('Error rejecting join request', error, { groupId, requestId, adminId });
+      throw error;
+    }
+  }
+
+  /**
+   * Expire pending join requests that went unanswered
+   * Used by the join request expiry job.
+   * @param {Object} context - { io } Socket.IO server for real-time notifications (optional)
+   * @returns {Promise<Object>} { expired, failed }
+   */
+  async processExpirations({ io } = {}) {
+    const now = new Date();
+    let expired = 0;
+    let failed = 0;
+
+    const groups = await Group.findWithExpiredJoinRequests(now, JOIN_REQUEST.BATCH_SIZE);
+
+    for (const group of groups) {
+      const due = group.joinRequests.filter(request =>
+        request.status === 'pending' && request.expiresAt <= now
+      );
+
+      for (const request of due) {
+        try {
+          // Conditional update so a request reviewed in the meantime isn't overwritten
+          const result = await Group.updateOne(
+            { _id: group._id, joinRequests: { $elemMatch: { _id: request._id, status: 'pending' } } },
+            { $set: { 'joinRequests.$.status': 'expired', 'joinRequests.$.reviewedAt': now } }
+          );
+          if (result.modifiedCount === 0) continue;
+
+          await this.notifyRequester(group, request, 'expired', io);
+          await waitlistService.releaseRequestedSpot(group._id, request._id, 'expired', { io });
+          expired++;
+        } catch (error) {
+          failed++;
+          logger.error('Error expiring join request', error, { groupId: group._id, requestId: request._id });
+        }
+      }
+    }
+
+    return { expired, failed };
+  }
+
+  // Private helper methods
+
+  /**
+   * Tell a requester their request was rejected or expired, over Socket.IO and email
+   * Email failures are logged and don't fail the review.
+   * @param {Object} group - Group document
+   * @param {Object} joinRequest - Join request subdocument
+   * @param {string} kind - 'rejected' or 'expired'
+   * @param {Object} io - Socket.IO server (optional)
+   */
+  async notifyRequester(group, joinRequest, kind, io) {
+    const event = kind === 'rejected'
+      ? SOCKET_CONSTANTS.EVENTS.JOIN_REQUEST_REJECTED
+      : SOCKET_CONSTANTS.EVENTS.JOIN_REQUEST_EXPIRED;
+
+    this.emitToUser(io, joinRequest.user, event, {
+      groupId: group._id,
+      groupName: group.name,
+      requestId: joinRequest._id,
+      reason: kind === 'rejected' ? joinRequest.rejectionReason : undefined
+    });
+
+    const requester = await User.findById(joinRequest.user).select('name email preferences');
+    if (!requester) return;
+
+    try {
+      if (kind === 'rejected') {
+        await emailService.sendJoinRequestRejectedNotification(requester, group, joinRequest.rejectionReason);
+      } else {
+        await emailService.sendJoinRequestExpiredNotification(requester, group);
+      }
+    } catch (error) {
+      logger.error(`Join request ${kind} email failed`, error, { groupId: group._id, requestId: joinRequest._id });
+    }
+  }
+
+  /**
+   * Find a user's pending request on a group
+   */
+  findPendingRequest(group, userId) {
+    return group.joinRequests.find(request =>
+      request.user.toString() === userId.toString() && request.status === 'pending'
+    );
+  }
+
+  /**
+   * IDs of a group's active creator/admins
+   */
+  getAdminIds(group) {
+    return group.members
+      .filter(member => member.isActive && ['admin', 'creator'].includes(member.role))
+      .map(member => member.user);
+  }
+
+  /**
+   * Load a group and check the user can review its join requests (creator/admin)
+   * @returns {Promise<Object>} { success, statusCode?, message?, group? }
+   */
+  async getAdminAccess(groupId, userId) {
+    const group = await Group.findById(groupId);
+    if (!group || !group.isActive) {
+      return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
+    }
+
+    const isAdmin = this.getAdminIds(group).some(adminId => adminId.toString() === userId.toString());
+    if (!isAdmin) {
+      return { success: false, statusCode: 403, message: 'Only group admins can review join requests' };
+    }
+
+    return { success: true, group };
+  }
+
+  /**
+   * Load a pending, unexpired join request for review
+   * @returns {Promise<Object>} { success, statusCode?, message?, group?, joinRequest? }
+   */
+  async getPendingRequest(groupId, requestId, adminId) {
+    const access = await this.getAdminAccess(groupId, adminId);
+    if (!access.success) return access;
+
+    const { group } = access;
+    const joinRequest = group.joinRequests.id(requestId);
+    if (!joinRequest) {
+      return { success: false, statusCode: 404, message: 'Join request not found' };
+    }
+
+    if (joinRequest.status !== 'pending') {
+      return { success: false, statusCode: 400, message: `Join request has already been ${joinRequest.status}` };
+    }
+
+    if (joinRequest.expiresAt && joinRequest.expiresAt <= new Date()) {
+      return { success: false, statusCode: 400, message: 'Join request has expired' };
+    }
+
+    return { success: true, group, joinRequest };
+  }
+
+  /**
+   * Emit an event to a user's personal room
+   * @param {Object} io - Socket.IO server (no-op when not available)
+   * @param {string} userId - Recipient user ID
+   * @param {string} event - Event name
+   * @param {Object} data - Payload
+   */
+  emitToUser(io, userId, event, data) {
+    if (!io) return;
+    io.to(`${SOCKET_CONSTANTS.ROOMS.USER}${userId}`).emit(event, data);
+  }
+}
+
+module.exports = new JoinRequestService();
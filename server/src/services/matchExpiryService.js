@@ -0,0 +1,212 @@
+const Match = require('../models/Match');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+const { MATCHING_CONSTANTS, SOCKET_CONSTANTS } = require('../utils/constants');
+
+/**
+ * Match Expiry Service for AcademicAlly
+ * Warns both users before a pending match request expires, expires it once it is past due,
+ * and lets the initiator extend a pending request a limited number of times.
+ */
+
+class MatchExpiryService {
+  /**
+   * Warn about and expire pending matches
+   * Used by the match expiry job.
+   * @param {Object} context - { io } Socket.IO server for real-time notifications (optional)
+   * @returns {Object} { warned, expired, failed }
+   */
+  async processExpirations({ io } = {}) {
+    const { WARNING_BEFORE_MS, BATCH_SIZE } = MATCHING_CONSTANTS.EXPIRY;
+    const now = new Date();
+
+    let warned = 0;
+    let expired = 0;
+    let failed = 0;
+
+    // Warnings first so a request expiring this run doesn't also get a warning
+    const expiring = await Match.findDueForExpiryWarning(now, WARNING_BEFORE_MS, BATCH_SIZE);
+    for (const match of expiring) {
+      try {
+        // Claim the warning so a concurrent run or a response in between can't double-send
+        const claimed = await Match.findOneAndUpdate(
+          { _id: match._id, status: 'pending', expiryWarningSentAt: null },
+          { $set: { expiryWarningSentAt: now } },
+          { new: true }
+        );
+        if (!claimed) continue;
+
+        await this.notifyUsers(claimed, 'expiring', io);
+        warned++;
+      } catch (error) {
+        failed++;
+        logger.error('Error sending match expiry warning', error, { matchId: match._id });
+      }
+    }
+
+    const due = await Match.findDueForExpiry(now, BATCH_SIZE);
+    for (const match of due) {
+      try {
+        const expiredMatch = await this.expireMatch(match._id, { io, now });
+        if (!expiredMatch) continue;
+
+        expired++;
+      } catch (error) {
+        failed++;
+        logger.error('Error expiring match', error, { matchId: match._id });
+      }
+    }
+
+    return { warned, expired, failed };
+  }
+
+  /**
+   * Expire a pending match that is past due and tell both users
+   * The update is conditional, so a match answered or expired in the meantime is left alone.
+   * @param {string} matchId - Match ID
+   * @param {Object} context - { io, now } Socket.IO server (optional) and current time
+   * @returns {Promise<Object|null>} Expired match, or null if it wasn't pending and past due
+   */
+  async expireMatch(matchId, { io, now = new Date() } = {}) {
+    const expiredMatch = await Match.findOneAndUpdate(
+      { _id: matchId, status: 'pending', expiresAt: { $lte: now } },
+      { $set: { status: 'expired', expiredAt: now } },
+      { new: true }
+    );
+    if (!expiredMatch) return null;
+
+    await this.notifyUsers(expiredMatch, 'expired', io);
+    return expiredMatch;
+  }
+
+  /**
+   * Extend a pending match request
+   * Only the initiator can extend, and only MATCHING_CONSTANTS.EXPIRY.MAX_EXTENSIONS times.
+   * @param {string} matchId - Match ID
+   * @param {string} userId - User extending the request
+   * @param {Object} context - { io } Socket.IO server for notifying the other user (optional)
+   * @returns {Object} { success, statusCode?, message?, match? }
+   */
+  async extendMatchRequest(matchId, userId, { io } = {}) {
+    const { EXTENSION_MS, MAX_EXTENSIONS } = MATCHING_CONSTANTS.EXPIRY;
+
+    try {
+      const match = await Match.findById(matchId);
+      if (!match || !match.includesUser(userId)) {
+        return { success: false, statusCode: 404, message: 'Match not found' };
+      }
+
+      if (!match.initiatedBy.equals(userId)) {
+        return { success: false, statusCode: 403, message: 'Only the user who sent the request can extend it' };
+      }
+
+      const now = new Date();
+      if (match.status !== 'pending' || match.expiresAt <= now) {
+        return { success: false, statusCode: 400, message: 'Only pending requests that have not expired can be extended' };
+      }
+
+      if (match.extensionCount >= MAX_EXTENSIONS) {
+        return { success: false, statusCode: 400, message: 'This request has already been extended' };
+      }
+
+      // Conditional update so two simultaneous extend calls can't both succeed
+      const extended = await Match.findOneAndUpdate(
+        {
+          _id: match._id,
+          status: 'pending',
+          extensionCount: { $lt: MAX_EXTENSIONS }
+        },
+        {
+          $set: {
+            expiresAt: new Date(match.expiresAt.getTime() + EXTENSION_MS),
+            extendedAt: now,
+            expiryWarningSentAt: null
+          },
+          $inc: { extensionCount: 1 }
+        },
+        { new: true }
+      );
+
+      if (!extended) {
+        return { success: false, statusCode: 400, message: 'This request has already been extended' };
+      }
+
+      this.emitToUser(io, extended.getOtherUserId(userId), SOCKET_CONSTANTS.EVENTS.MATCH_EXTENDED, {
+        matchId: extended._id,
+        expiresAt: extended.expiresAt
+      });
+
+      logger.matching('match_request_extended', userId, extended.getOtherUserId(userId), {
+        matchId,
+        expiresAt: extended.expiresAt
+      });
+
+      return { success: true, match: extended };
+
+    } catch (error) {
+      logger.error('Error extending match request', error, { matchId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Notify both users of a match over Socket.IO and email
+   * Email failures are logged and don't stop the other notifications.
+   * @param {Object} match - Match document
+   * @param {string} kind - 'expiring' or 'expired'
+   * @param {Object} io - Socket.IO server (optional)
+   */
+  async notifyUsers(match, kind, io) {
+    const users = await User.find({ _id: { $in: [match.user1, match.user2] } })
+      .select('name email preferences');
+    const byId = new Map(users.map(user => [user._id.toString(), user]));
+
+    const event = kind === 'expiring'
+      ? SOCKET_CONSTANTS.EVENTS.MATCH_EXPIRING
+      : SOCKET_CONSTANTS.EVENTS.MATCH_EXPIRED;
+
+    for (const userId of [match.user1, match.user2]) {
+      const user = byId.get(userId.toString());
+      const partner = byId.get(match.getOtherUserId(userId).toString());
+      if (!user || !partner) continue;
+
+      this.emitToUser(io, user._id, event, {
+        matchId: match._id,
+        partner: { _id: partner._id, name: partner.name },
+        expiresAt: match.expiresAt,
+        isInitiator: match.initiatedBy.equals(user._id),
+        canExtend: kind === 'expiring' && match.initiatedBy.equals(user._id) && match.canExtend
+      });
+
+      try {
+        if (kind === 'expiring') {
+          await emailService.sendMatchExpiringNotification(user, partner, match);
+        } else {
+          await emailService.sendMatchExpiredNotification(user, partner, match);
+        }
+      } catch (error) {
+        logger.error(`Match ${kind} email failed`, error, { matchId: match._id, userId: user._id });
+      }
+    }
+
+    logger.matching(`match_${kind}_notified`, match.user1, match.user2, {
+      matchId: match._id,
+      expiresAt: match.expiresAt
+    });
+  }
+
+  /**
+   * Emit an event to a user's personal room
+   * @param {Object} io - Socket.IO server (no-op when not available)
+   * @param {string} userId - Recipient user ID
+   * @param {string} event - Event name
+   * @param {Object} data - Payload
+   */
+  emitToUser(io, userId, event, data) {
+    if (!io) return;
+    io.to(`${SOCKET_CONSTANTS.ROOMS.USER}${userId}`).emit(event, data);
+  }
+}
+
+module.exports = new MatchExpiryService();
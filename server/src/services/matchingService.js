@@ -1,6 +1,16 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Match = require('../models/Match');
+const CompatibilityIndex = require('../models/CompatibilityIndex');
+const Group = require('../models/Group');
+const emailService = require('./emailService');
+const matchExpiryService = require('./matchExpiryService');
 const logger = require('../utils/logger');
+const { MATCHING_CONSTANTS, SOCKET_CONSTANTS } = require('../utils/constants');
+const availabilityUtils = require('../utils/availability');
+const partnerCompatibility = require('../utils/partnerCompatibility');
+const scoringStrategies = require('./scoringStrategies');
+const rankingModel = require('../utils/rankingModel');
 
 /**
  * Matching Service for AcademicAlly
@@ -9,19 +19,16 @@ const logger = require('../utils/logger');
 
 class MatchingService {
   constructor() {
-    this.compatibilityWeights = {
-      courseOverlap: 0.4,        // 40% - Most important factor
-      studyStyle: 0.2,           // 20% - Learning preference compatibility
-      availability: 0.15,        // 15% - Time availability overlap
-      location: 0.15,            // 15% - Location preference compatibility
-      academicGoals: 0.1         // 10% - Academic goals alignment
-    };
+    // Weights of the default strategy; see scoringStrategies for the alternatives
+    this.compatibilityWeights = scoringStrategies.get().weights;
   }
 
   /**
    * Find potential study partners for a user
+   * Served from the precomputed compatibility index when the request doesn't narrow the population,
+   * otherwise ranked live over the candidate pool.
    * @param {string} userId - User ID looking for matches
-   * @param {Object} filters - Optional filters for matching
+   * @param {Object} filters - Optional filters for matching (filters.algorithm selects the scoring strategy)
    * @param {number} limit - Maximum number of matches to return
    * @returns {Array} Array of potential matches with compatibility scores
    */
@@ -35,82 +42,420 @@ class MatchingService {
         throw new Error('User not found');
       }
 
-      // Get all potential matches (exclude current user and blocked users)
-      const excludeUsers = [userId, ...currentUser.blockedUsers, ...currentUser.blockedBy];
-      
-      const query = {
-        _id: { $nin: excludeUsers },
-        isActive: true,
-        verified: true
-      };
+      const strategy = this.resolveStrategy(currentUser, filters.algorithm);
+      const excludeUsers = this.getExcludedUserIds(currentUser);
 
-      // Apply filters
-      if (filters.university) {
-        query.university = filters.university;
+      let rankedMatches = null;
+      let candidatePoolSize = 0;
+      let source = 'live';
+
+      if (!this.hasCandidateFilters(filters)) {
+        rankedMatches = await this.getIndexedMatches(currentUser, strategy, excludeUsers);
+        if (rankedMatches) source = 'index';
       }
-      if (filters.year) {
-        query.year = filters.year;
+
+      if (!rankedMatches) {
+        const candidates = await this.getCandidatePool(currentUser, filters, excludeUsers);
+        candidatePoolSize = candidates.length;
+        rankedMatches = await this.rankCandidates(currentUser, candidates, strategy);
       }
-      if (filters.major) {
-        query.major = { $regex: filters.major, $options: 'i' };
+
+      // Skip users we already have a match with before applying the limit
+      const existingMatchUserIds = await this.getMatchedUserIds(userId);
+      const newMatches = rankedMatches
+        .filter(match => !existingMatchUserIds.has(match.user._id.toString()))
+        .slice(0, limit);
+
+      logger.matching('find_matches_completed', userId, null, {
+        source,
+        totalCandidates: source === 'index' ? rankedMatches.length : candidatePoolSize,
+        qualifiedMatches: rankedMatches.length,
+        newMatches: newMatches.length,
+        algorithm: strategy.id
+      });
+
+      return newMatches;
+
+    } catch (error) {
+      logger.error('Error finding matches', error, { userId, filters });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether filters narrow the candidate population (precomputed rankings can't serve them)
+   * @param {Object} filters - Match filters
+   * @returns {boolean} True if any population filter is set
+   */
+  hasCandidateFilters(filters = {}) {
+    return Boolean(filters.university || filters.year || filters.major || filters.courses?.length);
+  }
+
+  /**
+   * Users that must never be suggested to this user
+   * @param {Object} user - User document
+   * @returns {Array} ObjectIds of the user and anyone blocked either way
+   */
+  getExcludedUserIds(user) {
+    return [user._id, ...(user.blockedUsers || []), ...(user.blockedBy || [])]
+      .map(id => new mongoose.Types.ObjectId(id.toString()));
+  }
+
+  /**
+   * Get IDs of everyone the user already has a match with
+   * @param {string} userId - User ID
+   * @returns {Set} Stringified user IDs
+   */
+  async getMatchedUserIds(userId) {
+    const matches = await Match.find({
+      $or: [{ user1: userId }, { user2: userId }]
+    }).select('user1 user2');
+
+    return new Set(matches.map(match =>
+      (match.user1.toString() === userId.toString() ? match.user2 : match.user1).toString()
+    ));
+  }
+
+  /**
+   * Candidate generation stage
+   * Pulls users sharing any course (served by the courses.code index) or in the same university
+   * bucket, ordered by shared courses, then same university/year, so scoring is spent on the
+   * most promising part of the population.
+   * @param {Object} user - User looking for matches
+   * @param {Object} filters - Optional population filters
+   * @param {Array} excludeUsers - ObjectIds to leave out
+   * @returns {Array} Candidate users (plain objects)
+   */
+  async getCandidatePool(user, filters = {}, excludeUsers = []) {
+    const { POOL_SIZE } = MATCHING_CONSTANTS.CANDIDATES;
+    const startedAt = Date.now();
+    const courseCodes = (user.courses || []).map(course => course.code).filter(Boolean);
+
+    const match = {
+      _id: { $nin: excludeUsers },
+      isActive: true,
+      verified: true
+    };
+
+    if (filters.university) {
+      match.university = filters.university;
+    }
+    if (filters.year) {
+      match.year = filters.year;
+    }
+    if (filters.major) {
+      match.major = { $regex: filters.major, $options: 'i' };
+    }
+    if (filters.courses && filters.courses.length > 0) {
+      match['courses.code'] = { $in: filters.courses.map(code => code.toUpperCase()) };
+    }
+
+    // Only look at people who share a course or a university with the user
+    const sources = [];
+    if (courseCodes.length > 0) sources.push({ 'courses.code': { $in: courseCodes } });
+    if (user.university) sources.push({ university: user.university });
+    if (sources.length > 0) match.$or = sources;
+
+    const candidates = await User.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          sharedCourseCount: {
+            $size: { $setIntersection: [{ $ifNull: ['$courses.code', []] }, courseCodes] }
+          },
+          sameUniversity: { $cond: [{ $eq: ['$university', user.university] }, 1, 0] },
+          sameYear: {
+            $cond: [
+              { $and: [{ $eq: ['$university', user.university] }, { $eq: ['$year', user.year] }] },
+              1,
+              0
+            ]
+          }
+        }
+      },
+      { $sort: { sharedCourseCount: -1, sameYear: -1, sameUniversity: -1, lastActive: -1 } },
+      { $limit: POOL_SIZE },
+      {
+        $project: {
+          password: 0,
+          blockedUsers: 0,
+          blockedBy: 0,
+          sharedCourseCount: 0,
+          sameUniversity: 0,
+          sameYear: 0
+        }
       }
-      if (filters.courses && filters.courses.length > 0) {
-        query.courses = { $in: filters.courses };
+    ]);
+
+    logger.performance('candidate_pool', Date.now() - startedAt, {
+      userId: user._id,
+      poolSize: candidates.length,
+      courseCodes: courseCodes.length
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Score and rank candidates with a strategy
+   * @param {Object} user - User looking for matches
+   * @param {Array} candidates - Candidate users
+   * @param {Object} strategy - Scoring strategy
+   * @returns {Array} Qualified matches, best first
+   */
+  async rankCandidates(user, candidates, strategy) {
+    const scored = await Promise.all(
+      candidates.map(async (candidate) => {
+        const compatibility = await this.calculateCompatibility(user, candidate, strategy);
+        return {
+          user: candidate,
+          compatibilityScore: compatibility.totalScore,
+          compatibilityBreakdown: compatibility.breakdown,
+          commonCourses: compatibility.commonCourses,
+          matchReason: compatibility.reason,
+          algorithm: compatibility.algorithm
+        };
+      })
+    );
+
+    return scored
+      .filter(match => match.compatibilityScore >= MATCHING_CONSTANTS.MIN_COMPATIBILITY.PARTNER)
+      .sort((a, b) => b.compatibilityScore - a.compatibilityScore);
+  }
+
+  /**
+   * Key identifying the exact weights a ranking was computed with
+   * @param {Object} strategy - Scoring strategy
+   * @returns {string} Weights key
+   */
+  getWeightsKey(strategy) {
+    return `${strategy.id}:${scoringStrategies.factors.map(factor => strategy.weights[factor]).join(':')}`;
+  }
+
+  /**
+   * Read a user's precomputed ranking, if it is fresh for the strategy
+   * @param {Object} user - User looking for matches
+   * @param {Object} strategy - Scoring strategy
+   * @param {Array} excludeUsers - ObjectIds to leave out
+   * @returns {Array|null} Ranked matches, or null if the index can't serve this request
+   */
+  async getIndexedMatches(user, strategy, excludeUsers = []) {
+    const index = await CompatibilityIndex.findOne({ user: user._id });
+    if (!index || !index.isFreshFor(strategy.id, this.getWeightsKey(strategy))) {
+      return null;
+    }
+
+    // Re-check eligibility: candidates may have deactivated or been blocked since the ranking was built
+    const candidateIds = index.candidates.map(candidate => candidate.user);
+    const users = await User.find({
+      _id: { $in: candidateIds, $nin: excludeUsers },
+      isActive: true,
+      verified: true
+    }).select('-password -blockedUsers -blockedBy');
+
+    const usersById = new Map(users.map(candidate => [candidate._id.toString(), candidate]));
+
+    return index.candidates
+      .filter(candidate => usersById.has(candidate.user.toString()))
+      .map(candidate => ({
+        user: usersById.get(candidate.user.toString()),
+        compatibilityScore: candidate.score,
+        compatibilityBreakdown: candidate.breakdown,
+        commonCourses: candidate.commonCourses,
+        matchReason: candidate.reason,
+        algorithm: { id: index.algorithm, name: strategy.name, version: index.version }
+      }));
+  }
+
+  /**
+   * Precompute and store a user's top-N partners
+   * @param {string} userId - User ID
+   * @returns {Object|null} Stored index entry, or null if the user is no longer eligible
+   */
+  async rebuildCompatibilityIndex(userId) {
+    const { TOP_N, TTL_MS } = MATCHING_CONSTANTS.INDEX;
+
+    const user = await User.findById(userId).select('-password');
+    if (!user || !user.isActive) {
+      await CompatibilityIndex.deleteOne({ user: userId });
+      return null;
+    }
+
+    const strategy = this.resolveStrategy(user);
+    const candidates = await this.getCandidatePool(user, {}, this.getExcludedUserIds(user));
+    const ranked = await this.rankCandidates(user, candidates, strategy);
+    const now = new Date();
+
+    const entry = await CompatibilityIndex.findOneAndUpdate(
+      { user: user._id },
+      {
+        user: user._id,
+        algorithm: strategy.id,
+        version: strategy.version,
+        weightsKey: this.getWeightsKey(strategy),
+        candidates: ranked.slice(0, TOP_N).map(match => ({
+          user: match.user._id,
+          score: match.compatibilityScore,
+          breakdown: {
+            courseOverlap: match.compatibilityBreakdown.courseOverlap,
+            studyStyle: match.compatibilityBreakdown.studyStyle,
+            availability: match.compatibilityBreakdown.availability,
+            location: match.compatibilityBreakdown.location,
+            academicGoals: match.compatibilityBreakdown.academicGoals
+          },
+          commonCourses: match.commonCourses.map(course => course.code || course),
+          reason: match.matchReason
+        })),
+        candidatePoolSize: candidates.length,
+        computedAt: now,
+        expiresAt: new Date(now.getTime() + TTL_MS)
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    logger.matching('compatibility_index_rebuilt', userId, null, {
+      algorithm: strategy.id,
+      candidatePoolSize: candidates.length,
+      indexed: entry.candidates.length
+    });
+
+    return entry;
+  }
+
+  /**
+   * Rebuild rankings that are missing or due for refresh, in batches
+   * Used by the compatibility index job; bounded per run so a large user base is spread over runs.
+   * @returns {Object} { scanned, rebuilt, failed }
+   */
+  async refreshCompatibilityIndex() {
+    const { BATCH_SIZE, MAX_USERS_PER_RUN, REFRESH_AFTER_MS } = MATCHING_CONSTANTS.INDEX;
+    const cutoff = new Date(Date.now() - REFRESH_AFTER_MS);
+
+    let lastId = null;
+    let scanned = 0;
+    let rebuilt = 0;
+    let failed = 0;
+
+    while (rebuilt + failed < MAX_USERS_PER_RUN) {
+      const query = { isActive: true, verified: true };
+      if (lastId) query._id = { $gt: lastId };
+
+      const batch = await User.find(query).select('_id').sort({ _id: 1 }).limit(BATCH_SIZE);
+      if (batch.length === 0) break;
+
+      lastId = batch[batch.length - 1]._id;
+      scanned += batch.length;
+
+      const staleUserIds = await CompatibilityIndex.findStaleUserIds(batch.map(user => user._id), cutoff);
+
+      for (const staleUserId of staleUserIds) {
+        if (rebuilt + failed >= MAX_USERS_PER_RUN) break;
+
+        try {
+          await this.rebuildCompatibilityIndex(staleUserId);
+          rebuilt++;
+        } catch (error) {
+          failed++;
+          logger.error('Error rebuilding compatibility index', error, { userId: staleUserId });
+        }
       }
+    }
 
-      const potentialMatches = await User.find(query)
-        .select('-password -blockedUsers -blockedBy')
-        .limit(limit * 3); // Get more candidates to ensure quality matches
-
-      // Calculate compatibility scores
-      const matchesWithScores = await Promise.all(
-        potentialMatches.map(async (candidate) => {
-          const compatibility = await this.calculateCompatibility(currentUser, candidate);
-          return {
-            user: candidate,
-            compatibilityScore: compatibility.totalScore,
-            compatibilityBreakdown: compatibility.breakdown,
-            commonCourses: compatibility.commonCourses,
-            matchReason: compatibility.reason
-          };
-        })
-      );
+    return { scanned, rebuilt, failed };
+  }
 
-      // Sort by compatibility score and take top matches
-      const topMatches = matchesWithScores
-        .filter(match => match.compatibilityScore >= 0.3) // Minimum 30% compatibility
-        .sort((a, b) => b.compatibilityScore - a.compatibilityScore)
-        .slice(0, limit);
+  /**
+   * Pick the scoring strategy for a user
+   * An explicitly requested algorithm wins and is used exactly as registered. Otherwise the
+   * user's personal weights (or the default strategy) are used, with any adjustments learned
+   * from the user's past decisions applied on top.
+   * @param {Object} user - User the matches are computed for
+   * @param {string} algorithm - Optional strategy name or id
+   * @returns {Object} Scoring strategy
+   */
+  resolveStrategy(user, algorithm = null) {
+    if (algorithm) {
+      return scoringStrategies.get(algorithm);
+    }
 
-      // Check for existing matches to avoid duplicates
-      const existingMatches = await Match.find({
-        $or: [
-          { user1: userId, user2: { $in: topMatches.map(m => m.user._id) } },
-          { user2: userId, user1: { $in: topMatches.map(m => m.user._id) } }
-        ]
-      });
+    const weights = this.getPersonalWeights(user);
+    const strategy = weights ? scoringStrategies.createCustom(weights) : scoringStrategies.get();
 
-      const existingMatchUserIds = new Set();
-      existingMatches.forEach(match => {
-        existingMatchUserIds.add(match.user1.toString());
-        existingMatchUserIds.add(match.user2.toString());
-      });
+    const learned = user?.matchingPreferences?.learned;
+    if (!learned?.adjustments || !learned.trainedAt) {
+      return strategy;
+    }
 
-      // Filter out existing matches
-      const newMatches = topMatches.filter(match => 
-        !existingMatchUserIds.has(match.user._id.toString())
-      );
+    return scoringStrategies.withAdjustments(strategy, learned.adjustments, {
+      sampleSize: learned.sampleSize,
+      trainedAt: learned.trainedAt,
+      modelVersion: learned.modelVersion
+    });
+  }
 
-      logger.matching('find_matches_completed', userId, null, {
-        totalCandidates: potentialMatches.length,
-        qualifiedMatches: topMatches.length,
-        newMatches: newMatches.length
+  /**
+   * Get a user's personal matching weights, if they have set a valid set
+   * @param {Object} user - User document
+   * @returns {Object|null} Weight per factor or null
+   */
+  getPersonalWeights(user) {
+    const stored = user?.matchingPreferences?.weights;
+    if (!stored) return null;
+
+    const weights = scoringStrategies.factors.reduce((result, factor) => {
+      if (typeof stored[factor] === 'number') result[factor] = stored[factor];
+      return result;
+    }, {});
+
+    return scoringStrategies.validateWeights(weights) ? null : weights;
+  }
+
+  /**
+   * Update a user's matching preferences
+   * Passing `weights: null` clears personal weights and falls back to the default strategy.
+   * @param {string} userId - User ID
+   * @param {Object} preferences - Preferences from PUT /api/matching/preferences
+   * @returns {Object} { success, message?, preferences? }
+   */
+  async updateUserPreferences(userId, preferences = {}) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        return { success: false, message: 'User not found' };
+      }
+
+      // Only the weights change; learned ranking adjustments are kept
+      if (preferences.weights !== undefined) {
+        if (preferences.weights !== null) {
+          const weightsError = scoringStrategies.validateWeights(preferences.weights);
+          if (weightsError) {
+            return { success: false, message: weightsError };
+          }
+        }
+
+        user.set('matchingPreferences.weights', preferences.weights || undefined);
+        user.set('matchingPreferences.weightsUpdatedAt', new Date());
+      }
+
+      await user.save();
+
+      const weights = this.getPersonalWeights(user);
+
+      logger.matching('preferences_updated', userId, null, {
+        customWeights: Boolean(weights)
       });
 
-      return newMatches;
+      return {
+        success: true,
+        preferences: {
+          weights: weights || scoringStrategies.get().weights,
+          usingCustomWeights: Boolean(weights),
+          weightsUpdatedAt: user.matchingPreferences?.weightsUpdatedAt
+        }
+      };
 
     } catch (error) {
-      logger.error('Error finding matches', error, { userId, filters });
+      logger.error('Error updating matching preferences', error, { userId });
       throw error;
     }
   }
@@ -119,35 +464,36 @@ class MatchingService {
    * Calculate compatibility score between two users
    * @param {Object} user1 - First user object
    * @param {Object} user2 - Second user object
+   * @param {string|Object} algorithm - Strategy name/id or resolved strategy (defaults to user1's weights)
    * @returns {Object} Compatibility analysis with scores and breakdown
    */
-  async calculateCompatibility(user1, user2) {
+  async calculateCompatibility(user1, user2, algorithm = null) {
+    const strategy = algorithm?.weights ? algorithm : this.resolveStrategy(user1, algorithm);
+
     try {
       const breakdown = {};
-      let totalScore = 0;
 
-      // 1. Course Overlap Score (40% weight)
+      // 1. Course Overlap Score
       const courseScore = this.calculateCourseOverlap(user1.courses, user2.courses);
       breakdown.courseOverlap = courseScore;
-      totalScore += courseScore * this.compatibilityWeights.courseOverlap;
 
-      // 2. Study Style Compatibility (20% weight)
+      // 2. Study Style Compatibility
       const studyStyleScore = this.calculateStudyStyleCompatibility(
         user1.studyPreferences, 
         user2.studyPreferences
       );
       breakdown.studyStyle = studyStyleScore;
-      totalScore += studyStyleScore * this.compatibilityWeights.studyStyle;
 
-      // 3. Availability Overlap (15% weight)
-      const availabilityScore = this.calculateAvailabilityOverlap(
-        user1.availability, 
-        user2.availability
-      );
-      breakdown.availability = availabilityScore;
-      totalScore += availabilityScore * this.compatibilityWeights.availability;
+      // 3. Availability Overlap
+      const availabilityOverlap = this.calculateAvailabilityOverlap(user1, user2);
+      breakdown.availability = availabilityOverlap.score;
+      breakdown.availabilityDetails = {
+        sharedMinutes: availabilityOverlap.sharedMinutes,
+        windows: availabilityOverlap.windows,
+        timezone: user1.timezone || 'UTC'
+      };
 
-      // 4. Location Compatibility (15% weight)
+      // 4. Location Compatibility
       const locationScore = this.calculateLocationCompatibility(
         user1.location, 
         user2.location,
@@ -155,20 +501,18 @@ class MatchingService {
         user2.studyPreferences
       );
       breakdown.location = locationScore;
-      totalScore += locationScore * this.compatibilityWeights.location;
 
-      // 5. Academic Goals Alignment (10% weight)
+      // 5. Academic Goals Alignment
       const goalsScore = this.calculateGoalsAlignment(
         user1.studyPreferences?.academicGoals,
         user2.studyPreferences?.academicGoals
       );
       breakdown.academicGoals = goalsScore;
-      totalScore += goalsScore * this.compatibilityWeights.academicGoals;
+
+      const totalScore = scoringStrategies.score(strategy, breakdown, user1, user2);
 
       // Find common courses for display
-      const commonCourses = user1.courses.filter(course => 
-        user2.courses.includes(course)
-      );
+      const commonCourses = this.getCommonCourses(user1.courses, user2.courses);
 
       // Generate match reason
       const reason = this.generateMatchReason(breakdown, commonCourses);
@@ -177,23 +521,45 @@ class MatchingService {
         totalScore: Math.round(totalScore * 100) / 100, // Round to 2 decimal places
         breakdown,
         commonCourses,
-        reason
+        reason,
+        algorithm: { id: strategy.id, name: strategy.name, version: strategy.version }
       };
 
     } catch (error) {
       logger.error('Error calculating compatibility', error, {
         user1Id: user1._id,
-        user2Id: user2._id
+        user2Id: user2._id,
+        algorithm: strategy.id
       });
       return {
         totalScore: 0,
         breakdown: {},
         commonCourses: [],
-        reason: 'Unable to calculate compatibility'
+        reason: 'Unable to calculate compatibility',
+        algorithm: { id: strategy.id, name: strategy.name, version: strategy.version }
       };
     }
   }
 
+  /**
+   * Normalise a course list to upper-case course codes (see utils/partnerCompatibility)
+   * @param {Array} courses - Course subdocuments ({ code, name }) or code strings
+   * @returns {Array} Unique course codes
+   */
+  getCourseCodes(courses) {
+    return partnerCompatibility.getCourseCodes(courses);
+  }
+
+  /**
+   * Get the courses two users share
+   * @param {Array} courses1 - First user's courses
+   * @param {Array} courses2 - Second user's courses
+   * @returns {Array} Shared courses as { code, name }
+   */
+  getCommonCourses(courses1, courses2) {
+    return partnerCompatibility.getCommonCourses(courses1, courses2);
+  }
+
   /**
    * Calculate course overlap score
    * @param {Array} courses1 - First user's courses
@@ -201,16 +567,7 @@ class MatchingService {
    * @returns {number} Score between 0 and 1
    */
   calculateCourseOverlap(courses1, courses2) {
-    if (!courses1?.length || !courses2?.length) return 0;
-
-    const commonCourses = courses1.filter(course => courses2.includes(course));
-    const totalUniqueCourses = new Set([...courses1, ...courses2]).size;
-    
-    // Jaccard similarity with bonus for high overlap
-    const jaccardSimilarity = commonCourses.length / totalUniqueCourses;
-    const overlapBonus = Math.min(commonCourses.length / 3, 0.3); // Bonus up to 0.3 for 3+ common courses
-    
-    return Math.min(jaccardSimilarity + overlapBonus, 1);
+    return partnerCompatibility.scoreCourseOverlap(courses1, courses2);
   }
 
   /**
@@ -220,79 +577,28 @@ class MatchingService {
    * @returns {number} Score between 0 and 1
    */
   calculateStudyStyleCompatibility(prefs1, prefs2) {
-    if (!prefs1 || !prefs2) return 0.5; // Neutral score if preferences not set
-
-    let score = 0;
-    let factors = 0;
-
-    // Study intensity compatibility
-    if (prefs1.studyIntensity && prefs2.studyIntensity) {
-      const intensityDiff = Math.abs(prefs1.studyIntensity - prefs2.studyIntensity);
-      score += Math.max(0, 1 - intensityDiff / 4); // Scale 1-5, perfect match = 1, opposite = 0
-      factors++;
-    }
-
-    // Group size preference compatibility
-    if (prefs1.preferredGroupSize && prefs2.preferredGroupSize) {
-      const sizeDiff = Math.abs(prefs1.preferredGroupSize - prefs2.preferredGroupSize);
-      score += Math.max(0, 1 - sizeDiff / 3); // Scale typically 1-4
-      factors++;
-    }
-
-    // Study environment preference
-    if (prefs1.studyEnvironment && prefs2.studyEnvironment) {
-      const envMatch = prefs1.studyEnvironment === prefs2.studyEnvironment ? 1 : 0.3;
-      score += envMatch;
-      factors++;
-    }
-
-    // Study method compatibility
-    if (prefs1.studyMethods && prefs2.studyMethods) {
-      const commonMethods = prefs1.studyMethods.filter(method => 
-        prefs2.studyMethods.includes(method)
-      );
-      const methodScore = commonMethods.length / Math.max(prefs1.studyMethods.length, prefs2.studyMethods.length);
-      score += methodScore;
-      factors++;
-    }
-
-    return factors > 0 ? score / factors : 0.5;
+    return partnerCompatibility.scoreStudyStyle(prefs1, prefs2);
   }
 
   /**
-   * Calculate availability overlap
-   * @param {Object} avail1 - First user's availability
-   * @param {Object} avail2 - Second user's availability
-   * @returns {number} Score between 0 and 1
+   * Calculate availability overlap from weekly time slots, normalised to UTC by each user's timezone
+   * @param {Object} user1 - First user (availability, timezone); windows are reported in this user's timezone
+   * @param {Object} user2 - Second user (availability, timezone)
+   * @returns {Object} { score (0-1), sharedMinutes, windows }
    */
-  calculateAvailabilityOverlap(avail1, avail2) {
-    if (!avail1 || !avail2) return 0.5; // Neutral if availability not set
-
-    const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-    let totalOverlap = 0;
-    let totalPossible = 0;
-
-    days.forEach(day => {
-      if (avail1[day] && avail2[day]) {
-        const overlap = this.calculateTimeOverlap(avail1[day], avail2[day]);
-        totalOverlap += overlap;
-        totalPossible += Math.max(avail1[day].length, avail2[day].length);
-      }
-    });
+  calculateAvailabilityOverlap(user1, user2) {
+    const overlap = availabilityUtils.calculateOverlap(user1, user2);
 
-    return totalPossible > 0 ? totalOverlap / totalPossible : 0;
-  }
+    // Neutral if either user hasn't set availability
+    if (!overlap.hasAvailability) {
+      return { score: 0.5, sharedMinutes: 0, windows: [] };
+    }
 
-  /**
-   * Calculate time overlap for a specific day
-   * @param {Array} times1 - First user's time slots
-   * @param {Array} times2 - Second user's time slots
-   * @returns {number} Number of overlapping time slots
-   */
-  calculateTimeOverlap(times1, times2) {
-    if (!Array.isArray(times1) || !Array.isArray(times2)) return 0;
-    
-    return times1.filter(time => times2.includes(time)).length;
+    return {
+      score: overlap.score,
+      sharedMinutes: overlap.sharedMinutes,
+      windows: overlap.windows
+    };
   }
 
   /**
@@ -365,8 +671,9 @@ class MatchingService {
       reasons.push('Similar study preferences');
     }
 
+    const sharedHours = Math.floor((breakdown.availabilityDetails?.sharedMinutes || 0) / 60);
     if (breakdown.availability > 0.7) {
-      reasons.push('Great schedule compatibility');
+      reasons.push(sharedHours > 0 ? `${sharedHours}h of shared free time each week` : 'Great schedule compatibility');
     } else if (breakdown.availability > 0.5) {
       reasons.push('Some overlapping availability');
     }
@@ -382,13 +689,208 @@ class MatchingService {
     return reasons.slice(0, 2).join(' and '); // Take top 2 reasons
   }
 
+  /**
+   * Get a structured, per-factor explanation of why two users were (or would be) matched
+   * @param {string} userId - Requesting user ID
+   * @param {string} partnerId - Potential partner ID
+   * @param {string} algorithm - Optional strategy name or id (defaults to the user's weights)
+   * @returns {Object} { success, statusCode?, message?, data? }
+   */
+  async getCompatibilityExplanation(userId, partnerId, algorithm = null) {
+    try {
+      if (userId.toString() === partnerId.toString()) {
+        return { success: false, statusCode: 400, message: 'Cannot analyse compatibility with yourself' };
+      }
+
+      const [user, partner] = await Promise.all([
+        User.findById(userId).select('-password'),
+        User.findById(partnerId).select('-password')
+      ]);
+
+      const blocked = [...(user?.blockedUsers || []), ...(user?.blockedBy || [])]
+        .some(id => id.toString() === partnerId.toString());
+
+      if (!user || !partner || !partner.isActive || blocked) {
+        return { success: false, statusCode: 404, message: 'Partner not found or compatibility cannot be calculated' };
+      }
+
+      const strategy = this.resolveStrategy(user, algorithm);
+      const compatibility = await this.calculateCompatibility(user, partner, strategy);
+      const explanation = this.buildExplanation(user, partner, compatibility, strategy);
+
+      logger.matching('compatibility_explained', userId, partnerId, {
+        algorithm: strategy.id,
+        totalScore: compatibility.totalScore,
+        draggedDownBy: explanation.draggedDownBy?.factor
+      });
+
+      return {
+        success: true,
+        data: {
+          partner: {
+            _id: partner._id,
+            name: partner.name,
+            university: partner.university,
+            major: partner.major,
+            year: partner.year,
+            profilePicture: partner.profilePicture
+          },
+          ...explanation
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error explaining compatibility', error, { userId, partnerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Build a per-factor explanation from a compatibility result
+   * Each factor reports its score, weight, contribution to the total and the points it cost,
+   * plus the concrete data behind it so the UI can render "why".
+   * @param {Object} user1 - User the explanation is for
+   * @param {Object} user2 - Partner
+   * @param {Object} compatibility - Result of calculateCompatibility
+   * @param {Object} strategy - Strategy used for scoring
+   * @returns {Object} { totalScore, percentage, summary, algorithm, factors, strengths, draggedDownBy }
+   */
+  buildExplanation(user1, user2, compatibility, strategy) {
+    const { breakdown, commonCourses } = compatibility;
+    const prefs1 = user1.studyPreferences || {};
+    const prefs2 = user2.studyPreferences || {};
+
+    const describe = (score, strong, moderate, weak) => {
+      if (score >= 0.7) return strong;
+      if (score >= 0.4) return moderate;
+      return weak;
+    };
+
+    // Courses
+    const commonCodes = new Set(commonCourses.map(course => course.code));
+    const courseFactor = {
+      factor: 'courseOverlap',
+      label: 'Shared courses',
+      summary: commonCourses.length > 0
+        ? `You share ${commonCourses.length} course${commonCourses.length > 1 ? 's' : ''}: ${commonCourses.map(course => course.code).join(', ')}`
+        : 'You have no courses in common',
+      details: {
+        sharedCourses: commonCourses,
+        onlyYours: this.getCourseCodes(user1.courses).filter(code => !commonCodes.has(code)),
+        onlyTheirs: this.getCourseCodes(user2.courses).filter(code => !commonCodes.has(code))
+      }
+    };
+
+    // Study style
+    const sharedStyles = (prefs1.studyStyle || []).filter(style => (prefs2.studyStyle || []).includes(style));
+    const sharedMeetingTypes = (prefs1.meetingType || []).filter(type => (prefs2.meetingType || []).includes(type));
+    const studyStyleFactor = {
+      factor: 'studyStyle',
+      label: 'Study style',
+      summary: sharedStyles.length > 0
+        ? `You both like ${sharedStyles.join(', ')}`
+        : describe(
+          breakdown.studyStyle,
+          'Your study habits line up well',
+          'Your study habits partly line up',
+          'You study quite differently'
+        ),
+      details: {
+        sharedStudyStyles: sharedStyles,
+        studyIntensity: { yours: prefs1.studyIntensity || null, theirs: prefs2.studyIntensity || null },
+        preferredGroupSize: { yours: prefs1.preferredGroupSize || null, theirs: prefs2.preferredGroupSize || null },
+        sharedMeetingTypes
+      }
+    };
+
+    // Availability
+    const availability = breakdown.availabilityDetails || { sharedMinutes: 0, windows: [] };
+    const sharedHours = Math.round((availability.sharedMinutes / 60) * 10) / 10;
+    const availabilityFactor = {
+      factor: 'availability',
+      label: 'Schedule overlap',
+      summary: availability.sharedMinutes > 0
+        ? `You're both free for ${sharedHours}h a week across ${availability.windows.length} window${availability.windows.length > 1 ? 's' : ''}`
+        : 'Your free time doesn\'t overlap yet',
+      details: availability
+    };
+
+    // Location
+    const spots1 = prefs1.location || {};
+    const spots2 = prefs2.location || {};
+    const sharedStudySpots = Object.keys(spots1).filter(spot => spots1[spot] === true && spots2[spot] === true);
+    const locationFactor = {
+      factor: 'location',
+      label: 'Location',
+      summary: describe(
+        breakdown.location,
+        'You can easily meet in the same places',
+        'Meeting up is possible',
+        'You\'re likely too far apart to meet in person'
+      ),
+      details: {
+        sameUniversity: Boolean(user1.university) && user1.university === user2.university,
+        sharedStudySpots
+      }
+    };
+
+    // Academic goals
+    const goals1 = prefs1.academicGoals || [];
+    const goals2 = prefs2.academicGoals || [];
+    const sharedGoals = goals1.filter(goal => goals2.includes(goal));
+    const goalsFactor = {
+      factor: 'academicGoals',
+      label: 'Academic goals',
+      summary: sharedGoals.length > 0
+        ? `You share goals: ${sharedGoals.join(', ')}`
+        : (goals1.length && goals2.length ? 'Your academic goals differ' : 'Not enough goal information to compare'),
+      details: { sharedGoals }
+    };
+
+    const factors = [courseFactor, studyStyleFactor, availabilityFactor, locationFactor, goalsFactor]
+      .map(factor => {
+        const score = breakdown[factor.factor] ?? 0;
+        const weight = strategy.weights[factor.factor];
+        return {
+          ...factor,
+          score: Math.round(score * 100) / 100,
+          weight,
+          contribution: Math.round(score * weight * 1000) / 1000,
+          lostPoints: Math.round((1 - score) * weight * 1000) / 1000,
+          verdict: describe(score, 'strong', 'moderate', 'weak')
+        };
+      })
+      .sort((a, b) => b.weight - a.weight);
+
+    const weakest = factors.reduce((worst, factor) =>
+      (!worst || factor.lostPoints > worst.lostPoints ? factor : worst), null);
+
+    return {
+      totalScore: compatibility.totalScore,
+      percentage: Math.round(compatibility.totalScore * 100),
+      summary: compatibility.reason,
+      algorithm: compatibility.algorithm,
+      factors,
+      strengths: factors.filter(factor => factor.verdict === 'strong').map(factor => factor.factor),
+      draggedDownBy: weakest && weakest.lostPoints > 0
+        ? {
+          factor: weakest.factor,
+          label: weakest.label,
+          lostPoints: weakest.lostPoints,
+          summary: weakest.summary
+        }
+        : null
+    };
+  }
+
   /**
    * Create a match between two users
    * @param {string} userId1 - First user ID
    * @param {string} userId2 - Second user ID
+   * @param {Object} options - Optional settings (options.algorithm selects the scoring strategy)
    * @returns {Object} Created match object
    */
-  async createMatch(userId1, userId2) {
+  async createMatch(userId1, userId2, options = {}) {
     try {
       // Check if match already exists
       const existingMatch = await Match.findOne({
@@ -413,16 +915,32 @@ class MatchingService {
       }
 
       // Calculate compatibility
-      const compatibility = await this.calculateCompatibility(user1, user2);
+      const strategy = this.resolveStrategy(user1, options.algorithm);
+      const compatibility = await this.calculateCompatibility(user1, user2, strategy);
+      const { breakdown } = compatibility;
 
-      // Create match
+      // Create match, recording the algorithm so the score can be reproduced later
       const match = new Match({
         user1: userId1,
         user2: userId2,
         compatibilityScore: compatibility.totalScore,
         status: 'pending',
         courses: compatibility.commonCourses,
-        reason: compatibility.reason,
+        matchReason: compatibility.reason,
+        initiatedBy: userId1,
+        metadata: {
+          algorithm: strategy.id,
+          version: strategy.version,
+          weights: strategy.weights,
+          learning: strategy.learned || undefined,
+          factors: {
+            courseOverlap: breakdown.courseOverlap,
+            scheduleCompatibility: breakdown.availability,
+            studyPreferences: breakdown.studyStyle,
+            location: breakdown.location,
+            academicGoals: breakdown.academicGoals
+          }
+        },
         createdAt: new Date()
       });
 
@@ -430,7 +948,9 @@ class MatchingService {
 
       logger.matching('match_created', userId1, userId2, {
         matchId: match._id,
-        compatibilityScore: compatibility.totalScore
+        compatibilityScore: compatibility.totalScore,
+        algorithm: strategy.id,
+        version: strategy.version
       });
 
       return match;
@@ -443,12 +963,18 @@ class MatchingService {
 
   /**
    * Update match status (accept, reject, etc.)
+   * Responses are kept (respondedBy/respondedAt) as training signal for the ranking model.
    * @param {string} matchId - Match ID
    * @param {string} userId - User ID performing the action
-   * @param {string} status - New status (accepted, rejected, blocked)
+   * @param {string} status - New status (accepted, rejected) or action (accept, decline)
+   * @param {Object} options - { message, io } Responder's note and Socket.IO server for notifying
+   *   the requester (both optional)
    * @returns {Object} Updated match
    */
-  async updateMatchStatus(matchId, userId, status) {
+  async updateMatchStatus(matchId, userId, status, { message, io } = {}) {
+    const statusByAction = { accept: 'accepted', decline: 'rejected', reject: 'rejected' };
+    const newStatus = statusByAction[status] || status;
+
     try {
       const match = await Match.findById(matchId);
       if (!match) {
@@ -456,27 +982,40 @@ class MatchingService {
       }
 
       // Verify user is part of this match
-      if (match.user1.toString() !== userId && match.user2.toString() !== userId) {
+      if (match.user1.toString() !== userId.toString() && match.user2.toString() !== userId.toString()) {
         throw new Error('Unauthorized to update this match');
       }
 
-      match.status = status;
-      match.updatedAt = new Date();
-
-      // Set who performed the action
-      if (match.user1.toString() === userId) {
-        match.user1Status = status;
-      } else {
-        match.user2Status = status;
+      if (['accepted', 'rejected'].includes(newStatus)) {
+        if (match.status !== 'pending') {
+          throw new Error(`Match is already ${match.status}`);
+        }
+        if (match.initiatedBy?.toString() === userId.toString()) {
+          throw new Error('Only the invited user can respond to this match');
+        }
+        // Past due but not yet picked up by the expiry job
+        if (match.expiresAt && match.expiresAt <= new Date()) {
+          await matchExpiryService.expireMatch(match._id, { io });
+          throw new Error('Match is already expired');
+        }
+
+        match.respondedAt = new Date();
+        match.respondedBy = userId;
+        match.responseMessage = message;
       }
 
+      match.status = newStatus;
       await match.save();
 
       logger.matching('match_status_updated', userId, null, {
         matchId,
-        newStatus: status
+        newStatus
       });
 
+      if (match.respondedAt && ['accepted', 'rejected'].includes(newStatus)) {
+        await this.notifyMatchResponse(match, userId, { io });
+      }
+
       return match;
 
     } catch (error) {
@@ -485,6 +1024,258 @@ class MatchingService {
     }
   }
 
+  /**
+   * Tell the requester their match request was answered, over Socket.IO and email
+   * Failures are logged and don't fail the response.
+   * @param {Object} match - Answered match
+   * @param {string} responderId - User who answered
+   * @param {Object} context - { io } Socket.IO server (optional)
+   */
+  async notifyMatchResponse(match, responderId, { io } = {}) {
+    try {
+      const requesterId = match.getOtherUserId(responderId);
+      const [requester, responder] = await Promise.all([
+        User.findById(requesterId).select('name email preferences'),
+        User.findById(responderId).select('name profilePicture')
+      ]);
+      if (!requester || !responder) return;
+
+      if (io) {
+        io.to(`${SOCKET_CONSTANTS.ROOMS.USER}${requesterId}`).emit(SOCKET_CONSTANTS.EVENTS.MATCH_UPDATED, {
+          matchId: match._id,
+          status: match.status,
+          respondedBy: { _id: responder._id, name: responder.name, profilePicture: responder.profilePicture },
+          respondedAt: match.respondedAt,
+          message: match.responseMessage
+        });
+      }
+
+      await emailService.sendMatchResponseNotification(requester, responder, match, match.responseMessage);
+    } catch (error) {
+      logger.error('Match response notification failed', error, { matchId: match._id, responderId });
+    }
+  }
+
+  /**
+   * Rate a partner after an accepted match
+   * One rating per rater per match; rating again replaces the earlier rating.
+   * @param {string} userId - Rating user ID
+   * @param {string} partnerId - Rated partner ID
+   * @param {string} matchId - Accepted match between them
+   * @param {Object} ratingData - { rating (1-5), feedback }
+   * @returns {Object} { success, message?, rating?, newReputation? }
+   */
+  async ratePartner(userId, partnerId, matchId, ratingData) {
+    try {
+      const { rating, feedback } = ratingData;
+
+      const match = await Match.findById(matchId);
+      if (!match || !match.includesUser(userId) || !match.includesUser(partnerId) ||
+        userId.toString() === partnerId.toString()) {
+        return { success: false, message: 'Match not found' };
+      }
+
+      if (match.status !== 'accepted') {
+        return { success: false, message: 'You can only rate partners from accepted matches' };
+      }
+
+      const partner = await User.findById(partnerId);
+      if (!partner) {
+        return { success: false, message: 'Partner not found' };
+      }
+
+      const existing = match.ratings.find(entry => entry.rater.toString() === userId.toString());
+      if (existing) {
+        // Replace the previous rating in the partner's reputation totals
+        partner.totalRatingScore += rating - existing.rating;
+        partner.reputation = partner.totalRatingScore / Math.max(partner.ratingsCount, 1);
+        existing.rating = rating;
+        existing.feedback = feedback;
+        existing.ratedAt = new Date();
+        await partner.save();
+      } else {
+        match.ratings.push({ rater: userId, rating, feedback });
+        await partner.updateReputation(rating);
+      }
+
+      await match.save();
+
+      logger.matching('partner_rated', userId, partnerId, {
+        matchId,
+        rating,
+        updated: Boolean(existing)
+      });
+
+      return {
+        success: true,
+        rating: { matchId, partnerId, rating, feedback },
+        newReputation: Math.round(partner.reputation * 100) / 100
+      };
+
+    } catch (error) {
+      logger.error('Error rating partner', error, { userId, partnerId, matchId });
+      throw error;
+    }
+  }
+
+  /**
+   * Collect labelled ranking examples from a user's match history
+   * - Matches the user accepted (1) or declined (0) as the invited party
+   * - Requests to the user that expired unanswered (0, lower weight)
+   * - The user's ratings of partners, scaled to 0-1
+   * Only matches with recorded factors (metadata.factors) are usable.
+   * @param {string} userId - User ID
+   * @returns {Array} Examples for rankingModel.trainAdjustments
+   */
+  async collectTrainingExamples(userId) {
+    const { HISTORY_LIMIT, EXPIRED_WEIGHT } = MATCHING_CONSTANTS.LEARNING;
+
+    const matches = await Match.find({
+      $or: [{ user1: userId }, { user2: userId }],
+      initiatedBy: { $ne: userId },
+      status: { $in: ['accepted', 'rejected', 'expired'] },
+      'metadata.factors.courseOverlap': { $exists: true }
+    })
+      .select('status ratings metadata.factors createdAt')
+      .sort({ createdAt: -1 })
+      .limit(HISTORY_LIMIT);
+
+    const ratedMatches = await Match.find({
+      'ratings.rater': userId,
+      'metadata.factors.courseOverlap': { $exists: true }
+    })
+      .select('ratings metadata.factors createdAt')
+      .sort({ createdAt: -1 })
+      .limit(HISTORY_LIMIT);
+
+    const toFactors = (factors) => ({
+      courseOverlap: factors.courseOverlap,
+      studyStyle: factors.studyPreferences,
+      availability: factors.scheduleCompatibility,
+      location: factors.location,
+      academicGoals: factors.academicGoals
+    });
+
+    const decisionExamples = matches.map(match => ({
+      id: `${match._id}:decision`,
+      factors: toFactors(match.metadata.factors),
+      label: match.status === 'accepted' ? 1 : 0,
+      weight: match.status === 'expired' ? EXPIRED_WEIGHT : 1
+    }));
+
+    const ratingExamples = ratedMatches.map(match => {
+      const entry = match.ratings.find(rating => rating.rater.toString() === userId.toString());
+      return {
+        id: `${match._id}:rating`,
+        factors: toFactors(match.metadata.factors),
+        label: (entry.rating - 1) / 4,
+        weight: 1
+      };
+    });
+
+    return [...decisionExamples, ...ratingExamples];
+  }
+
+  /**
+   * Train and store a user's learned ranking adjustments
+   * @param {string} userId - User ID
+   * @returns {Object|null} Learned profile, or null if there isn't enough history yet
+   */
+  async trainRankingProfile(userId) {
+    const { MODEL_VERSION } = MATCHING_CONSTANTS.LEARNING;
+
+    const examples = await this.collectTrainingExamples(userId);
+    const result = rankingModel.trainAdjustments(examples);
+    const now = new Date();
+
+    if (!result) {
+      // Remember the attempt so the job waits for new decisions before trying again
+      await User.updateOne({ _id: userId }, { $set: { 'matchingPreferences.learned.attemptedAt': now } });
+      return null;
+    }
+
+    const learned = {
+      adjustments: result.adjustments,
+      sampleSize: result.sampleSize,
+      loss: result.loss,
+      modelVersion: MODEL_VERSION,
+      trainedAt: now,
+      attemptedAt: now
+    };
+
+    await User.updateOne({ _id: userId }, { $set: { 'matchingPreferences.learned': learned } });
+
+    logger.matching('ranking_profile_trained', userId, null, {
+      sampleSize: result.sampleSize,
+      positives: result.positives,
+      loss: result.loss
+    });
+
+    return learned;
+  }
+
+  /**
+   * Retrain ranking adjustments for every user with new decisions since their last training attempt
+   * Used by the ranking training job.
+   * @returns {Object} { candidates, trained, skipped, failed }
+   */
+  async refreshRankingProfiles() {
+    const { BATCH_SIZE } = MATCHING_CONSTANTS.LEARNING;
+
+    let lastId = null;
+    let candidates = 0;
+    let trained = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    for (;;) {
+      const query = { isActive: true };
+      if (lastId) query._id = { $gt: lastId };
+
+      const users = await User.find(query)
+        .select('_id matchingPreferences.learned.trainedAt matchingPreferences.learned.attemptedAt')
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE);
+      if (users.length === 0) break;
+
+      lastId = users[users.length - 1]._id;
+
+      for (const user of users) {
+        const learned = user.matchingPreferences?.learned;
+        const lastAttempt = learned?.attemptedAt || learned?.trainedAt || new Date(0);
+
+        // Only retrain when something new happened since the last attempt
+        const hasNewSignal = await Match.exists({
+          $or: [{ user1: user._id }, { user2: user._id }],
+          $and: [{
+            $or: [
+              { respondedAt: { $gt: lastAttempt } },
+              { 'ratings.ratedAt': { $gt: lastAttempt } },
+              { status: 'expired', updatedAt: { $gt: lastAttempt } }
+            ]
+          }]
+        });
+
+        if (!hasNewSignal) continue;
+        candidates++;
+
+        try {
+          const learned = await this.trainRankingProfile(user._id);
+          if (learned) {
+            trained++;
+          } else {
+            skipped++;
+          }
+        } catch (error) {
+          failed++;
+          logger.error('Error training ranking profile', error, { userId: user._id });
+        }
+      }
+    }
+
+    return { candidates, trained, skipped, failed };
+  }
+
   /**
    * Get matches for a user
    * @param {string} userId - User ID
@@ -516,6 +1307,121 @@ class MatchingService {
       throw error;
     }
   }
+
+  /**
+   * Get mutual connections between two users
+   * Only public profile fields of mutual people are returned, and anyone blocked
+   * by either user (or inactive) is left out.
+   * @param {string} userId - Requesting user ID
+   * @param {string} otherUserId - User to compare against
+   * @returns {Object} { success, statusCode?, message?, data? }
+   */
+  async getMutualConnections(userId, otherUserId) {
+    try {
+      if (userId.toString() === otherUserId.toString()) {
+        return { success: false, statusCode: 400, message: 'Cannot check mutual connections with yourself' };
+      }
+
+      const [currentUser, otherUser] = await Promise.all([
+        User.findById(userId).select('courses blockedUsers blockedBy'),
+        User.findById(otherUserId).select('courses isActive blockedUsers blockedBy')
+      ]);
+
+      if (!currentUser || !otherUser || !otherUser.isActive) {
+        return { success: false, statusCode: 404, message: 'User not found' };
+      }
+
+      const hiddenUserIds = new Set(
+        [
+          ...(currentUser.blockedUsers || []),
+          ...(currentUser.blockedBy || []),
+          ...(otherUser.blockedUsers || []),
+          ...(otherUser.blockedBy || [])
+        ].map(id => id.toString())
+      );
+
+      // Blocking in either direction hides the other user entirely
+      if (hiddenUserIds.has(userId.toString()) || hiddenUserIds.has(otherUserId.toString())) {
+        return { success: false, statusCode: 404, message: 'User not found' };
+      }
+
+      const [userConnections, otherConnections, sharedGroups, directMatch] = await Promise.all([
+        this.getAcceptedConnectionIds(userId),
+        this.getAcceptedConnectionIds(otherUserId),
+        Group.find({
+          isActive: true,
+          $and: [
+            { members: { $elemMatch: { user: userId, isActive: true } } },
+            { members: { $elemMatch: { user: otherUserId, isActive: true } } }
+          ]
+        }).select('name course subject isPrivate'),
+        Match.findMutualMatch(userId, otherUserId)
+      ]);
+
+      // Shared accepted matches, excluding the two users themselves and anyone hidden
+      const mutualIds = [...userConnections].filter(id =>
+        otherConnections.has(id) &&
+        id !== userId.toString() &&
+        id !== otherUserId.toString() &&
+        !hiddenUserIds.has(id)
+      );
+
+      const mutualPeople = mutualIds.length > 0
+        ? await User.find({ _id: { $in: mutualIds }, isActive: true })
+          .select('name university major year profilePicture reputation')
+        : [];
+
+      const otherCourseCodes = new Set((otherUser.courses || []).map(course => course.code));
+      const sharedCourses = (currentUser.courses || [])
+        .filter(course => otherCourseCodes.has(course.code))
+        .map(course => ({ code: course.code, name: course.name }));
+
+      logger.matching('mutual_connections_checked', userId, otherUserId, {
+        mutualConnections: mutualPeople.length,
+        sharedGroups: sharedGroups.length,
+        sharedCourses: sharedCourses.length
+      });
+
+      return {
+        success: true,
+        data: {
+          mutualConnections: mutualPeople,
+          sharedGroups,
+          sharedCourses,
+          counts: {
+            mutualConnections: mutualPeople.length,
+            sharedGroups: sharedGroups.length,
+            sharedCourses: sharedCourses.length
+          },
+          count: mutualPeople.length,
+          hasDirectConnection: Boolean(directMatch),
+          directMatch: directMatch
+            ? { _id: directMatch._id, status: directMatch.status }
+            : null
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error getting mutual connections', error, { userId, otherUserId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get IDs of users a user has an accepted match with
+   * @param {string} userId - User ID
+   * @returns {Set} Stringified user IDs
+   */
+  async getAcceptedConnectionIds(userId) {
+    const matches = await Match.find({
+      $or: [{ user1: userId }, { user2: userId }],
+      status: 'accepted'
+    }).select('user1 user2');
+
+    return new Set(matches.map(match =>
+      (match.user1.toString() === userId.toString() ? match.user2 : match.user1).toString()
+    ));
+  }
 }
 
-module.exports = new MatchingService();
\ No newline at end of file
+module.exports = new MatchingService();
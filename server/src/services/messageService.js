@@ -1,7 +1,13 @@
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
 const User = require('../models/User');
 const Group = require('../models/Group');
+const groupActivityService = require('./groupActivityService');
+const threadService = require('./threadService');
 const logger = require('../utils/logger');
+const messageCursor = require('../utils/messageCursor');
+const searchHighlight = require('../utils/searchHighlight');
+const { GROUP_CONSTANTS, MESSAGE_CONSTANTS, SOCKET_CONSTANTS, ERROR_MESSAGES } = require('../utils/constants');
 
 /**
  * Message Service for AcademicAlly
@@ -25,10 +31,11 @@ class MessageService {
    * Send a direct message between two users
    * @param {string} senderId - ID of message sender
    * @param {string} recipientId - ID of message recipient
-   * @param {Object} messageData - Message content and metadata
+   * @param {Object} messageData - Message content and metadata (replyTo starts or continues a thread)
+   * @param {Object} context - { io } Socket.IO server (optional, broadcasts the message)
    * @returns {Promise<Object>} Sent message
    */
-  async sendDirectMessage(senderId, recipientId, messageData) {
+  async sendDirectMessage(senderId, recipientId, messageData, { io } = {}) {
     try {
       logger.message('Sending direct message', { senderId, recipientId });
 
@@ -51,13 +58,20 @@ class MessageService {
       // Validate message content
       this.validateMessageContent(messageData);
 
+      const thread = await this.resolveReplyThread(messageData.replyTo, {
+        participants: [senderId, recipientId]
+      });
+
       // Create message
       const message = new Message({
         sender: senderId,
         recipient: recipientId,
         content: messageData.content,
-        messageType: messageData.type || 'text',
+        messageType: 'direct',
+        contentType: messageData.type || 'text',
         attachments: messageData.attachments || [],
+        replyTo: thread?.parent._id,
+        threadRoot: thread?.root._id,
         timestamp: new Date(),
         isRead: false,
         conversationId: this.generateConversationId(senderId, recipientId)
@@ -71,6 +85,12 @@ class MessageService {
       // Update conversation metadata
       await this.updateConversationMetadata(senderId, recipientId, savedMessage);
 
+      if (thread) {
+        await threadService.recordReply(thread.root, savedMessage, { io });
+      } else {
+        this.broadcastMessage(savedMessage, io);
+      }
+
       logger.message('Direct message sent successfully', { 
         messageId: savedMessage._id,
         senderId,
@@ -92,10 +112,11 @@ class MessageService {
    * Send a message to a group
    * @param {string} senderId - ID of message sender
    * @param {string} groupId - ID of target group
-   * @param {Object} messageData - Message content and metadata
+   * @param {Object} messageData - Message content and metadata (replyTo starts or continues a thread)
+   * @param {Object} context - { io } Socket.IO server (optional, broadcasts the message)
    * @returns {Promise<Object>} Sent message
    */
-  async sendGroupMessage(senderId, groupId, messageData) {
+  async sendGroupMessage(senderId, groupId, messageData, { io } = {}) {
     try {
       logger.message('Sending group message', { senderId, groupId });
 
@@ -110,7 +131,10 @@ class MessageService {
       }
 
       // Check if user is member of the group
-      if (!group.members.includes(senderId)) {
+      const isMember = group.members.some(member =>
+        member.user.toString() === senderId.toString() && member.isActive
+      );
+      if (!isMember) {
         throw new Error('User is not a member of this group');
       }
 
@@ -118,6 +142,11 @@ class MessageService {
       if (!group.isActive) {
         throw new Error('Cannot send message to inactive group');
       }
+      if (GROUP_CONSTANTS.LIFECYCLE.READ_ONLY_STATUSES.includes(group.status)) {
+        const error = new Error(`This group is ${group.status}; its chat is read-only`);
+        error.statusCode = 403;
+        throw error;
+      }
 
       // Rate limiting check
       await this.checkRateLimit(senderId);
@@ -125,13 +154,18 @@ class MessageService {
       // Validate message content
       this.validateMessageContent(messageData);
 
+      const thread = await this.resolveReplyThread(messageData.replyTo, { groupId });
+
       // Create message
       const message = new Message({
         sender: senderId,
-        groupId: groupId,
+        group: groupId,
         content: messageData.content,
-        messageType: messageData.type || 'text',
+        messageType: 'group',
+        contentType: messageData.type || 'text',
         attachments: messageData.attachments || [],
+        replyTo: thread?.parent._id,
+        threadRoot: thread?.root._id,
         timestamp: new Date(),
         readBy: [{ user: senderId, readAt: new Date() }] // Sender has read it
       });
@@ -147,6 +181,20 @@ class MessageService {
         updatedAt: new Date()
       });
 
+      if (thread) {
+        await threadService.recordReply(thread.root, savedMessage, { io });
+      } else {
+        this.broadcastMessage(savedMessage, io);
+      }
+
+      if (savedMessage.attachments.length > 0) {
+        await groupActivityService.record(groupId, 'file_shared', {
+          actor: senderId,
+          message: savedMessage._id,
+          details: { fileNames: savedMessage.attachments.map(attachment => attachment.fileName) }
+        }, { io });
+      }
+
       logger.message('Group message sent successfully', { 
         messageId: savedMessage._id,
         senderId,
@@ -167,57 +215,37 @@ class MessageService {
 
   /**
    * Get conversation history between two users
-   * @param {string} userId1 - First user ID
-   * @param {string} userId2 - Second user ID
-   * @param {Object} options - Pagination and filtering options
-   * @returns {Promise<Object>} Conversation messages with pagination
+   * Cursor paged (see fetchHistoryPage); thread replies are fetched with their thread.
+   * @param {string} userId1 - Requesting user ID
+   * @param {string} userId2 - Other user ID
+   * @param {Object} options - { limit, before, after, around } (message IDs)
+   * @returns {Promise<Object>} { success, statusCode?, message?, messages?, pagination?, anchorId?, conversationId? }
    */
   async getDirectConversation(userId1, userId2, options = {}) {
     try {
-      const { page = 1, limit = 50, before = null } = options;
-      const skip = (page - 1) * limit;
-
-      const conversationId = this.generateConversationId(userId1, userId2);
-      
-      // Build query
-      const query = { conversationId };
-      if (before) {
-        query.timestamp = { $lt: new Date(before) };
-      }
+      const conversationQuery = {
+        messageType: 'direct',
+        $or: [
+          { sender: userId1, recipient: userId2 },
+          { sender: userId2, recipient: userId1 }
+        ]
+      };
 
-      // Get messages with pagination
-      const [messages, totalCount] = await Promise.all([
-        Message.find(query)
-          .populate('sender', 'name profilePicture')
-          .sort({ timestamp: -1 })
-          .skip(skip)
-          .limit(limit)
-          .lean(),
-        Message.countDocuments(query)
-      ]);
+      const page = await this.fetchHistoryPage(conversationQuery, options);
+      if (!page.success) return page;
+
+      await threadService.annotateThreads(page.messages, userId1);
 
       // Mark messages as read for the requesting user
       await this.markDirectMessagesAsRead(userId1, userId2);
 
-      const result = {
-        messages: messages.reverse(), // Reverse to show oldest first
-        pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(totalCount / limit),
-          totalCount,
-          hasNextPage: page < Math.ceil(totalCount / limit),
-          hasPrevPage: page > 1
-        },
-        conversationId
-      };
-
       logger.message('Retrieved direct conversation', { 
         userId1, 
         userId2, 
-        messageCount: messages.length 
+        messageCount: page.messages.length 
       });
 
-      return result;
+      return { ...page, conversationId: this.generateConversationId(userId1, userId2) };
     } catch (error) {
       logger.error('Error getting direct conversation', { 
         userId1, 
@@ -230,62 +258,42 @@ class MessageService {
 
   /**
    * Get group conversation messages
+   * Cursor paged (see fetchHistoryPage); thread replies are fetched with their thread.
    * @param {string} groupId - Group ID
    * @param {string} userId - Requesting user ID
-   * @param {Object} options - Pagination and filtering options
-   * @returns {Promise<Object>} Group messages with pagination
+   * @param {Object} options - { limit, before, after, around } (message IDs)
+   * @param {Object} context - { io } Socket.IO server (optional, for read receipts)
+   * @returns {Promise<Object>} { success, statusCode?, message?, messages?, pagination?, anchorId?, groupId?, groupName? }
    */
-  async getGroupConversation(groupId, userId, options = {}) {
+  async getGroupConversation(groupId, userId, options = {}, { io } = {}) {
     try {
-      const { page = 1, limit = 50, before = null } = options;
-      const skip = (page - 1) * limit;
-
-      // Verify user is group member
+      // Verify user is a member (former members keep access to completed/archived groups)
       const group = await Group.findById(groupId);
-      if (!group || !group.members.includes(userId)) {
-        throw new Error('Access denied to group conversation');
+      if (!group) {
+        return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
       }
-
-      // Build query
-      const query = { groupId };
-      if (before) {
-        query.timestamp = { $lt: new Date(before) };
+      if (!group.canViewHistory(userId)) {
+        return { success: false, statusCode: 403, message: 'Access denied to group conversation' };
       }
 
-      // Get messages with pagination
-      const [messages, totalCount] = await Promise.all([
-        Message.find(query)
-          .populate('sender', 'name profilePicture')
-          .sort({ timestamp: -1 })
-          .skip(skip)
-          .limit(limit)
-          .lean(),
-        Message.countDocuments(query)
-      ]);
+      const page = await this.fetchHistoryPage({ messageType: 'group', group: groupId }, options);
+      if (!page.success) return page;
 
-      // Mark messages as read for this user
-      await this.markGroupMessagesAsRead(groupId, userId);
+      await threadService.annotateThreads(page.messages, userId);
 
-      const result = {
-        messages: messages.reverse(), // Reverse to show oldest first
-        pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(totalCount / limit),
-          totalCount,
-          hasNextPage: page < Math.ceil(totalCount / limit),
-          hasPrevPage: page > 1
-        },
-        groupId,
-        groupName: group.name
-      };
+      // Move the reader's cursor to the newest message shown (it never moves backwards)
+      const newest = page.messages[page.messages.length - 1];
+      if (newest) {
+        await this.markGroupMessagesAsRead(groupId, userId, { upTo: newest._id }, { io });
+      }
 
       logger.message('Retrieved group conversation', { 
         groupId, 
         userId, 
-        messageCount: messages.length 
+        messageCount: page.messages.length 
       });
 
-      return result;
+      return { ...page, groupId, groupName: group.name };
     } catch (error) {
       logger.error('Error getting group conversation', { 
         groupId, 
@@ -297,128 +305,172 @@ class MessageService {
   }
 
   /**
-   * Get user's conversation list
+   * Get message history for a socket conversation ID
+   * Accepts the IDs the socket layer uses: `group_<groupId>` and `dm_<userId>_<userId>`
+   * (or the bare `<userId>_<userId>` form from generateConversationId).
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Requesting user ID
+   * @param {Object} options - { limit, before, after, around } (message IDs)
+   * @param {Object} context - { io } Socket.IO server (optional, for read receipts)
+   * @returns {Promise<Object>} Same as getGroupConversation/getDirectConversation
+   */
+  async getMessageHistory(conversationId, userId, options = {}, context = {}) {
+    const conversation = this.parseConversationId(conversationId, userId);
+    if (!conversation) {
+      return { success: false, statusCode: 403, message: 'Access denied to conversation' };
+    }
+
+    return conversation.groupId
+      ? this.getGroupConversation(conversation.groupId, userId, options, context)
+      : this.getDirectConversation(userId, conversation.otherUserId, options);
+  }
+
+  /**
+   * Jump to a message: the window of its conversation around it
+   * Used for search results and pinned messages, where only the message is known. A thread
+   * reply opens its thread's root in the conversation; threadMessageId carries the reply.
+   * @param {string} messageId - Message to jump to
+   * @param {string} userId - Requesting user ID
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} Conversation page plus { conversationType, threadMessageId? }
+   */
+  async getMessageContext(messageId, userId, options = {}) {
+    try {
+      const message = await Message.findById(messageId).select('messageType group sender recipient threadRoot');
+      if (!message) {
+        return { success: false, statusCode: 404, message: ERROR_MESSAGES.MESSAGE.NOT_FOUND };
+      }
+
+      const around = message.threadRoot || message._id;
+      let result;
+
+      if (message.messageType === 'group') {
+        result = await this.getGroupConversation(message.group, userId, { limit: options.limit, around });
+      } else {
+        const isParticipant = [message.sender, message.recipient].some(id => id?.toString() === userId.toString());
+        if (!isParticipant) {
+          return { success: false, statusCode: 403, message: 'Access denied to conversation' };
+        }
+        const otherUserId = message.sender.toString() === userId.toString() ? message.recipient : message.sender;
+        result = await this.getDirectConversation(userId, otherUserId, { limit: options.limit, around });
+      }
+
+      if (!result.success) return result;
+
+      return {
+        ...result,
+        conversationType: message.messageType,
+        threadMessageId: message.threadRoot ? message._id : undefined
+      };
+    } catch (error) {
+      logger.error('Error getting message context', { messageId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get user's conversation list, most recent first
+   * Direct conversations count unread messages addressed to the user; group conversations count
+   * messages from others after the user's read cursor. Thread replies are counted by their threads.
    * @param {string} userId - User ID
-   * @returns {Promise<Array>} List of conversations
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} { success, conversations }
    */
-  async getUserConversations(userId) {
+  async getUserConversations(userId, { limit = 20 } = {}) {
     try {
-      // Get direct conversations
-      const directConversations = await Message.aggregate([
-        {
-          $match: {
-            $or: [{ sender: userId }, { recipient: userId }],
-            recipient: { $exists: true }
-          }
-        },
-        {
-          $sort: { timestamp: -1 }
-        },
-        {
-          $group: {
-            _id: '$conversationId',
-            lastMessage: { $first: '$$ROOT' },
-            unreadCount: {
-              $sum: {
-                $cond: [
-                  {
-                    $and: [
-                      { $eq: ['$recipient', userId] },
-                      { $eq: ['$isRead', false] }
-                    ]
-                  },
-                  1,
-                  0
-                ]
-              }
+      const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+
+      const [directConversations, groups] = await Promise.all([
+        Message.getRecentConversations(userObjectId, limit),
+        this.getMemberGroups(userId).select('name status lastActivity members')
+      ]);
+
+      const groupIds = groups.map(group => group._id);
+      const [lastGroupMessages, unreadByGroup] = await Promise.all([
+        Message.aggregate([
+          {
+            $match: {
+              messageType: 'group',
+              group: { $in: groupIds },
+              threadRoot: null,
+              isDeleted: { $ne: true }
             }
-          }
-        },
-        {
-          $lookup: {
-            from: 'users',
-            localField: 'lastMessage.sender',
-            foreignField: '_id',
-            as: 'senderInfo'
-          }
-        },
-        {
-          $lookup: {
-            from: 'users',
-            localField: 'lastMessage.recipient',
-            foreignField: '_id',
-            as: 'recipientInfo'
-          }
-        }
+          },
+          { $sort: messageCursor.SORT_NEWEST_FIRST },
+          { $group: { _id: '$group', lastMessage: { $first: '$$ROOT' } } }
+        ]),
+        this.countGroupUnread(groups, userId)
       ]);
 
-      // Get group conversations
-      const userGroups = await Group.find({
-        members: userId,
-        isActive: true
-      }).select('_id name lastActivity');
-
-      const groupConversations = await Promise.all(
-        userGroups.map(async (group) => {
-          const lastMessage = await Message.findOne({ groupId: group._id })
-            .sort({ timestamp: -1 })
-            .populate('sender', 'name profilePicture')
-            .lean();
-
-          const unreadCount = await Message.countDocuments({
-            groupId: group._id,
-            'readBy.user': { $ne: userId }
-          });
-
-          return {
-            type: 'group',
-            groupId: group._id,
-            groupName: group.name,
-            lastMessage,
-            unreadCount,
-            lastActivity: group.lastActivity
-          };
-        })
-      );
+      await Message.populate(lastGroupMessages, { path: 'lastMessage.sender', select: 'name profilePicture' });
+      const lastMessageByGroup = new Map(lastGroupMessages.map(entry => [entry._id.toString(), entry.lastMessage]));
 
-      // Format direct conversations
-      const formattedDirectConversations = directConversations.map(conv => {
-        const otherUser = conv.senderInfo[0]._id.toString() === userId.toString() 
-          ? conv.recipientInfo[0] 
-          : conv.senderInfo[0];
+      const formattedDirectConversations = directConversations.map(conv => ({
+        type: 'direct',
+        conversationId: this.generateConversationId(userId, conv._id),
+        otherUser: conv.otherUser,
+        lastMessage: conv.lastMessage,
+        unreadCount: conv.unreadCount,
+        lastActivity: conv.lastMessage.createdAt
+      }));
 
+      const groupConversations = groups.map(group => {
+        const lastMessage = lastMessageByGroup.get(group._id.toString()) || null;
         return {
-          type: 'direct',
-          conversationId: conv._id,
-          otherUser: {
-            _id: otherUser._id,
-            name: otherUser.name,
-            profilePicture: otherUser.profilePicture
-          },
-          lastMessage: conv.lastMessage,
-          unreadCount: conv.unreadCount,
-          lastActivity: conv.lastMessage.timestamp
+          type: 'group',
+          conversationId: `${SOCKET_CONSTANTS.ROOMS.GROUP}${group._id}`,
+          groupId: group._id,
+          groupName: group.name,
+          status: group.status,
+          lastMessage,
+          unreadCount: unreadByGroup.get(group._id.toString()) || 0,
+          lastActivity: lastMessage ? lastMessage.createdAt : group.lastActivity
         };
       });
 
       // Combine and sort by last activity
-      const allConversations = [
+      const conversations = [
         ...formattedDirectConversations,
         ...groupConversations
-      ].sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+      ]
+        .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity))
+        .slice(0, limit);
 
       logger.message('Retrieved user conversations', { 
         userId, 
-        conversationCount: allConversations.length 
+        conversationCount: conversations.length 
       });
 
-      return allConversations;
+      return { success: true, conversations };
     } catch (error) {
       logger.error('Error getting user conversations', { userId, error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Count a user's unread messages
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, total, direct, group, groups: [{ groupId, unreadCount }] }
+   */
+  async getUnreadCount(userId) {
+    try {
+      const groups = await this.getMemberGroups(userId).select('members');
+      const [direct, unreadByGroup] = await Promise.all([
+        Message.getUnreadCount(userId),
+        this.countGroupUnread(groups, userId)
+      ]);
+
+      const groupCounts = [...unreadByGroup].map(([groupId, unreadCount]) => ({ groupId, unreadCount }));
+      const group = groupCounts.reduce((sum, entry) => sum + entry.unreadCount, 0);
+
+      return { success: true, total: direct + group, direct, group, groups: groupCounts };
+    } catch (error) {
+      logger.error('Error getting unread count', { userId, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Mark direct messages as read
    * @param {string} readerId - User marking messages as read
@@ -458,34 +510,67 @@ class MessageService {
   }
 
   /**
-   * Mark group messages as read
+   * Mark group messages as read by moving the member's read cursor
+   * The cursor only moves forward, so reading an older page never makes newer messages unread.
+   * When it moves, the group room is told so "seen by" lists can update.
    * @param {string} groupId - Group ID
    * @param {string} userId - User marking messages as read
+   * @param {Object} options - { upTo } Message read up to (default: the group's latest message)
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message?, updated?, readCursor? }
    */
-  async markGroupMessagesAsRead(groupId, userId) {
+  async markGroupMessagesAsRead(groupId, userId, { upTo } = {}, { io } = {}) {
     try {
-      const result = await Message.updateMany(
-        {
-          groupId: groupId,
-          'readBy.user': { $ne: userId }
-        },
+      const target = await Message.findOne({
+        messageType: 'group',
+        group: groupId,
+        ...(upTo ? { _id: upTo } : { threadRoot: null })
+      })
+        .sort(messageCursor.SORT_NEWEST_FIRST)
+        .select('createdAt');
+
+      if (!target) {
+        return upTo
+          ? { success: false, statusCode: 404, message: ERROR_MESSAGES.MESSAGE.NOT_FOUND }
+          : { success: true, updated: false };
+      }
+
+      const readCursor = { message: target._id, createdAt: target.createdAt, readAt: new Date() };
+      const result = await Group.updateOne(
         {
-          $addToSet: {
-            readBy: {
+          _id: groupId,
+          members: {
+            $elemMatch: {
               user: userId,
-              readAt: new Date()
+              $or: [
+                { 'readCursor.message': { $exists: false } },
+                { 'readCursor.createdAt': { $lt: target.createdAt } },
+                { 'readCursor.createdAt': target.createdAt, 'readCursor.message': { $lt: target._id } }
+              ]
             }
           }
-        }
+        },
+        { $set: { 'members.$.readCursor': readCursor } }
       );
 
+      const updated = result.modifiedCount > 0;
+      if (updated && io) {
+        io.to(`${SOCKET_CONSTANTS.ROOMS.GROUP}${groupId}`).emit(SOCKET_CONSTANTS.EVENTS.GROUP_MESSAGES_READ, {
+          groupId,
+          userId,
+          lastReadMessageId: target._id,
+          readAt: readCursor.readAt
+        });
+      }
+
       logger.message('Marked group messages as read', { 
         groupId, 
         userId, 
-        messageCount: result.modifiedCount 
+        lastReadMessageId: target._id,
+        updated
       });
 
-      return result.modifiedCount;
+      return { success: true, updated, readCursor: updated ? readCursor : undefined };
     } catch (error) {
       logger.error('Error marking group messages as read', { 
         groupId, 
@@ -496,6 +581,95 @@ class MessageService {
     }
   }
 
+  /**
+   * Mark a conversation read from its socket conversation ID
+   * Group conversations move the read cursor (to upTo, or the latest message); direct
+   * conversations are marked read in full.
+   * @param {string} conversationId - `group_<groupId>`, `dm_<userId>_<userId>` or `<userId>_<userId>`
+   * @param {string} userId - User marking the conversation read
+   * @param {Object} options - { upTo } Message ID (group conversations)
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message?, conversationId?, lastReadMessageId?, markedCount? }
+   */
+  async markConversationAsRead(conversationId, userId, { upTo } = {}, { io } = {}) {
+    try {
+      const conversation = this.parseConversationId(conversationId, userId);
+      if (!conversation) {
+        return { success: false, statusCode: 403, message: 'Access denied to conversation' };
+      }
+
+      if (conversation.otherUserId) {
+        const markedCount = await this.markDirectMessagesAsRead(userId, conversation.otherUserId);
+        return { success: true, conversationId, markedCount };
+      }
+
+      const group = await Group.findById(conversation.groupId).select('members status');
+      if (!group) {
+        return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
+      }
+      if (!group.canViewHistory(userId)) {
+        return { success: false, statusCode: 403, message: 'Access denied to group conversation' };
+      }
+
+      const result = await this.markGroupMessagesAsRead(group._id, userId, { upTo }, { io });
+      if (!result.success) return result;
+
+      return {
+        success: true,
+        conversationId,
+        lastReadMessageId: result.readCursor?.message
+      };
+    } catch (error) {
+      logger.error('Error marking conversation as read', { conversationId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Members of a group who have read a message ("seen by")
+   * Derived from read cursors: a member has seen every message up to their cursor.
+   * @param {string} messageId - Group message ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} { success, statusCode?, message?, seenBy?, seenCount?, recipientCount? }
+   */
+  async getMessageSeenBy(messageId, userId) {
+    try {
+      const message = await Message.findById(messageId).select('messageType group sender threadRoot createdAt isDeleted');
+      if (!message || message.isDeleted) {
+        return { success: false, statusCode: 404, message: ERROR_MESSAGES.MESSAGE.NOT_FOUND };
+      }
+      if (message.messageType !== 'group' || message.threadRoot) {
+        return { success: false, statusCode: 400, message: 'Seen-by is only available for group conversation messages' };
+      }
+
+      const group = await Group.findById(message.group).select('members status');
+      if (!group || !group.canViewHistory(userId)) {
+        return { success: false, statusCode: 403, message: 'Access denied to group conversation' };
+      }
+
+      const recipients = group.members.filter(member =>
+        member.isActive && member.user.toString() !== message.sender.toString()
+      );
+      const readers = recipients.filter(member => this.hasReadUpTo(member, message));
+
+      await group.populate('members.user', 'name profilePicture');
+
+      const seenBy = readers
+        .map(member => ({ user: member.user, readAt: member.readCursor.readAt }))
+        .sort((a, b) => b.readAt - a.readAt);
+
+      return {
+        success: true,
+        seenBy,
+        seenCount: seenBy.length,
+        recipientCount: recipients.length
+      };
+    } catch (error) {
+      logger.error('Error getting message seen-by', { messageId, userId, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Delete a message
    * @param {string} messageId - Message ID
@@ -531,57 +705,87 @@ class MessageService {
   }
 
   /**
-   * Search messages
+   * Full-text search across every conversation the user can read
+   * Covers the user's direct messages and the groups whose history they can view (see
+   * Group.canViewHistory). Deleted messages and conversations with anyone blocked in either
+   * direction are left out. Each result carries a snippet with match positions; open a result
+   * in its conversation with getMessageContext.
    * @param {string} userId - User performing search
-   * @param {Object} searchCriteria - Search parameters
-   * @returns {Promise<Array>} Search results
+   * @param {Object} criteria - { query, sort, conversationType, groupId, senderId, dateFrom, dateTo,
+   *   hasAttachment, contentType, tags, pinned, page, limit }
+   * @returns {Promise<Object>} { success, statusCode?, message?, results?, pagination? }
    */
-  async searchMessages(userId, searchCriteria) {
+  async searchMessages(userId, criteria = {}) {
     try {
-      const { query, groupId, conversationId, dateFrom, dateTo, limit = 20 } = searchCriteria;
+      const { SEARCH } = MESSAGE_CONSTANTS;
+      const query = (criteria.query || '').trim();
+      if (query.length < SEARCH.MIN_QUERY_LENGTH) {
+        return {
+          success: false,
+          statusCode: 400,
+          message: `Search query must be at least ${SEARCH.MIN_QUERY_LENGTH} characters long`
+        };
+      }
+
+      const scope = await this.getSearchScope(userId, criteria);
+      if (!scope.success) return scope;
 
-      // Build search query
       const searchQuery = {
-        $or: [
-          { sender: userId },
-          { recipient: userId },
-          { groupId: { $in: await this.getUserGroupIds(userId) } }
-        ],
-        isDeleted: { $ne: true }
+        $text: { $search: query },
+        $and: [scope.filter, ...this.buildSearchFilters(criteria)]
       };
 
-      if (query) {
-        searchQuery.content = { $regex: query, $options: 'i' };
-      }
+      const page = Math.max(parseInt(criteria.page, 10) || 1, 1);
+      const limit = Math.min(parseInt(criteria.limit, 10) || SEARCH.DEFAULT_LIMIT, SEARCH.MAX_LIMIT);
+      const sort = criteria.sort === 'recent'
+        ? messageCursor.SORT_NEWEST_FIRST
+        : { score: { $meta: 'textScore' }, ...messageCursor.SORT_NEWEST_FIRST };
 
-      if (groupId) {
-        searchQuery.groupId = groupId;
-      }
+      const [messages, totalCount] = await Promise.all([
+        Message.find(searchQuery)
+          .select({
+            score: { $meta: 'textScore' },
+            originalContent: 0,
+            readBy: 0,
+            'thread.followers': 0,
+            'thread.readBy': 0
+          })
+          .populate('sender', 'name profilePicture')
+          .populate('recipient', 'name profilePicture')
+          .populate('group', 'name')
+          .sort(sort)
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Message.countDocuments(searchQuery)
+      ]);
 
-      if (conversationId) {
-        searchQuery.conversationId = conversationId;
-      }
+      const results = messages.map(({ score, ...message }) => ({
+        message,
+        score,
+        snippet: searchHighlight.buildSnippet(message.content, query, { length: SEARCH.SNIPPET_LENGTH })
+      }));
 
-      if (dateFrom || dateTo) {
-        searchQuery.timestamp = {};
-        if (dateFrom) searchQuery.timestamp.$gte = new Date(dateFrom);
-        if (dateTo) searchQuery.timestamp.$lte = new Date(dateTo);
-      }
+      const totalPages = Math.ceil(totalCount / limit);
 
-      const messages = await Message.find(searchQuery)
-        .populate('sender', 'name profilePicture')
-        .populate('groupId', 'name')
-        .sort({ timestamp: -1 })
-        .limit(limit)
-        .lean();
-
-      logger.message('Message search completed', { 
-        userId, 
-        query, 
-        resultCount: messages.length 
+      logger.message('Message search completed', {
+        userId,
+        query,
+        sort: criteria.sort || 'relevance',
+        resultCount: totalCount
       });
 
-      return messages;
+      return {
+        success: true,
+        results,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      };
     } catch (error) {
       logger.error('Error searching messages', { userId, error: error.message });
       throw error;
@@ -590,6 +794,102 @@ class MessageService {
 
   // Private helper methods
 
+  /**
+   * Push a new top-level message to open clients (replies go out through their thread)
+   * Direct messages reach both participants' sockets, so the sender's other devices see them too.
+   */
+  broadcastMessage(message, io) {
+    if (!io) return;
+
+    if (message.messageType === 'group') {
+      io.to(`${SOCKET_CONSTANTS.ROOMS.GROUP}${message.group}`).emit(SOCKET_CONSTANTS.EVENTS.GROUP_MESSAGE, message);
+      return;
+    }
+
+    const senderId = message.sender._id || message.sender;
+    io.to([`${SOCKET_CONSTANTS.ROOMS.USER}${message.recipient}`, `${SOCKET_CONSTANTS.ROOMS.USER}${senderId}`])
+      .emit(SOCKET_CONSTANTS.EVENTS.NEW_MESSAGE, message);
+  }
+
+  /**
+   * Parse a socket conversation ID the user takes part in
+   * @returns {Object|null} { groupId } or { otherUserId }; null if the ID isn't valid for the user
+   */
+  parseConversationId(conversationId, userId) {
+    const groupPrefix = SOCKET_CONSTANTS.ROOMS.GROUP;
+    if (conversationId?.startsWith(groupPrefix)) {
+      return { groupId: conversationId.slice(groupPrefix.length) };
+    }
+
+    const participants = (conversationId || '').replace(/^dm_/, '').split('_');
+    if (participants.length !== 2 || !participants.includes(userId.toString())) {
+      return null;
+    }
+
+    return { otherUserId: participants[0] === userId.toString() ? participants[1] : participants[0] };
+  }
+
+  /**
+   * Active groups the user is a current member of (query, so callers can pick fields)
+   */
+  getMemberGroups(userId) {
+    return Group.find({
+      isActive: true,
+      members: { $elemMatch: { user: userId, isActive: true } }
+    });
+  }
+
+  /**
+   * Unread conversation messages per group for a member
+   * Counts top-level messages from others after the member's read cursor, or since they joined
+   * if they haven't read anything yet.
+   * @param {Array} groups - Group documents with members
+   * @param {string} userId - Member
+   * @returns {Promise<Map>} Group ID string -> unread count (groups with none are left out)
+   */
+  async countGroupUnread(groups, userId) {
+    const memberships = groups
+      .map(group => ({
+        groupId: group._id,
+        member: group.members.find(member => member.isActive && member.user.toString() === userId.toString())
+      }))
+      .filter(({ member }) => member);
+    if (memberships.length === 0) return new Map();
+
+    const counts = await Message.aggregate([
+      {
+        $match: {
+          messageType: 'group',
+          threadRoot: null,
+          isDeleted: { $ne: true },
+          sender: { $ne: new mongoose.Types.ObjectId(userId.toString()) },
+          $or: memberships.map(({ groupId, member }) => {
+            const { readCursor } = member;
+            return readCursor?.message
+              ? { group: groupId, ...messageCursor.newerThan({ createdAt: readCursor.createdAt, _id: readCursor.message }) }
+              : { group: groupId, createdAt: { $gt: member.joinedAt } };
+          })
+        }
+      },
+      { $group: { _id: '$group', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+  }
+
+  /**
+   * Whether a member's read cursor is at or past a message
+   */
+  hasReadUpTo(member, message) {
+    const cursor = member.readCursor;
+    if (!cursor?.message) return false;
+
+    const cursorTime = cursor.createdAt.getTime();
+    const messageTime = message.createdAt.getTime();
+    return cursorTime > messageTime ||
+      (cursorTime === messageTime && cursor.message.toString() >= message._id.toString());
+  }
+
   /**
    * Validate message content
    * @param {Object} messageData - Message data to validate
@@ -680,13 +980,151 @@ class MessageService {
   }
 
   /**
-   * Get user's group IDs
-   * @param {string} userId - User ID
-   * @returns {Promise<Array>} Array of group IDs
+   * Fetch one page of top-level messages in a conversation
+   * Without a cursor this is the latest page. `before`/`after` continue older/newer from a
+   * message; `around` returns a window centred on it. Messages are always oldest first.
+   * @param {Object} conversationQuery - Filter selecting the conversation's messages
+   * @param {Object} options - { limit, before, after, around } (message IDs; at most one cursor)
+   * @returns {Promise<Object>} { success, statusCode?, message?, messages?, pagination?, anchorId? }
    */
-  async getUserGroupIds(userId) {
-    const user = await User.findById(userId).select('groups');
-    return user.groups || [];
+  async fetchHistoryPage(conversationQuery, options = {}) {
+    const { HISTORY } = MESSAGE_CONSTANTS;
+    // Socket clients send unvalidated limits
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || HISTORY.DEFAULT_LIMIT, 1), HISTORY.MAX_LIMIT);
+    const { before, after, around } = options;
+
+    const cursors = [before, after, around].filter(Boolean);
+    if (cursors.length > 1) {
+      return { success: false, statusCode: 400, message: 'Use only one of before, after or around' };
+    }
+
+    const listQuery = { $and: [conversationQuery, { threadRoot: null }] };
+    const find = (filter, sort, count) => Message.find({ $and: [listQuery, filter] })
+      .populate('sender', 'name profilePicture')
+      .sort(sort)
+      .limit(count)
+      .lean();
+
+    let anchor = null;
+    if (cursors.length === 1) {
+      anchor = await Message.findOne({ $and: [listQuery, { _id: cursors[0] }] })
+        .populate('sender', 'name profilePicture')
+        .lean();
+      if (!anchor) {
+        return { success: false, statusCode: 404, message: 'Cursor message not found in this conversation' };
+      }
+    }
+
+    let parts;
+    if (around) {
+      const window = messageCursor.splitWindow(limit);
+      const [older, newer] = await Promise.all([
+        find(messageCursor.olderThan(anchor), messageCursor.SORT_NEWEST_FIRST, window.older + 1),
+        find(messageCursor.newerThan(anchor), messageCursor.SORT_OLDEST_FIRST, window.newer + 1)
+      ]);
+      parts = { older, newer, anchor, olderLimit: window.older, newerLimit: window.newer, includeAnchor: true };
+    } else if (after) {
+      const newer = await find(messageCursor.newerThan(anchor), messageCursor.SORT_OLDEST_FIRST, limit + 1);
+      parts = { newer, anchor, newerLimit: limit };
+    } else {
+      const older = await find(anchor ? messageCursor.olderThan(anchor) : {}, messageCursor.SORT_NEWEST_FIRST, limit + 1);
+      parts = { older, anchor, olderLimit: limit };
+    }
+
+    const page = messageCursor.assemblePage(parts);
+
+    return {
+      success: true,
+      messages: page.messages,
+      pagination: messageCursor.describePage(page, limit),
+      anchorId: around ? anchor._id : undefined
+    };
+  }
+
+  /**
+   * Look up the thread a reply belongs to
+   * @param {string} replyTo - Message being replied to (optional)
+   * @param {Object} conversation - { groupId } or { participants }
+   * @returns {Promise<Object|null>} { parent, root }, or null for a top-level message
+   * @throws {Error} With statusCode when the reply target is missing or in another conversation
+   */
+  async resolveReplyThread(replyTo, conversation) {
+    if (!replyTo) return null;
+
+    const thread = await threadService.resolveParent(replyTo, conversation);
+    if (!thread.success) {
+      const error = new Error(thread.message);
+      error.statusCode = thread.statusCode;
+      throw error;
+    }
+
+    return thread;
+  }
+
+  /**
+   * Conversations a search may look in
+   * Direct messages with anyone blocked either way are excluded, as are their messages in groups.
+   * @param {string} userId - Searching user
+   * @param {Object} criteria - { conversationType, groupId }
+   * @returns {Promise<Object>} { success, statusCode?, message?, filter? }
+   */
+  async getSearchScope(userId, { conversationType = 'all', groupId } = {}) {
+    const [user, blockedBy, groups] = await Promise.all([
+      User.findById(userId).select('blockedUsers'),
+      User.find({ blockedUsers: userId }).select('_id'),
+      Group.find({ 'members.user': userId }).select('members status')
+    ]);
+
+    const blockedIds = [...(user?.blockedUsers || []), ...blockedBy.map(blocker => blocker._id)];
+    let groupIds = groups.filter(group => group.canViewHistory(userId)).map(group => group._id);
+
+    if (groupId) {
+      groupIds = groupIds.filter(id => id.toString() === groupId.toString());
+      if (groupIds.length === 0) {
+        return { success: false, statusCode: 403, message: 'Access denied to group messages' };
+      }
+    }
+
+    const conversations = [];
+    if (!groupId && conversationType !== 'group') {
+      conversations.push({
+        messageType: 'direct',
+        $or: [{ sender: userId, recipient: { $nin: blockedIds } }, { recipient: userId }]
+      });
+    }
+    if (groupId || conversationType !== 'direct') {
+      conversations.push({ messageType: 'group', group: { $in: groupIds } });
+    }
+
+    return {
+      success: true,
+      filter: { $or: conversations, sender: { $nin: blockedIds } }
+    };
+  }
+
+  /**
+   * Optional search filters as query clauses
+   * @param {Object} criteria - { senderId, dateFrom, dateTo, hasAttachment, contentType, tags, pinned }
+   * @returns {Array} Clauses to combine with $and
+   */
+  buildSearchFilters({ senderId, dateFrom, dateTo, hasAttachment, contentType, tags, pinned } = {}) {
+    const filters = [{ isDeleted: { $ne: true } }];
+
+    if (senderId) filters.push({ sender: senderId });
+
+    if (dateFrom || dateTo) {
+      const createdAt = {};
+      if (dateFrom) createdAt.$gte = new Date(dateFrom);
+      if (dateTo) createdAt.$lte = new Date(dateTo);
+      filters.push({ createdAt });
+    }
+
+    if (hasAttachment !== undefined) filters.push({ 'attachments.0': { $exists: hasAttachment } });
+    if (contentType) filters.push({ contentType });
+    if (tags?.length) filters.push({ tags: { $all: tags.map(tag => tag.trim().toLowerCase()) } });
+    if (pinned !== undefined) filters.push({ pinned: pinned ? true : { $ne: true } });
+
+    return filters;
   }
 
   /**
@@ -806,9 +1244,10 @@ class MessageService {
    * Pin a message in a group chat
    * @param {string} messageId - Message ID
    * @param {string} userId - User pinning the message
+   * @param {Object} context - { io } Socket.IO server (optional)
    * @returns {Promise<Object>} Result
    */
-  async pinMessage(messageId, userId) {
+  async pinMessage(messageId, userId, { io } = {}) {
     try {
       const message = await Message.findById(messageId).populate('group');
       if (!message) {
@@ -826,6 +1265,13 @@ class MessageService {
       message.pinnedAt = new Date();
       message.pinnedBy = userId;
       await message.save();
+
+      await groupActivityService.record(group._id, 'message_pinned', {
+        actor: userId,
+        message: message._id,
+        details: { preview: message.content.slice(0, 100) }
+      }, { io });
+
       return { success: true, message };
     } catch (error) {
       logger.error('Error pinning message', { messageId, userId, error: error.message });
@@ -972,6 +1418,7 @@ class MessageService {
         recipient: inviteMessage.recipient,
         contentType: 'study_invite_response',
         content: `Study invite response: ${response}` + (messageText ? ` - ${messageText}` : ''),
+        inviteResponse: response,
         replyTo: inviteId,
         timestamp: new Date()
       });
@@ -0,0 +1,543 @@
+const ScheduledMessage = require('../models/ScheduledMessage');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const messageService = require('./messageService');
+const messageSchedule = require('../utils/messageSchedule');
+const logger = require('../utils/logger');
+const { GROUP_CONSTANTS, MESSAGE_CONSTANTS, SOCKET_CONSTANTS, ERROR_MESSAGES } = require('../utils/constants');
+
+const { SCHEDULED } = MESSAGE_CONSTANTS;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Scheduled Message Service for AcademicAlly
+ * Messages queued for later delivery, once or on a repeating schedule (see utils/messageSchedule).
+ * Anyone can schedule direct messages; group messages are for group admins. Due messages are
+ * sent by the scheduled message job through MessageService's normal send paths, so blocks,
+ * membership, read-only groups, rate limits and socket broadcasts apply as for a live message.
+ */
+
+class ScheduledMessageService {
+  /**
+   * Schedule a message
+   * @param {string} userId - Sender
+   * @param {Object} data - { recipientId | groupId, content, type, sendAt, recurrence }
+   *   recurrence: { frequency, interval, timezone, until, maxOccurrences } (omit to send once)
+   * @returns {Promise<Object>} { success, statusCode?, message, scheduledMessage? }
+   */
+  async scheduleMessage(userId, data) {
+    try {
+      const { recipientId, groupId } = data;
+      if (Boolean(recipientId) === Boolean(groupId)) {
+        return { success: false, statusCode: 400, message: 'Provide either a recipient or a group' };
+      }
+
+      const pendingCount = await ScheduledMessage.countDocuments({
+        sender: userId,
+        status: { $in: ['scheduled', 'sending'] }
+      });
+      if (pendingCount >= SCHEDULED.MAX_PENDING_PER_USER) {
+        return {
+          success: false,
+          statusCode: 400,
+          message: `You can have at most ${SCHEDULED.MAX_PENDING_PER_USER} scheduled messages`
+        };
+      }
+
+      const target = await this.checkTarget(userId, { recipientId, groupId });
+      if (!target.success) return target;
+
+      const sendAt = new Date(data.sendAt);
+      const recurrence = this.buildRecurrence(data.recurrence, target.sender.timezone);
+      const problem = this.checkTiming(sendAt, recurrence);
+      if (problem) return { success: false, ...problem };
+
+      const scheduledMessage = await ScheduledMessage.create({
+        sender: userId,
+        messageType: groupId ? 'group' : 'direct',
+        recipient: recipientId,
+        group: groupId,
+        content: data.content,
+        contentType: data.type || 'text',
+        sendAt,
+        firstSendAt: sendAt,
+        recurrence
+      });
+
+      logger.message('message_scheduled', userId, recipientId || null, {
+        scheduledMessageId: scheduledMessage._id,
+        groupId,
+        sendAt,
+        frequency: recurrence?.frequency
+      });
+
+      return { success: true, message: 'Message scheduled', scheduledMessage };
+    } catch (error) {
+      logger.error('Error scheduling message', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * List the user's scheduled messages, soonest first
+   * @param {string} userId - Sender
+   * @param {Object} options - { status (default scheduled), groupId, page, limit }
+   * @returns {Promise<Object>} { success, scheduledMessages, pagination }
+   */
+  async getScheduledMessages(userId, options = {}) {
+    try {
+      const page = options.page || 1;
+      const limit = Math.min(options.limit || 20, 50);
+      const query = { sender: userId, status: options.status || 'scheduled' };
+      if (options.groupId) {
+        query.group = options.groupId;
+      }
+
+      const [scheduledMessages, totalCount] = await Promise.all([
+        ScheduledMessage.find(query)
+          .populate('recipient', 'name profilePicture')
+          .populate('group', 'name')
+          .sort({ sendAt: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        ScheduledMessage.countDocuments(query)
+      ]);
+
+      const totalPages = Math.ceil(totalCount / limit);
+
+      return {
+        success: true,
+        scheduledMessages,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting scheduled messages', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get one of the user's scheduled messages
+   * @param {string} scheduledMessageId - Scheduled message ID
+   * @param {string} userId - Sender
+   * @returns {Promise<Object>} { success, statusCode?, message?, scheduledMessage? }
+   */
+  async getScheduledMessage(scheduledMessageId, userId) {
+    try {
+      const scheduledMessage = await ScheduledMessage.findOne({ _id: scheduledMessageId, sender: userId })
+        .populate('recipient', 'name profilePicture')
+        .populate('group', 'name');
+
+      if (!scheduledMessage) {
+        return { success: false, statusCode: 404, message: 'Scheduled message not found' };
+      }
+
+      return { success: true, scheduledMessage };
+    } catch (error) {
+      logger.error('Error getting scheduled message', error, { scheduledMessageId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a scheduled message before it sends (sender only)
+   * Changing the send time or repeat settings starts the series again from the new send time.
+   * @param {string} scheduledMessageId - Scheduled message ID
+   * @param {string} userId - Sender
+   * @param {Object} updates - { content, type, sendAt, recurrence } (recurrence null: send once)
+   * @returns {Promise<Object>} { success, statusCode?, message, scheduledMessage? }
+   */
+  async updateScheduledMessage(scheduledMessageId, userId, updates = {}) {
+    try {
+      const scheduledMessage = await ScheduledMessage.findOne({ _id: scheduledMessageId, sender: userId });
+      if (!scheduledMessage) {
+        return { success: false, statusCode: 404, message: 'Scheduled message not found' };
+      }
+      if (scheduledMessage.status !== 'scheduled') {
+        return { success: false, statusCode: 400, message: `A ${scheduledMessage.status} scheduled message cannot be edited` };
+      }
+
+      if (updates.content !== undefined) scheduledMessage.content = updates.content;
+      if (updates.type !== undefined) scheduledMessage.contentType = updates.type;
+
+      if (updates.sendAt !== undefined || updates.recurrence !== undefined) {
+        const sendAt = updates.sendAt !== undefined ? new Date(updates.sendAt) : scheduledMessage.sendAt;
+        let recurrence = scheduledMessage.isRecurring ? scheduledMessage.toObject().recurrence : undefined;
+        if (updates.recurrence !== undefined) {
+          const sender = await User.findById(userId).select('timezone');
+          recurrence = this.buildRecurrence(updates.recurrence, sender?.timezone);
+        }
+
+        const problem = this.checkTiming(sendAt, recurrence);
+        if (problem) return { success: false, ...problem };
+
+        scheduledMessage.sendAt = sendAt;
+        scheduledMessage.firstSendAt = sendAt;
+        scheduledMessage.occurrenceIndex = 0;
+        scheduledMessage.set('recurrence', recurrence || {});
+      }
+
+      scheduledMessage.attempts = 0;
+      scheduledMessage.lastError = undefined;
+      await scheduledMessage.save();
+
+      logger.message('scheduled_message_updated', userId, scheduledMessage.recipient || null, {
+        scheduledMessageId,
+        fields: Object.keys(updates).filter(field => updates[field] !== undefined)
+      });
+
+      return { success: true, message: 'Scheduled message updated', scheduledMessage };
+    } catch (error) {
+      logger.error('Error updating scheduled message', error, { scheduledMessageId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a scheduled message (its sender, or an admin of the group it's for)
+   * @param {string} scheduledMessageId - Scheduled message ID
+   * @param {string} userId - User cancelling
+   * @returns {Promise<Object>} { success, statusCode?, message, scheduledMessage? }
+   */
+  async cancelScheduledMessage(scheduledMessageId, userId) {
+    try {
+      const scheduledMessage = await ScheduledMessage.findById(scheduledMessageId);
+      if (!scheduledMessage) {
+        return { success: false, statusCode: 404, message: 'Scheduled message not found' };
+      }
+
+      const isSender = scheduledMessage.sender.toString() === userId.toString();
+      if (!isSender) {
+        const group = scheduledMessage.group && await Group.findById(scheduledMessage.group).select('members');
+        if (!group || !this.isGroupAdmin(group, userId)) {
+          // Other users' scheduled messages aren't visible to them
+          return { success: false, statusCode: 404, message: 'Scheduled message not found' };
+        }
+      }
+
+      if (scheduledMessage.status !== 'scheduled') {
+        return { success: false, statusCode: 400, message: `A ${scheduledMessage.status} scheduled message cannot be cancelled` };
+      }
+
+      scheduledMessage.status = 'cancelled';
+      scheduledMessage.cancelledAt = new Date();
+      await scheduledMessage.save();
+
+      logger.message('scheduled_message_cancelled', userId, scheduledMessage.recipient || null, {
+        scheduledMessageId,
+        groupId: scheduledMessage.group,
+        bySender: isSender
+      });
+
+      return { success: true, message: 'Scheduled message cancelled', scheduledMessage };
+    } catch (error) {
+      logger.error('Error cancelling scheduled message', error, { scheduledMessageId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Send scheduled messages that are due
+   * Run periodically by the scheduled message job. Each send is claimed first so overlapping
+   * runs can't deliver it twice.
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { sent, failed, interrupted }
+   */
+  async processDueMessages({ io } = {}) {
+    const now = new Date();
+    let sent = 0;
+    let failed = 0;
+
+    const interrupted = await this.releaseStaleClaims(now, io);
+    const dueMessages = await ScheduledMessage.findDue(now, SCHEDULED.BATCH_SIZE);
+
+    for (const due of dueMessages) {
+      let scheduledMessage;
+      try {
+        scheduledMessage = await ScheduledMessage.findOneAndUpdate(
+          { _id: due._id, status: 'scheduled', sendAt: due.sendAt },
+          { $set: { status: 'sending', claimedAt: now } },
+          { new: true }
+        );
+      } catch (error) {
+        failed++;
+        logger.error('Error claiming scheduled message', error, { scheduledMessageId: due._id });
+        continue;
+      }
+      // Edited, cancelled or claimed by another run in the meantime
+      if (!scheduledMessage) continue;
+
+      const delivered = await this.deliver(scheduledMessage, { io });
+      if (delivered) {
+        sent++;
+      } else {
+        failed++;
+      }
+    }
+
+    return { sent, failed, interrupted };
+  }
+
+  // Private helper methods
+
+  /**
+   * Send one claimed scheduled message and move it on to its next occurrence
+   * If recording the send fails the claim is left in place, so the message isn't sent again;
+   * releaseStaleClaims moves it on later.
+   * @returns {Promise<boolean>} True if the message was sent
+   */
+  async deliver(scheduledMessage, { io } = {}) {
+    const messageData = { content: scheduledMessage.content, type: scheduledMessage.contentType };
+
+    let message;
+    try {
+      message = scheduledMessage.messageType === 'group'
+        ? await messageService.sendGroupMessage(scheduledMessage.sender, scheduledMessage.group, messageData, { io })
+        : await messageService.sendDirectMessage(scheduledMessage.sender, scheduledMessage.recipient, messageData, { io });
+    } catch (error) {
+      await this.recordFailure(scheduledMessage, error, io);
+      return false;
+    }
+
+    try {
+      const next = this.getNextOccurrence(scheduledMessage);
+
+      scheduledMessage.sentCount += 1;
+      scheduledMessage.lastSentAt = new Date();
+      scheduledMessage.lastMessage = message._id;
+      scheduledMessage.attempts = 0;
+      scheduledMessage.lastError = undefined;
+      this.release(scheduledMessage);
+      this.advance(scheduledMessage, next, 'completed');
+      await scheduledMessage.save();
+
+      this.notifySender(io, scheduledMessage, SOCKET_CONSTANTS.EVENTS.SCHEDULED_MESSAGE_SENT, {
+        messageId: message._id,
+        nextSendAt: next ? next.sendAt : null
+      });
+
+      logger.message('scheduled_message_sent', scheduledMessage.sender, scheduledMessage.recipient || null, {
+        scheduledMessageId: scheduledMessage._id,
+        messageId: message._id,
+        groupId: scheduledMessage.group
+      });
+    } catch (error) {
+      logger.error('Error recording scheduled message delivery', error, { scheduledMessageId: scheduledMessage._id });
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a failed send: retry shortly, then give up on this occurrence
+   * A series moves on to its next occurrence; a one-off message is marked failed.
+   */
+  async recordFailure(scheduledMessage, error, io) {
+    logger.error('Error sending scheduled message', error, { scheduledMessageId: scheduledMessage._id });
+
+    try {
+      this.release(scheduledMessage);
+      scheduledMessage.attempts += 1;
+      scheduledMessage.lastError = error.message;
+
+      const willRetry = scheduledMessage.attempts < SCHEDULED.MAX_ATTEMPTS;
+      if (willRetry) {
+        scheduledMessage.sendAt = new Date(Date.now() + SCHEDULED.RETRY_DELAY_MS);
+      } else {
+        scheduledMessage.attempts = 0;
+        this.advance(scheduledMessage, this.getNextOccurrence(scheduledMessage), 'failed');
+      }
+      await scheduledMessage.save();
+
+      this.notifySender(io, scheduledMessage, SOCKET_CONSTANTS.EVENTS.SCHEDULED_MESSAGE_FAILED, {
+        error: error.message,
+        willRetry,
+        nextSendAt: scheduledMessage.status === 'scheduled' ? scheduledMessage.sendAt : null
+      });
+    } catch (saveError) {
+      logger.error('Error recording scheduled message failure', saveError, { scheduledMessageId: scheduledMessage._id });
+    }
+  }
+
+  /**
+   * Move on sends claimed before the claim timeout that never finished (the server stopped
+   * mid-send, or recording the outcome failed)
+   * They may already have gone out, so the occurrence is given up rather than retried.
+   * @returns {Promise<number>} Sends released
+   */
+  async releaseStaleClaims(now, io) {
+    let released = 0;
+
+    const cutoff = new Date(now.getTime() - SCHEDULED.CLAIM_TIMEOUT_MS);
+    const stale = await ScheduledMessage.findStaleClaims(cutoff, SCHEDULED.BATCH_SIZE);
+
+    for (const scheduledMessage of stale) {
+      try {
+        const next = this.getNextOccurrence(scheduledMessage);
+        const update = next
+          ? { status: 'scheduled', occurrenceIndex: next.index, sendAt: next.sendAt }
+          : { status: 'failed' };
+
+        // Conditional so a run finishing the send in the meantime isn't overwritten
+        const result = await ScheduledMessage.updateOne(
+          { _id: scheduledMessage._id, status: 'sending', claimedAt: scheduledMessage.claimedAt },
+          {
+            $set: { ...update, attempts: 0, lastError: 'Delivery was interrupted' },
+            $unset: { claimedAt: 1 }
+          }
+        );
+        if (result.modifiedCount === 0) continue;
+
+        released++;
+        this.notifySender(io, { ...scheduledMessage.toObject(), ...update }, SOCKET_CONSTANTS.EVENTS.SCHEDULED_MESSAGE_FAILED, {
+          error: 'Delivery was interrupted',
+          willRetry: false,
+          nextSendAt: next ? next.sendAt : null
+        });
+      } catch (error) {
+        logger.error('Error releasing scheduled message claim', error, { scheduledMessageId: scheduledMessage._id });
+      }
+    }
+
+    return released;
+  }
+
+  /**
+   * Drop a job run's claim on a scheduled message
+   */
+  release(scheduledMessage) {
+    scheduledMessage.status = 'scheduled';
+    scheduledMessage.claimedAt = undefined;
+  }
+
+  /**
+   * Next occurrence of a recurring message after now, or null (one-off, or series ended)
+   */
+  getNextOccurrence(scheduledMessage) {
+    if (!scheduledMessage.isRecurring) return null;
+
+    return messageSchedule.nextOccurrence(scheduledMessage.firstSendAt, scheduledMessage.recurrence, {
+      index: scheduledMessage.occurrenceIndex,
+      after: new Date()
+    });
+  }
+
+  /**
+   * Point a scheduled message at its next occurrence, or close it with the given status
+   */
+  advance(scheduledMessage, next, finalStatus) {
+    if (next) {
+      scheduledMessage.occurrenceIndex = next.index;
+      scheduledMessage.sendAt = next.sendAt;
+    } else {
+      scheduledMessage.status = finalStatus;
+    }
+  }
+
+  /**
+   * Check the sender may message the target now (the send path checks again at delivery)
+   * @returns {Promise<Object>} { success, statusCode?, message?, sender? }
+   */
+  async checkTarget(userId, { recipientId, groupId }) {
+    const sender = await User.findById(userId).select('timezone blockedUsers');
+    if (!sender) {
+      return { success: false, statusCode: 404, message: ERROR_MESSAGES.USER.NOT_FOUND };
+    }
+
+    if (recipientId) {
+      const recipient = await User.findById(recipientId).select('blockedUsers');
+      if (!recipient) {
+        return { success: false, statusCode: 404, message: ERROR_MESSAGES.USER.NOT_FOUND };
+      }
+
+      try {
+        await messageService.validateDirectMessagePermissions(sender, recipient);
+      } catch (error) {
+        return { success: false, statusCode: 403, message: error.message };
+      }
+
+      return { success: true, sender };
+    }
+
+    const group = await Group.findById(groupId).select('members status isActive');
+    if (!group || !group.isActive) {
+      return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
+    }
+    if (!this.isGroupAdmin(group, userId)) {
+      return { success: false, statusCode: 403, message: 'Only group admins can schedule group messages' };
+    }
+    if (GROUP_CONSTANTS.LIFECYCLE.READ_ONLY_STATUSES.includes(group.status)) {
+      return { success: false, statusCode: 400, message: `This group is ${group.status}; its chat is read-only` };
+    }
+
+    return { success: true, sender };
+  }
+
+  /**
+   * Repeat settings from a request, defaulting the timezone to the sender's
+   * @returns {Object|undefined} Recurrence, or undefined for a one-off message
+   */
+  buildRecurrence(recurrence, defaultTimezone) {
+    if (!recurrence?.frequency) return undefined;
+
+    return {
+      frequency: recurrence.frequency,
+      interval: recurrence.interval || 1,
+      timezone: recurrence.timezone || defaultTimezone || 'UTC',
+      until: recurrence.until ? new Date(recurrence.until) : undefined,
+      maxOccurrences: recurrence.maxOccurrences
+    };
+  }
+
+  /**
+   * Check a send time (and series end) is acceptable
+   * @returns {Object|null} { statusCode, message } or null when it is
+   */
+  checkTiming(sendAt, recurrence) {
+    const now = Date.now();
+
+    if (sendAt.getTime() < now + SCHEDULED.MIN_LEAD_MS) {
+      return { statusCode: 400, message: 'Send time must be at least a minute in the future' };
+    }
+    if (sendAt.getTime() > now + SCHEDULED.MAX_LEAD_DAYS * MS_PER_DAY) {
+      return { statusCode: 400, message: `Send time cannot be more than ${SCHEDULED.MAX_LEAD_DAYS} days ahead` };
+    }
+    if (recurrence?.until && recurrence.until <= sendAt) {
+      return { statusCode: 400, message: 'Repeat end date must be after the first send' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a user is an active admin or the creator of a group
+   */
+  isGroupAdmin(group, userId) {
+    return group.members.some(member =>
+      member.user.toString() === userId.toString() &&
+      member.isActive &&
+      ['admin', 'creator'].includes(member.role)
+    );
+  }
+
+  /**
+   * Tell the sender's sockets what happened to a scheduled message
+   */
+  notifySender(io, scheduledMessage, event, payload) {
+    if (!io) return;
+
+    io.to(`${SOCKET_CONSTANTS.ROOMS.USER}${scheduledMessage.sender}`).emit(event, {
+      scheduledMessageId: scheduledMessage._id,
+      status: scheduledMessage.status,
+      ...payload
+    });
+  }
+}
+
+module.exports = new ScheduledMessageService();
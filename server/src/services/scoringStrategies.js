@@ -0,0 +1,254 @@
+const logger = require('../utils/logger');
+const rankingModel = require('../utils/rankingModel');
+
+/**
+ * Compatibility Scoring Strategies for AcademicAlly
+ * Registry of named, versioned scoring algorithms used by MatchingService.
+ * A strategy turns the per-factor breakdown (each 0-1) into a total score.
+ * Strategies are identified by `${name}_v${major version}` (e.g. basic_compatibility_v1),
+ * which is what gets recorded on Match.metadata.algorithm.
+ */
+
+const FACTORS = ['courseOverlap', 'studyStyle', 'availability', 'location', 'academicGoals'];
+const WEIGHT_SUM_TOLERANCE = 0.001;
+const CUSTOM_STRATEGY_NAME = 'custom_weights';
+const CUSTOM_STRATEGY_VERSION = '1.0';
+
+const STRATEGIES = [
+  {
+    name: 'basic_compatibility',
+    version: '1.0',
+    description: 'Balanced scoring with courses as the primary factor',
+    weights: {
+      courseOverlap: 0.4,
+      studyStyle: 0.2,
+      availability: 0.15,
+      location: 0.15,
+      academicGoals: 0.1
+    }
+  },
+  {
+    name: 'course_heavy',
+    version: '1.0',
+    description: 'Prioritises partners taking the same courses',
+    weights: {
+      courseOverlap: 0.6,
+      studyStyle: 0.15,
+      availability: 0.1,
+      location: 0.1,
+      academicGoals: 0.05
+    }
+  },
+  {
+    name: 'schedule_heavy',
+    version: '1.0',
+    description: 'Prioritises partners with the most shared free time',
+    weights: {
+      courseOverlap: 0.25,
+      studyStyle: 0.15,
+      availability: 0.4,
+      location: 0.15,
+      academicGoals: 0.05
+    }
+  },
+  {
+    name: 'exam_prep',
+    version: '1.0',
+    description: 'Shared courses and schedule first, boosted when both users are in exam prep mode',
+    weights: {
+      courseOverlap: 0.45,
+      studyStyle: 0.1,
+      availability: 0.3,
+      location: 0.1,
+      academicGoals: 0.05
+    },
+    adjust: (score, breakdown, user1, user2) => {
+      const bothExamPrep = user1.studyPreferences?.studyIntensity === 'Exam Prep' &&
+        user2.studyPreferences?.studyIntensity === 'Exam Prep';
+
+      // Only boost when they actually share courses to prep for
+      return bothExamPrep && breakdown.courseOverlap > 0 ? score + 0.1 : score;
+    }
+  }
+];
+
+class ScoringStrategyRegistry {
+  constructor() {
+    this.strategies = new Map();
+    this.latestByName = new Map();
+    this.defaultId = 'basic_compatibility_v1';
+    this.factors = FACTORS;
+
+    STRATEGIES.forEach(strategy => this.register(strategy));
+  }
+
+  /**
+   * Build the registry id for a strategy
+   * @param {string} name - Strategy name
+   * @param {string} version - Semantic version (e.g. '1.0')
+   * @returns {string} Strategy id (e.g. 'course_heavy_v1')
+   */
+  buildId(name, version) {
+    return `${name}_v${String(version).split('.')[0]}`;
+  }
+
+  /**
+   * Register a scoring strategy
+   * @param {Object} strategy - { name, version, description, weights, adjust? }
+   * @returns {Object} Registered strategy
+   */
+  register(strategy) {
+    const { name, version, weights } = strategy;
+    if (!name || !version || !weights) {
+      throw new Error('Strategy requires name, version and weights');
+    }
+
+    const weightsError = this.validateWeights(weights);
+    if (weightsError) {
+      throw new Error(`Strategy ${name}: ${weightsError}`);
+    }
+
+    const id = this.buildId(name, version);
+    const registered = Object.freeze({ ...strategy, id, weights: Object.freeze({ ...weights }) });
+    this.strategies.set(id, registered);
+
+    const latest = this.latestByName.get(name);
+    if (!latest || parseFloat(version) >= parseFloat(latest.version)) {
+      this.latestByName.set(name, registered);
+    }
+
+    logger.debug(`Scoring strategy registered: ${id} (${version})`);
+    return registered;
+  }
+
+  /**
+   * Validate a set of factor weights
+   * @param {Object} weights - Weight per factor
+   * @returns {string|null} Error message, or null if the weights are valid
+   */
+  validateWeights(weights) {
+    if (!weights || typeof weights !== 'object') {
+      return 'Weights must be an object';
+    }
+
+    const unknown = Object.keys(weights).filter(factor => !FACTORS.includes(factor));
+    if (unknown.length > 0) {
+      return `Unknown weight factors: ${unknown.join(', ')}`;
+    }
+
+    const missing = FACTORS.filter(factor => typeof weights[factor] !== 'number');
+    if (missing.length > 0) {
+      return `Missing weights for: ${missing.join(', ')}`;
+    }
+
+    if (FACTORS.some(factor => weights[factor] < 0 || weights[factor] > 1)) {
+      return 'Each weight must be between 0 and 1';
+    }
+
+    const total = FACTORS.reduce((sum, factor) => sum + weights[factor], 0);
+    if (Math.abs(total - 1) > WEIGHT_SUM_TOLERANCE) {
+      return 'Weights must sum to 1';
+    }
+
+    return null;
+  }
+
+  /**
+   * Build an unregistered strategy from a user's personal weights
+   * @param {Object} weights - Validated weight per factor
+   * @returns {Object} Strategy scored like the default but with the given weights
+   */
+  createCustom(weights) {
+    const customWeights = FACTORS.reduce((result, factor) => {
+      result[factor] = weights[factor];
+      return result;
+    }, {});
+
+    return Object.freeze({
+      id: this.buildId(CUSTOM_STRATEGY_NAME, CUSTOM_STRATEGY_VERSION),
+      name: CUSTOM_STRATEGY_NAME,
+      version: CUSTOM_STRATEGY_VERSION,
+      description: 'Personal weights set in matching preferences',
+      weights: Object.freeze(customWeights)
+    });
+  }
+
+  /**
+   * Derive a strategy with learned per-factor adjustments applied to its weights
+   * The id, name and version stay those of the base strategy; the adjusted weights
+   * are what gets recorded alongside them on a Match.
+   * @param {Object} strategy - Base strategy
+   * @param {Object} adjustments - Adjustment per factor (0.2 = +20%)
+   * @param {Object} learned - Training metadata ({ sampleSize, trainedAt, modelVersion })
+   * @returns {Object} Adjusted strategy
+   */
+  withAdjustments(strategy, adjustments, learned = {}) {
+    return Object.freeze({
+      ...strategy,
+      weights: Object.freeze(rankingModel.applyAdjustments(strategy.weights, adjustments)),
+      learned: Object.freeze({ ...learned })
+    });
+  }
+
+  /**
+   * Check whether an algorithm name or id is registered
+   * @param {string} algorithm - Strategy name or id
+   * @returns {boolean} True if the algorithm can be resolved
+   */
+  has(algorithm) {
+    return this.strategies.has(algorithm) || this.latestByName.has(algorithm);
+  }
+
+  /**
+   * Resolve a strategy by id, or by name to its latest version
+   * @param {string} algorithm - Strategy name or id (defaults to basic_compatibility_v1)
+   * @returns {Object} Strategy
+   */
+  get(algorithm) {
+    if (!algorithm) return this.strategies.get(this.defaultId);
+
+    const strategy = this.strategies.get(algorithm) || this.latestByName.get(algorithm);
+    if (!strategy) {
+      throw new Error(`Unknown scoring algorithm: ${algorithm}`);
+    }
+    return strategy;
+  }
+
+  /**
+   * List registered strategies for display
+   * @returns {Array} Strategy summaries
+   */
+  list() {
+    return Array.from(this.strategies.values()).map(({ id, name, version, description, weights }) => ({
+      id,
+      name,
+      version,
+      description,
+      weights,
+      isDefault: id === this.defaultId
+    }));
+  }
+
+  /**
+   * Score a compatibility breakdown with a strategy
+   * @param {Object} strategy - Strategy from get()
+   * @param {Object} breakdown - Per-factor scores between 0 and 1
+   * @param {Object} user1 - First user
+   * @param {Object} user2 - Second user
+   * @returns {number} Total score between 0 and 1
+   */
+  score(strategy, breakdown, user1, user2) {
+    let total = FACTORS.reduce(
+      (sum, factor) => sum + (breakdown[factor] || 0) * strategy.weights[factor],
+      0
+    );
+
+    if (typeof strategy.adjust === 'function') {
+      total = strategy.adjust(total, breakdown, user1, user2);
+    }
+
+    return Math.min(Math.max(total, 0), 1);
+  }
+}
+
+module.exports = new ScoringStrategyRegistry();
@@ -0,0 +1,407 @@
+const Group = require('../models/Group');
+const User = require('../models/User');
+const StudySession = require('../models/StudySession');
+const groupActivityService = require('./groupActivityService');
+const logger = require('../utils/logger');
+const { GROUP_CONSTANTS } = require('../utils/constants');
+
+const { SESSION } = GROUP_CONSTANTS;
+
+/**
+ * Study Session Service for AcademicAlly
+ * Scheduling, RSVP, check-in/attendance and completion of group study sessions
+ */
+
+class StudySessionService {
+  /**
+   * Schedule a study session for a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Member scheduling the session
+   * @param {Object} sessionData - { title, description, topics, scheduledFor, duration, location, meetingLink }
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message?, session? }
+   */
+  async createSession(groupId, userId, sessionData, { io } = {}) {
+    try {
+      const access = await this.getGroupAccess(groupId, userId);
+      if (!access.success) return access;
+
+      const scheduledFor = new Date(sessionData.scheduledFor);
+      if (scheduledFor <= new Date()) {
+        return { success: false, statusCode: 400, message: 'Session must be scheduled in the future' };
+      }
+
+      const session = await StudySession.create({
+        group: groupId,
+        createdBy: userId,
+        title: sessionData.title,
+        description: sessionData.description,
+        topics: sessionData.topics || [],
+        scheduledFor,
+        duration: sessionData.duration,
+        location: sessionData.location,
+        meetingLink: sessionData.meetingLink,
+        // The organiser is going by default
+        rsvps: [{ user: userId, status: 'going' }]
+      });
+
+      await Group.findByIdAndUpdate(groupId, {
+        $inc: { studySessionsCount: 1 },
+        lastActivity: new Date()
+      });
+
+      await groupActivityService.record(groupId, 'session_scheduled', {
+        actor: userId,
+        session: session._id,
+        details: { title: session.title, scheduledFor }
+      }, { io });
+
+      logger.group('study_session_created', userId, groupId, {
+        sessionId: session._id,
+        scheduledFor,
+        duration: session.duration
+      });
+
+      return { success: true, session };
+    } catch (error) {
+      logger.error('Error creating study session', error, { groupId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * List a group's sessions
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting member
+   * @param {Object} options - { status: upcoming|ongoing|completed|cancelled|all, limit }
+   * @returns {Promise<Object>} { success, statusCode?, message?, sessions? }
+   */
+  async getGroupSessions(groupId, userId, options = {}) {
+    try {
+      const access = await this.getGroupAccess(groupId, userId);
+      if (!access.success) return access;
+
+      const { status = 'upcoming', limit = SESSION.DEFAULT_LIMIT } = options;
+      const query = { group: groupId };
+      let sort = { scheduledFor: 1 };
+
+      switch (status) {
+        case 'upcoming':
+          query.status = 'scheduled';
+          query.scheduledFor = { $gte: new Date(Date.now() - SESSION.CHECK_IN_OPENS_BEFORE_MS) };
+          break;
+        case 'ongoing':
+          query.status = 'in_progress';
+          break;
+        case 'completed':
+        case 'cancelled':
+          query.status = status;
+          sort = { scheduledFor: -1 };
+          break;
+        default:
+          sort = { scheduledFor: -1 };
+      }
+
+      const sessions = await StudySession.find(query)
+        .populate('createdBy', 'name profilePicture')
+        .sort(sort)
+        .limit(limit);
+
+      return { success: true, sessions };
+    } catch (error) {
+      logger.error('Error getting group study sessions', error, { groupId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single session with RSVPs and attendance
+   * @param {string} groupId - Group ID
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Requesting member
+   * @returns {Promise<Object>} { success, statusCode?, message?, session? }
+   */
+  async getSession(groupId, sessionId, userId) {
+    try {
+      const access = await this.getSessionAccess(groupId, sessionId, userId);
+      if (!access.success) return access;
+
+      await access.session.populate([
+        { path: 'createdBy', select: 'name profilePicture' },
+        { path: 'rsvps.user', select: 'name profilePicture' },
+        { path: 'attendance.user', select: 'name profilePicture' }
+      ]);
+
+      return { success: true, session: access.session };
+    } catch (error) {
+      logger.error('Error getting study session', error, { sessionId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * RSVP to a session
+   * @param {string} groupId - Group ID
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Member responding
+   * @param {string} status - going | maybe | not_going
+   * @returns {Promise<Object>} { success, statusCode?, message?, session? }
+   */
+  async rsvp(groupId, sessionId, userId, status) {
+    try {
+      const access = await this.getSessionAccess(groupId, sessionId, userId);
+      if (!access.success) return access;
+
+      const { session } = access;
+      if (session.status !== 'scheduled') {
+        return { success: false, statusCode: 400, message: `Cannot RSVP to a session that is ${session.status.replace('_', ' ')}` };
+      }
+
+      await session.setRsvp(userId, status);
+
+      logger.group('study_session_rsvp', userId, groupId, { sessionId, status });
+
+      return { success: true, session };
+    } catch (error) {
+      logger.error('Error updating study session RSVP', error, { sessionId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Check in to a session
+   * Opens shortly before the scheduled start; the first check-in starts the session.
+   * @param {string} groupId - Group ID
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Member checking in
+   * @returns {Promise<Object>} { success, statusCode?, message?, session?, started? }
+   */
+  async checkIn(groupId, sessionId, userId) {
+    try {
+      const access = await this.getSessionAccess(groupId, sessionId, userId);
+      if (!access.success) return access;
+
+      const { session } = access;
+      if (!['scheduled', 'in_progress'].includes(session.status)) {
+        return { success: false, statusCode: 400, message: `Cannot check in to a session that is ${session.status}` };
+      }
+
+      const opensAt = new Date(session.scheduledFor.getTime() - SESSION.CHECK_IN_OPENS_BEFORE_MS);
+      if (session.status === 'scheduled' && new Date() < opensAt) {
+        return { success: false, statusCode: 400, message: 'Check-in has not opened yet' };
+      }
+
+      const started = session.status === 'scheduled';
+      await session.checkIn(userId);
+
+      logger.group('study_session_check_in', userId, groupId, { sessionId, started });
+
+      return { success: true, session, started };
+    } catch (error) {
+      logger.error('Error checking in to study session', error, { sessionId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Check out of a session before it ends
+   * @param {string} groupId - Group ID
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Member checking out
+   * @returns {Promise<Object>} { success, statusCode?, message?, session? }
+   */
+  async checkOut(groupId, sessionId, userId) {
+    try {
+      const access = await this.getSessionAccess(groupId, sessionId, userId);
+      if (!access.success) return access;
+
+      const { session } = access;
+      if (session.status !== 'in_progress') {
+        return { success: false, statusCode: 400, message: 'Session is not in progress' };
+      }
+
+      if (!session.attendance.some(entry => entry.user.toString() === userId.toString())) {
+        return { success: false, statusCode: 400, message: 'You are not checked in to this session' };
+      }
+
+      await session.checkOut(userId);
+
+      logger.group('study_session_check_out', userId, groupId, { sessionId });
+
+      return { success: true, session };
+    } catch (error) {
+      logger.error('Error checking out of study session', error, { sessionId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Start a session now (organiser or group admin)
+   * @param {string} groupId - Group ID
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Member starting the session
+   * @returns {Promise<Object>} { success, statusCode?, message?, session? }
+   */
+  async startSession(groupId, sessionId, userId) {
+    try {
+      const access = await this.getSessionAccess(groupId, sessionId, userId, { manage: true });
+      if (!access.success) return access;
+
+      const { session } = access;
+      if (session.status !== 'scheduled') {
+        return { success: false, statusCode: 400, message: `Session is already ${session.status.replace('_', ' ')}` };
+      }
+
+      // Starting a session checks the organiser in
+      await session.checkIn(userId);
+
+      logger.group('study_session_started', userId, groupId, { sessionId });
+
+      return { success: true, session };
+    } catch (error) {
+      logger.error('Error starting study session', error, { sessionId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Complete a session and record study time
+   * Adds the session's hours to Group.stats.totalStudyHours, bumps completedSessions, and
+   * increments studySessionsCount for everyone who checked in.
+   * @param {string} groupId - Group ID
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Organiser or group admin
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message?, session? }
+   */
+  async completeSession(groupId, sessionId, userId, { io } = {}) {
+    try {
+      const access = await this.getSessionAccess(groupId, sessionId, userId, { manage: true });
+      if (!access.success) return access;
+
+      const { session } = access;
+      if (session.status !== 'in_progress') {
+        return { success: false, statusCode: 400, message: 'Only sessions in progress can be completed' };
+      }
+
+      await session.complete();
+
+      const attendeeIds = session.attendance.map(entry => entry.user);
+
+      await Promise.all([
+        Group.findByIdAndUpdate(groupId, {
+          $inc: {
+            'stats.totalStudyHours': session.summary.studyHours,
+            'stats.completedSessions': 1
+          },
+          lastActivity: new Date()
+        }),
+        attendeeIds.length > 0
+          ? User.updateMany({ _id: { $in: attendeeIds } }, { $inc: { studySessionsCount: 1 } })
+          : null
+      ]);
+
+      await groupActivityService.record(groupId, 'session_completed', {
+        actor: userId,
+        session: session._id,
+        details: {
+          title: session.title,
+          attendeeCount: session.summary.attendeeCount,
+          studyHours: session.summary.studyHours
+        }
+      }, { io });
+
+      logger.group('study_session_completed', userId, groupId, {
+        sessionId,
+        attendeeCount: session.summary.attendeeCount,
+        studyHours: session.summary.studyHours
+      });
+
+      return { success: true, session };
+    } catch (error) {
+      logger.error('Error completing study session', error, { sessionId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a scheduled session (organiser or group admin)
+   * @param {string} groupId - Group ID
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Organiser or group admin
+   * @param {string} reason - Optional cancellation reason
+   * @returns {Promise<Object>} { success, statusCode?, message?, session? }
+   */
+  async cancelSession(groupId, sessionId, userId, reason) {
+    try {
+      const access = await this.getSessionAccess(groupId, sessionId, userId, { manage: true });
+      if (!access.success) return access;
+
+      const { session } = access;
+      if (session.status !== 'scheduled') {
+        return { success: false, statusCode: 400, message: 'Only scheduled sessions can be cancelled' };
+      }
+
+      session.status = 'cancelled';
+      session.cancelledAt = new Date();
+      session.cancellationReason = reason;
+      await session.save();
+
+      logger.group('study_session_cancelled', userId, groupId, { sessionId });
+
+      return { success: true, session };
+    } catch (error) {
+      logger.error('Error cancelling study session', error, { sessionId, userId });
+      throw error;
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Load a group and check the user is an active member
+   * @returns {Promise<Object>} { success, statusCode?, message?, group?, membership? }
+   */
+  async getGroupAccess(groupId, userId) {
+    const group = await Group.findById(groupId).select('members isActive');
+    if (!group || !group.isActive) {
+      return { success: false, statusCode: 404, message: 'Group not found' };
+    }
+
+    const membership = group.members.find(member =>
+      member.user.toString() === userId.toString() && member.isActive
+    );
+    if (!membership) {
+      return { success: false, statusCode: 403, message: 'Only group members can access study sessions' };
+    }
+
+    return { success: true, group, membership };
+  }
+
+  /**
+   * Load a session of a group and check the user's access to it
+   * @param {Object} options - { manage } require organiser or group admin/creator
+   * @returns {Promise<Object>} { success, statusCode?, message?, session?, membership? }
+   */
+  async getSessionAccess(groupId, sessionId, userId, options = {}) {
+    const access = await this.getGroupAccess(groupId, userId);
+    if (!access.success) return access;
+
+    const session = await StudySession.findOne({ _id: sessionId, group: groupId });
+    if (!session) {
+      return { success: false, statusCode: 404, message: 'Study session not found' };
+    }
+
+    if (options.manage) {
+      const isOrganiser = session.createdBy.toString() === userId.toString();
+      const isGroupAdmin = ['admin', 'creator'].includes(access.membership.role);
+      if (!isOrganiser && !isGroupAdmin) {
+        return { success: false, statusCode: 403, message: 'Only the organiser or a group admin can manage this session' };
+      }
+    }
+
+    return { success: true, session, membership: access.membership };
+  }
+}
+
+module.exports = new StudySessionService();
@@ -0,0 +1,394 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const logger = require('../utils/logger');
+const { MESSAGE_CONSTANTS, SOCKET_CONSTANTS } = require('../utils/constants');
+
+const { THREAD } = MESSAGE_CONSTANTS;
+
+/**
+ * Thread Service for AcademicAlly
+ * Threaded replies for group and direct conversations. A reply points at the message it answers
+ * (replyTo) and at the thread's first message (threadRoot); the root carries the reply count,
+ * last-reply metadata, followers and each reader's position. MessageService creates replies;
+ * this service keeps the root up to date and serves threads.
+ */
+
+class ThreadService {
+  /**
+   * Check a reply target belongs to the conversation the reply is sent to
+   * @param {string} parentId - Message being replied to (a root or a reply)
+   * @param {Object} conversation - { groupId } or { participants: [userId, userId] }
+   * @returns {Promise<Object>} { success, statusCode?, message?, parent?, root? }
+   */
+  async resolveParent(parentId, { groupId, participants } = {}) {
+    const parent = await Message.findById(parentId);
+    if (!parent || parent.isDeleted) {
+      return { success: false, statusCode: 404, message: 'Message being replied to was not found' };
+    }
+
+    const inConversation = groupId
+      ? parent.messageType === 'group' && parent.group?.toString() === groupId.toString()
+      : parent.messageType === 'direct' && this.isParticipant(parent, participants[0]) &&
+        this.isParticipant(parent, participants[1]);
+
+    if (!inConversation) {
+      return { success: false, statusCode: 400, message: 'Replies must be sent in the same conversation' };
+    }
+
+    const root = parent.threadRoot ? await Message.findById(parent.threadRoot) : parent;
+    if (!root) {
+      return { success: false, statusCode: 404, message: 'Thread not found' };
+    }
+
+    return { success: true, parent, root };
+  }
+
+  /**
+   * Update a thread's root after a reply is saved and push the reply out
+   * Never throws: a failed update mustn't fail the send.
+   * @param {Object} root - Root message
+   * @param {Object} reply - Saved reply (sender populated or ID)
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object|null>} Updated root, or null on failure
+   */
+  async recordReply(root, reply, { io } = {}) {
+    try {
+      const senderId = reply.sender._id || reply.sender;
+      // The root's author starts following when the first reply comes in
+      const newFollowers = root.thread?.replyCount ? [senderId] : [root.sender, senderId];
+
+      const updatedRoot = await Message.findByIdAndUpdate(root._id, {
+        $inc: { 'thread.replyCount': 1 },
+        $set: { 'thread.lastReplyAt': reply.createdAt, 'thread.lastReplyBy': senderId },
+        $addToSet: {
+          'thread.participants': senderId,
+          'thread.followers': { $each: newFollowers }
+        }
+      }, { new: true });
+
+      await this.setReadPosition(root._id, senderId, reply.createdAt);
+
+      if (io && updatedRoot) {
+        // Followers and open thread views that lost access (left or removed from the group)
+        // don't get the reply
+        const canView = await this.getViewerCheck(updatedRoot);
+        const threadRoom = `${SOCKET_CONSTANTS.ROOMS.THREAD}${root._id}`;
+        await this.removeThreadViewers(io, threadRoom, canView);
+
+        const followerRooms = updatedRoot.thread.followers
+          .filter(followerId => followerId.toString() !== senderId.toString() && canView(followerId))
+          .map(followerId => `${SOCKET_CONSTANTS.ROOMS.USER}${followerId}`);
+
+        // Open thread views and followers get the reply itself (rooms are de-duplicated)
+        io.to([threadRoom, ...followerRooms])
+          .emit(SOCKET_CONSTANTS.EVENTS.THREAD_REPLY, { rootId: root._id, message: reply });
+
+        // The conversation gets the root's new reply count
+        io.to(this.getConversationRooms(updatedRoot)).emit(SOCKET_CONSTANTS.EVENTS.THREAD_UPDATED, {
+          rootId: root._id,
+          replyCount: updatedRoot.thread.replyCount,
+          lastReplyAt: updatedRoot.thread.lastReplyAt,
+          lastReplyBy: updatedRoot.thread.lastReplyBy
+        });
+      }
+
+      return updatedRoot;
+    } catch (error) {
+      logger.error('Error recording thread reply', error, { rootId: root._id, replyId: reply._id });
+      return null;
+    }
+  }
+
+  /**
+   * Get a thread: its root and replies (oldest first), and marks it read for the user
+   * @param {string} messageId - Root message, or any reply in the thread
+   * @param {string} userId - Requesting user
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { success, statusCode?, message?, root?, replies?, thread?, pagination? }
+   */
+  async getThread(messageId, userId, options = {}) {
+    try {
+      const access = await this.getThreadAccess(messageId, userId);
+      if (!access.success) return access;
+
+      const { root } = access;
+      const page = options.page || 1;
+      const limit = Math.min(options.limit || THREAD.DEFAULT_LIMIT, THREAD.MAX_LIMIT);
+      const lastReadAt = this.getReadPosition(root, userId);
+
+      const [replies, unreadCount] = await Promise.all([
+        Message.find({ threadRoot: root._id })
+          .populate('sender', 'name profilePicture')
+          .sort({ createdAt: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        this.countUnread(root._id, userId, lastReadAt)
+      ]);
+
+      await root.populate([
+        { path: 'sender', select: 'name profilePicture' },
+        { path: 'thread.lastReplyBy', select: 'name profilePicture' }
+      ]);
+
+      if (root.thread.lastReplyAt) {
+        await this.setReadPosition(root._id, userId, root.thread.lastReplyAt);
+      }
+
+      const replyCount = root.thread.replyCount || 0;
+      const totalPages = Math.ceil(replyCount / limit);
+
+      return {
+        success: true,
+        root,
+        replies,
+        thread: {
+          replyCount,
+          lastReplyAt: root.thread.lastReplyAt,
+          lastReplyBy: root.thread.lastReplyBy,
+          participantCount: root.thread.participants.length,
+          isFollowing: this.isFollowing(root, userId),
+          unreadCount,
+          lastReadAt
+        },
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount: replyCount,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting thread', error, { messageId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a thread read up to its latest reply
+   * @param {string} messageId - Root message, or any reply in the thread
+   * @param {string} userId - User
+   * @returns {Promise<Object>} { success, statusCode?, message?, rootId?, lastReadAt? }
+   */
+  async markThreadRead(messageId, userId) {
+    try {
+      const access = await this.getThreadAccess(messageId, userId);
+      if (!access.success) return access;
+
+      const { root } = access;
+      const lastReadAt = root.thread.lastReplyAt || new Date();
+      await this.setReadPosition(root._id, userId, lastReadAt);
+
+      return { success: true, rootId: root._id, lastReadAt };
+    } catch (error) {
+      logger.error('Error marking thread read', error, { messageId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Follow or unfollow a thread's new replies
+   * @param {string} messageId - Root message, or any reply in the thread
+   * @param {string} userId - User
+   * @param {boolean} follow - True to follow, false to unfollow
+   * @returns {Promise<Object>} { success, statusCode?, message, rootId?, isFollowing? }
+   */
+  async setFollowing(messageId, userId, follow) {
+    try {
+      const access = await this.getThreadAccess(messageId, userId);
+      if (!access.success) return access;
+
+      const { root } = access;
+      await Message.updateOne({ _id: root._id }, follow
+        ? { $addToSet: { 'thread.followers': userId } }
+        : { $pull: { 'thread.followers': userId } });
+
+      logger.message(follow ? 'thread_followed' : 'thread_unfollowed', userId, null, { rootId: root._id });
+
+      return {
+        success: true,
+        message: follow ? 'Following thread' : 'Unfollowed thread',
+        rootId: root._id,
+        isFollowing: follow
+      };
+    } catch (error) {
+      logger.error('Error updating thread follow', error, { messageId, userId, follow });
+      throw error;
+    }
+  }
+
+  /**
+   * Load a thread's root and check the user can read the conversation it belongs to
+   * Group threads follow group history access (see Group.canViewHistory); direct threads
+   * are open to the two participants.
+   * @param {string} messageId - Root message, or any reply in the thread
+   * @param {string} userId - User
+   * @returns {Promise<Object>} { success, statusCode?, message?, root? }
+   */
+  async getThreadAccess(messageId, userId) {
+    const message = await Message.findById(messageId);
+    if (!message) {
+      return { success: false, statusCode: 404, message: 'Message not found' };
+    }
+
+    const root = message.threadRoot ? await Message.findById(message.threadRoot) : message;
+    if (!root) {
+      return { success: false, statusCode: 404, message: 'Thread not found' };
+    }
+
+    let canView;
+    if (root.messageType === 'group') {
+      const group = await Group.findById(root.group).select('members status');
+      canView = Boolean(group && group.canViewHistory(userId));
+    } else {
+      canView = this.isParticipant(root, userId);
+    }
+
+    if (!canView) {
+      return { success: false, statusCode: 403, message: 'You do not have access to this thread' };
+    }
+
+    return { success: true, root };
+  }
+
+  /**
+   * Add the user's thread state to root messages in a conversation page
+   * Each root with replies gets thread.unreadCount and thread.isFollowing; follower and reader
+   * lists are left out.
+   * @param {Array} messages - Lean messages
+   * @param {string} userId - Requesting user
+   * @returns {Promise<Array>} The same messages
+   */
+  async annotateThreads(messages, userId) {
+    const roots = messages.filter(message => message.thread?.replyCount > 0);
+    if (roots.length === 0) return messages;
+
+    const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+    const unread = await Message.aggregate([
+      {
+        $match: {
+          sender: { $ne: userObjectId },
+          $or: roots.map(root => {
+            const lastReadAt = this.getReadPosition(root, userId);
+            return lastReadAt
+              ? { threadRoot: root._id, createdAt: { $gt: lastReadAt } }
+              : { threadRoot: root._id };
+          })
+        }
+      },
+      { $group: { _id: '$threadRoot', count: { $sum: 1 } } }
+    ]);
+    const unreadByRoot = new Map(unread.map(entry => [entry._id.toString(), entry.count]));
+
+    roots.forEach(root => {
+      const isFollowing = this.isFollowing(root, userId);
+      const { followers, readBy, ...thread } = root.thread;
+      root.thread = {
+        ...thread,
+        isFollowing,
+        unreadCount: unreadByRoot.get(root._id.toString()) || 0
+      };
+    });
+
+    return messages;
+  }
+
+  // Private helper methods
+
+  /**
+   * Count replies the user hasn't read (their own replies excluded)
+   */
+  countUnread(rootId, userId, lastReadAt) {
+    const query = { threadRoot: rootId, sender: { $ne: userId } };
+    if (lastReadAt) {
+      query.createdAt = { $gt: lastReadAt };
+    }
+    return Message.countDocuments(query);
+  }
+
+  /**
+   * Move a user's read position in a thread forward
+   */
+  async setReadPosition(rootId, userId, lastReadAt) {
+    const result = await Message.updateOne(
+      { _id: rootId, 'thread.readBy.user': userId },
+      { $max: { 'thread.readBy.$.lastReadAt': lastReadAt } }
+    );
+
+    if (result.matchedCount === 0) {
+      await Message.updateOne(
+        { _id: rootId, 'thread.readBy.user': { $ne: userId } },
+        { $push: { 'thread.readBy': { user: userId, lastReadAt } } }
+      );
+    }
+  }
+
+  /**
+   * A user's read position in a thread, or null if they've never opened it
+   */
+  getReadPosition(root, userId) {
+    const entry = (root.thread?.readBy || []).find(read =>
+      read.user.toString() === userId.toString()
+    );
+    return entry ? entry.lastReadAt : null;
+  }
+
+  /**
+   * Whether the user follows a thread
+   */
+  isFollowing(root, userId) {
+    return (root.thread?.followers || []).some(followerId =>
+      (followerId._id || followerId).toString() === userId.toString()
+    );
+  }
+
+  /**
+   * Whether a user sent or received a direct message
+   */
+  isParticipant(message, userId) {
+    return [message.sender, message.recipient].some(participant =>
+      participant && (participant._id || participant).toString() === userId.toString()
+    );
+  }
+
+  /**
+   * Access check for a thread's readers, loading the group once
+   * @param {Object} root - Root message
+   * @returns {Promise<Function>} userId => boolean, as getThreadAccess decides
+   */
+  async getViewerCheck(root) {
+    if (root.messageType !== 'group') {
+      return (userId) => this.isParticipant(root, userId);
+    }
+
+    const group = await Group.findById(root.group).select('members status');
+    return (userId) => Boolean(group && group.canViewHistory(userId));
+  }
+
+  /**
+   * Take sockets whose user can no longer read the thread out of its room
+   */
+  async removeThreadViewers(io, threadRoom, canView) {
+    const sockets = await io.in(threadRoom).fetchSockets();
+    sockets
+      .filter(socket => {
+        const userId = socket.userId || socket.user?.id;
+        return !userId || !canView(userId);
+      })
+      .forEach(socket => socket.leave(threadRoom));
+  }
+
+  /**
+   * Rooms that show a root message's conversation
+   */
+  getConversationRooms(root) {
+    if (root.messageType === 'group') {
+      return [`${SOCKET_CONSTANTS.ROOMS.GROUP}${root.group}`];
+    }
+    return [root.sender, root.recipient].map(userId => `${SOCKET_CONSTANTS.ROOMS.USER}${userId}`);
+  }
+}
+
+module.exports = new ThreadService();
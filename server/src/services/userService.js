@@ -35,7 +35,7 @@ class UserService {
     try {
       const allowedUpdates = [
         'name', 'university', 'year', 'major', 'courses', 
-        'studyPreferences', 'location', 'availability', 
+        'studyPreferences', 'location', 'availability', 'timezone',
         'profilePicture', 'bio'
       ];
 
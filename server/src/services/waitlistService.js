@@ -0,0 +1,555 @@
+const Group = require('../models/Group');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const groupActivityService = require('./groupActivityService');
+const logger = require('../utils/logger');
+const { GROUP_CONSTANTS, SOCKET_CONSTANTS, ERROR_MESSAGES } = require('../utils/constants');
+
+const { WAITLIST } = GROUP_CONSTANTS;
+
+/**
+ * Waitlist Service for AcademicAlly
+ * Queue for full groups. Users are added by GroupService.joinWaitlist; when a spot opens
+ * (member leaves or is removed, maxMembers raised, offer declined or lapsed) the longest-waiting
+ * user is admitted straight away or, in 'offer' mode, has the spot held for them until they
+ * accept or the offer expires. In groups that approve new members the spot is held for a join
+ * request instead, until admins review it (see JoinRequestService).
+ */
+
+class WaitlistService {
+  /**
+   * Put a user at the back of a group's waitlist
+   * Callers have already checked the user could otherwise join (not a member, requirements met, group full).
+   * @param {Object} group - Group document
+   * @param {Object} user - User joining the waitlist
+   * @returns {Promise<Object>} { success, statusCode?, message, position?, total? }
+   */
+  async addToWaitlist(group, user) {
+    try {
+      if (this.findOpenEntry(group, user._id)) {
+        return { success: false, statusCode: 400, message: 'You are already on this group\'s waitlist' };
+      }
+
+      if (this.getWaitingEntries(group).length >= WAITLIST.MAX_SIZE) {
+        return { success: false, statusCode: 400, message: 'This group\'s waitlist is full' };
+      }
+
+      group.waitlist.push({ user: user._id });
+      await group.save();
+
+      const { position, total } = this.getPosition(group, user._id);
+
+      logger.group('waitlist_joined', user._id, group._id, { position });
+
+      return {
+        success: true,
+        message: `You're number ${position} on the waitlist`,
+        position,
+        total
+      };
+    } catch (error) {
+      logger.error('Error joining waitlist', error, { groupId: group._id, userId: user._id });
+      throw error;
+    }
+  }
+
+  /**
+   * Leave a group's waitlist, giving up a held spot if there is one
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User leaving the waitlist
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message }
+   */
+  async leaveWaitlist(groupId, userId, { io } = {}) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group || !group.isActive) {
+        return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
+      }
+
+      const entry = this.findOpenEntry(group, userId);
+      if (!entry) {
+        return { success: false, statusCode: 404, message: 'You are not on this group\'s waitlist' };
+      }
+
+      const heldSpot = WAITLIST.HOLDING_STATUSES.includes(entry.status);
+      if (entry.status === 'requested') {
+        const joinRequest = group.joinRequests.id(entry.joinRequest);
+        if (joinRequest?.status === 'pending') {
+          joinRequest.status = 'withdrawn';
+          joinRequest.reviewedAt = new Date();
+        }
+      }
+
+      entry.status = 'left';
+      entry.respondedAt = new Date();
+      await group.save();
+
+      logger.group('waitlist_left', userId, groupId, { heldSpot });
+
+      if (heldSpot) {
+        await this.processVacancies(group, { io });
+      }
+
+      return { success: true, message: 'You have left the waitlist' };
+    } catch (error) {
+      logger.error('Error leaving waitlist', error, { groupId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the user's place on a group's waitlist
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, statusCode?, message?, waitlist?: { status, position, total, offerExpiresAt } }
+   */
+  async getWaitlistPosition(groupId, userId) {
+    try {
+      const group = await Group.findById(groupId).select('waitlist isActive');
+      if (!group || !group.isActive) {
+        return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
+      }
+
+      const entry = this.findOpenEntry(group, userId);
+      if (!entry) {
+        return { success: false, statusCode: 404, message: 'You are not on this group\'s waitlist' };
+      }
+
+      const { position, total } = this.getPosition(group, userId);
+
+      return {
+        success: true,
+        waitlist: {
+          status: entry.status,
+          // Users holding an offer or awaiting review are out of the queue
+          position: entry.status === 'waiting' ? position : null,
+          total,
+          joinedAt: entry.joinedAt,
+          offerExpiresAt: entry.status === 'offered' ? entry.offerExpiresAt : undefined
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting waitlist position', error, { groupId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * List a group's open waitlist entries in queue order (group creator/admin)
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Admin requesting the list
+   * @returns {Promise<Object>} { success, statusCode?, message?, waitlist?, waitlistMode? }
+   */
+  async getWaitlist(groupId, userId) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group || !group.isActive) {
+        return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
+      }
+
+      const isAdmin = group.members.some(member =>
+        member.user.toString() === userId.toString() &&
+        member.isActive &&
+        ['admin', 'creator'].includes(member.role)
+      );
+      if (!isAdmin) {
+        return { success: false, statusCode: 403, message: 'Only group admins can view the waitlist' };
+      }
+
+      await group.populate('waitlist.user', 'name profilePicture university major year reputation');
+
+      const holding = group.waitlist.filter(entry => WAITLIST.HOLDING_STATUSES.includes(entry.status));
+      const waitlist = [...holding, ...this.getWaitingEntries(group)].map(entry => ({
+        _id: entry._id,
+        user: entry.user,
+        status: entry.status,
+        joinedAt: entry.joinedAt,
+        offerExpiresAt: entry.offerExpiresAt,
+        joinRequest: entry.joinRequest
+      }));
+
+      return { success: true, waitlist, waitlistMode: group.waitlistMode };
+    } catch (error) {
+      logger.error('Error getting waitlist', error, { groupId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Accept a spot held for the user and join the group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User accepting
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message, group? }
+   */
+  async acceptOffer(groupId, userId, { io } = {}) {
+    try {
+      const access = await this.getOpenOffer(groupId, userId);
+      if (!access.success) return access;
+
+      const { group, entry } = access;
+
+      await this.admit(group, entry, { io });
+
+      return { success: true, message: `You've joined ${group.name}`, group };
+    } catch (error) {
+      logger.error('Error accepting waitlist offer', error, { groupId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Decline a spot held for the user; it passes to the next person in line
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User declining
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { success, statusCode?, message }
+   */
+  async declineOffer(groupId, userId, { io } = {}) {
+    try {
+      const access = await this.getOpenOffer(groupId, userId);
+      if (!access.success) return access;
+
+      const { group, entry } = access;
+      entry.status = 'declined';
+      entry.respondedAt = new Date();
+      await group.save();
+
+      logger.group('waitlist_offer_declined', userId, groupId);
+
+      await this.processVacancies(group, { io });
+
+      return { success: true, message: 'Spot declined' };
+    } catch (error) {
+      logger.error('Error declining waitlist offer', error, { groupId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Hand open spots to the waitlist in order
+   * In 'auto' mode users are admitted; in 'offer' mode the spot is held until they accept.
+   * Groups that approve new members hold the spot for a join request whatever the mode.
+   * Never throws: a failure here mustn't fail the leave/remove/update that freed the spot.
+   * @param {Object} group - Group document (saved)
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { admitted, offered, requested }
+   */
+  async processVacancies(group, { io } = {}) {
+    let admitted = 0;
+    let offered = 0;
+    let requested = 0;
+
+    try {
+      if (!group.isActive || group.status !== 'active') {
+        return { admitted, offered, requested };
+      }
+
+      while (group.availableSpots > 0) {
+        const entry = this.getWaitingEntries(group)[0];
+        if (!entry) break;
+
+        const isMember = group.members.some(member =>
+          member.user.toString() === entry.user.toString() && member.isActive
+        );
+        if (isMember) {
+          // Joined some other way (invite, re-join) while queued
+          entry.status = 'left';
+          entry.respondedAt = new Date();
+          continue;
+        }
+
+        if (group.requiresApproval) {
+          await this.requestSpot(group, entry, { io });
+          requested++;
+        } else if (group.waitlistMode === 'offer') {
+          await this.offerSpot(group, entry, { io });
+          offered++;
+        } else {
+          await this.admit(group, entry, { io });
+          admitted++;
+        }
+      }
+
+      if (group.isModified()) {
+        await group.save();
+      }
+    } catch (error) {
+      logger.error('Error processing waitlist', error, { groupId: group._id });
+    }
+
+    return { admitted, offered, requested };
+  }
+
+  /**
+   * Close a waitlist entry whose join request was rejected or expired, and pass its spot on
+   * Never throws: a failure here mustn't fail the review.
+   * @param {string} groupId - Group ID
+   * @param {string} requestId - Join request that held the spot
+   * @param {string} status - Entry's new status ('declined' or 'expired')
+   * @param {Object} context - { io } Socket.IO server (optional)
+   */
+  async releaseRequestedSpot(groupId, requestId, status, { io } = {}) {
+    try {
+      const group = await Group.findById(groupId);
+      const entry = group && this.findRequestedEntry(group, requestId);
+      if (!entry) return;
+
+      entry.status = status;
+      entry.respondedAt = new Date();
+      await group.save();
+
+      logger.group('waitlist_request_closed', entry.user, groupId, { requestId, status });
+
+      await this.processVacancies(group, { io });
+    } catch (error) {
+      logger.error('Error releasing waitlist spot', error, { groupId, requestId });
+    }
+  }
+
+  /**
+   * Expire spot offers that weren't accepted in time and offer the spots on
+   * Run periodically by the waitlist offer expiry job.
+   * @param {Object} context - { io } Socket.IO server (optional)
+   * @returns {Promise<Object>} { expired, failed }
+   */
+  async processExpirations({ io } = {}) {
+    const now = new Date();
+    let expired = 0;
+    let failed = 0;
+
+    const groups = await Group.findWithExpiredWaitlistOffers(now, WAITLIST.BATCH_SIZE);
+
+    for (const group of groups) {
+      try {
+        const due = group.waitlist.filter(entry =>
+          entry.status === 'offered' && entry.offerExpiresAt <= now
+        );
+
+        due.forEach(entry => {
+          entry.status = 'expired';
+          entry.respondedAt = now;
+        });
+        await group.save();
+
+        due.forEach(entry => {
+          this.emitToUser(io, entry.user, SOCKET_CONSTANTS.EVENTS.WAITLIST_OFFER_EXPIRED, {
+            groupId: group._id,
+            groupName: group.name
+          });
+        });
+        expired += due.length;
+
+        await this.processVacancies(group, { io });
+      } catch (error) {
+        failed++;
+        logger.error('Error expiring waitlist offers', error, { groupId: group._id });
+      }
+    }
+
+    return { expired, failed };
+  }
+
+  // Private helper methods
+
+  /**
+   * Add a waitlisted user to the group and tell them and the group
+   * The entry is marked admitted first so its held spot is released for addMember.
+   * @param {Object} group - Group document
+   * @param {Object} entry - Waitlist entry
+   * @param {Object} context - { io }
+   */
+  async admit(group, entry, { io } = {}) {
+    const wasOffered = entry.status === 'offered';
+    entry.status = 'admitted';
+    entry.respondedAt = new Date();
+
+    // addMember saves the group, including the entry's new status
+    await group.addMember(entry.user);
+    await User.findByIdAndUpdate(entry.user, { $addToSet: { groupsJoined: group._id } });
+
+    const user = await User.findById(entry.user).select('name email preferences profilePicture');
+
+    if (io && user) {
+      io.to(`${SOCKET_CONSTANTS.ROOMS.GROUP}${group._id}`).emit(SOCKET_CONSTANTS.EVENTS.USER_JOINED_GROUP, {
+        groupId: group._id,
+        user: { _id: user._id, name: user.name, profilePicture: user.profilePicture }
+      });
+    }
+
+    await groupActivityService.record(group._id, 'member_joined', {
+      actor: entry.user,
+      targetUser: entry.user,
+      details: { via: 'waitlist' }
+    }, { io });
+
+    // Users accepting an offer are already in the app; auto-admitted users need telling
+    if (!wasOffered) {
+      this.emitToUser(io, entry.user, SOCKET_CONSTANTS.EVENTS.WAITLIST_ADMITTED, {
+        groupId: group._id,
+        groupName: group.name
+      });
+
+      if (user) {
+        try {
+          await emailService.sendWaitlistAdmitted(user, group);
+        } catch (error) {
+          logger.error('Waitlist admitted email failed', error, { groupId: group._id, userId: entry.user });
+        }
+      }
+    }
+
+    logger.group('waitlist_admitted', entry.user, group._id, { via: wasOffered ? 'offer' : 'auto' });
+  }
+
+  /**
+   * Hold a spot for a waitlisted user and tell them
+   * @param {Object} group - Group document
+   * @param {Object} entry - Waitlist entry
+   * @param {Object} context - { io }
+   */
+  async offerSpot(group, entry, { io } = {}) {
+    entry.status = 'offered';
+    entry.offeredAt = new Date();
+    entry.offerExpiresAt = new Date(Date.now() + WAITLIST.OFFER_EXPIRES_AFTER_MS);
+    await group.save();
+
+    this.emitToUser(io, entry.user, SOCKET_CONSTANTS.EVENTS.WAITLIST_SPOT_OFFERED, {
+      groupId: group._id,
+      groupName: group.name,
+      offerExpiresAt: entry.offerExpiresAt
+    });
+
+    const user = await User.findById(entry.user).select('name email preferences');
+    if (user) {
+      try {
+        await emailService.sendWaitlistSpotOffered(user, group, entry.offerExpiresAt);
+      } catch (error) {
+        logger.error('Waitlist offer email failed', error, { groupId: group._id, userId: entry.user });
+      }
+    }
+
+    logger.group('waitlist_spot_offered', entry.user, group._id, { offerExpiresAt: entry.offerExpiresAt });
+  }
+
+  /**
+   * Hold a spot for a waitlisted user with a join request for the group's admins to review
+   * A pending request the user already sent is used rather than adding another.
+   * @param {Object} group - Group document
+   * @param {Object} entry - Waitlist entry
+   * @param {Object} context - { io }
+   */
+  async requestSpot(group, entry, { io } = {}) {
+    let joinRequest = group.joinRequests.find(request =>
+      request.user.toString() === entry.user.toString() && request.status === 'pending'
+    );
+    if (!joinRequest) {
+      group.joinRequests.push({ user: entry.user });
+      joinRequest = group.joinRequests[group.joinRequests.length - 1];
+    }
+
+    entry.status = 'requested';
+    entry.offeredAt = new Date();
+    entry.joinRequest = joinRequest._id;
+    await group.save();
+
+    const user = await User.findById(entry.user).select('name profilePicture');
+
+    group.members
+      .filter(member => member.isActive && ['admin', 'creator'].includes(member.role))
+      .forEach(member => {
+        this.emitToUser(io, member.user, SOCKET_CONSTANTS.EVENTS.JOIN_REQUEST_RECEIVED, {
+          groupId: group._id,
+          groupName: group.name,
+          requestId: joinRequest._id,
+          user: user ? { _id: user._id, name: user.name, profilePicture: user.profilePicture } : { _id: entry.user },
+          fromWaitlist: true
+        });
+      });
+
+    this.emitToUser(io, entry.user, SOCKET_CONSTANTS.EVENTS.WAITLIST_SPOT_REQUESTED, {
+      groupId: group._id,
+      groupName: group.name,
+      requestId: joinRequest._id
+    });
+
+    logger.group('waitlist_spot_requested', entry.user, group._id, { requestId: joinRequest._id });
+  }
+
+  /**
+   * Load a group and the user's unexpired spot offer on it
+   * @returns {Promise<Object>} { success, statusCode?, message?, group?, entry? }
+   */
+  async getOpenOffer(groupId, userId) {
+    const group = await Group.findById(groupId);
+    if (!group || !group.isActive) {
+      return { success: false, statusCode: 404, message: ERROR_MESSAGES.GROUP.NOT_FOUND };
+    }
+
+    const entry = group.waitlist.find(item =>
+      item.user.toString() === userId.toString() && item.status === 'offered'
+    );
+    if (!entry) {
+      return { success: false, statusCode: 404, message: 'You have no spot offer for this group' };
+    }
+
+    if (entry.offerExpiresAt && entry.offerExpiresAt <= new Date()) {
+      return { success: false, statusCode: 400, message: 'This spot offer has expired' };
+    }
+
+    return { success: true, group, entry };
+  }
+
+  /**
+   * Find a user's waiting, offered or requested entry on a group's waitlist
+   */
+  findOpenEntry(group, userId) {
+    return group.waitlist.find(entry =>
+      entry.user.toString() === userId.toString() &&
+      ['waiting', ...WAITLIST.HOLDING_STATUSES].includes(entry.status)
+    );
+  }
+
+  /**
+   * Find the entry whose spot is held for a join request
+   */
+  findRequestedEntry(group, requestId) {
+    return group.waitlist.find(entry =>
+      entry.status === 'requested' && entry.joinRequest?.toString() === requestId.toString()
+    );
+  }
+
+  /**
+   * Waiting entries, longest-waiting first
+   */
+  getWaitingEntries(group) {
+    return group.waitlist
+      .filter(entry => entry.status === 'waiting')
+      .sort((a, b) => a.joinedAt - b.joinedAt);
+  }
+
+  /**
+   * A user's 1-based place among waiting entries, and the queue length
+   */
+  getPosition(group, userId) {
+    const waiting = this.getWaitingEntries(group);
+    const index = waiting.findIndex(entry => entry.user.toString() === userId.toString());
+
+    return { position: index === -1 ? null : index + 1, total: waiting.length };
+  }
+
+  /**
+   * Emit an event to a user's personal room
+   * @param {Object} io - Socket.IO server (no-op when not available)
+   * @param {string} userId - Recipient user ID
+   * @param {string} event - Event name
+   * @param {Object} data - Payload
+   */
+  emitToUser(io, userId, event, data) {
+    if (!io) return;
+    io.to(`${SOCKET_CONSTANTS.ROOMS.USER}${userId}`).emit(event, data);
+  }
+}
+
+module.exports = new WaitlistService();
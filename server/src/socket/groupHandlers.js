@@ -1,6 +1,10 @@
 const Group = require('../models/Group');
 const User = require('../models/User');
 const Message = require('../models/Message');
+const groupService = require('../services/groupService');
+const studySessionService = require('../services/studySessionService');
+const groupRoleService = require('../services/groupRoleService');
+const groupInviteService = require('../services/groupInviteService');
 const logger = require('../utils/logger');
 const {
   SOCKET_CONSTANTS,
@@ -176,28 +180,19 @@ class GroupHandlers {
   async handleUpdateGroup(socket, { groupId, updates }) {
     try {
       const userId = socket.userId;
-      
-      // Verify user has permission to update group
-      const group = await Group.findById(groupId);
-      const membership = group.members.find(m => m.user.toString() === userId);
-      
-      if (!membership || !['owner', 'admin'].includes(membership.role)) {
-        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: 'Insufficient permissions' });
+
+      // The service checks the user may update the group and logs the change to the activity feed
+      const result = await groupService.updateGroup(groupId, userId, updates, { io: this.io });
+      if (!result.success) {
+        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: result.message });
         return;
       }
 
-      // Update group
-      const updatedGroup = await Group.findByIdAndUpdate(
-        groupId,
-        { ...updates, updatedAt: new Date() },
-        { new: true }
-      ).populate('creator', 'name profilePicture');
-
       // Notify all group members
-      this.io.to(`group_${groupId}`).emit(SOCKET_CONSTANTS.EVENTS.GROUP_UPDATED, {
-        group: updatedGroup,
+      this.io.to(`${SOCKET_CONSTANTS.ROOMS.GROUP}${groupId}`).emit(SOCKET_CONSTANTS.EVENTS.GROUP_UPDATED, {
+        group: result.group,
         updatedBy: userId,
-        changes: Object.keys(updates),
+        changes: result.changes,
         timestamp: new Date()
       });
 
@@ -211,65 +206,23 @@ class GroupHandlers {
   /**
    * Handle member invitation
    */
-  async handleInviteMember(socket, { groupId, invitedUserId, message }) {
+  async handleInviteMember(socket, { groupId, invitedUserId, email, message }) {
     try {
       const userId = socket.userId;
-      
-      // Verify permissions and group capacity
-      const group = await Group.findById(groupId);
-      const membership = group.members.find(m => m.user.toString() === userId);
-      
-      if (!membership || !['owner', 'admin'].includes(membership.role)) {
-        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: 'Insufficient permissions' });
-        return;
-      }
 
-      if (group.members.length >= group.maxMembers) {
-        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: 'Group is full' });
-        return;
-      }
+      // The service checks permissions and capacity, persists the invite and notifies the invitee
+      const result = await groupInviteService.inviteUser(groupId, userId, {
+        userId: invitedUserId,
+        email,
+        message
+      }, { io: this.io });
 
-      // Check if user is already a member or invited
-      const alreadyMember = group.members.some(m => m.user.toString() === invitedUserId);
-      if (alreadyMember) {
-        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: 'User is already a member' });
+      if (!result.success) {
+        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: result.message });
         return;
       }
 
-      // Get invited user details
-      const invitedUser = await User.findById(invitedUserId, 'name profilePicture');
-      const inviter = await User.findById(userId, 'name profilePicture');
-
-      // Send invitation to invited user if they're online
-      const invitationData = {
-        groupId,
-        group: {
-          name: group.name,
-          course: group.course,
-          memberCount: group.members.length
-        },
-        inviter,
-        message,
-        timestamp: new Date()
-      };
-
-      // Find invited user's socket and send invitation
-      const invitedUserSockets = await this.io.fetchSockets();
-      const invitedUserSocket = invitedUserSockets.find(s => s.userId === invitedUserId);
-      
-      if (invitedUserSocket) {
-        invitedUserSocket.emit(SOCKET_CONSTANTS.EVENTS.INVITATION_RECEIVED, invitationData);
-      }
-
-      // Notify group members about the invitation
-      this.io.to(`group_${groupId}`).emit(SOCKET_CONSTANTS.EVENTS.MEMBER_INVITED, {
-        groupId,
-        invitedUser,
-        inviter,
-        timestamp: new Date()
-      });
-
-      logger.info(`User ${invitedUserId} invited to group ${groupId} by ${userId}`);
+      logger.info(`User ${result.invite.invitee} invited to group ${groupId} by ${userId}`);
     } catch (error) {
       logger.error('Error inviting member:', error);
       socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: 'Failed to send invitation' });
@@ -279,52 +232,28 @@ class GroupHandlers {
   /**
    * Handle invitation acceptance
    */
-  async handleAcceptInvitation(socket, { groupId, inviterId }) {
+  async handleAcceptInvitation(socket, { inviteId }) {
     try {
       const userId = socket.userId;
-      
-      // Add user to group
-      const group = await Group.findByIdAndUpdate(
-        groupId,
-        {
-          $push: {
-            members: {
-              user: userId,
-              role: GROUP_CONSTANTS.ROLES.MEMBER,
-              joinedAt: new Date(),
-              invitedBy: inviterId
-            }
-          }
-        },
-        { new: true }
-      ).populate('members.user', 'name profilePicture');
 
-      if (!group) {
-        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: 'Group not found' });
+      const result = await groupInviteService.acceptInvite(inviteId, userId, { io: this.io });
+      if (!result.success) {
+        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: result.message });
         return;
       }
 
-      // Join user to group room
-      socket.join(`group_${groupId}`);
-
-      // Get new member details
-      const newMember = await User.findById(userId, 'name profilePicture');
+      const { group } = result;
 
-      // Notify all group members
-      this.io.to(`group_${groupId}`).emit(SOCKET_CONSTANTS.EVENTS.MEMBER_JOINED, {
-        groupId,
-        member: newMember,
-        memberCount: group.members.length,
-        timestamp: new Date()
-      });
+      // Join user to group room
+      socket.join(`${SOCKET_CONSTANTS.ROOMS.GROUP}${group._id}`);
 
-      // Send welcome message
       socket.emit(SOCKET_CONSTANTS.EVENTS.INVITATION_ACCEPTED, {
-        group: group,
+        inviteId,
+        group,
         message: `Welcome to ${group.name}!`
       });
 
-      logger.info(`User ${userId} joined group ${groupId}`);
+      logger.info(`User ${userId} joined group ${group._id}`);
     } catch (error) {
       logger.error('Error accepting invitation:', error);
       socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: 'Failed to join group' });
@@ -332,48 +261,79 @@ class GroupHandlers {
   }
 
   /**
-   * Handle study session start
+   * Handle invitation decline
    */
-  async handleStartStudySession(socket, { groupId, sessionData }) {
+  async handleDeclineInvitation(socket, { inviteId }) {
     try {
       const userId = socket.userId;
-      
-      // Verify user is group member
-      const group = await Group.findById(groupId);
-      const membership = group.members.find(m => m.user.toString() === userId);
-      
-      if (!membership) {
-        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: 'Not a group member' });
+
+      const result = await groupInviteService.declineInvite(inviteId, userId, { io: this.io });
+      if (!result.success) {
+        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: result.message });
         return;
       }
 
-      // Update group with active session
-      await Group.findByIdAndUpdate(groupId, {
-        'currentSession.isActive': true,
-        'currentSession.startedBy': userId,
-        'currentSession.startedAt': new Date(),
-        'currentSession.topic': sessionData.topic,
-        'currentSession.participants': [userId]
-      });
+      socket.emit(SOCKET_CONSTANTS.EVENTS.INVITATION_DECLINED, { inviteId, groupId: result.invite.group });
+
+      logger.info(`User ${userId} declined invite ${inviteId}`);
+    } catch (error) {
+      logger.error('Error declining invitation:', error);
+      socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: 'Failed to decline invitation' });
+    }
+  }
+
+  /**
+   * Handle study session start
+   */
+  async handleStartStudySession(socket, { groupId, sessionId }) {
+    try {
+      const userId = socket.userId;
+
+      const result = await studySessionService.startSession(groupId, sessionId, userId);
+      if (!result.success) {
+        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: result.message });
+        return;
+      }
 
       // Notify all group members
       this.io.to(`group_${groupId}`).emit(SOCKET_CONSTANTS.EVENTS.STUDY_SESSION_STARTED, {
         groupId,
-        session: {
-          topic: sessionData.topic,
-          startedBy: userId,
-          startedAt: new Date()
-        },
+        session: result.session,
         startedByUser: await User.findById(userId, 'name profilePicture')
       });
 
-      logger.info(`Study session started in group ${groupId} by user ${userId}`);
+      logger.info(`Study session ${sessionId} started in group ${groupId} by user ${userId}`);
     } catch (error) {
       logger.error('Error starting study session:', error);
       socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: 'Failed to start study session' });
     }
   }
 
+  /**
+   * Handle study session end
+   */
+  async handleEndStudySession(socket, { groupId, sessionId }) {
+    try {
+      const userId = socket.userId;
+
+      const result = await studySessionService.completeSession(groupId, sessionId, userId, { io: this.io });
+      if (!result.success) {
+        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: result.message });
+        return;
+      }
+
+      this.io.to(`group_${groupId}`).emit(SOCKET_CONSTANTS.EVENTS.STUDY_SESSION_ENDED, {
+        groupId,
+        session: result.session
+      });
+
+      logger.info(`Study session ${sessionId} completed in group ${groupId} by user ${userId}`);
+    } catch (error) {
+      logger.error('Error ending study session:', error);
+      socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: 'Failed to end study session' });
+    }
+  }
+
   /**
    * Handle group message sending
    */
@@ -390,6 +350,11 @@ class GroupHandlers {
         return;
       }
 
+      if (GROUP_CONSTANTS.LIFECYCLE.READ_ONLY_STATUSES.includes(group.status)) {
+        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: `This group is ${group.status}; its chat is read-only` });
+        return;
+      }
+
       // Create message
       const message = new Message({
         sender: userId,
@@ -457,33 +422,14 @@ class GroupHandlers {
   async handleRemoveMember(socket, { groupId, memberUserId, reason }) {
     try {
       const userId = socket.userId;
-      
-      // Verify permissions
-      const group = await Group.findById(groupId);
-      const adminMembership = group.members.find(m => m.user.toString() === userId);
-      const targetMembership = group.members.find(m => m.user.toString() === memberUserId);
-      
-      if (!adminMembership || !['owner', 'admin'].includes(adminMembership.role)) {
-        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: 'Insufficient permissions' });
-        return;
-      }
-
-      if (!targetMembership) {
-        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: 'User is not a member' });
-        return;
-      }
 
-      // Can't remove owner
-      if (targetMembership.role === GROUP_CONSTANTS.ROLES.OWNER) {
-        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: 'Cannot remove group owner' });
+      // The service checks permissions and logs the removal to the activity feed
+      const result = await groupService.removeMember(groupId, userId, memberUserId, reason, { io: this.io });
+      if (!result.success) {
+        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: result.message });
         return;
       }
 
-      // Remove member from group
-      await Group.findByIdAndUpdate(groupId, {
-        $pull: { members: { user: memberUserId } }
-      });
-
       // Get removed user details
       const removedUser = await User.findById(memberUserId, 'name profilePicture');
 
@@ -491,7 +437,7 @@ class GroupHandlers {
       const allSockets = await this.io.fetchSockets();
       const removedUserSocket = allSockets.find(s => s.userId === memberUserId);
       if (removedUserSocket) {
-        removedUserSocket.leave(`group_${groupId}`);
+        removedUserSocket.leave(`${SOCKET_CONSTANTS.ROOMS.GROUP}${groupId}`);
         removedUserSocket.emit(SOCKET_CONSTANTS.EVENTS.REMOVED_FROM_GROUP, {
           groupId,
           reason,
@@ -500,7 +446,7 @@ class GroupHandlers {
       }
 
       // Notify remaining group members
-      this.io.to(`group_${groupId}`).emit(SOCKET_CONSTANTS.EVENTS.MEMBER_REMOVED, {
+      this.io.to(`${SOCKET_CONSTANTS.ROOMS.GROUP}${groupId}`).emit(SOCKET_CONSTANTS.EVENTS.MEMBER_REMOVED, {
         groupId,
         removedUser,
         removedBy: userId,
@@ -521,33 +467,21 @@ class GroupHandlers {
   async handleChangeRole(socket, { groupId, memberUserId, newRole }) {
     try {
       const userId = socket.userId;
-      
-      // Verify permissions (only owner can change roles)
-      const group = await Group.findById(groupId);
-      const adminMembership = group.members.find(m => m.user.toString() === userId);
-      
-      if (!adminMembership || adminMembership.role !== GROUP_CONSTANTS.ROLES.OWNER) {
-        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: 'Only group owner can change roles' });
+
+      if (!['admin', 'member'].includes(newRole)) {
+        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: 'Role must be admin or member' });
         return;
       }
 
-      // Update member role
-      await Group.findOneAndUpdate(
-        { _id: groupId, 'members.user': memberUserId },
-        { 'members.$.role': newRole }
-      );
+      // The service checks the user is the group creator and notifies the group room
+      const result = newRole === 'admin'
+        ? await groupRoleService.promoteMember(groupId, userId, memberUserId, { io: this.io })
+        : await groupRoleService.demoteMember(groupId, userId, memberUserId, { io: this.io });
 
-      // Get updated member details
-      const updatedMember = await User.findById(memberUserId, 'name profilePicture');
-
-      // Notify all group members
-      this.io.to(`group_${groupId}`).emit(SOCKET_CONSTANTS.EVENTS.ROLE_CHANGED, {
-        groupId,
-        member: updatedMember,
-        newRole,
-        changedBy: userId,
-        timestamp: new Date()
-      });
+      if (!result.success) {
+        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: result.message });
+        return;
+      }
 
       logger.info(`Role changed for user ${memberUserId} in group ${groupId} to ${newRole}`);
     } catch (error) {
@@ -556,6 +490,26 @@ class GroupHandlers {
     }
   }
 
+  /**
+   * Handle group ownership transfer
+   */
+  async handleTransferOwnership(socket, { groupId, newOwnerId }) {
+    try {
+      const userId = socket.userId;
+
+      const result = await groupRoleService.transferOwnership(groupId, userId, newOwnerId, { io: this.io });
+      if (!result.success) {
+        socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: result.message });
+        return;
+      }
+
+      logger.info(`Ownership of group ${groupId} transferred from ${userId} to ${newOwnerId}`);
+    } catch (error) {
+      logger.error('Error transferring ownership:', error);
+      socket.emit(SOCKET_CONSTANTS.EVENTS.ERROR, { message: 'Failed to transfer ownership' });
+    }
+  }
+
   /**
    * Handle group deletion
    */
@@ -3,7 +3,8 @@ const Message = require('../models/Message');
 const User = require('../models/User');
 const Group = require('../models/Group');
 const messageService = require('../services/messageService');
-const { SOCKET_CONSTANTS, MESSAGE_CONSTANTS, ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../utils/constants');
+const threadService = require('../services/threadService');
+const { SOCKET_CONSTANTS, MESSAGE_CONSTANTS, GROUP_CONSTANTS, ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../utils/constants');
 const logger = require('../utils/logger');
 
 class MessageHandlers {
@@ -30,9 +31,14 @@ class MessageHandlers {
     socket.on('join_conversation', (data) => this.handleJoinConversation(socket, data));
     socket.on('leave_conversation', (data) => this.handleLeaveConversation(socket, data));
 
+    // Threads
+    socket.on(SOCKET_CONSTANTS.EVENTS.JOIN_THREAD, (data) => this.handleJoinThread(socket, data));
+    socket.on(SOCKET_CONSTANTS.EVENTS.LEAVE_THREAD, (data) => this.handleLeaveThread(socket, data));
+    socket.on(SOCKET_CONSTANTS.EVENTS.MARK_THREAD_READ, (data) => this.handleMarkThreadRead(socket, data));
+
     // Message history and pagination
     socket.on('get_message_history', (data) => this.handleGetMessageHistory(socket, data));
-    socket.on('mark_conversation_read', (data) => this.handleMarkConversationRead(socket, data));
+    socket.on(SOCKET_CONSTANTS.EVENTS.MARK_CONVERSATION_READ, (data) => this.handleMarkConversationRead(socket, data));
 
     // File attachments
     socket.on('send_file_message', (data) => this.handleSendFileMessage(socket, data));
@@ -111,6 +117,11 @@ class MessageHandlers {
           return;
         }
 
+        if (GROUP_CONSTANTS.LIFECYCLE.READ_ONLY_STATUSES.includes(group.status)) {
+          socket.emit('message_error', { error: `This group is ${group.status}; its chat is read-only` });
+          return;
+        }
+
         isGroupMessage = true;
         conversationId = `group_${groupId}`;
       } else if (recipientId) {
@@ -473,19 +484,81 @@ class MessageHandlers {
     }
   }
 
-  // Handle getting message history
+  // Handle opening a thread: join its room to get replies live
+  async handleJoinThread(socket, data) {
+    try {
+      const { messageId } = data;
+      const userId = socket.user.id;
+
+      const access = await threadService.getThreadAccess(messageId, userId);
+      if (!access.success) {
+        socket.emit('thread_error', { messageId, error: access.message });
+        return;
+      }
+
+      const rootId = access.root._id.toString();
+      socket.join(`${SOCKET_CONSTANTS.ROOMS.THREAD}${rootId}`);
+
+      socket.emit('thread_joined', { rootId });
+
+      logger.info(`User ${userId} joined thread ${rootId}`);
+
+    } catch (error) {
+      logger.error('Error joining thread:', error);
+      socket.emit('thread_error', { error: ERROR_MESSAGES.GENERAL.SERVER_ERROR });
+    }
+  }
+
+  // Handle closing a thread
+  handleLeaveThread(socket, data) {
+    try {
+      const { rootId } = data;
+
+      socket.leave(`${SOCKET_CONSTANTS.ROOMS.THREAD}${rootId}`);
+
+      socket.emit('thread_left', { rootId });
+
+    } catch (error) {
+      logger.error('Error leaving thread:', error);
+    }
+  }
+
+  // Handle marking a thread as read
+  async handleMarkThreadRead(socket, data) {
+    try {
+      const { messageId } = data;
+      const userId = socket.user.id;
+
+      const result = await threadService.markThreadRead(messageId, userId);
+      if (!result.success) {
+        socket.emit('thread_error', { messageId, error: result.message });
+        return;
+      }
+
+      socket.emit('thread_marked_read', { rootId: result.rootId, lastReadAt: result.lastReadAt });
+
+    } catch (error) {
+      logger.error('Error marking thread as read:', error);
+    }
+  }
+
+  // Handle getting message history (cursor paged, same ordering as the REST endpoints)
   async handleGetMessageHistory(socket, data) {
     try {
-      const { conversationId, page = 1, limit = 20, before = null } = data;
+      const { conversationId, limit, before, after, around } = data;
       const userId = socket.user.id;
 
-      const messages = await messageService.getMessageHistory(conversationId, userId, { page, limit, before });
-      
+      const result = await messageService.getMessageHistory(conversationId, userId, { limit, before, after, around }, { io: this.io });
+      if (!result.success) {
+        socket.emit('message_history_error', { conversationId, error: result.message });
+        return;
+      }
+
       socket.emit('message_history', {
         conversationId,
-        messages,
-        page,
-        hasMore: messages.length === limit
+        messages: result.messages,
+        pagination: result.pagination,
+        anchorId: result.anchorId
       });
 
     } catch (error) {
@@ -494,18 +567,27 @@ class MessageHandlers {
     }
   }
 
-  // Handle marking entire conversation as read
+  // Handle marking a conversation as read (group conversations up to upTo, if given)
   async handleMarkConversationRead(socket, data) {
     try {
-      const { conversationId } = data;
+      const { conversationId, upTo } = data || {};
       const userId = socket.user.id;
 
-      await messageService.markConversationAsRead(conversationId, userId);
-      
-      socket.emit('conversation_marked_read', { conversationId });
+      const result = await messageService.markConversationAsRead(conversationId, userId, { upTo }, { io: this.io });
+      if (!result.success) {
+        socket.emit('message_error', { error: result.message });
+        return;
+      }
+
+      // All the user's sockets clear the conversation's unread badge
+      this.io.to(`${SOCKET_CONSTANTS.ROOMS.USER}${userId}`).emit(SOCKET_CONSTANTS.EVENTS.CONVERSATION_READ, {
+        conversationId,
+        lastReadMessageId: result.lastReadMessageId
+      });
 
     } catch (error) {
       logger.error('Error marking conversation as read:', error);
+      socket.emit('message_error', { error: ERROR_MESSAGES.GENERAL.SERVER_ERROR });
     }
   }
 
@@ -0,0 +1,258 @@
+const { MATCHING_CONSTANTS } = require('./constants');
+
+/**
+ * Weekly availability interval engine
+ * Converts User.availability ({ available, timeSlots: [{ start, end }] } per day)
+ * into minute intervals on a Monday-based UTC week so two users' schedules can be intersected.
+ */
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+/**
+ * Parse an "HH:mm" string into minutes after midnight
+ * @param {string} time - Time string (24h clock)
+ * @returns {number|null} Minutes after midnight or null if invalid
+ */
+const parseTime = (time) => {
+  if (typeof time !== 'string') return null;
+
+  const match = /^([01]?\d|2[0-4]):([0-5]\d)$/.exec(time.trim());
+  if (!match) return null;
+
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  return minutes <= MINUTES_PER_DAY ? minutes : null;
+};
+
+/**
+ * Format minutes after midnight as "HH:mm"
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Time string
+ */
+const formatTime = (minutes) => {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mins = String(minutes % 60).padStart(2, '0');
+  return `${hours}:${mins}`;
+};
+
+/**
+ * Get the UTC offset of an IANA timezone in minutes (local = UTC + offset)
+ * Offsets are resolved at the given date, so DST is taken from "now" by default.
+ * @param {string} timezone - IANA timezone name (e.g. 'America/New_York')
+ * @param {Date} date - Date at which to resolve the offset
+ * @returns {number} Offset in minutes, 0 for unknown timezones
+ */
+const getTimezoneOffset = (timezone, date = new Date()) => {
+  if (!timezone || timezone === 'UTC') return 0;
+
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).formatToParts(date);
+
+    const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+    const localAsUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'));
+    const utcMinutes = Math.floor(date.getTime() / 60000) * 60000;
+
+    return Math.round((localAsUtc - utcMinutes) / 60000);
+  } catch (error) {
+    return 0;
+  }
+};
+
+/**
+ * Merge overlapping or touching intervals
+ * @param {Array} intervals - Array of [start, end] minute pairs
+ * @returns {Array} Sorted, non-overlapping intervals
+ */
+const mergeIntervals = (intervals) => {
+  const sorted = intervals
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  return sorted.reduce((merged, [start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Shift an interval by an offset and wrap it onto the week, splitting at the week boundary
+ * @param {number} start - Interval start in week minutes
+ * @param {number} end - Interval end in week minutes
+ * @param {number} shift - Minutes to shift by
+ * @returns {Array} One or two [start, end] intervals within [0, MINUTES_PER_WEEK]
+ */
+const wrapInterval = (start, end, shift) => {
+  const length = Math.min(end - start, MINUTES_PER_WEEK);
+  const wrappedStart = (((start + shift) % MINUTES_PER_WEEK) + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+  const wrappedEnd = wrappedStart + length;
+
+  if (wrappedEnd <= MINUTES_PER_WEEK) {
+    return [[wrappedStart, wrappedEnd]];
+  }
+  return [[wrappedStart, MINUTES_PER_WEEK], [0, wrappedEnd - MINUTES_PER_WEEK]];
+};
+
+/**
+ * Convert a user's availability into merged weekly UTC intervals
+ * Slots whose end is not after their start are treated as running past midnight.
+ * @param {Object} availability - User.availability object
+ * @param {string} timezone - IANA timezone the slots are expressed in
+ * @returns {Array} Merged [start, end] intervals in UTC week minutes
+ */
+const toWeeklyIntervals = (availability, timezone = 'UTC') => {
+  if (!availability) return [];
+
+  const offset = getTimezoneOffset(timezone);
+  const intervals = [];
+
+  DAYS.forEach((day, dayIndex) => {
+    const dayAvailability = availability[day];
+    if (!dayAvailability?.available || !Array.isArray(dayAvailability.timeSlots)) return;
+
+    dayAvailability.timeSlots.forEach(slot => {
+      const start = parseTime(slot?.start);
+      let end = parseTime(slot?.end);
+      if (start === null || end === null) return;
+      if (end <= start) end += MINUTES_PER_DAY;
+
+      const dayStart = dayIndex * MINUTES_PER_DAY;
+      intervals.push(...wrapInterval(dayStart + start, dayStart + end, -offset));
+    });
+  });
+
+  return mergeIntervals(intervals);
+};
+
+/**
+ * Intersect two sets of merged intervals
+ * @param {Array} a - Merged intervals
+ * @param {Array} b - Merged intervals
+ * @returns {Array} Intersection intervals
+ */
+const intersectIntervals = (a, b) => {
+  const result = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    const start = Math.max(a[i][0], b[j][0]);
+    const end = Math.min(a[i][1], b[j][1]);
+    if (end > start) result.push([start, end]);
+
+    if (a[i][1] < b[j][1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Total length of a set of intervals in minutes
+ * @param {Array} intervals - Array of [start, end] pairs
+ * @returns {number} Total minutes
+ */
+const totalMinutes = (intervals) => intervals.reduce((sum, [start, end]) => sum + (end - start), 0);
+
+/**
+ * Express a UTC week interval as day/time windows in a given timezone
+ * @param {Array} interval - [start, end] in UTC week minutes
+ * @param {string} timezone - Timezone to express the window in
+ * @returns {Array} Windows of { day, start, end, minutes }, split at local midnight
+ */
+const toLocalWindows = ([start, end], timezone = 'UTC') => {
+  const offset = getTimezoneOffset(timezone);
+
+  return wrapInterval(start, end, offset).flatMap(([localStart, localEnd]) => {
+    const windows = [];
+    let cursor = localStart;
+
+    while (cursor < localEnd) {
+      const dayIndex = Math.floor(cursor / MINUTES_PER_DAY);
+      const dayEnd = Math.min((dayIndex + 1) * MINUTES_PER_DAY, localEnd);
+      windows.push({
+        day: DAYS[dayIndex],
+        start: formatTime(cursor - dayIndex * MINUTES_PER_DAY),
+        end: formatTime(dayEnd - dayIndex * MINUTES_PER_DAY),
+        minutes: dayEnd - cursor
+      });
+      cursor = dayEnd;
+    }
+
+    return windows;
+  });
+};
+
+/**
+ * Compute shared weekly free time between two users
+ * @param {Object} user1 - First user ({ availability, timezone }); windows are reported in this user's timezone
+ * @param {Object} user2 - Second user ({ availability, timezone })
+ * @returns {Object} { score, sharedMinutes, user1Minutes, user2Minutes, windows, hasAvailability }
+ */
+const calculateOverlap = (user1, user2) => {
+  const { TARGET_SHARED_MINUTES, MIN_WINDOW_MINUTES } = MATCHING_CONSTANTS.AVAILABILITY;
+
+  const intervals1 = toWeeklyIntervals(user1?.availability, user1?.timezone);
+  const intervals2 = toWeeklyIntervals(user2?.availability, user2?.timezone);
+  const user1Minutes = totalMinutes(intervals1);
+  const user2Minutes = totalMinutes(intervals2);
+
+  if (!user1Minutes || !user2Minutes) {
+    return {
+      score: null,
+      sharedMinutes: 0,
+      user1Minutes,
+      user2Minutes,
+      windows: [],
+      hasAvailability: false
+    };
+  }
+
+  const shared = intersectIntervals(intervals1, intervals2)
+    .filter(([start, end]) => end - start >= MIN_WINDOW_MINUTES);
+  const sharedMinutes = totalMinutes(shared);
+
+  // Blend how much of the busier user's free time is shared with an absolute weekly target,
+  // so a single overlapping hour doesn't score the same as a full afternoon every day
+  const coverage = sharedMinutes / Math.min(user1Minutes, user2Minutes);
+  const volume = Math.min(sharedMinutes / TARGET_SHARED_MINUTES, 1);
+  const score = Math.round((coverage * 0.5 + volume * 0.5) * 100) / 100;
+
+  return {
+    score,
+    sharedMinutes,
+    user1Minutes,
+    user2Minutes,
+    windows: shared.flatMap(interval => toLocalWindows(interval, user1?.timezone)),
+    hasAvailability: true
+  };
+};
+
+module.exports = {
+  DAYS,
+  parseTime,
+  formatTime,
+  getTimezoneOffset,
+  mergeIntervals,
+  toWeeklyIntervals,
+  intersectIntervals,
+  totalMinutes,
+  toLocalWindows,
+  calculateOverlap
+};
@@ -175,6 +175,101 @@ const GROUP_CONSTANTS = {
     DEFAULT_MAX_MEMBERS: 6,
     MAX_TAGS: 10,
     TAG_MAX_LENGTH: 30
+  },
+
+  // Study Sessions
+  SESSION: {
+    STATUSES: ['scheduled', 'in_progress', 'completed', 'cancelled'],
+    RSVP_STATUSES: ['going', 'maybe', 'not_going'],
+    MIN_DURATION: 15,               // minutes
+    MAX_DURATION: 480,              // minutes
+    MAX_TOPICS: 10,
+    CHECK_IN_OPENS_BEFORE_MS: 900000, // Check-in opens 15 minutes before the start time
+    DEFAULT_LIMIT: 20
+  },
+
+  // Recurring Schedule Occurrences
+  SCHEDULE: {
+    DEFAULT_WINDOW_DAYS: 30,        // Upcoming occurrences look this far ahead by default
+    MAX_WINDOW_DAYS: 180,
+    MAX_OCCURRENCES: 200,           // Per expansion
+    DEFAULT_LIMIT: 20,
+    MAX_EXCEPTIONS: 100             // Stored skip/reschedule exceptions per group
+  },
+
+  // Join requests for groups that require approval
+  JOIN_REQUEST: {
+    STATUSES: ['pending', 'approved', 'rejected', 'expired', 'withdrawn'],
+    EXPIRES_AFTER_MS: 1209600000,   // 14 days unanswered
+    CHECK_INTERVAL_MS: 3600000,     // 1 hour
+    BATCH_SIZE: 100
+  },
+
+  // Queue for full groups; open spots go to the longest-waiting user
+  WAITLIST: {
+    MODES: ['auto', 'offer'],       // auto: admit straight away; offer: hold the spot until accepted
+    // requested: groups that approve members hold the spot while admins review a join request
+    STATUSES: ['waiting', 'offered', 'requested', 'admitted', 'declined', 'expired', 'left'],
+    HOLDING_STATUSES: ['offered', 'requested'],
+    OFFER_EXPIRES_AFTER_MS: 86400000, // 24 hours to accept an offered spot
+    MAX_SIZE: 50,
+    CHECK_INTERVAL_MS: 900000,      // 15 minutes
+    BATCH_SIZE: 100
+  },
+
+  // Group lifecycle (Group.status)
+  LIFECYCLE: {
+    // Allowed status changes; cancelled groups are final
+    TRANSITIONS: {
+      active: ['paused', 'completed', 'archived'],
+      paused: ['active', 'completed', 'archived'],
+      completed: ['active', 'archived'],
+      archived: ['active'],
+      cancelled: []
+    },
+    READ_ONLY_STATUSES: ['completed', 'archived'], // No new group messages
+    HISTORY_STATUSES: ['completed', 'archived'],   // Former members keep read access
+    REASON_MAX_LENGTH: 500,
+    CHECK_INTERVAL_MS: 3600000,     // 1 hour
+    BATCH_SIZE: 100
+  },
+
+  // Role change audit trail
+  ROLE_HISTORY: {
+    ACTIONS: ['promoted', 'demoted', 'ownership_transferred', 'ownership_handed_off'],
+    MAX_ENTRIES: 200,               // Oldest entries are dropped beyond this
+    DEFAULT_LIMIT: 50
+  },
+
+  // Direct invites and shareable invite links
+  INVITE: {
+    TYPES: ['direct', 'link'],
+    STATUSES: ['active', 'accepted', 'declined', 'revoked', 'expired'],
+    DIRECT_EXPIRES_AFTER_MS: 1209600000,    // 14 days
+    LINK_DEFAULT_EXPIRES_HOURS: 168,        // 7 days
+    LINK_MAX_EXPIRES_HOURS: 720,            // 30 days
+    LINK_MAX_USES: 50,
+    MAX_ACTIVE_LINKS: 10,                   // Per group
+    TOKEN_BYTES: 16
+  },
+
+  // Persisted per-group activity feed
+  ACTIVITY: {
+    TYPES: [
+      'member_joined',
+      'member_left',
+      'member_removed',
+      'role_changed',
+      'settings_updated',
+      'file_shared',
+      'session_scheduled',
+      'session_completed',
+      'message_pinned',
+      'status_changed'
+    ],
+    DEFAULT_LIMIT: 20,
+    MAX_LIMIT: 50,
+    RETENTION_DAYS: 180
   }
 };
 
@@ -215,6 +310,43 @@ const MESSAGE_CONSTANTS = {
     MAX_ATTACHMENTS: 5,
     MAX_FILE_SIZE: 10485760, // 10MB in bytes
     EDIT_TIME_LIMIT: 900000  // 15 minutes in milliseconds
+  },
+
+  // Conversation history (cursor paged)
+  HISTORY: {
+    DEFAULT_LIMIT: 50,
+    MAX_LIMIT: 100
+  },
+
+  // Threaded replies
+  THREAD: {
+    DEFAULT_LIMIT: 50,
+    MAX_LIMIT: 100
+  },
+
+  // Full-text message search
+  SEARCH: {
+    DEFAULT_LIMIT: 20,
+    MAX_LIMIT: 50,
+    MIN_QUERY_LENGTH: 2,
+    SNIPPET_LENGTH: 160
+  },
+
+  // Scheduled and recurring messages
+  SCHEDULED: {
+    STATUSES: ['scheduled', 'sending', 'completed', 'cancelled', 'failed'],
+    FREQUENCIES: ['daily', 'weekly', 'monthly'],
+    CONTENT_TYPES: ['text', 'link', 'code', 'math'],
+    MAX_INTERVAL: 12,
+    MAX_OCCURRENCES: 100,
+    MAX_PENDING_PER_USER: 25,
+    MIN_LEAD_MS: 60000,           // 1 minute
+    MAX_LEAD_DAYS: 365,
+    MAX_ATTEMPTS: 3,              // retries for a send that failed
+    RETRY_DELAY_MS: 300000,       // 5 minutes
+    CLAIM_TIMEOUT_MS: 600000,     // 10 minutes; a send claimed longer ago was interrupted
+    CHECK_INTERVAL_MS: 60000,     // 1 minute
+    BATCH_SIZE: 100
   }
 };
 
@@ -285,6 +417,77 @@ const MATCHING_CONSTANTS = {
     MAX_DISTANCE_KM: 50,     // Maximum distance for local matching
     CITY_BOOST_FACTOR: 1.2,  // Boost score for same city
     CAMPUS_BOOST_FACTOR: 1.5 // Boost score for same campus
+  },
+
+  // Candidate Generation
+  CANDIDATES: {
+    POOL_SIZE: 300              // Users scored per live ranking
+  },
+
+  // Precomputed Compatibility Index
+  INDEX: {
+    TOP_N: 50,                  // Partners stored per user
+    TTL_MS: 43200000,           // 12 hours - rankings older than this are never served
+    REFRESH_AFTER_MS: 21600000, // 6 hours - job rebuilds rankings older than this
+    REFRESH_INTERVAL_MS: 1800000, // 30 minutes between job runs
+    BATCH_SIZE: 100,            // Users scanned per query
+    MAX_USERS_PER_RUN: 1000     // Rankings rebuilt per job run
+  },
+
+  // Learning From Feedback
+  LEARNING: {
+    MODEL_VERSION: '1.0',
+    MIN_SAMPLES: 5,             // Decisions needed before adjusting a user's ranking
+    ITERATIONS: 300,            // Gradient descent steps per user
+    LEARNING_RATE: 0.5,
+    L2_PENALTY: 0.01,
+    ADJUSTMENT_SCALE: 0.25,     // Coefficient -> weight multiplier scale
+    MAX_ADJUSTMENT: 0.5,        // Never move a weight by more than +/-50%
+    EXPIRED_WEIGHT: 0.5,        // Ignored requests count half as much as explicit rejections
+    HISTORY_LIMIT: 500,         // Most recent decisions used per user
+    TRAINING_INTERVAL_MS: 86400000, // 24 hours between training runs
+    BATCH_SIZE: 100
+  },
+
+  // Study Group Recommendations
+  GROUP_RECOMMENDATION: {
+    WEIGHTS: {
+      COURSE: 0.45,         // 45% - Group course vs user's courses
+      STUDY_STYLE: 0.2,     // 20% - Group's preferred study styles
+      MEETING_TYPE: 0.2,    // 20% - In-person / online / hybrid preference
+      COMMITMENT: 0.15      // 15% - Group commitment vs user's study intensity
+    },
+    DEFAULT_LIMIT: 10
+  },
+
+  // Similar groups (alternatives to a group, e.g. when it is full)
+  GROUP_SIMILARITY: {
+    WEIGHTS: {
+      COURSE: 0.35,         // 35% - Same course code or department
+      SUBJECT: 0.15,        // 15% - Same subject
+      TAGS: 0.2,            // 20% - Shared tags
+      MEETING_TYPE: 0.1,    // 10% - In-person / online / hybrid
+      LOCATION: 0.1,        // 10% - Kind of meeting place
+      SCHEDULE: 0.1         // 10% - Overlapping recurring schedule
+    },
+    MIN_SCORE: 0.4,
+    DEFAULT_LIMIT: 5,
+    MAX_LIMIT: 10
+  },
+
+  // Pending Request Expiry
+  EXPIRY: {
+    CHECK_INTERVAL_MS: 900000,  // 15 minutes between job runs
+    WARNING_BEFORE_MS: 86400000, // Warn both users 24 hours before a request expires
+    EXTENSION_MS: 604800000,    // 7 days added when the initiator extends a request
+    MAX_EXTENSIONS: 1,
+    BATCH_SIZE: 100             // Matches processed per query
+  },
+
+  // Availability Matching
+  AVAILABILITY: {
+    TARGET_SHARED_MINUTES: 360, // 6 hours/week of shared free time scores full volume
+    MIN_WINDOW_MINUTES: 30      // Ignore shared windows too short to study in
   }
 };
 
@@ -450,6 +653,16 @@ const SOCKET_CONSTANTS = {
     MESSAGE_READ: 'message_read',
     MESSAGE_EDITED: 'message_edited',
     MESSAGE_DELETED: 'message_deleted',
+    JOIN_THREAD: 'join_thread',
+    LEAVE_THREAD: 'leave_thread',
+    MARK_THREAD_READ: 'mark_thread_read',
+    THREAD_REPLY: 'thread_reply',
+    THREAD_UPDATED: 'thread_updated',
+    MARK_CONVERSATION_READ: 'mark_conversation_read',
+    CONVERSATION_READ: 'conversation_marked_read',
+    GROUP_MESSAGES_READ: 'group_messages_read',
+    SCHEDULED_MESSAGE_SENT: 'scheduled_message_sent',
+    SCHEDULED_MESSAGE_FAILED: 'scheduled_message_failed',
     
     // Group Events
     JOIN_GROUP: 'join_group',
@@ -458,6 +671,31 @@ const SOCKET_CONSTANTS = {
     GROUP_UPDATED: 'group_updated',
     USER_JOINED_GROUP: 'user_joined_group',
     USER_LEFT_GROUP: 'user_left_group',
+    JOIN_REQUEST_RECEIVED: 'join_request_received',
+    JOIN_REQUEST_APPROVED: 'join_request_approved',
+    JOIN_REQUEST_REJECTED: 'join_request_rejected',
+    JOIN_REQUEST_EXPIRED: 'join_request_expired',
+    CHANGE_ROLE: 'change_role',
+    TRANSFER_OWNERSHIP: 'transfer_ownership',
+    MEMBER_ROLE_CHANGED: 'member_role_changed',
+    OWNERSHIP_TRANSFERRED: 'ownership_transferred',
+    INVITE_MEMBER: 'invite_member',
+    ACCEPT_INVITATION: 'accept_invitation',
+    DECLINE_INVITATION: 'decline_invitation',
+    MEMBER_INVITED: 'member_invited',
+    INVITATION_RECEIVED: 'invitation_received',
+    INVITATION_ACCEPTED: 'invitation_accepted',
+    INVITATION_DECLINED: 'invitation_declined',
+    INVITATION_REVOKED: 'invitation_revoked',
+    GROUP_ACTIVITY: 'group_activity',
+    REMOVE_MEMBER: 'remove_member',
+    MEMBER_REMOVED: 'member_removed',
+    REMOVED_FROM_GROUP: 'removed_from_group',
+    WAITLIST_SPOT_OFFERED: 'waitlist_spot_offered',
+    WAITLIST_SPOT_REQUESTED: 'waitlist_spot_requested',
+    WAITLIST_ADMITTED: 'waitlist_admitted',
+    WAITLIST_OFFER_EXPIRED: 'waitlist_offer_expired',
+    GROUP_STATUS_CHANGED: 'group_status_changed',
     
     // Notification Events
     NEW_NOTIFICATION: 'new_notification',
@@ -465,7 +703,19 @@ const SOCKET_CONSTANTS = {
     
     // Matching Events
     NEW_MATCH: 'new_match',
-    MATCH_UPDATED: 'match_updated'
+    MATCH_UPDATED: 'match_updated',
+    MATCH_EXPIRING: 'match_expiring',
+    MATCH_EXPIRED: 'match_expired',
+    MATCH_EXTENDED: 'match_extended',
+
+    // Study Session Events
+    START_STUDY_SESSION: 'start_study_session',
+    END_STUDY_SESSION: 'end_study_session',
+    STUDY_SESSION_CREATED: 'study_session_created',
+    STUDY_SESSION_STARTED: 'study_session_started',
+    STUDY_SESSION_UPDATED: 'study_session_updated',
+    STUDY_SESSION_ENDED: 'study_session_ended',
+    STUDY_SESSION_CANCELLED: 'study_session_cancelled'
   },
   
   // Room Types
@@ -473,6 +723,7 @@ const SOCKET_CONSTANTS = {
     USER: 'user_',                  // user_12345
     GROUP: 'group_',                // group_67890
     CONVERSATION: 'conversation_',   // conversation_abc123
+    THREAD: 'thread_',              // thread_<root message id>
     GLOBAL: 'global'
   },
   
@@ -568,6 +819,17 @@ const SEARCH_CONSTANTS = {
   }
 };
 
+// Calendar Export Constants
+const CALENDAR_CONSTANTS = {
+  PRODUCT_ID: '-//AcademicAlly//Study Calendar//EN',
+  UID_DOMAIN: 'academically.app',
+  FEED_TOKEN_BYTES: 24,
+  PAST_DAYS: 30,                    // Recently finished events stay in exports
+  MAX_EVENTS: 500,
+  DEFAULT_INVITE_DURATION: 60,      // Minutes, for study invites without a duration
+  REFRESH_INTERVAL: 'PT1H'          // Suggested polling interval for subscribed feeds
+};
+
 // Cache Constants
 const CACHE_CONSTANTS = {
   // Cache Keys
@@ -738,6 +1000,7 @@ module.exports = {
   SOCKET_CONSTANTS,
   EMAIL_CONSTANTS,
   SEARCH_CONSTANTS,
+  CALENDAR_CONSTANTS,
   CACHE_CONSTANTS,
   DATABASE_CONSTANTS,
   ERROR_MESSAGES,
@@ -0,0 +1,49 @@
+const { GROUP_CONSTANTS } = require('./constants');
+
+const { LIFECYCLE, WAITLIST } = GROUP_CONSTANTS;
+
+/**
+ * Group status bookkeeping
+ * Sets a group's status and the fields that go with it. Completing or archiving closes intake:
+ * pending join requests expire, and so do open waitlist entries, including those holding a spot
+ * (offered, or requested for review), so no spot stays held if the group is reactivated.
+ */
+
+/**
+ * Set the status and its bookkeeping fields on a group (not saved)
+ * @param {Object} group - Group document
+ * @param {string} status - New status
+ * @param {Object} change - { actor, reason, now }
+ * @returns {Object} The same group
+ */
+const applyStatus = (group, status, { actor, reason, now = new Date() } = {}) => {
+  group.status = status;
+  group.statusChangedAt = now;
+  group.statusChangedBy = actor;
+  group.statusReason = reason;
+
+  if (status === 'completed') group.completedAt = now;
+  if (status === 'archived') group.archivedAt = now;
+
+  if (LIFECYCLE.READ_ONLY_STATUSES.includes(status)) {
+    (group.joinRequests || [])
+      .filter(request => request.status === 'pending')
+      .forEach(request => {
+        request.status = 'expired';
+        request.reviewedAt = now;
+      });
+
+    (group.waitlist || [])
+      .filter(entry => ['waiting', ...WAITLIST.HOLDING_STATUSES].includes(entry.status))
+      .forEach(entry => {
+        entry.status = 'expired';
+        entry.respondedAt = now;
+      });
+  }
+
+  return group;
+};
+
+module.exports = {
+  applyStatus
+};
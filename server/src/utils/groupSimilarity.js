@@ -0,0 +1,203 @@
+const availability = require('./availability');
+const { MATCHING_CONSTANTS } = require('./constants');
+
+/**
+ * Group-to-group similarity
+ * Scores how alike two study groups are (course, subject, tags, meeting type, location type and
+ * recurring schedule) so users who find a full group can be pointed at close alternatives.
+ * Each factor is 0-1; factors with nothing to compare are neutral (0.5).
+ */
+
+const NEUTRAL = 0.5;
+const CAMPUS_LOCATIONS = ['campus', 'library', 'study-room'];
+
+/**
+ * Department prefix of a course code (e.g. CS for CS101)
+ * @param {string} code - Course code
+ * @returns {string} Upper-case letter prefix, or '' if none
+ */
+const department = (code) => ((code || '').toUpperCase().match(/^[A-Z]+/) || [''])[0];
+
+/**
+ * Course fit: same course code, or same department prefix
+ */
+const scoreCourse = (source, candidate) => {
+  const sourceCode = source.course?.code?.toUpperCase();
+  const candidateCode = candidate.course?.code?.toUpperCase();
+  if (!sourceCode || !candidateCode) return 0;
+
+  if (sourceCode === candidateCode) return 1;
+  const sourceDepartment = department(sourceCode);
+  return sourceDepartment && sourceDepartment === department(candidateCode) ? 0.5 : 0;
+};
+
+/**
+ * Subject fit: case-insensitive match
+ */
+const scoreSubject = (source, candidate) => {
+  const a = source.subject?.trim().toLowerCase();
+  const b = candidate.subject?.trim().toLowerCase();
+  return a && b && a === b ? 1 : 0;
+};
+
+/**
+ * Lower-cased, de-duplicated tags shared by both groups
+ */
+const sharedTags = (source, candidate) => {
+  const candidateTags = new Set((candidate.tags || []).map(tag => tag.toLowerCase()));
+  return [...new Set((source.tags || []).map(tag => tag.toLowerCase()))]
+    .filter(tag => candidateTags.has(tag));
+};
+
+/**
+ * Tag fit: Jaccard similarity of the two tag sets
+ */
+const scoreTags = (source, candidate) => {
+  const a = new Set((source.tags || []).map(tag => tag.toLowerCase()));
+  const b = new Set((candidate.tags || []).map(tag => tag.toLowerCase()));
+  if (a.size === 0 || b.size === 0) return NEUTRAL;
+
+  const shared = sharedTags(source, candidate).length;
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Meeting type fit: exact match, partial credit when either side is hybrid
+ */
+const scoreMeetingType = (source, candidate) => {
+  if (!source.meetingType || !candidate.meetingType) return NEUTRAL;
+  if (source.meetingType === candidate.meetingType) return 1;
+  return source.meetingType === 'Hybrid' || candidate.meetingType === 'Hybrid' ? 0.5 : 0;
+};
+
+/**
+ * Location type fit: same kind of place, partial credit for two on-campus spots
+ */
+const scoreLocation = (source, candidate) => {
+  const a = source.location?.type;
+  const b = candidate.location?.type;
+  if (!a || !b) return NEUTRAL;
+  if (a === b) return 1;
+  return CAMPUS_LOCATIONS.includes(a) && CAMPUS_LOCATIONS.includes(b) ? 0.5 : 0;
+};
+
+/**
+ * Recurring pattern as weekly UTC intervals, or null when it has no usable time slot
+ */
+const toScheduleIntervals = (schedule) => {
+  const pattern = schedule?.recurringPattern;
+  const { start, end, timezone } = pattern?.timeSlot || {};
+  if (!pattern?.daysOfWeek?.length || availability.parseTime(start) === null || availability.parseTime(end) === null) {
+    return null;
+  }
+
+  const week = pattern.daysOfWeek.reduce((days, day) => {
+    days[day] = { available: true, timeSlots: [{ start, end }] };
+    return days;
+  }, {});
+
+  return availability.toWeeklyIntervals(week, timezone || 'UTC');
+};
+
+/**
+ * Schedule fit for recurring groups
+ * With time slots on both sides: share of the shorter weekly schedule that overlaps (timezone aware).
+ * With days only: Jaccard similarity of the meeting days. Neutral when either group isn't recurring.
+ */
+const scoreSchedule = (source, candidate) => {
+  const daysA = source.schedule?.recurringPattern?.daysOfWeek || [];
+  const daysB = candidate.schedule?.recurringPattern?.daysOfWeek || [];
+  if (source.schedule?.type !== 'recurring' || candidate.schedule?.type !== 'recurring' ||
+      daysA.length === 0 || daysB.length === 0) {
+    return NEUTRAL;
+  }
+
+  const intervalsA = toScheduleIntervals(source.schedule);
+  const intervalsB = toScheduleIntervals(candidate.schedule);
+  if (intervalsA && intervalsB) {
+    const shortest = Math.min(availability.totalMinutes(intervalsA), availability.totalMinutes(intervalsB));
+    if (shortest === 0) return 0;
+
+    const shared = availability.totalMinutes(availability.intersectIntervals(intervalsA, intervalsB));
+    return Math.round((shared / shortest) * 100) / 100;
+  }
+
+  const sharedDays = daysA.filter(day => daysB.includes(day)).length;
+  return sharedDays / new Set([...daysA, ...daysB]).size;
+};
+
+/**
+ * Human-readable reasons two groups are alike
+ */
+const generateReasons = (source, candidate, breakdown) => {
+  const reasons = [];
+
+  if (breakdown.course === 1) {
+    reasons.push(`Same course (${candidate.course.code})`);
+  } else if (breakdown.course > 0) {
+    reasons.push(`Another ${department(candidate.course.code)} course (${candidate.course.code})`);
+  }
+
+  if (breakdown.subject === 1 && breakdown.course < 1) {
+    reasons.push(`Also studies ${candidate.subject}`);
+  }
+
+  const tags = sharedTags(source, candidate);
+  if (tags.length > 0) {
+    reasons.push(`Shares tags: ${tags.join(', ')}`);
+  }
+
+  if (breakdown.meetingType === 1) {
+    reasons.push(`Also meets ${candidate.meetingType.toLowerCase()}`);
+  }
+
+  if (breakdown.schedule === 1) {
+    reasons.push('Meets at the same times');
+  } else if (breakdown.schedule > NEUTRAL) {
+    reasons.push('Meets at similar times');
+  }
+
+  return reasons;
+};
+
+/**
+ * Score how similar a candidate group is to a source group
+ * @param {Object} source - Group the user is looking at
+ * @param {Object} candidate - Possible alternative
+ * @param {Object} weights - Factor weights (defaults to MATCHING_CONSTANTS.GROUP_SIMILARITY.WEIGHTS)
+ * @returns {Object} { score, breakdown, reasons }
+ */
+const scoreSimilarity = (source, candidate, weights = MATCHING_CONSTANTS.GROUP_SIMILARITY.WEIGHTS) => {
+  const breakdown = {
+    course: scoreCourse(source, candidate),
+    subject: scoreSubject(source, candidate),
+    tags: scoreTags(source, candidate),
+    meetingType: scoreMeetingType(source, candidate),
+    location: scoreLocation(source, candidate),
+    schedule: scoreSchedule(source, candidate)
+  };
+
+  const score = breakdown.course * weights.COURSE +
+    breakdown.subject * weights.SUBJECT +
+    breakdown.tags * weights.TAGS +
+    breakdown.meetingType * weights.MEETING_TYPE +
+    breakdown.location * weights.LOCATION +
+    breakdown.schedule * weights.SCHEDULE;
+
+  return {
+    score: Math.round(score * 100) / 100,
+    breakdown,
+    reasons: generateReasons(source, candidate, breakdown)
+  };
+};
+
+module.exports = {
+  department,
+  scoreCourse,
+  scoreSubject,
+  scoreTags,
+  scoreMeetingType,
+  scoreLocation,
+  scoreSchedule,
+  scoreSimilarity
+};
@@ -0,0 +1,321 @@
+const { CALENDAR_CONSTANTS } = require('./constants');
+const { getTimezoneOffset } = require('./availability');
+
+/**
+ * iCalendar (RFC 5545) builder
+ * Serialises events into a VCALENDAR document. Events with a timezone are written in
+ * local wall-clock time with a TZID and a matching VTIMEZONE; others are written in UTC.
+ */
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+const WEEKDAY_CODES = {
+  monday: 'MO',
+  tuesday: 'TU',
+  wednesday: 'WE',
+  thursday: 'TH',
+  friday: 'FR',
+  saturday: 'SA',
+  sunday: 'SU'
+};
+// Indexed by Date#getUTCDay()
+const WEEKDAY_BY_INDEX = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to at most 75 octets per line
+ * Continuation lines start with a single space; multi-byte characters are never split.
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (CRLF separated)
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join(`${CRLF} `);
+};
+
+/**
+ * Format an instant as a UTC DATE-TIME ("20260301T180000Z")
+ */
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Format an instant as local wall-clock DATE-TIME in a timezone ("20260301T130000")
+ */
+const formatLocal = (date, timezone) => {
+  const instant = new Date(date);
+  const local = new Date(instant.getTime() + getTimezoneOffset(timezone, instant) * MS_PER_MINUTE);
+  return formatUtc(local).slice(0, -1);
+};
+
+/**
+ * Format a UTC offset in minutes as "+HHMM" / "-HHMM"
+ */
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+  return `${sign}${hours}${String(absolute % 60).padStart(2, '0')}`;
+};
+
+const isUtc = (timezone) => !timezone || timezone === 'UTC';
+
+/**
+ * Build a DATE-TIME property in UTC or, with a timezone, local time with a TZID parameter
+ * @param {string} name - Property name (DTSTART, DTEND, RECURRENCE-ID, EXDATE)
+ * @param {Date|Date[]} dates - Instant(s)
+ * @param {string} timezone - IANA timezone (optional)
+ * @returns {string} Content line
+ */
+const dateTimeProperty = (name, dates, timezone) => {
+  const values = [].concat(dates);
+  if (isUtc(timezone)) {
+    return `${name}:${values.map(formatUtc).join(',')}`;
+  }
+  return `${name};TZID=${timezone}:${values.map(date => formatLocal(date, timezone)).join(',')}`;
+};
+
+/**
+ * Build an RRULE value for a recurring series
+ * @param {Object} series - { frequency: daily|weekly|bi-weekly|monthly, daysOfWeek, dayOfMonth, until }
+ *   as returned by recurrence.describeSeries
+ * @returns {string|null} RRULE value (without the "RRULE:" prefix) or null for unknown frequencies
+ */
+const buildRecurrenceRule = (series) => {
+  const byDay = (series.daysOfWeek || []).map(day => WEEKDAY_CODES[day]).filter(Boolean);
+  const parts = [];
+
+  switch (series.frequency) {
+    case 'daily':
+      parts.push('FREQ=DAILY');
+      if (byDay.length > 0) parts.push(`BYDAY=${byDay.join(',')}`);
+      break;
+    case 'weekly':
+      parts.push('FREQ=WEEKLY');
+      if (byDay.length > 0) parts.push(`BYDAY=${byDay.join(',')}`);
+      break;
+    case 'bi-weekly':
+      // Weeks start on Monday, matching how the occurrence engine counts cycles
+      parts.push('FREQ=WEEKLY', 'INTERVAL=2');
+      if (byDay.length > 0) parts.push(`BYDAY=${byDay.join(',')}`);
+      parts.push('WKST=MO');
+      break;
+    case 'monthly':
+      parts.push('FREQ=MONTHLY');
+      if (series.dayOfMonth) parts.push(`BYMONTHDAY=${series.dayOfMonth}`);
+      break;
+    default:
+      return null;
+  }
+
+  if (series.until) {
+    parts.push(`UNTIL=${formatUtc(series.until)}`);
+  }
+
+  return parts.join(';');
+};
+
+/**
+ * Find the UTC offset transitions of a timezone within a year
+ * @returns {Array} [{ at: Date, from, to }] offsets in minutes
+ */
+const findTransitions = (timezone, year) => {
+  const transitions = [];
+  const yearStart = Date.UTC(year, 0, 1);
+  let previous = getTimezoneOffset(timezone, new Date(yearStart));
+
+  for (let day = 1; day <= 366; day++) {
+    const time = yearStart + day * MS_PER_DAY;
+    const offset = getTimezoneOffset(timezone, new Date(time));
+    if (offset === previous) continue;
+
+    // Narrow the change down to the minute
+    let low = time - MS_PER_DAY;
+    let high = time;
+    while (high - low > MS_PER_MINUTE) {
+      const mid = low + Math.floor((high - low) / 2 / MS_PER_MINUTE) * MS_PER_MINUTE;
+      if (getTimezoneOffset(timezone, new Date(mid)) === previous) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    transitions.push({ at: new Date(high), from: previous, to: offset });
+    previous = offset;
+  }
+
+  return transitions;
+};
+
+/**
+ * Build a STANDARD/DAYLIGHT observance repeating yearly on the transition's weekday rule
+ * (e.g. second Sunday of March, last Sunday of October)
+ */
+const buildObservance = (transition) => {
+  const kind = transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD';
+  // Transitions are expressed in the wall-clock time in effect before them
+  const local = new Date(transition.at.getTime() + transition.from * MS_PER_MINUTE);
+  const month = local.getUTCMonth();
+  const date = local.getUTCDate();
+  const weekday = local.getUTCDay();
+  const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), month + 1, 0)).getUTCDate();
+  const week = date + 7 > daysInMonth ? -1 : Math.ceil(date / 7);
+
+  // RFC 5545 observances conventionally start in 1970 on the first day matching the rule
+  const firstOfMonth = new Date(Date.UTC(1970, month, 1)).getUTCDay();
+  let startDate = 1 + ((weekday - firstOfMonth + 7) % 7);
+  if (week === -1) {
+    const lastDay = new Date(Date.UTC(1970, month + 1, 0)).getUTCDate();
+    while (startDate + 7 <= lastDay) startDate += 7;
+  } else {
+    startDate += (week - 1) * 7;
+  }
+  const start = new Date(Date.UTC(1970, month, startDate, local.getUTCHours(), local.getUTCMinutes()));
+
+  return [
+    `BEGIN:${kind}`,
+    `DTSTART:${formatUtc(start).slice(0, -1)}`,
+    `TZOFFSETFROM:${formatOffset(transition.from)}`,
+    `TZOFFSETTO:${formatOffset(transition.to)}`,
+    `RRULE:FREQ=YEARLY;BYMONTH=${month + 1};BYDAY=${week}${WEEKDAY_BY_INDEX[weekday]}`,
+    `END:${kind}`
+  ];
+};
+
+/**
+ * Build a VTIMEZONE component from the timezone's rules in a given year
+ * @param {string} timezone - IANA timezone
+ * @param {number} year - Year whose daylight saving rules are used
+ * @returns {Array} Content lines
+ */
+const buildTimezone = (timezone, year) => {
+  const transitions = findTransitions(timezone, year);
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+
+  if (transitions.length === 2) {
+    transitions.forEach(transition => lines.push(...buildObservance(transition)));
+  } else {
+    // No (regular) daylight saving: a single fixed offset
+    const offset = formatOffset(getTimezoneOffset(timezone, new Date(Date.UTC(year, 6, 1))));
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      'END:STANDARD'
+    );
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+/**
+ * Build a VEVENT component
+ * @param {Object} event - {
+ *   uid, summary, description, location, url, start, end, timezone,
+ *   rrule, exdates, recurrenceId, status, sequence, categories, lastModified
+ * }
+ * @param {Date} stamp - DTSTAMP
+ * @returns {Array} Content lines
+ */
+const buildEvent = (event, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(stamp)}`,
+    dateTimeProperty('DTSTART', event.start, event.timezone),
+    dateTimeProperty('DTEND', event.end, event.timezone)
+  ];
+
+  if (event.recurrenceId) lines.push(dateTimeProperty('RECURRENCE-ID', event.recurrenceId, event.timezone));
+  if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+  if (event.exdates && event.exdates.length > 0) lines.push(dateTimeProperty('EXDATE', event.exdates, event.timezone));
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.categories && event.categories.length > 0) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  }
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.sequence) lines.push(`SEQUENCE:${event.sequence}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatUtc(event.lastModified)}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {Object} calendar - { name, description, events, now }
+ * @returns {string} iCalendar text (CRLF line endings, folded)
+ */
+const buildCalendar = ({ name, description, events = [], now = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${CALENDAR_CONSTANTS.PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+  lines.push(
+    `REFRESH-INTERVAL;VALUE=DURATION:${CALENDAR_CONSTANTS.REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${CALENDAR_CONSTANTS.REFRESH_INTERVAL}`
+  );
+
+  const timezones = [...new Set(events.map(event => event.timezone).filter(timezone => !isUtc(timezone)))];
+  const year = now.getUTCFullYear();
+  timezones.forEach(timezone => lines.push(...buildTimezone(timezone, year)));
+
+  events.forEach(event => lines.push(...buildEvent(event, now)));
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatUtc,
+  formatLocal,
+  buildRecurrenceRule,
+  buildTimezone,
+  buildCalendar
+};
@@ -0,0 +1,87 @@
+/**
+ * Cursor pagination for message history
+ * Messages are ordered by (createdAt, _id) so messages sent in the same millisecond still have a
+ * stable order. Pages are anchored on a message rather than an offset, so new messages arriving
+ * between requests don't shift or repeat results.
+ */
+
+const SORT_NEWEST_FIRST = { createdAt: -1, _id: -1 };
+const SORT_OLDEST_FIRST = { createdAt: 1, _id: 1 };
+
+/**
+ * Filter for messages ordered before an anchor message
+ * @param {Object} anchor - Message with createdAt and _id
+ * @returns {Object} MongoDB filter
+ */
+const olderThan = (anchor) => ({
+  $or: [
+    { createdAt: { $lt: anchor.createdAt } },
+    { createdAt: anchor.createdAt, _id: { $lt: anchor._id } }
+  ]
+});
+
+/**
+ * Filter for messages ordered after an anchor message
+ * @param {Object} anchor - Message with createdAt and _id
+ * @returns {Object} MongoDB filter
+ */
+const newerThan = (anchor) => ({
+  $or: [
+    { createdAt: { $gt: anchor.createdAt } },
+    { createdAt: anchor.createdAt, _id: { $gt: anchor._id } }
+  ]
+});
+
+/**
+ * How many messages to take on each side of an anchor for a jump-to window
+ * The anchor takes one slot; any odd slot goes to the newer side.
+ * @param {number} limit - Total window size
+ * @returns {Object} { older, newer }
+ */
+const splitWindow = (limit) => {
+  const older = Math.floor((limit - 1) / 2);
+  return { older, newer: limit - 1 - older };
+};
+
+/**
+ * Put fetched messages together into a page, oldest first
+ * Each side is fetched with one extra message to tell whether more exist beyond it. A side that
+ * wasn't fetched (undefined) has more messages exactly when the page is anchored on a message.
+ * @param {Object} parts - { older, newer, anchor, olderLimit, newerLimit, includeAnchor }
+ *   older: newest-first messages before the anchor; newer: oldest-first messages after it
+ * @returns {Object} { messages, hasOlder, hasNewer }
+ */
+const assemblePage = ({ older, newer, anchor = null, olderLimit = 0, newerLimit = 0, includeAnchor = false }) => {
+  const olderPage = older ? older.slice(0, olderLimit).reverse() : [];
+  const newerPage = newer ? newer.slice(0, newerLimit) : [];
+
+  return {
+    messages: [...olderPage, ...(includeAnchor && anchor ? [anchor] : []), ...newerPage],
+    hasOlder: older ? older.length > olderLimit : Boolean(anchor),
+    hasNewer: newer ? newer.length > newerLimit : Boolean(anchor)
+  };
+};
+
+/**
+ * Cursor details for a page: IDs to pass as `before`/`after` to continue in either direction
+ * @param {Object} page - { messages, hasOlder, hasNewer }
+ * @param {number} limit - Page size used
+ * @returns {Object} { limit, hasOlder, hasNewer, oldestId, newestId }
+ */
+const describePage = ({ messages, hasOlder, hasNewer }, limit) => ({
+  limit,
+  hasOlder,
+  hasNewer,
+  oldestId: messages.length > 0 ? messages[0]._id : null,
+  newestId: messages.length > 0 ? messages[messages.length - 1]._id : null
+});
+
+module.exports = {
+  SORT_NEWEST_FIRST,
+  SORT_OLDEST_FIRST,
+  olderThan,
+  newerThan,
+  splitWindow,
+  assemblePage,
+  describePage
+};
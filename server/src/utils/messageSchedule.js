@@ -0,0 +1,67 @@
+const { getTimezoneOffset } = require('./availability');
+const { localToUtc } = require('./recurrence');
+
+/**
+ * Recurrence for scheduled messages
+ * A recurring message repeats at the local wall-clock time of its first send (a 09:00 reminder
+ * stays at 09:00 across DST changes) every `interval` days, weeks or months, until an end date
+ * or a number of occurrences is reached. Occurrences are numbered from 0 (the first send).
+ */
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+const DAYS_PER_STEP = { daily: 1, weekly: 7 };
+
+/**
+ * Send time of an occurrence in a series
+ * Monthly series keep the first send's day of month, moved back to the last day in shorter
+ * months (a series starting on the 31st sends on Feb 28 and Mar 31).
+ * @param {Date} firstSendAt - First send
+ * @param {Object} recurrence - { frequency: daily|weekly|monthly, interval, timezone }
+ * @param {number} index - Occurrence number (0 = first send)
+ * @returns {Date} UTC instant
+ */
+const occurrenceAt = (firstSendAt, { frequency, interval = 1, timezone = 'UTC' }, index) => {
+  const first = new Date(firstSendAt);
+  const local = new Date(first.getTime() + getTimezoneOffset(timezone, first) * MS_PER_MINUTE);
+  const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+  const steps = index * interval;
+
+  let day;
+  if (frequency === 'monthly') {
+    const month = local.getUTCMonth() + steps;
+    const lastDate = new Date(Date.UTC(local.getUTCFullYear(), month + 1, 0)).getUTCDate();
+    day = Date.UTC(local.getUTCFullYear(), month, Math.min(local.getUTCDate(), lastDate));
+  } else {
+    day = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) +
+      steps * DAYS_PER_STEP[frequency] * MS_PER_DAY;
+  }
+
+  return localToUtc(day, minutes, timezone);
+};
+
+/**
+ * Next occurrence after a point in time, or null once the series has ended
+ * Occurrences that fell before `after` (e.g. while the server was down) are skipped rather
+ * than sent in a burst; they still count towards maxOccurrences.
+ * @param {Date} firstSendAt - First send
+ * @param {Object} recurrence - { frequency, interval, timezone, until, maxOccurrences }
+ * @param {Object} position - { index, after } Occurrence just handled, and the time to look after
+ * @returns {Object|null} { index, sendAt }
+ */
+const nextOccurrence = (firstSendAt, recurrence, { index, after = new Date() }) => {
+  const until = recurrence.until ? new Date(recurrence.until) : null;
+
+  for (let next = index + 1; ; next++) {
+    if (recurrence.maxOccurrences && next >= recurrence.maxOccurrences) return null;
+
+    const sendAt = occurrenceAt(firstSendAt, recurrence, next);
+    if (until && sendAt > until) return null;
+    if (sendAt > after) return { index: next, sendAt };
+  }
+};
+
+module.exports = {
+  occurrenceAt,
+  nextOccurrence
+};
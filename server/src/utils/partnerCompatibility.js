@@ -0,0 +1,117 @@
+/**
+ * Partner compatibility factors
+ * Course overlap and study style scores for two users' profiles, used by MatchingService.
+ * Courses are compared by upper-case course code; study preferences use the enum values on
+ * User.studyPreferences. Each score is 0-1; study style is neutral (0.5) with nothing to compare.
+ */
+
+const NEUTRAL = 0.5;
+
+// Ordinal scales for the enum-valued study preferences on User
+const STUDY_INTENSITY_LEVELS = ['Casual', 'Moderate', 'Intensive', 'Exam Prep'];
+const GROUP_SIZE_LEVELS = ['1-on-1', 'Small Group (2-4)', 'Medium Group (5-8)', 'Large Group (9+)'];
+
+const courseCode = (course) => (typeof course === 'string' ? course : course?.code)?.toUpperCase();
+
+/**
+ * Normalise a course list to upper-case course codes
+ * @param {Array} courses - Course subdocuments ({ code, name }) or code strings
+ * @returns {Array} Unique course codes
+ */
+const getCourseCodes = (courses) => [...new Set((courses || []).map(courseCode).filter(Boolean))];
+
+/**
+ * Courses two users share
+ * @param {Array} courses1 - First user's courses
+ * @param {Array} courses2 - Second user's courses
+ * @returns {Array} Shared courses as { code, name }, in the first user's order
+ */
+const getCommonCourses = (courses1, courses2) => {
+  const codes2 = new Set(getCourseCodes(courses2));
+  const seen = new Set();
+
+  return (courses1 || []).reduce((common, course) => {
+    const code = courseCode(course);
+    if (code && codes2.has(code) && !seen.has(code)) {
+      seen.add(code);
+      common.push({ code, name: course?.name || code });
+    }
+    return common;
+  }, []);
+};
+
+/**
+ * Course overlap: Jaccard similarity of the course codes plus a bonus of up to 0.3 for
+ * three or more shared courses
+ * @param {Array} courses1 - First user's courses
+ * @param {Array} courses2 - Second user's courses
+ * @returns {number} Score between 0 and 1
+ */
+const scoreCourseOverlap = (courses1, courses2) => {
+  const codes1 = getCourseCodes(courses1);
+  const codes2 = getCourseCodes(courses2);
+  if (!codes1.length || !codes2.length) return 0;
+
+  const commonCount = codes1.filter(code => codes2.includes(code)).length;
+  const totalUniqueCourses = new Set([...codes1, ...codes2]).size;
+
+  const jaccardSimilarity = commonCount / totalUniqueCourses;
+  const overlapBonus = Math.min(commonCount / 3, 0.3);
+
+  return Math.min(jaccardSimilarity + overlapBonus, 1);
+};
+
+/**
+ * Distance score on an ordinal scale: same level 1, opposite ends 0
+ */
+const scoreLevels = (levels, a, b) => 1 - Math.abs(levels.indexOf(a) - levels.indexOf(b)) / (levels.length - 1);
+
+/**
+ * Study style: average of the preferences both users have set
+ * - study intensity (Casual -> Exam Prep) and preferred group size, by distance on their scale;
+ *   a group size of 'No Preference' fits anything
+ * - learning styles, by the share of styles in common
+ * - meeting type, 1 if they have one in common or either is open to Hybrid, else 0
+ * @param {Object} prefs1 - First user's study preferences
+ * @param {Object} prefs2 - Second user's study preferences
+ * @returns {number} Score between 0 and 1
+ */
+const scoreStudyStyle = (prefs1, prefs2) => {
+  if (!prefs1 || !prefs2) return NEUTRAL;
+
+  const scores = [];
+
+  if (STUDY_INTENSITY_LEVELS.includes(prefs1.studyIntensity) &&
+    STUDY_INTENSITY_LEVELS.includes(prefs2.studyIntensity)) {
+    scores.push(scoreLevels(STUDY_INTENSITY_LEVELS, prefs1.studyIntensity, prefs2.studyIntensity));
+  }
+
+  if (prefs1.preferredGroupSize && prefs2.preferredGroupSize) {
+    const bothRanked = GROUP_SIZE_LEVELS.includes(prefs1.preferredGroupSize) &&
+      GROUP_SIZE_LEVELS.includes(prefs2.preferredGroupSize);
+    scores.push(bothRanked ? scoreLevels(GROUP_SIZE_LEVELS, prefs1.preferredGroupSize, prefs2.preferredGroupSize) : 1);
+  }
+
+  if (prefs1.studyStyle?.length && prefs2.studyStyle?.length) {
+    const commonStyles = prefs1.studyStyle.filter(style => prefs2.studyStyle.includes(style));
+    scores.push(commonStyles.length / Math.max(prefs1.studyStyle.length, prefs2.studyStyle.length));
+  }
+
+  if (prefs1.meetingType?.length && prefs2.meetingType?.length) {
+    const compatible = prefs1.meetingType.some(type =>
+      prefs2.meetingType.includes(type) || type === 'Hybrid' || prefs2.meetingType.includes('Hybrid')
+    );
+    scores.push(compatible ? 1 : 0);
+  }
+
+  return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : NEUTRAL;
+};
+
+module.exports = {
+  STUDY_INTENSITY_LEVELS,
+  GROUP_SIZE_LEVELS,
+  getCourseCodes,
+  getCommonCourses,
+  scoreCourseOverlap,
+  scoreStudyStyle
+};
@@ -0,0 +1,132 @@
+const { MATCHING_CONSTANTS } = require('./constants');
+
+/**
+ * Ranking model for learning-from-feedback matching
+ * Fits a small weighted logistic regression over compatibility factors from a user's past
+ * decisions (accepted / rejected / ignored suggestions and partner ratings), then turns the
+ * coefficients into bounded per-factor weight adjustments.
+ * Training is full-batch gradient descent from a zero start over sorted examples, so the same
+ * history always produces the same adjustments.
+ */
+
+const FACTORS = ['courseOverlap', 'studyStyle', 'availability', 'location', 'academicGoals'];
+
+const sigmoid = (value) => 1 / (1 + Math.exp(-value));
+
+const round = (value, precision = 4) => {
+  const factor = Math.pow(10, precision);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Fit per-factor adjustments from labelled examples
+ * @param {Array} examples - [{ id, factors: { courseOverlap, ... }, label (0-1), weight? }]
+ * @param {Object} options - Overrides for MATCHING_CONSTANTS.LEARNING
+ * @returns {Object|null} { adjustments, coefficients, sampleSize, positives, loss } or null if too few examples
+ */
+const trainAdjustments = (examples, options = {}) => {
+  const {
+    MIN_SAMPLES,
+    ITERATIONS,
+    LEARNING_RATE,
+    L2_PENALTY,
+    ADJUSTMENT_SCALE,
+    MAX_ADJUSTMENT
+  } = { ...MATCHING_CONSTANTS.LEARNING, ...options };
+
+  const usable = (examples || [])
+    .filter(example => FACTORS.every(factor => typeof example.factors?.[factor] === 'number'))
+    .sort((a, b) => String(a.id).localeCompare(String(b.id)));
+
+  const positives = usable.filter(example => example.label >= 0.5).length;
+  // Need both outcomes to learn anything about what the user prefers
+  if (usable.length < MIN_SAMPLES || positives === 0 || positives === usable.length) {
+    return null;
+  }
+
+  // Centre features so coefficients describe preference relative to what the user usually sees
+  const means = FACTORS.reduce((result, factor) => {
+    result[factor] = usable.reduce((sum, example) => sum + example.factors[factor], 0) / usable.length;
+    return result;
+  }, {});
+
+  const coefficients = FACTORS.reduce((result, factor) => ({ ...result, [factor]: 0 }), {});
+  let bias = 0;
+  const totalWeight = usable.reduce((sum, example) => sum + (example.weight ?? 1), 0);
+
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    const gradients = FACTORS.reduce((result, factor) => ({ ...result, [factor]: 0 }), {});
+    let biasGradient = 0;
+
+    usable.forEach(example => {
+      const weight = example.weight ?? 1;
+      const logit = bias + FACTORS.reduce(
+        (sum, factor) => sum + coefficients[factor] * (example.factors[factor] - means[factor]),
+        0
+      );
+      const error = (sigmoid(logit) - example.label) * weight;
+
+      biasGradient += error;
+      FACTORS.forEach(factor => {
+        gradients[factor] += error * (example.factors[factor] - means[factor]);
+      });
+    });
+
+    bias -= LEARNING_RATE * (biasGradient / totalWeight);
+    FACTORS.forEach(factor => {
+      const gradient = gradients[factor] / totalWeight + L2_PENALTY * coefficients[factor];
+      coefficients[factor] -= LEARNING_RATE * gradient;
+    });
+  }
+
+  const loss = usable.reduce((sum, example) => {
+    const weight = example.weight ?? 1;
+    const logit = bias + FACTORS.reduce(
+      (total, factor) => total + coefficients[factor] * (example.factors[factor] - means[factor]),
+      0
+    );
+    const probability = Math.min(Math.max(sigmoid(logit), 1e-9), 1 - 1e-9);
+    return sum - weight * (example.label * Math.log(probability) + (1 - example.label) * Math.log(1 - probability));
+  }, 0) / totalWeight;
+
+  const adjustments = FACTORS.reduce((result, factor) => {
+    const adjustment = Math.max(-MAX_ADJUSTMENT, Math.min(MAX_ADJUSTMENT, coefficients[factor] * ADJUSTMENT_SCALE));
+    result[factor] = round(adjustment);
+    return result;
+  }, {});
+
+  return {
+    adjustments,
+    coefficients: FACTORS.reduce((result, factor) => ({ ...result, [factor]: round(coefficients[factor]) }), {}),
+    sampleSize: usable.length,
+    positives,
+    loss: round(loss)
+  };
+};
+
+/**
+ * Apply adjustments to factor weights and renormalise them to sum to 1
+ * @param {Object} weights - Base weight per factor
+ * @param {Object} adjustments - Multiplicative adjustment per factor (0.2 = +20%)
+ * @returns {Object} Adjusted weights
+ */
+const applyAdjustments = (weights, adjustments = {}) => {
+  const scaled = FACTORS.reduce((result, factor) => {
+    result[factor] = weights[factor] * (1 + (adjustments[factor] || 0));
+    return result;
+  }, {});
+
+  const total = FACTORS.reduce((sum, factor) => sum + scaled[factor], 0);
+  if (total <= 0) return { ...weights };
+
+  return FACTORS.reduce((result, factor) => {
+    result[factor] = round(scaled[factor] / total);
+    return result;
+  }, {});
+};
+
+module.exports = {
+  FACTORS,
+  trainAdjustments,
+  applyAdjustments
+};
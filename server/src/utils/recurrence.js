@@ -0,0 +1,337 @@
+const { GROUP_CONSTANTS } = require('./constants');
+const { DAYS, parseTime, getTimezoneOffset } = require('./availability');
+
+/**
+ * Recurring schedule occurrence engine
+ * Expands Group.schedule.recurringPattern (frequency, daysOfWeek, timeSlot with timezone)
+ * into dated occurrences between schedule.startDate and schedule.endDate, applying
+ * per-occurrence exceptions (skip / reschedule).
+ * Occurrences are identified by their local calendar date ("YYYY-MM-DD" in the pattern's timezone).
+ */
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Local calendar date of an instant in a timezone, as a UTC-midnight timestamp
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Milliseconds at UTC midnight of the local date
+ */
+const toLocalDay = (date, timezone) => {
+  const local = new Date(date.getTime() + getTimezoneOffset(timezone, date) * MS_PER_MINUTE);
+  return Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+};
+
+/**
+ * Format a local day timestamp as "YYYY-MM-DD"
+ * @param {number} day - UTC-midnight timestamp of the local date
+ * @returns {string} Date key
+ */
+const toDateKey = (day) => new Date(day).toISOString().slice(0, 10);
+
+/**
+ * Parse a "YYYY-MM-DD" date key into a local day timestamp
+ * @param {string} key - Date key
+ * @returns {number|null} UTC-midnight timestamp, or null if invalid
+ */
+const parseDateKey = (key) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || '');
+  if (!match) return null;
+
+  const day = Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  return toDateKey(day) === key ? day : null;
+};
+
+/**
+ * Convert a local wall-clock time to a UTC instant
+ * The offset is resolved at the target instant so DST transitions are respected.
+ * @param {number} day - Local day (UTC-midnight timestamp)
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} UTC instant
+ */
+const localToUtc = (day, minutes, timezone) => {
+  const wallClock = day + minutes * MS_PER_MINUTE;
+  const firstGuess = wallClock - getTimezoneOffset(timezone, new Date(wallClock)) * MS_PER_MINUTE;
+  const offset = getTimezoneOffset(timezone, new Date(firstGuess));
+  return new Date(wallClock - offset * MS_PER_MINUTE);
+};
+
+/**
+ * Day name ("monday".."sunday") of a local day
+ */
+const dayName = (day) => DAYS[(new Date(day).getUTCDay() + 6) % 7];
+
+/**
+ * Monday of the week containing a local day
+ */
+const weekStart = (day) => day - ((new Date(day).getUTCDay() + 6) % 7) * MS_PER_DAY;
+
+/**
+ * Check whether a pattern needs schedule.startDate to anchor its cycle
+ * Daily patterns and weekly patterns with days stand alone; weekly patterns without days,
+ * bi-weekly and monthly patterns count from the start date.
+ * @param {Object} pattern - Group.schedule.recurringPattern
+ * @returns {boolean} True if the pattern cannot be expanded without a start date
+ */
+const requiresStartDate = (pattern) => {
+  if (!pattern?.frequency) return false;
+  if (pattern.frequency === 'weekly') return !pattern.daysOfWeek || pattern.daysOfWeek.length === 0;
+  return pattern.frequency === 'bi-weekly' || pattern.frequency === 'monthly';
+};
+
+/**
+ * Resolve the parts of a schedule the engine needs
+ * @param {Object} schedule - Group.schedule
+ * @returns {Object|null} { pattern, timezone, startMinutes, durationMinutes, firstDay, lastDay } or null if not expandable
+ */
+const resolveSchedule = (schedule) => {
+  const pattern = schedule?.recurringPattern;
+  if (!schedule || schedule.type !== 'recurring' || !pattern?.frequency) return null;
+  if (!schedule.startDate && requiresStartDate(pattern)) return null;
+
+  const startMinutes = parseTime(pattern.timeSlot?.start);
+  const endMinutes = parseTime(pattern.timeSlot?.end);
+  if (startMinutes === null || endMinutes === null || startMinutes === endMinutes) return null;
+
+  const timezone = pattern.timeSlot.timezone || 'UTC';
+  // An end before the start runs past midnight
+  const durationMinutes = endMinutes > startMinutes
+    ? endMinutes - startMinutes
+    : endMinutes + MINUTES_PER_DAY - startMinutes;
+
+  return {
+    pattern,
+    timezone,
+    startMinutes,
+    durationMinutes,
+    firstDay: schedule.startDate ? toLocalDay(new Date(schedule.startDate), timezone) : null,
+    lastDay: schedule.endDate ? toLocalDay(new Date(schedule.endDate), timezone) : null
+  };
+};
+
+/**
+ * Check whether the pattern produces an occurrence on a local day
+ * @param {Object} resolved - Output of resolveSchedule
+ * @param {number} day - Local day timestamp
+ * @returns {boolean} True if an occurrence falls on that day
+ */
+const matchesPattern = (resolved, day) => {
+  const { pattern, firstDay, lastDay } = resolved;
+  if (firstDay !== null && day < firstDay) return false;
+  if (lastDay !== null && day > lastDay) return false;
+
+  // Patterns that count from the start date are only resolved with one (see requiresStartDate)
+  const days = pattern.daysOfWeek && pattern.daysOfWeek.length > 0
+    ? pattern.daysOfWeek
+    : [dayName(firstDay)];
+
+  switch (pattern.frequency) {
+    case 'daily':
+      return !pattern.daysOfWeek || pattern.daysOfWeek.length === 0 || days.includes(dayName(day));
+    case 'weekly':
+      return days.includes(dayName(day));
+    case 'bi-weekly': {
+      // Cycles count from the week of the first occurrence on or after the start date
+      let firstOccurrence = firstDay;
+      while (!days.includes(dayName(firstOccurrence))) firstOccurrence += MS_PER_DAY;
+
+      const weeks = Math.round((weekStart(day) - weekStart(firstOccurrence)) / (7 * MS_PER_DAY));
+      return days.includes(dayName(day)) && weeks % 2 === 0;
+    }
+    case 'monthly':
+      return new Date(day).getUTCDate() === new Date(firstDay).getUTCDate();
+    default:
+      return false;
+  }
+};
+
+/**
+ * Build the regular (un-excepted) occurrence for a local day
+ */
+const buildOccurrence = (resolved, day) => {
+  const startsAt = localToUtc(day, resolved.startMinutes, resolved.timezone);
+  return {
+    date: toDateKey(day),
+    startsAt,
+    endsAt: new Date(startsAt.getTime() + resolved.durationMinutes * MS_PER_MINUTE),
+    timezone: resolved.timezone,
+    status: 'scheduled'
+  };
+};
+
+/**
+ * Check whether a date key is a regular occurrence of a schedule
+ * @param {Object} schedule - Group.schedule
+ * @param {string} dateKey - "YYYY-MM-DD" in the schedule's timezone
+ * @returns {boolean} True if the pattern produces an occurrence that day
+ */
+const isOccurrenceDate = (schedule, dateKey) => {
+  const resolved = resolveSchedule(schedule);
+  const day = parseDateKey(dateKey);
+  return Boolean(resolved && day !== null && matchesPattern(resolved, day));
+};
+
+/**
+ * Get the regular occurrence of a schedule on a date, ignoring exceptions
+ * @param {Object} schedule - Group.schedule
+ * @param {string} dateKey - "YYYY-MM-DD" in the schedule's timezone
+ * @returns {Object|null} Occurrence or null if none that day
+ */
+const getOccurrence = (schedule, dateKey) => {
+  const resolved = resolveSchedule(schedule);
+  const day = parseDateKey(dateKey);
+  if (!resolved || day === null || !matchesPattern(resolved, day)) return null;
+  return buildOccurrence(resolved, day);
+};
+
+/**
+ * Apply a skip/reschedule exception to a regular occurrence
+ * @param {Object} occurrence - Regular occurrence
+ * @param {Object} exception - { type, startsAt, endsAt, reason }
+ * @returns {Object} Occurrence as it will actually happen (or be skipped)
+ */
+const applyException = (occurrence, exception) => {
+  if (exception.type === 'skip') {
+    return { ...occurrence, status: 'skipped', reason: exception.reason };
+  }
+
+  const startsAt = new Date(exception.startsAt);
+  return {
+    ...occurrence,
+    startsAt,
+    endsAt: exception.endsAt
+      ? new Date(exception.endsAt)
+      : new Date(startsAt.getTime() + (occurrence.endsAt - occurrence.startsAt)),
+    status: 'rescheduled',
+    originalStartsAt: occurrence.startsAt,
+    reason: exception.reason
+  };
+};
+
+/**
+ * Get the occurrence of a schedule on a date with its exception (if any) applied
+ * @param {Object} schedule - Group.schedule
+ * @param {string} dateKey - "YYYY-MM-DD" in the schedule's timezone
+ * @returns {Object|null} Occurrence or null if the pattern has none that day
+ */
+const resolveOccurrence = (schedule, dateKey) => {
+  const occurrence = getOccurrence(schedule, dateKey);
+  if (!occurrence) return null;
+
+  const exception = (schedule.exceptions || []).find(entry => entry.date === dateKey);
+  return exception ? applyException(occurrence, exception) : occurrence;
+};
+
+/**
+ * Expand a recurring schedule into occurrences overlapping a time window
+ * @param {Object} schedule - Group.schedule (type, startDate, endDate, recurringPattern, exceptions)
+ * @param {Object} options - { from, to, limit, includeSkipped }
+ * @returns {Array} Occurrences sorted by start:
+ *   [{ date, startsAt, endsAt, timezone, status: scheduled|rescheduled|skipped, originalStartsAt?, reason? }]
+ */
+const expandOccurrences = (schedule, options = {}) => {
+  const { SCHEDULE } = GROUP_CONSTANTS;
+  const from = options.from ? new Date(options.from) : new Date();
+  const to = options.to ? new Date(options.to) : new Date(from.getTime() + SCHEDULE.DEFAULT_WINDOW_DAYS * MS_PER_DAY);
+  const limit = Math.min(options.limit || SCHEDULE.MAX_OCCURRENCES, SCHEDULE.MAX_OCCURRENCES);
+
+  const resolved = resolveSchedule(schedule);
+  if (!resolved || to <= from) return [];
+
+  const exceptions = new Map((schedule.exceptions || []).map(exception => [exception.date, exception]));
+  const overlapsWindow = (occurrence) => occurrence.endsAt > from && occurrence.startsAt < to;
+  const occurrences = [];
+
+  // Start a day early so an occurrence running past midnight into the window is included
+  let day = toLocalDay(from, resolved.timezone) - MS_PER_DAY;
+  if (resolved.firstDay !== null && day < resolved.firstDay) day = resolved.firstDay;
+  const windowEnd = toLocalDay(to, resolved.timezone);
+  const lastDay = resolved.lastDay !== null ? Math.min(resolved.lastDay, windowEnd) : windowEnd;
+
+  for (; day <= lastDay; day += MS_PER_DAY) {
+    if (!matchesPattern(resolved, day)) continue;
+
+    const occurrence = buildOccurrence(resolved, day);
+    const exception = exceptions.get(occurrence.date);
+
+    if (exception?.type === 'reschedule') continue; // Placed at its new time below
+    if (!overlapsWindow(occurrence)) continue;
+
+    if (exception?.type === 'skip') {
+      if (options.includeSkipped) {
+        occurrences.push(applyException(occurrence, exception));
+      }
+      continue;
+    }
+
+    occurrences.push(occurrence);
+  }
+
+  // Rescheduled occurrences can move into (or out of) the window from any date
+  for (const exception of exceptions.values()) {
+    if (exception.type !== 'reschedule') continue;
+
+    const original = getOccurrence(schedule, exception.date);
+    if (!original) continue;
+
+    const occurrence = applyException(original, exception);
+    if (overlapsWindow(occurrence)) {
+      occurrences.push(occurrence);
+    }
+  }
+
+  return occurrences
+    .sort((a, b) => a.startsAt - b.startsAt)
+    .slice(0, limit);
+};
+
+/**
+ * Describe a recurring schedule as a series (first occurrence plus repeat rule)
+ * Used for calendar export, where clients expand the series themselves.
+ * @param {Object} schedule - Group.schedule
+ * @param {Object} options - { now } series without a start date (daily, or weekly on set days) begin on this day
+ * @returns {Object|null} { frequency, daysOfWeek, dayOfMonth, timezone, durationMinutes, firstOccurrence, until }
+ *   or null if the schedule has no occurrences
+ */
+const describeSeries = (schedule, options = {}) => {
+  const resolved = resolveSchedule(schedule);
+  if (!resolved) return null;
+
+  const { pattern, timezone, startMinutes, durationMinutes, firstDay, lastDay } = resolved;
+  let day = firstDay ?? toLocalDay(options.now || new Date(), timezone);
+  // Every pattern repeats at least monthly, so a match is found within a month of the start
+  const searchEnd = day + 31 * MS_PER_DAY;
+
+  while (!matchesPattern(resolved, day)) {
+    day += MS_PER_DAY;
+    if (day > searchEnd || (lastDay !== null && day > lastDay)) return null;
+  }
+
+  return {
+    frequency: pattern.frequency,
+    daysOfWeek: pattern.daysOfWeek && pattern.daysOfWeek.length > 0
+      ? [...pattern.daysOfWeek]
+      : (pattern.frequency === 'daily' ? [] : [dayName(day)]),
+    dayOfMonth: new Date(day).getUTCDate(),
+    timezone,
+    durationMinutes,
+    firstOccurrence: buildOccurrence(resolved, day),
+    // Start of the last possible occurrence
+    until: lastDay !== null ? localToUtc(lastDay, startMinutes, timezone) : null
+  };
+};
+
+module.exports = {
+  toDateKey,
+  parseDateKey,
+  localToUtc,
+  requiresStartDate,
+  isOccurrenceDate,
+  getOccurrence,
+  resolveOccurrence,
+  expandOccurrences,
+  describeSeries
+};
@@ -0,0 +1,130 @@
+/**
+ * Search snippets for message search
+ * Turns a search string into the terms MongoDB's text search matches on, and cuts a short snippet
+ * of a message around the first match with the positions of every match in it, so clients can
+ * highlight results without re-implementing the matching.
+ */
+
+// Suffixes trimmed so a term also highlights the other forms text search matches (study/studying)
+const SUFFIXES = ['ing', 'ed', 's'];
+const MIN_STEM_LENGTH = 3;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Words with a common suffix trimmed
+ * @param {string} term - Lower-case word
+ * @returns {string} Stem (the word itself when trimming would leave too little)
+ */
+const stem = (term) => {
+  const suffix = SUFFIXES.find(ending =>
+    term.endsWith(ending) && term.length - ending.length >= MIN_STEM_LENGTH
+  );
+  return suffix ? term.slice(0, -suffix.length) : term;
+};
+
+/**
+ * Terms to highlight for a text search string
+ * Quoted phrases stay whole; negated words (-word) are left out as they never appear in results.
+ * @param {string} query - Search string as passed to $text
+ * @returns {Object} { phrases, words } lower-case, de-duplicated
+ */
+const parseQuery = (query = '') => {
+  const phrases = [];
+  const unquoted = query.replace(/"([^"]*)"/g, (match, phrase) => {
+    const trimmed = phrase.trim().toLowerCase();
+    if (trimmed) phrases.push(trimmed);
+    return ' ';
+  });
+
+  const words = unquoted
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .map(word => word.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+    .filter(Boolean);
+
+  return { phrases: [...new Set(phrases)], words: [...new Set(words)] };
+};
+
+/**
+ * Regular expression matching any of the query's terms in message text
+ * Words match at a word start in any form sharing their stem; phrases match as written.
+ * @param {Object} terms - { phrases, words } from parseQuery
+ * @returns {RegExp|null} Global, case-insensitive pattern, or null when there is nothing to match
+ */
+const buildMatcher = ({ phrases = [], words = [] }) => {
+  const patterns = [
+    ...phrases.map(phrase => escapeRegExp(phrase).replace(/\s+/g, '\\s+')),
+    ...words.map(word => `(?<![\\p{L}\\p{N}])${escapeRegExp(stem(word))}[\\p{L}\\p{N}]*`)
+  ];
+  if (patterns.length === 0) return null;
+
+  // Longest first so a phrase wins over a word it contains
+  patterns.sort((a, b) => b.length - a.length);
+  return new RegExp(patterns.join('|'), 'giu');
+};
+
+/**
+ * Positions of every match in a text
+ * @param {string} text - Text to search
+ * @param {RegExp|null} matcher - Pattern from buildMatcher
+ * @returns {Array} [{ start, end }] in order, end exclusive
+ */
+const findMatches = (text, matcher) => {
+  if (!matcher || !text) return [];
+  return [...text.matchAll(matcher)]
+    .filter(match => match[0].length > 0)
+    .map(match => ({ start: match.index, end: match.index + match[0].length }));
+};
+
+/**
+ * Snippet of a message around its first match
+ * The window is centred on the first match and trimmed back to whole words where it is cut.
+ * @param {string} content - Message text
+ * @param {string} query - Search string
+ * @param {Object} options - { length } Maximum snippet length (default 160)
+ * @returns {Object} { text, highlights: [{ start, end }], truncatedStart, truncatedEnd }
+ *   highlight positions are relative to text
+ */
+const buildSnippet = (content = '', query = '', { length = 160 } = {}) => {
+  const matches = findMatches(content, buildMatcher(parseQuery(query)));
+
+  let start = 0;
+  let end = Math.min(content.length, length);
+
+  if (content.length > length && matches.length > 0) {
+    const first = matches[0];
+    const centre = Math.floor((first.start + first.end) / 2);
+    start = Math.max(0, Math.min(centre - Math.floor(length / 2), content.length - length));
+    end = start + length;
+  }
+
+  // Don't cut words in half
+  if (start > 0) {
+    const nextSpace = content.indexOf(' ', start);
+    if (nextSpace !== -1 && nextSpace < (matches[0]?.start ?? end)) start = nextSpace + 1;
+  }
+  if (end < content.length) {
+    const lastSpace = content.lastIndexOf(' ', end);
+    if (lastSpace > start && lastSpace >= (matches[0]?.end ?? start)) end = lastSpace;
+  }
+
+  const highlights = matches
+    .filter(match => match.start >= start && match.end <= end)
+    .map(match => ({ start: match.start - start, end: match.end - start }));
+
+  return {
+    text: content.slice(start, end),
+    highlights,
+    truncatedStart: start > 0,
+    truncatedEnd: end < content.length
+  };
+};
+
+module.exports = {
+  stem,
+  parseQuery,
+  buildMatcher,
+  findMatches,
+  buildSnippet
+};
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import availability from '../../src/utils/availability';
+
+const slots = (day, ...ranges) => ({
+  [day]: {
+    available: true,
+    timeSlots: ranges.map(([start, end]) => ({ start, end }))
+  }
+});
+
+describe('availability', () => {
+  it('test_toWeeklyIntervals_mergesAndWrapsPastMidnight', () => {
+    const intervals = availability.toWeeklyIntervals({
+      ...slots('monday', ['09:00', '11:00'], ['10:30', '12:00']),
+      ...slots('sunday', ['23:00', '01:00'])
+    });
+
+    expect(intervals).toEqual([
+      [0, 60],
+      [540, 720],
+      [10020, 10080]
+    ]);
+  });
+
+  it('test_toWeeklyIntervals_ignoresUnavailableDaysAndBadSlots', () => {
+    const intervals = availability.toWeeklyIntervals({
+      monday: { available: false, timeSlots: [{ start: '09:00', end: '10:00' }] },
+      tuesday: { available: true, timeSlots: [{ start: 'nine', end: '10:00' }] }
+    });
+
+    expect(intervals).toEqual([]);
+  });
+
+  it('test_calculateOverlap_sharedWindowsInFirstUsersTimezone', () => {
+    const user1 = { timezone: 'UTC', availability: slots('wednesday', ['14:00', '18:00']) };
+    const user2 = { timezone: 'UTC', availability: slots('wednesday', ['16:00', '20:00']) };
+
+    const result = availability.calculateOverlap(user1, user2);
+
+    expect(result.sharedMinutes).toBe(120);
+    expect(result.windows).toEqual([
+      { day: 'wednesday', start: '16:00', end: '18:00', minutes: 120 }
+    ]);
+    expect(result.score).toBeGreaterThan(0);
+    expect(result.score).toBeLessThanOrEqual(1);
+  });
+
+  it('test_calculateOverlap_appliesTimezoneOffsets', () => {
+    const offset = availability.getTimezoneOffset('Asia/Kolkata');
+    const user1 = { timezone: 'UTC', availability: slots('friday', ['10:00', '12:00']) };
+    const user2 = { timezone: 'Asia/Kolkata', availability: slots('friday', ['10:00', '12:00']) };
+
+    const result = availability.calculateOverlap(user1, user2);
+
+    expect(offset).toBe(330);
+    expect(result.sharedMinutes).toBe(0);
+  });
+
+  it('test_calculateOverlap_noAvailability', () => {
+    const result = availability.calculateOverlap(
+      { availability: {} },
+      { availability: slots('monday', ['09:00', '10:00']) }
+    );
+
+    expect(result.hasAvailability).toBe(false);
+    expect(result.windows).toEqual([]);
+  });
+});
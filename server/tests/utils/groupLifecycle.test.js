@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import groupLifecycle from '../../src/utils/groupLifecycle';
+import constants from '../../src/utils/constants';
+
+const { GROUP_CONSTANTS } = constants;
+
+const heldSpots = (group) =>
+  group.waitlist.filter(entry => GROUP_CONSTANTS.WAITLIST.HOLDING_STATUSES.includes(entry.status)).length;
+
+const group = () => ({
+  status: 'active',
+  joinRequests: [
+    { _id: 'r1', status: 'pending' },
+    { _id: 'r2', status: 'approved' }
+  ],
+  waitlist: [
+    { user: 'u1', status: 'requested', joinRequest: 'r1' },
+    { user: 'u2', status: 'offered' },
+    { user: 'u3', status: 'waiting' },
+    { user: 'u4', status: 'admitted' }
+  ]
+});
+
+describe('groupLifecycle', () => {
+  it('test_applyStatus_completeThenReactivateReleasesRequestedSpots', () => {
+    const now = new Date('2026-11-01T12:00:00Z');
+    const target = group();
+
+    groupLifecycle.applyStatus(target, 'completed', { now });
+
+    expect(target.completedAt).toBe(now);
+    expect(target.joinRequests.map(request => request.status)).toEqual(['expired', 'approved']);
+    expect(target.waitlist.map(entry => entry.status)).toEqual(['expired', 'expired', 'expired', 'admitted']);
+
+    groupLifecycle.applyStatus(target, 'active', { now });
+
+    expect(target.status).toBe('active');
+    expect(heldSpots(target)).toBe(0);
+  });
+
+  it('test_applyStatus_pausingKeepsIntakeOpen', () => {
+    const target = groupLifecycle.applyStatus(group(), 'paused');
+
+    expect(target.joinRequests[0].status).toBe('pending');
+    expect(heldSpots(target)).toBe(2);
+  });
+});
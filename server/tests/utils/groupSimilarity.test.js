@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import groupSimilarity from '../../src/utils/groupSimilarity';
+
+const group = (overrides = {}) => ({
+  course: { code: 'CS101', name: 'Intro to Programming' },
+  subject: 'Computer Science',
+  tags: ['exam-prep', 'python'],
+  meetingType: 'In-Person',
+  location: { type: 'library' },
+  schedule: {
+    type: 'recurring',
+    recurringPattern: {
+      daysOfWeek: ['monday', 'wednesday'],
+      timeSlot: { start: '18:00', end: '20:00', timezone: 'UTC' }
+    }
+  },
+  ...overrides
+});
+
+describe('groupSimilarity', () => {
+  it('test_scoreSimilarity_identicalGroupsScoreOne', () => {
+    const result = groupSimilarity.scoreSimilarity(group(), group());
+
+    expect(result.score).toBe(1);
+    expect(result.reasons).toContain('Same course (CS101)');
+    expect(result.reasons).toContain('Meets at the same times');
+  });
+
+  it('test_scoreCourse_givesPartialCreditForSameDepartment', () => {
+    expect(groupSimilarity.scoreCourse(group(), group({ course: { code: 'CS240' } }))).toBe(0.5);
+    expect(groupSimilarity.scoreCourse(group(), group({ course: { code: 'MATH101' } }))).toBe(0);
+  });
+
+  it('test_scoreTags_isCaseInsensitiveJaccard', () => {
+    const score = groupSimilarity.scoreTags(group(), group({ tags: ['Python', 'projects', 'pairing'] }));
+
+    // 1 shared of 4 distinct tags
+    expect(score).toBe(0.25);
+  });
+
+  it('test_scoreSchedule_comparesTimesAcrossTimezones', () => {
+    const sameTimeElsewhere = group({
+      schedule: {
+        type: 'recurring',
+        recurringPattern: {
+          daysOfWeek: ['monday'],
+          // 19:00-20:00 UTC on Monday, expressed in UTC+1 without daylight saving
+          timeSlot: { start: '20:00', end: '21:00', timezone: 'Africa/Lagos' }
+        }
+      }
+    });
+
+    expect(groupSimilarity.scoreSchedule(group(), sameTimeElsewhere)).toBe(1);
+  });
+
+  it('test_scoreSchedule_isNeutralWhenEitherGroupIsFlexible', () => {
+    const flexible = group({ schedule: { type: 'flexible' } });
+
+    expect(groupSimilarity.scoreSchedule(group(), flexible)).toBe(0.5);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import icalendar from '../../src/utils/icalendar';
+
+describe('icalendar', () => {
+  it('test_escapeText_escapesSpecialCharacters', () => {
+    expect(icalendar.escapeText('Calc; ch. 3, 4\nBring notes\\')).toBe('Calc\\; ch. 3\\, 4\\nBring notes\\\\');
+  });
+
+  it('test_foldLine_keepsLinesWithin75Octets', () => {
+    const folded = icalendar.foldLine(`DESCRIPTION:${'é'.repeat(80)}`);
+    const lines = folded.split('\r\n');
+
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(lines.slice(1).every(line => line.startsWith(' '))).toBe(true);
+    expect(lines.map((line, index) => (index === 0 ? line : line.slice(1))).join('')).toBe(`DESCRIPTION:${'é'.repeat(80)}`);
+  });
+
+  it('test_buildRecurrenceRule_mapsFrequencies', () => {
+    expect(icalendar.buildRecurrenceRule({ frequency: 'weekly', daysOfWeek: ['monday', 'wednesday'] }))
+      .toBe('FREQ=WEEKLY;BYDAY=MO,WE');
+    expect(icalendar.buildRecurrenceRule({
+      frequency: 'bi-weekly',
+      daysOfWeek: ['thursday'],
+      until: new Date('2026-06-01T22:00:00Z')
+    })).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=TH;WKST=MO;UNTIL=20260601T220000Z');
+    expect(icalendar.buildRecurrenceRule({ frequency: 'monthly', dayOfMonth: 15 })).toBe('FREQ=MONTHLY;BYMONTHDAY=15');
+    expect(icalendar.buildRecurrenceRule({ frequency: 'daily', daysOfWeek: [] })).toBe('FREQ=DAILY');
+  });
+
+  it('test_buildTimezone_derivesDaylightSavingRules', () => {
+    const lines = icalendar.buildTimezone('America/New_York', 2026);
+
+    expect(lines).toContain('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU');
+    expect(lines).toContain('RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU');
+    expect(lines).toContain('TZOFFSETTO:-0400');
+    expect(icalendar.buildTimezone('Europe/London', 2026)).toContain('RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU');
+  });
+
+  it('test_buildCalendar_writesLocalTimesWithTimezone', () => {
+    const calendar = icalendar.buildCalendar({
+      name: 'Study',
+      now: new Date('2026-10-19T00:00:00Z'),
+      events: [{
+        uid: 'group-schedule-1@academically.app',
+        summary: 'Calculus group meeting',
+        start: new Date('2026-03-02T23:00:00Z'),
+        end: new Date('2026-03-03T01:00:00Z'),
+        timezone: 'America/New_York',
+        rrule: 'FREQ=WEEKLY;BYDAY=MO',
+        exdates: [new Date('2026-03-16T22:00:00Z')]
+      }, {
+        uid: 'session-2@academically.app',
+        summary: 'Exam prep',
+        start: new Date('2026-03-05T15:00:00Z'),
+        end: new Date('2026-03-05T16:30:00Z'),
+        status: 'CANCELLED'
+      }]
+    });
+    const lines = calendar.split('\r\n');
+
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines.filter(line => line === 'BEGIN:VTIMEZONE')).toHaveLength(1);
+    expect(lines).toContain('DTSTART;TZID=America/New_York:20260302T180000');
+    expect(lines).toContain('EXDATE;TZID=America/New_York:20260316T180000');
+    expect(lines).toContain('DTSTART:20260305T150000Z');
+    expect(lines).toContain('STATUS:CANCELLED');
+    expect(lines).toContain('DTSTAMP:20261019T000000Z');
+  });
+});
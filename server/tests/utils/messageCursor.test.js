@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import messageCursor from '../../src/utils/messageCursor';
+
+const message = (id) => ({ _id: id, createdAt: new Date(Date.UTC(2025, 0, 1, 0, 0, id)) });
+
+describe('messageCursor', () => {
+  it('test_olderThan_breaksTimestampTiesById', () => {
+    const anchor = message(5);
+
+    expect(messageCursor.olderThan(anchor)).toEqual({
+      $or: [
+        { createdAt: { $lt: anchor.createdAt } },
+        { createdAt: anchor.createdAt, _id: { $lt: 5 } }
+      ]
+    });
+  });
+
+  it('test_splitWindow_givesOddSlotToNewerSide', () => {
+    expect(messageCursor.splitWindow(5)).toEqual({ older: 2, newer: 2 });
+    expect(messageCursor.splitWindow(4)).toEqual({ older: 1, newer: 2 });
+    expect(messageCursor.splitWindow(1)).toEqual({ older: 0, newer: 0 });
+  });
+
+  it('test_assemblePage_buildsWindowAroundAnchorOldestFirst', () => {
+    const page = messageCursor.assemblePage({
+      older: [message(4), message(3), message(2)],   // newest first, one extra
+      newer: [message(6), message(7)],               // oldest first, no extra
+      anchor: message(5),
+      olderLimit: 2,
+      newerLimit: 2,
+      includeAnchor: true
+    });
+
+    expect(page.messages.map(m => m._id)).toEqual([3, 4, 5, 6, 7]);
+    expect(page.hasOlder).toBe(true);
+    expect(page.hasNewer).toBe(false);
+  });
+
+  it('test_assemblePage_latestPageHasNothingNewer', () => {
+    const page = messageCursor.assemblePage({
+      older: [message(3), message(2), message(1)],
+      olderLimit: 3
+    });
+
+    expect(page.messages.map(m => m._id)).toEqual([1, 2, 3]);
+    expect(page).toMatchObject({ hasOlder: false, hasNewer: false });
+  });
+
+  it('test_assemblePage_beforeCursorStillHasNewer', () => {
+    const page = messageCursor.assemblePage({
+      older: [message(2), message(1)],
+      anchor: message(3),
+      olderLimit: 2
+    });
+
+    expect(page.messages.map(m => m._id)).toEqual([1, 2]);
+    expect(page).toMatchObject({ hasOlder: false, hasNewer: true });
+    expect(messageCursor.describePage(page, 2)).toEqual({
+      limit: 2,
+      hasOlder: false,
+      hasNewer: true,
+      oldestId: 1,
+      newestId: 2
+    });
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import messageSchedule from '../../src/utils/messageSchedule';
+
+// Monday 3 March 2025, 09:00 in New York (EST); clocks go forward on 9 March
+const firstSendAt = new Date('2025-03-03T14:00:00Z');
+const weekly = { frequency: 'weekly', interval: 1, timezone: 'America/New_York' };
+
+describe('messageSchedule', () => {
+  it('test_occurrenceAt_keepsLocalTimeAcrossDst', () => {
+    expect(messageSchedule.occurrenceAt(firstSendAt, weekly, 1)).toEqual(new Date('2025-03-10T13:00:00Z'));
+  });
+
+  it('test_occurrenceAt_clampsMonthlyToLastDayOfMonth', () => {
+    const monthly = { frequency: 'monthly', interval: 1, timezone: 'UTC' };
+    const first = new Date('2025-01-31T09:00:00Z');
+
+    expect(messageSchedule.occurrenceAt(first, monthly, 1)).toEqual(new Date('2025-02-28T09:00:00Z'));
+    expect(messageSchedule.occurrenceAt(first, monthly, 2)).toEqual(new Date('2025-03-31T09:00:00Z'));
+  });
+
+  it('test_nextOccurrence_skipsMissedOccurrences', () => {
+    const next = messageSchedule.nextOccurrence(firstSendAt, weekly, {
+      index: 0,
+      after: new Date('2025-03-12T00:00:00Z')
+    });
+
+    expect(next).toEqual({ index: 2, sendAt: new Date('2025-03-17T13:00:00Z') });
+  });
+
+  it('test_nextOccurrence_endsAtMaxOccurrencesOrUntil', () => {
+    const daily = { frequency: 'daily', interval: 2, timezone: 'UTC' };
+
+    expect(messageSchedule.nextOccurrence(firstSendAt, { ...daily, maxOccurrences: 1 }, { index: 0, after: firstSendAt })).toBeNull();
+    expect(messageSchedule.nextOccurrence(firstSendAt, { ...daily, until: '2025-03-05T00:00:00Z' }, { index: 0, after: firstSendAt })).toBeNull();
+    expect(messageSchedule.nextOccurrence(firstSendAt, { ...daily, until: '2025-03-06T00:00:00Z' }, { index: 0, after: firstSendAt }))
+      .toEqual({ index: 1, sendAt: new Date('2025-03-05T14:00:00Z') });
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import partnerCompatibility from '../../src/utils/partnerCompatibility';
+
+describe('partnerCompatibility', () => {
+  it('test_scoreCourseOverlap_comparesCourseCodesCaseInsensitively', () => {
+    const score = partnerCompatibility.scoreCourseOverlap(
+      [{ code: 'cs101', name: 'Intro to Programming' }, { code: 'MATH201' }],
+      ['CS101', 'PHYS110']
+    );
+
+    // 1 shared of 3 unique, plus 1/3 bonus capped at 0.3
+    expect(score).toBeCloseTo(1 / 3 + 0.3, 5);
+    expect(partnerCompatibility.scoreCourseOverlap([], ['CS101'])).toBe(0);
+  });
+
+  it('test_getCommonCourses_keepsNamesAndDropsDuplicates', () => {
+    const common = partnerCompatibility.getCommonCourses(
+      [{ code: 'CS101', name: 'Intro to Programming' }, { code: 'cs101' }, { code: 'MATH201' }],
+      [{ code: 'CS101' }]
+    );
+
+    expect(common).toEqual([{ code: 'CS101', name: 'Intro to Programming' }]);
+  });
+
+  it('test_scoreStudyStyle_scoresEnumPreferencesByDistance', () => {
+    const score = partnerCompatibility.scoreStudyStyle(
+      { studyIntensity: 'Casual', preferredGroupSize: '1-on-1' },
+      { studyIntensity: 'Intensive', preferredGroupSize: 'Large Group (9+)' }
+    );
+
+    // Intensity two of three steps apart (1/3), group sizes at opposite ends (0)
+    expect(score).toBeCloseTo(1 / 6, 5);
+  });
+
+  it('test_scoreStudyStyle_sharedStylesAndHybridMeetings', () => {
+    const score = partnerCompatibility.scoreStudyStyle(
+      { studyStyle: ['Visual', 'Flashcards'], meetingType: ['Online'], preferredGroupSize: 'No Preference' },
+      { studyStyle: ['Visual', 'Discussion', 'Mind Maps', 'Flashcards'], meetingType: ['Hybrid'], preferredGroupSize: '1-on-1' }
+    );
+
+    // Styles 2 of 4 (0.5), Hybrid meets Online (1), No Preference fits (1)
+    expect(score).toBeCloseTo(2.5 / 3, 5);
+    expect(partnerCompatibility.scoreStudyStyle({ meetingType: ['Online'] }, { meetingType: ['In-Person'] })).toBe(0);
+    expect(partnerCompatibility.scoreStudyStyle({}, {})).toBe(0.5);
+  });
+});
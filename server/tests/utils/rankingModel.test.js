@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import rankingModel from '../../src/utils/rankingModel';
+
+const example = (id, courseOverlap, availability, label) => ({
+  id,
+  factors: { courseOverlap, studyStyle: 0.5, availability, location: 0.5, academicGoals: 0.5 },
+  label
+});
+
+// Accepts partners with good schedule overlap, rejects the rest regardless of courses
+const history = [
+  example('a', 0.9, 0.9, 1),
+  example('b', 0.2, 0.8, 1),
+  example('c', 0.5, 0.95, 1),
+  example('d', 0.9, 0.1, 0),
+  example('e', 0.8, 0.2, 0),
+  example('f', 0.3, 0.15, 0)
+];
+
+describe('rankingModel', () => {
+  it('test_trainAdjustments_learnsPreferredFactor', () => {
+    const result = rankingModel.trainAdjustments(history);
+
+    expect(result.sampleSize).toBe(6);
+    expect(result.adjustments.availability).toBeGreaterThan(0);
+    expect(result.adjustments.availability).toBeGreaterThan(result.adjustments.courseOverlap);
+  });
+
+  it('test_trainAdjustments_isDeterministicRegardlessOfOrder', () => {
+    const first = rankingModel.trainAdjustments(history);
+    const second = rankingModel.trainAdjustments([...history].reverse());
+
+    expect(second).toEqual(first);
+  });
+
+  it('test_trainAdjustments_requiresBothOutcomes', () => {
+    expect(rankingModel.trainAdjustments(history.slice(0, 3))).toBeNull();
+    expect(rankingModel.trainAdjustments(history.map(entry => ({ ...entry, label: 1 })))).toBeNull();
+  });
+
+  it('test_applyAdjustments_renormalisesWeights', () => {
+    const weights = { courseOverlap: 0.4, studyStyle: 0.2, availability: 0.15, location: 0.15, academicGoals: 0.1 };
+    const adjusted = rankingModel.applyAdjustments(weights, { availability: 0.5 });
+    const total = Object.values(adjusted).reduce((sum, value) => sum + value, 0);
+
+    expect(total).toBeCloseTo(1, 3);
+    expect(adjusted.availability).toBeGreaterThan(weights.availability);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import recurrence from '../../src/utils/recurrence';
+
+const schedule = (pattern, extra = {}) => ({
+  type: 'recurring',
+  startDate: new Date('2026-03-01T12:00:00Z'),
+  recurringPattern: {
+    timeSlot: { start: '18:00', end: '20:00', timezone: 'America/New_York' },
+    ...pattern
+  },
+  ...extra
+});
+
+const window = {
+  from: new Date('2026-03-01T00:00:00Z'),
+  to: new Date('2026-03-20T00:00:00Z')
+};
+
+describe('recurrence', () => {
+  it('test_expandOccurrences_weeklyFollowsDaylightSaving', () => {
+    const occurrences = recurrence.expandOccurrences(
+      schedule({ frequency: 'weekly', daysOfWeek: ['monday'] }),
+      window
+    );
+
+    expect(occurrences.map(occurrence => occurrence.date)).toEqual(['2026-03-02', '2026-03-09', '2026-03-16']);
+    // 18:00 EST before the DST switch on 8 March, 18:00 EDT after
+    expect(occurrences[0].startsAt.toISOString()).toBe('2026-03-02T23:00:00.000Z');
+    expect(occurrences[1].startsAt.toISOString()).toBe('2026-03-09T22:00:00.000Z');
+  });
+
+  it('test_expandOccurrences_biWeeklySkipsAlternateWeeks', () => {
+    const occurrences = recurrence.expandOccurrences(
+      schedule({ frequency: 'bi-weekly', daysOfWeek: ['monday', 'thursday'] }),
+      { ...window, to: new Date('2026-03-31T00:00:00Z') }
+    );
+
+    expect(occurrences.map(occurrence => occurrence.date)).toEqual([
+      '2026-03-02', '2026-03-05', '2026-03-16', '2026-03-19', '2026-03-30'
+    ]);
+  });
+
+  it('test_expandOccurrences_respectsEndDate', () => {
+    const occurrences = recurrence.expandOccurrences(
+      schedule({ frequency: 'daily' }, { endDate: new Date('2026-03-04T12:00:00Z') }),
+      window
+    );
+
+    expect(occurrences.map(occurrence => occurrence.date)).toEqual(['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-04']);
+  });
+
+  it('test_expandOccurrences_appliesSkipAndReschedule', () => {
+    const occurrences = recurrence.expandOccurrences(
+      schedule({ frequency: 'weekly', daysOfWeek: ['monday'] }, {
+        exceptions: [
+          { date: '2026-03-09', type: 'reschedule', startsAt: new Date('2026-03-10T22:00:00Z') },
+          { date: '2026-03-16', type: 'skip', reason: 'Reading week' }
+        ]
+      }),
+      window
+    );
+
+    expect(occurrences.map(occurrence => [occurrence.date, occurrence.status])).toEqual([
+      ['2026-03-02', 'scheduled'],
+      ['2026-03-09', 'rescheduled']
+    ]);
+    expect(occurrences[1].startsAt.toISOString()).toBe('2026-03-10T22:00:00.000Z');
+    expect(occurrences[1].endsAt.toISOString()).toBe('2026-03-11T00:00:00.000Z');
+  });
+
+  it('test_isOccurrenceDate_rejectsDatesOffPattern', () => {
+    const weekly = schedule({ frequency: 'weekly', daysOfWeek: ['monday'] });
+
+    expect(recurrence.isOccurrenceDate(weekly, '2026-03-09')).toBe(true);
+    expect(recurrence.isOccurrenceDate(weekly, '2026-03-10')).toBe(false);
+    expect(recurrence.isOccurrenceDate(weekly, '2026-02-23')).toBe(false);
+    expect(recurrence.isOccurrenceDate(weekly, '2026-02-30')).toBe(false);
+  });
+
+  it('test_describeSeries_startsAtFirstMatchingDay', () => {
+    const series = recurrence.describeSeries(
+      schedule({ frequency: 'bi-weekly', daysOfWeek: ['monday', 'thursday'] }, {
+        endDate: new Date('2026-06-01T12:00:00Z')
+      })
+    );
+
+    expect(series.firstOccurrence.date).toBe('2026-03-02');
+    expect(series.firstOccurrence.startsAt.toISOString()).toBe('2026-03-02T23:00:00.000Z');
+    expect(series.durationMinutes).toBe(120);
+    // 18:00 EDT on the end date
+    expect(series.until.toISOString()).toBe('2026-06-01T22:00:00.000Z');
+  });
+
+  it('test_expandOccurrences_withoutStartDateOnlyExpandsUnanchoredPatterns', () => {
+    const noStart = (pattern) => schedule(pattern, { startDate: undefined });
+    const november = { from: new Date('2026-11-01T00:00:00Z'), to: new Date('2026-11-20T00:00:00Z') };
+
+    expect(recurrence.expandOccurrences(noStart({ frequency: 'weekly' }), november)).toEqual([]);
+    expect(recurrence.expandOccurrences(noStart({ frequency: 'bi-weekly', daysOfWeek: ['monday'] }), november)).toEqual([]);
+    expect(recurrence.expandOccurrences(noStart({ frequency: 'monthly' }), november)).toEqual([]);
+
+    const weekly = recurrence.expandOccurrences(noStart({ frequency: 'weekly', daysOfWeek: ['monday'] }), november);
+    expect(weekly.map(occurrence => occurrence.date)).toEqual(['2026-11-02', '2026-11-09', '2026-11-16']);
+  });
+
+  it('test_describeSeries_withoutStartDateAgreesWithExpansion', () => {
+    const now = new Date('2026-11-01T00:00:00Z');
+
+    expect(recurrence.describeSeries(schedule({ frequency: 'weekly' }, { startDate: undefined }), { now })).toBeNull();
+    expect(recurrence.describeSeries(
+      schedule({ frequency: 'bi-weekly', daysOfWeek: ['monday'] }, { startDate: undefined }),
+      { now }
+    )).toBeNull();
+
+    const series = recurrence.describeSeries(
+      schedule({ frequency: 'weekly', daysOfWeek: ['monday'] }, { startDate: undefined }),
+      { now }
+    );
+    expect(series.firstOccurrence.date).toBe('2026-11-02');
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import searchHighlight from '../../src/utils/searchHighlight';
+
+const highlighted = ({ text, highlights }) => highlights.map(({ start, end }) => text.slice(start, end));
+
+describe('searchHighlight', () => {
+  it('test_parseQuery_keepsPhrasesAndDropsNegatedWords', () => {
+    expect(searchHighlight.parseQuery('Studying "linear algebra" -calculus exam!')).toEqual({
+      phrases: ['linear algebra'],
+      words: ['studying', 'exam']
+    });
+  });
+
+  it('test_buildSnippet_highlightsOtherFormsOfAWord', () => {
+    const snippet = searchHighlight.buildSnippet('Review notes: reviewing recursion before the exam', 'reviewed');
+
+    expect(highlighted(snippet)).toEqual(['Review', 'reviewing']);
+    expect(snippet).toMatchObject({ truncatedStart: false, truncatedEnd: false });
+  });
+
+  it('test_buildSnippet_centresLongMessagesOnFirstMatchAtWordBoundaries', () => {
+    const content = `${'Before the midterm we should review. '.repeat(4)}I was reviewing linear algebra for the exam. ${'More filler text here. '.repeat(4)}`;
+    const snippet = searchHighlight.buildSnippet(content, '"linear algebra"', { length: 60 });
+
+    expect(snippet.text.length).toBeLessThanOrEqual(60);
+    expect(highlighted(snippet)).toEqual(['linear algebra']);
+    expect(snippet).toMatchObject({ truncatedStart: true, truncatedEnd: true });
+    expect(content).toContain(` ${snippet.text} `);
+  });
+
+  it('test_buildSnippet_withoutMatchesReturnsTheStart', () => {
+    const snippet = searchHighlight.buildSnippet('Nothing relevant in here', 'calculus', { length: 10 });
+
+    expect(snippet.text).toBe('Nothing');
+    expect(snippet.highlights).toEqual([]);
+    expect(snippet.truncatedEnd).toBe(true);
+  });
+});